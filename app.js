@@ -2,12 +2,17 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const apiRoutes = require('./routes/api');
+const { requestLogger } = require('./middleware/requestLogger');
+const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
 
+app.use(requestLogger());
 app.use(bodyParser.json());
 app.use(cors());
+app.use(apiRoutes.monitoringRoutes);
 app.use('/api', apiRoutes);
+app.use(errorHandler);
 
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
@@ -0,0 +1,23 @@
+const path = require('path');
+
+// Runtime configuration read from environment variables
+module.exports = {
+    LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+    STORE_DRIVER: process.env.DISPENSER_STORE || 'memory',
+    STORE_PATH: process.env.DISPENSER_STORE_PATH || path.join(__dirname, '..', 'data', 'dispensers.jsonl'),
+    EVENT_TICK_INTERVAL_MS: Number(process.env.DISPENSER_EVENT_TICK_MS) || 1000,
+    WEBHOOK_MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    WEBHOOK_RETRY_BASE_MS: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+    WEBHOOK_TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    RECONCILIATION_WINDOW_MS: Number(process.env.DISPENSER_RECONCILIATION_WINDOW_MS) || 0,
+    ANOMALY_CHECK_INTERVAL_MS: Number(process.env.DISPENSER_ANOMALY_CHECK_MS) || 60 * 1000,
+    SCHEDULE_CHECK_INTERVAL_MS: Number(process.env.DISPENSER_SCHEDULE_CHECK_MS) || 60 * 1000,
+    IDEMPOTENCY_TTL_MS: Number(process.env.DISPENSER_IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000,
+    ROUNDING_MODE: process.env.DISPENSER_ROUNDING_MODE || 'half_up',
+    EXCHANGE_RATES: process.env.DISPENSER_EXCHANGE_RATES || '',
+    TAX_RATE: Number(process.env.DISPENSER_TAX_RATE) || 0,
+    API_KEYS: process.env.DISPENSER_API_KEYS || '',
+    JWT_SECRET: process.env.DISPENSER_JWT_SECRET || '',
+    AUTH_DISABLED: process.env.DISPENSER_AUTH_DISABLED === 'true',
+    METRICS_AUTH: process.env.DISPENSER_METRICS_AUTH === 'true',
+};
@@ -1,3 +1,13 @@
 module.exports = {
-    PRICE_PER_LITRE: 12.25,
+    // Amounts are in minor units: 1225 is 12.25 in DEFAULT_CURRENCY
+    PRICE_PER_LITRE: 1225,
+    DEFAULT_CURRENCY: 'EUR',
+    DEFAULT_PAGE_LIMIT: 20,
+    MAX_PAGE_LIMIT: 100,
+    MAX_BATCH_EVENTS: 1000,
+    // The kinds of discount a tab can get. Absolute discounts are amounts in minor units of the tab's currency
+    DiscountType: {
+        PERCENTAGE: 'percentage',
+        ABSOLUTE: 'absolute',
+    },
 };
@@ -14,6 +14,100 @@ const messages = {
     INVALID_DATE_FORMAT: 'Invalid date format. Please use the ISO 8601 format.',
     INVALID_DATE_ORDER: 'closed_at must be greater than opened_at and opened_at must be greater than the previous closed_at',
     INVALID_FLOW: 'Flow volume should be a positive number.',
+    INVALID_STATE_FILTER: 'Invalid state filter. State must be either "open" or "close".',
+    INVALID_RETIRED_FILTER: 'Invalid retired filter. Retired must be either "true" or "false".',
+    INVALID_PAGINATION: 'Invalid pagination. Limit must be an integer between 1 and 100 and offset a non-negative integer.',
+    DISPENSER_RETIRED: 'Dispenser is retired',
+    DISPENSER_MUST_BE_CLOSED: 'Dispenser must be closed before being retired',
+    DISPENSER_UPDATE_FIELDS_REQUIRED: 'At least one of flow_volume, beverage_id, venue_id or zone_id is required',
+    BEVERAGE_NOT_FOUND: 'Beverage not found',
+    BEVERAGE_NAME_REQUIRED: 'Beverage name is required',
+    INVALID_PRICE_PER_LITRE: 'Price per litre should be a positive integer, in minor units of its currency.',
+    INVALID_CURRENCY: 'Invalid currency. Please use a three-letter ISO 4217 code.',
+    PRICING_RULE_NOT_FOUND: 'Pricing rule not found',
+    PRICING_RULE_NAME_REQUIRED: 'Pricing rule name is required',
+    INVALID_PRICING_ADJUSTMENT: 'Invalid adjustment. Adjustment must be either "percentage" or "absolute".',
+    INVALID_PRICING_VALUE: 'Invalid value. A percentage must be greater than -100 and an absolute price must be an integer in minor units, not negative.',
+    INVALID_PRICING_CURRENCY: 'Invalid currency. An absolute price needs the ISO 4217 currency it is in, which must be the one of its beverage.',
+    INVALID_WEEKDAYS: 'Invalid weekdays. Weekdays must be a non-empty array of integers from 0 (Sunday) to 6 (Saturday).',
+    INVALID_TIME_WINDOW: 'Invalid time window. Times must use the HH:MM format and start_time must be before end_time.',
+    INVALID_DATE_RANGE: 'Invalid date range. Dates must use the ISO 8601 format and start_at must be before end_at.',
+    INVALID_PRIORITY: 'Priority should be an integer.',
+    INVALID_TIME_RANGE: 'Invalid date range. from and to must use the ISO 8601 format and from must be before to.',
+    INVALID_SORT_ORDER: 'Invalid sort order. Sort must be either "asc" or "desc".',
+    INVALID_EXPORT_FORMAT: 'Invalid export format. Format must be either "csv" or "ndjson".',
+    WEBHOOK_NOT_FOUND: 'Webhook not found',
+    INVALID_WEBHOOK_URL: 'Invalid webhook URL. It must be an absolute http or https URL.',
+    INVALID_WEBHOOK_EVENTS: 'Invalid webhook events. Events must be an array of dispenser event types.',
+    INVALID_WEBHOOK_SECRET: 'Webhook secret should be a string of at least 16 characters.',
+    INVALID_WEBHOOK_ACTIVE: 'Webhook active flag should be a boolean.',
+    KEG_NOT_FOUND: 'No keg attached to the dispenser',
+    KEG_EMPTY: 'The keg attached to the dispenser is empty',
+    KEG_SWAP_REQUIRES_CLOSED: 'Dispenser must be closed before swapping its keg',
+    INVALID_KEG_CAPACITY: 'Keg capacity should be a positive number of litres.',
+    INVALID_KEG_REMAINING: 'Keg remaining litres should be a number between 0 and the capacity.',
+    INVALID_KEG_LOW_LEVEL: 'Keg low level should be a number of litres between 0 and the capacity.',
+    AUTHENTICATION_REQUIRED: 'Authentication is required. Send an API key in the X-API-Key header or a bearer token.',
+    INVALID_CREDENTIALS: 'Invalid API key or token',
+    TOKEN_EXPIRED: 'The token has expired',
+    INSUFFICIENT_ROLE: 'Your role is not allowed to perform this operation',
+    DISPENSER_ACCESS_DENIED: 'Your credentials are restricted to another dispenser',
+    INVALID_AUDIT_OUTCOME: 'Invalid outcome. Outcome must be one of "accepted", "rejected" or "replayed".',
+    INVALID_IDEMPOTENCY_KEY: 'Invalid idempotency key. It should be a string of 1 to 255 characters.',
+    IDEMPOTENCY_KEY_REUSED: 'The idempotency key was already used with a different status or updated_at',
+    INVALID_BATCH_EVENTS: 'Invalid events. Events should be a non-empty array of at most 1000 status events.',
+    INVALID_BATCH_MODE: 'Invalid mode. Mode must be either "partial" or "atomic".',
+    BATCH_EVENT_SKIPPED: 'Not applied because another event of the same dispenser was rejected',
+    INVALID_JSON_BODY: 'The request body is not valid JSON',
+    REQUEST_BODY_TOO_LARGE: 'The request body is too large',
+    UNSUPPORTED_MEDIA_TYPE: 'The request body has an unsupported charset or encoding',
+    INVALID_REQUEST: 'The request does not match the API schema',
+    INVALID_MAX_OPEN_SECONDS: 'Max open seconds should be a positive number or null.',
+    INVALID_MAX_LITRES_PER_POUR: 'Max litres per pour should be a positive number or null.',
+    INVALID_MAX_OPENS: 'Max opens should be a positive integer or null.',
+    INVALID_OPENS_WINDOW: 'Window seconds should be a positive number.',
+    INVALID_AUTO_CLOSE: 'Auto close should be a boolean.',
+    INVALID_ALERT_RULE: 'Invalid rule. Rule must be one of "max_open_seconds", "max_litres_per_pour" or "max_opens".',
+    INVALID_GROUP_BY: 'Invalid group_by. It must be one of "dispenser", "beverage", "hour", "day" or "week".',
+    VENUE_NOT_FOUND: 'Venue not found',
+    VENUE_NAME_REQUIRED: 'Venue name is required',
+    ZONE_NOT_FOUND: 'Zone not found',
+    ZONE_NAME_REQUIRED: 'Zone name is required',
+    ZONE_VENUE_MISMATCH: 'The zone belongs to another venue',
+    VENUE_ACCESS_DENIED: 'Your credentials are restricted to another venue',
+    TAB_NOT_FOUND: 'Tab not found',
+    TAB_NAME_REQUIRED: 'Tab name is required',
+    TAB_NOT_OPEN: 'The tab is not open',
+    TAB_SETTLED: 'The tab is already settled',
+    TAB_HAS_OPEN_POURS: 'The tab has pours in progress. Close their dispensers first.',
+    TAB_VENUE_MISMATCH: 'The tab belongs to another venue',
+    INVALID_TAB_STATUS_FILTER: 'Invalid status filter. Status must be one of "open", "closed" or "settled".',
+    INVALID_DISCOUNT_TYPE: 'Invalid discount type. Type must be either "percentage" or "absolute".',
+    INVALID_DISCOUNT_VALUE: 'Invalid discount value. A percentage must be greater than 0 and at most 100, an amount an integer in minor units greater than 0.',
+    USAGE_NOT_FOUND: 'Usage not found',
+    USAGE_MUST_BE_CLOSED: 'Only closed usages can be corrected',
+    USAGE_VOIDED: 'The usage is voided',
+    INVALID_CORRECTION_ACTION: 'Invalid action. Action must be either "amend" or "void".',
+    CORRECTION_REASON_REQUIRED: 'A reason is required to correct a usage',
+    CORRECTION_FIELDS_REQUIRED: 'At least one of flow_volume, opened_at or closed_at is required to amend a usage',
+    SCHEDULE_NOT_FOUND: 'Schedule not found',
+    SCHEDULE_NAME_REQUIRED: 'Schedule name is required',
+    INVALID_SCHEDULE_TYPE: 'Invalid schedule type. Type must be either "opening_hours" or "maintenance".',
+    SCHEDULE_TARGET_REQUIRED: 'A schedule applies to either a dispenser_id or a venue_id',
+    DISPENSER_LOCKED: 'The dispenser is locked outside its opening hours',
+    DISPENSER_IN_MAINTENANCE: 'The dispenser is locked for maintenance',
+    INVALID_FORECAST_DAYS: 'Invalid days. The number of days to forecast must be an integer from 1 to 90.',
+    INVALID_HISTORY_DAYS: 'Invalid history_days. The number of days of history must be an integer from 7 to 365.',
+    INVALID_SMOOTHING_FACTOR: 'Invalid alpha. The smoothing factor must be greater than 0 and at most 1.',
+    INVALID_FORECAST_METHOD: 'Invalid method. Method must be either "seasonal" or "smoothing".',
+    INVALID_FORECAST_GROUP_BY: 'Invalid group_by. It must be either "dispenser" or "beverage".',
+    EXCHANGE_RATE_NOT_FOUND: 'No exchange rate is configured to convert between these currencies',
+    INVALID_TAX_RATE: 'Invalid tax rate. The tax rate must be a percentage from 0 to 100.',
+    INVOICE_NOT_FOUND: 'Invoice not found',
+    INVOICE_TARGET_REQUIRED: 'An invoice is issued for either a dispenser_id or a venue_id',
+    INVALID_INVOICE_PERIOD: 'Invalid invoice period. Both from and to are required, and the period must have ended.',
+    INVOICE_HAS_OPEN_USAGES: 'Dispensers were still open at the end of the invoice period. Close them first.',
+    INVALID_INVOICE_FORMAT: 'Invalid format. Format must be one of "json", "html" or "pdf".',
 };
 
 module.exports = messages;
@@ -0,0 +1,386 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const messages = require('../constants/messages');
+const { ValidationError } = require('../utils/errors');
+const { DispenserState, DispenserEvent, systemCaller } = require('./dispenserManager');
+const { parseTimeRange, parsePagination, paginate, pick } = require('../utils/utils');
+const { setTimer } = require('../utils/timers');
+
+// The rules that can be set on a dispenser. Alerts carry the name of the rule they violate.
+const AnomalyRule = {
+    MAX_OPEN_SECONDS: 'max_open_seconds',
+    MAX_LITRES_PER_POUR: 'max_litres_per_pour',
+    MAX_OPENS: 'max_opens',
+};
+
+// The rules of a dispenser nobody configured: nothing is checked
+const DEFAULT_RULES = {
+    max_open_seconds: null,
+    max_litres_per_pour: null,
+    max_opens: null,
+    window_seconds: 3600,
+    auto_close: false,
+};
+
+const RULE_FIELDS = Object.keys(DEFAULT_RULES);
+
+const ANOMALY_CALLER = systemCaller('anomaly-manager');
+
+// AnomalyManager class to detect taps left open too long and suspicious pour patterns.
+// Each dispenser can limit the duration and the volume of a pour, and the number of opens within a window.
+// Rules are evaluated on every status change and by a periodic check of the open dispensers.
+// Each violation is recorded once as an alert and emitted as an ANOMALY_DETECTED event.
+// With 'auto_close', a dispenser is closed at the moment it reaches its limit, so it is only billed up to it.
+class AnomalyManager {
+    /**
+     * @param {MemoryStore} store - The storage adapter holding the rules and the alerts. It should be the one the
+     *                              DispenserManager uses.
+     * @param {DispenserManager} dispenserManager - The manager of the dispensers the rules apply to.
+     * @param {Object} [options]
+     * @param {Number} [options.checkIntervalMs] - How often the open dispensers are checked. 0 disables the check.
+     */
+    constructor(store, dispenserManager, { checkIntervalMs = config.ANOMALY_CHECK_INTERVAL_MS } = {}) {
+        this.store = store;
+        this.dispenserManager = dispenserManager;
+        this.timers = new Map();
+
+        dispenserManager.on(DispenserEvent.OPENED, ({ dispenser, usage }) => this.evaluateOpen(dispenser, usage));
+        dispenserManager.on(DispenserEvent.CLOSED, ({ dispenser, usage }) => this.evaluateClose(dispenser, usage));
+
+        for (const dispenser of dispenserManager.getOpenDispensers()) {
+            this.scheduleAutoClose(dispenser.id);
+        }
+
+        this.interval = null;
+        if (checkIntervalMs > 0) {
+            this.interval = setInterval(() => this.check(), checkIntervalMs);
+            this.interval.unref();
+        }
+    }
+
+    /**
+     * Fetches the anomaly rules of a dispenser.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser.
+     *
+     * @returns {Object} The rules, with a null limit for the rules that are not set.
+     *
+     * @throws {Error} If the dispenser doesn't exist.
+     */
+    getRules(dispenserId) {
+        this.dispenserManager.getDispenser(dispenserId);
+        return this.findRules(dispenserId);
+    }
+
+    /**
+     * Replaces the anomaly rules of a dispenser. They apply to its open usage at once.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser.
+     * @param {Object} fields - The rules. Missing ones are reset to their default.
+     * @param {Number|null} [fields.max_open_seconds] - The longest a pour may last.
+     * @param {Number|null} [fields.max_litres_per_pour] - The most litres a pour may serve.
+     * @param {Number|null} [fields.max_opens] - The most times the dispenser may be opened within 'window_seconds'.
+     * @param {Number} [fields.window_seconds] - The window the opens are counted in. Defaults to an hour.
+     * @param {boolean} [fields.auto_close] - Whether a pour is closed when it reaches its duration or volume limit.
+     *
+     * @returns {Object} The rules.
+     *
+     * @throws {Error} If the dispenser doesn't exist or a rule is not valid.
+     */
+    setRules(dispenserId, fields) {
+        this.dispenserManager.getDispenser(dispenserId);
+
+        const rules = {
+            dispenser_id: dispenserId,
+            ...DEFAULT_RULES,
+            ...pick(fields, RULE_FIELDS),
+            updated_at: new Date(),
+        };
+
+        validateRules(rules);
+        this.store.saveAnomalyRules(dispenserId, rules);
+        this.scheduleAutoClose(dispenserId);
+
+        return rules;
+    }
+
+    /**
+     * Lists the alerts in the order they were detected, one page at a time.
+     *
+     * @param {Object} [filters] - The filters and pagination, usually taken from the request query.
+     * @param {string} [filters.dispenser_id] - Only return the alerts of this dispenser.
+     * @param {string} [filters.rule] - Only return the alerts of this rule, one of AnomalyRule.
+     * @param {Date|string} [filters.from] - Only return alerts detected from this moment on.
+     * @param {Date|string} [filters.to] - Only return alerts detected before this moment.
+     * @param {Number|string} [filters.limit] - The maximum number of alerts to return.
+     * @param {Number|string} [filters.offset] - The number of alerts to skip.
+     *
+     * @returns {Object} The page of alerts with 'alerts', 'total', 'limit' and 'offset'.
+     *
+     * @throws {Error} If the dispenser doesn't exist, or a filter or the pagination is not valid.
+     */
+    getAlerts({ dispenser_id, rule, from, to, limit, offset } = {}) {
+        if (dispenser_id !== undefined) {
+            this.dispenserManager.getDispenser(dispenser_id);
+        }
+
+        if (rule !== undefined && !Object.values(AnomalyRule).includes(rule)) {
+            throw new ValidationError(messages.INVALID_ALERT_RULE);
+        }
+
+        const range = parseTimeRange(from, to);
+        const pagination = parsePagination({ limit, offset });
+
+        const alerts = this.store.getAlerts().filter((alert) => {
+            if (dispenser_id !== undefined && alert.dispenser_id !== dispenser_id) {
+                return false;
+            }
+
+            if (rule !== undefined && alert.rule !== rule) {
+                return false;
+            }
+
+            if (range.from && alert.detected_at < range.from) {
+                return false;
+            }
+
+            return !range.to || alert.detected_at < range.to;
+        });
+
+        const { items, ...page } = paginate(alerts, pagination);
+        return { alerts: items, ...page };
+    }
+
+    /**
+     * Checks the open usages against the duration and volume limits of their dispenser.
+     * Usages past their limit are closed at it when 'auto_close' is set, and raise an alert otherwise.
+     *
+     * @param {Date} [now] - The moment to check at. Defaults to now.
+     *
+     * @returns {Array} The alerts raised.
+     */
+    check(now = new Date()) {
+        const raised = [];
+
+        for (const dispenser of this.dispenserManager.getOpenDispensers()) {
+            const usage = this.dispenserManager.findOpenUsage(dispenser.id);
+            if (!usage) {
+                continue;
+            }
+
+            const rules = this.findRules(dispenser.id);
+            const capAt = getCapTime(rules, usage);
+
+            if (rules.auto_close && capAt && capAt <= now) {
+                raised.push(...this.autoClose(dispenser.id, capAt));
+            } else {
+                raised.push(...this.raiseViolations(dispenser, usage, rules, now));
+            }
+        }
+
+        return raised;
+    }
+
+    // Stops the periodic check and the scheduled closes
+    stop() {
+        clearInterval(this.interval);
+        for (const id of [...this.timers.keys()]) {
+            this.cancelAutoClose(id);
+        }
+    }
+
+    // Counts the opens within the window of the dispenser and schedules its automatic close
+    evaluateOpen(dispenser, usage) {
+        const rules = this.findRules(dispenser.id);
+
+        if (rules.max_opens !== null) {
+            const openedAt = new Date(usage.opened_at);
+            const windowStart = new Date(openedAt.getTime() - rules.window_seconds * 1000);
+            const opens = (this.store.getUsages(dispenser.id) || []).filter((previous) => {
+                const previousOpenedAt = new Date(previous.opened_at);
+                return previousOpenedAt > windowStart && previousOpenedAt <= openedAt;
+            }).length;
+
+            // A burst of opens raises a single alert per window
+            const alerted = this.store.getAlerts().some((alert) => alert.dispenser_id === dispenser.id
+                && alert.rule === AnomalyRule.MAX_OPENS && new Date(alert.usage_opened_at) > windowStart);
+
+            if (opens > rules.max_opens && !alerted) {
+                const violation = { rule: AnomalyRule.MAX_OPENS, value: opens, limit: rules.max_opens };
+                this.raiseAlert(dispenser, usage, violation);
+            }
+        }
+
+        this.scheduleAutoClose(dispenser.id);
+    }
+
+    // Checks a closed usage against the duration and volume limits of its dispenser
+    evaluateClose(dispenser, usage) {
+        this.cancelAutoClose(dispenser.id);
+
+        if (usage && usage.closed_at) {
+            this.raiseViolations(dispenser, usage, this.findRules(dispenser.id), new Date(usage.closed_at));
+        }
+    }
+
+    // Raises an alert for each limit a usage went past by the given moment
+    raiseViolations(dispenser, usage, rules, until) {
+        const seconds = (until - new Date(usage.opened_at)) / 1000;
+        const measured = {
+            [AnomalyRule.MAX_OPEN_SECONDS]: seconds,
+            [AnomalyRule.MAX_LITRES_PER_POUR]: seconds * usage.flow_volume,
+        };
+
+        return getLimits(rules, usage)
+            .filter(({ at }) => until > at)
+            .map(({ rule }) => this.raiseAlert(dispenser, usage, { rule, value: measured[rule], limit: rules[rule] }))
+            .filter(Boolean);
+    }
+
+    /**
+     * Records an alert and emits it, unless the same rule already raised one for the usage.
+     *
+     * @param {Object} dispenser - The dispenser.
+     * @param {Object} usage - The usage that violated the rule.
+     * @param {Object} violation - The 'rule', the measured 'value' and the 'limit'.
+     * @param {boolean} [autoClosed] - Whether the dispenser is closed because of it.
+     *
+     * @returns {Object|null} The alert, or null when it was already raised.
+     */
+    raiseAlert(dispenser, usage, { rule, value, limit }, autoClosed = false) {
+        const openedAt = new Date(usage.opened_at);
+        const raised = this.store.getAlerts().some((alert) => alert.dispenser_id === dispenser.id
+            && alert.rule === rule && new Date(alert.usage_opened_at).getTime() === openedAt.getTime());
+
+        if (raised) {
+            return null;
+        }
+
+        const alert = {
+            id: uuidv4(),
+            dispenser_id: dispenser.id,
+            rule,
+            value: Number(value.toFixed(3)),
+            limit,
+            usage_opened_at: openedAt,
+            auto_closed: autoClosed,
+            detected_at: new Date(),
+        };
+
+        this.store.saveAlert(alert);
+        logger.warn('Dispenser anomaly detected', { dispenser_id: dispenser.id, rule, value: alert.value, limit });
+        this.dispenserManager.emitEvent(DispenserEvent.ANOMALY_DETECTED, dispenser, usage, { alert });
+
+        return alert;
+    }
+
+    // Schedules the closing of a dispenser at the moment its open usage reaches a limit, when 'auto_close' is set.
+    // Limits too far ahead to wait for are still enforced by the periodic check
+    scheduleAutoClose(dispenserId) {
+        this.cancelAutoClose(dispenserId);
+
+        const rules = this.findRules(dispenserId);
+        const usage = rules.auto_close && this.dispenserManager.findOpenUsage(dispenserId);
+        const capAt = usage && getCapTime(rules, usage);
+        if (!capAt) {
+            return;
+        }
+
+        const timer = setTimer(capAt, () => {
+            this.timers.delete(dispenserId);
+            this.autoClose(dispenserId, capAt);
+        });
+
+        if (timer) {
+            this.timers.set(dispenserId, timer);
+        }
+    }
+
+    cancelAutoClose(dispenserId) {
+        clearTimeout(this.timers.get(dispenserId));
+        this.timers.delete(dispenserId);
+    }
+
+    // Raises the alerts of the limits reached at the given moment and closes the dispenser then
+    autoClose(dispenserId, capAt) {
+        const dispenser = this.store.findDispenser(dispenserId);
+        const usage = this.dispenserManager.findOpenUsage(dispenserId);
+        if (!usage) {
+            return [];
+        }
+
+        const rules = this.findRules(dispenserId);
+        const alerts = getLimits(rules, usage)
+            .filter(({ at }) => at.getTime() === capAt.getTime())
+            .map(({ rule }) => {
+                const violation = { rule, value: rules[rule], limit: rules[rule] };
+                return this.raiseAlert(dispenser, usage, violation, true);
+            })
+            .filter(Boolean);
+
+        try {
+            this.dispenserManager.changeDispenserStatus(dispenserId, DispenserState.CLOSE, capAt, ANOMALY_CALLER);
+        } catch (error) {
+            logger.error(`Could not close dispenser ${dispenserId} at its limit: ${error.message}`);
+        }
+
+        return alerts;
+    }
+
+    findRules(dispenserId) {
+        const rules = this.store.findAnomalyRules(dispenserId);
+        return { dispenser_id: dispenserId, ...DEFAULT_RULES, updated_at: null, ...rules };
+    }
+}
+
+// Returns the duration and volume limits set on a usage, each with the moment the usage reaches it.
+// Moments are rounded up to the next millisecond, so a usage closed then has reached its limit.
+function getLimits(rules, usage) {
+    const openedAt = new Date(usage.opened_at).getTime();
+    const limits = [];
+
+    if (rules.max_open_seconds !== null) {
+        limits.push({ rule: AnomalyRule.MAX_OPEN_SECONDS, seconds: rules.max_open_seconds });
+    }
+
+    if (rules.max_litres_per_pour !== null) {
+        limits.push({ rule: AnomalyRule.MAX_LITRES_PER_POUR, seconds: rules.max_litres_per_pour / usage.flow_volume });
+    }
+
+    return limits.map(({ rule, seconds }) => ({ rule, at: new Date(openedAt + Math.ceil(seconds * 1000)) }));
+}
+
+// Returns the moment a usage reaches its first limit, or null when none is set
+function getCapTime(rules, usage) {
+    const limits = getLimits(rules, usage);
+    return limits.length ? new Date(Math.min(...limits.map(({ at }) => at.getTime()))) : null;
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function validateRules(rules) {
+    if (rules.max_open_seconds !== null && !isPositiveNumber(rules.max_open_seconds)) {
+        throw new ValidationError(messages.INVALID_MAX_OPEN_SECONDS);
+    }
+
+    if (rules.max_litres_per_pour !== null && !isPositiveNumber(rules.max_litres_per_pour)) {
+        throw new ValidationError(messages.INVALID_MAX_LITRES_PER_POUR);
+    }
+
+    if (rules.max_opens !== null && (!Number.isInteger(rules.max_opens) || rules.max_opens < 1)) {
+        throw new ValidationError(messages.INVALID_MAX_OPENS);
+    }
+
+    if (!isPositiveNumber(rules.window_seconds)) {
+        throw new ValidationError(messages.INVALID_OPENS_WINDOW);
+    }
+
+    if (typeof rules.auto_close !== 'boolean') {
+        throw new ValidationError(messages.INVALID_AUTO_CLOSE);
+    }
+}
+
+module.exports = { AnomalyManager, AnomalyRule };
@@ -0,0 +1,62 @@
+const messages = require('../constants/messages');
+const { ValidationError } = require('../utils/errors');
+const { AttemptOutcome } = require('./dispenserManager');
+const { parseTimeRange, parsePagination, paginate } = require('../utils/utils');
+
+// AuditManager class to query the audit log of status change attempts.
+// The DispenserManager appends an entry for every attempt, accepted or rejected, to the shared store;
+// this class only reads them.
+class AuditManager {
+    /**
+     * @param {DispenserManager} dispenserManager - The manager whose status change attempts are audited.
+     */
+    constructor(dispenserManager) {
+        this.dispenserManager = dispenserManager;
+        this.store = dispenserManager.store;
+    }
+
+    /**
+     * Lists the status change attempts of a dispenser in the order they were received, one page at a time.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser.
+     * @param {Object} [filters] - The filters and pagination, usually taken from the request query.
+     * @param {string} [filters.outcome] - Only return attempts with this outcome ('accepted' or 'rejected').
+     * @param {Date|string} [filters.from] - Only return attempts received from this moment on.
+     * @param {Date|string} [filters.to] - Only return attempts received before this moment.
+     * @param {Number|string} [filters.limit] - The maximum number of entries to return.
+     * @param {Number|string} [filters.offset] - The number of entries to skip.
+     *
+     * @returns {Object} The page of entries with 'entries', 'total', 'limit' and 'offset'. Each entry has the 'caller',
+     *                   the 'requested_status' and 'updated_at', the server 'received_at' time, the 'outcome'
+     *                   and the 'error' that rejected it, if any.
+     *
+     * @throws {Error} If the dispenser doesn't exist, or a filter or the pagination is not valid.
+     */
+    getAuditLog(dispenserId, { outcome, from, to, limit, offset } = {}) {
+        this.dispenserManager.getDispenser(dispenserId);
+
+        if (outcome !== undefined && !Object.values(AttemptOutcome).includes(outcome)) {
+            throw new ValidationError(messages.INVALID_AUDIT_OUTCOME);
+        }
+
+        const range = parseTimeRange(from, to);
+        const pagination = parsePagination({ limit, offset });
+
+        const entries = this.store.getAuditEntries(dispenserId).filter((entry) => {
+            if (outcome !== undefined && entry.outcome !== outcome) {
+                return false;
+            }
+
+            if (range.from && entry.received_at < range.from) {
+                return false;
+            }
+
+            return !range.to || entry.received_at < range.to;
+        });
+
+        const { items, ...page } = paginate(entries, pagination);
+        return { entries: items, ...page };
+    }
+}
+
+module.exports = { AuditManager };
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const messages = require('../constants/messages');
+const { AuthenticationError } = require('../utils/errors');
+
+// Roles a credential can be issued for
+const Role = {
+    ADMIN: 'admin',
+    STAFF: 'staff',
+    TAP: 'tap',
+};
+
+// Hashes an API key so the raw keys are not kept in memory
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Encodes a buffer or string in base64url, as used by JSON Web Tokens
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Signs a JSON Web Token with HMAC-SHA256.
+ *
+ * @param {Object} claims - The token claims, usually 'sub', 'role', 'dispenser_id' or 'venue_id', and 'exp'.
+ * @param {string} secret - The shared secret.
+ *
+ * @returns {string} The token.
+ */
+function signToken(claims, secret) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify(claims));
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Validates a principal and normalizes its fields.
+ * Tap credentials must be bound to a dispenser. Admin and staff credentials may be bound to a venue.
+ */
+function buildPrincipal(subject, role, dispenserId, venueId) {
+    if (!Object.values(Role).includes(role)) {
+        return null;
+    }
+
+    if (role === Role.TAP && !dispenserId) {
+        return null;
+    }
+
+    return {
+        subject,
+        role,
+        dispenser_id: role === Role.TAP ? dispenserId : null,
+        venue_id: role === Role.TAP ? null : venueId || null,
+    };
+}
+
+/**
+ * Parses the API keys configuration.
+ * Entries are separated by commas and written as 'key:role' or, for taps, 'key:tap:dispenser_id'.
+ * Admin and staff keys restricted to a venue are written as 'key:role:venue_id'.
+ */
+function parseApiKeys(value) {
+    const keys = new Map();
+
+    if (!value) {
+        return keys;
+    }
+
+    value.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry, index) => {
+        const [key, role, scope] = entry.split(':');
+        const principal = key ? buildPrincipal(`api-key-${index + 1}`, role, scope, scope) : null;
+
+        if (!principal) {
+            throw new Error(`Invalid API key entry: ${entry.replace(key, '***')}`);
+        }
+
+        keys.set(hashKey(key), principal);
+    });
+
+    return keys;
+}
+
+/**
+ * Authenticates API requests with static API keys or HS256 JSON Web Tokens.
+ * Authentication fails closed: without API keys nor a JWT secret, no credential is valid. Requests are only let
+ * through unauthenticated when authentication is explicitly disabled and no credentials are configured.
+ */
+class AuthManager {
+
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKeys - The API keys, see parseApiKeys.
+     * @param {string} options.jwtSecret - The secret tokens are signed with.
+     * @param {boolean} options.disabled - Whether to let requests through unauthenticated, with full access, when
+     *                                     no credentials are configured. Meant for local development only.
+     */
+    constructor({ apiKeys = config.API_KEYS, jwtSecret = config.JWT_SECRET, disabled = config.AUTH_DISABLED } = {}) {
+        this.apiKeys = parseApiKeys(apiKeys);
+        this.jwtSecret = jwtSecret || null;
+        this.disabled = disabled;
+    }
+
+    /**
+     * Whether API keys or a JWT secret are configured.
+     */
+    get configured() {
+        return this.apiKeys.size > 0 || this.jwtSecret !== null;
+    }
+
+    /**
+     * Whether requests must be authenticated. They must unless authentication was explicitly disabled,
+     * which configured credentials override.
+     */
+    get enabled() {
+        return this.configured || !this.disabled;
+    }
+
+    /**
+     * Resolves the principal of an API key.
+     *
+     * @param {string} key - The API key.
+     *
+     * @returns {Object} The principal: 'subject', 'role', 'dispenser_id' and 'venue_id'.
+     * @throws {Error} If the key is unknown.
+     */
+    authenticateApiKey(key) {
+        const principal = this.apiKeys.get(hashKey(key));
+
+        if (!principal) {
+            throw new AuthenticationError(messages.INVALID_CREDENTIALS);
+        }
+
+        return principal;
+    }
+
+    /**
+     * Resolves the principal of a JSON Web Token.
+     * The token must be signed with HS256 and carry a 'role' claim, plus 'dispenser_id' for taps.
+     * Admin and staff tokens carrying a 'venue_id' claim are restricted to that venue.
+     *
+     * @param {string} token - The token.
+     * @param {Date} now - The time the expiration is checked against.
+     *
+     * @returns {Object} The principal: 'subject', 'role', 'dispenser_id' and 'venue_id'.
+     * @throws {Error} If the token is malformed, wrongly signed or expired.
+     */
+    authenticateToken(token, now = new Date()) {
+        const parts = token.split('.');
+
+        if (!this.jwtSecret || parts.length !== 3) {
+            throw new AuthenticationError(messages.INVALID_CREDENTIALS);
+        }
+
+        const [header, payload, signature] = parts;
+        const expected = crypto.createHmac('sha256', this.jwtSecret).update(`${header}.${payload}`).digest();
+        const received = Buffer.from(signature, 'base64url');
+
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            throw new AuthenticationError(messages.INVALID_CREDENTIALS);
+        }
+
+        let claims;
+        try {
+            const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            if (alg !== 'HS256' || !claims || typeof claims !== 'object') {
+                throw new Error();
+            }
+        } catch (error) {
+            throw new AuthenticationError(messages.INVALID_CREDENTIALS);
+        }
+
+        if (claims.exp !== undefined && (typeof claims.exp !== 'number' || claims.exp * 1000 <= now.getTime())) {
+            throw new AuthenticationError(messages.TOKEN_EXPIRED);
+        }
+
+        const principal = buildPrincipal(claims.sub || null, claims.role, claims.dispenser_id, claims.venue_id);
+
+        if (!principal) {
+            throw new AuthenticationError(messages.INVALID_CREDENTIALS);
+        }
+
+        return principal;
+    }
+
+    /**
+     * Resolves the principal of a request from its 'X-API-Key' or 'Authorization: Bearer' header.
+     * A bearer credential is read as a token when it has three dot-separated parts, and as an API key otherwise.
+     *
+     * @param {Object} headers - The request headers, with lower-case names.
+     *
+     * @returns {Object} The principal: 'subject', 'role', 'dispenser_id' and 'venue_id'.
+     * @throws {Error} If no credential is given or it is invalid.
+     */
+    authenticate(headers) {
+        const apiKey = headers['x-api-key'];
+
+        if (apiKey) {
+            return this.authenticateApiKey(apiKey);
+        }
+
+        const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+
+        if (!match) {
+            throw new AuthenticationError(messages.AUTHENTICATION_REQUIRED);
+        }
+
+        return match[1].split('.').length === 3
+            ? this.authenticateToken(match[1])
+            : this.authenticateApiKey(match[1]);
+    }
+}
+
+module.exports = { AuthManager, Role, signToken };
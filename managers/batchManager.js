@@ -0,0 +1,195 @@
+const messages = require('../constants/messages');
+const { ValidationError } = require('../utils/errors');
+const { MAX_BATCH_EVENTS } = require('../constants/constants');
+const { DispenserManager } = require('./dispenserManager');
+const { MemoryStore } = require('../stores');
+
+// Ways a batch of status events can be applied
+const BatchMode = {
+    // Every valid event is applied, whatever happens to the others
+    PARTIAL: 'partial',
+    // The events of a dispenser are applied only if all of them are valid
+    ATOMIC: 'atomic',
+};
+
+// Outcomes of the events of a batch
+const BatchOutcome = {
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+    SKIPPED: 'skipped',
+};
+
+// BatchManager class to ingest the status events a tap controller buffered while it was offline.
+// Events are applied through changeDispenserStatus, so they follow the same rules and are audited the same way.
+class BatchManager {
+    /**
+     * @param {DispenserManager} dispenserManager - The manager the events are applied to.
+     */
+    constructor(dispenserManager) {
+        this.dispenserManager = dispenserManager;
+        this.store = dispenserManager.store;
+    }
+
+    /**
+     * Applies a batch of status events, possibly for several dispensers.
+     * The events of each dispenser are applied in the order they are given.
+     *
+     * @param {Array} events - The events, each with 'dispenser_id', 'status' and 'updated_at'.
+     * @param {Object} [options]
+     * @param {string} [options.mode] - One of BatchMode. Defaults to 'partial'.
+     * @param {Object} [options.caller] - Who sent the batch, recorded in the audit log.
+     *
+     * @returns {Object} The 'mode', the number of 'accepted', 'rejected' and 'skipped' events, and the 'results',
+     *                   one per event in the same order, with its 'index', 'dispenser_id', 'outcome' and 'error'.
+     *
+     * @throws {Error} If the events are not a non-empty array within MAX_BATCH_EVENTS, or the mode is not valid.
+     */
+    ingest(events, { mode = BatchMode.PARTIAL, caller = null } = {}) {
+        if (!Array.isArray(events) || events.length === 0 || events.length > MAX_BATCH_EVENTS) {
+            throw new ValidationError(messages.INVALID_BATCH_EVENTS);
+        }
+
+        if (!Object.values(BatchMode).includes(mode)) {
+            throw new ValidationError(messages.INVALID_BATCH_MODE);
+        }
+
+        const receivedAt = new Date();
+        const results = events.map((event, index) => ({
+            index,
+            dispenser_id: event && typeof event === 'object' ? event.dispenser_id || null : null,
+            outcome: null,
+            error: this.validateEvent(event, caller),
+        }));
+
+        // In atomic mode, an invalid event rejects every event of its dispenser
+        const rejected = new Set(mode === BatchMode.ATOMIC
+            ? results.filter((result) => result.error).map((result) => result.dispenser_id)
+            : []);
+
+        for (const [dispenserId, group] of this.groupByDispenser(results)) {
+            if (rejected.has(dispenserId)) {
+                continue;
+            }
+
+            if (mode === BatchMode.ATOMIC) {
+                const errors = this.rehearse(dispenserId, group.map(({ index }) => events[index]));
+
+                if (errors.some(Boolean)) {
+                    group.forEach((result, position) => {
+                        result.error = errors[position];
+                    });
+                    rejected.add(dispenserId);
+                    continue;
+                }
+            }
+
+            for (const result of group) {
+                const { status, updated_at } = events[result.index];
+                result.error = this.applyEvent(this.dispenserManager, dispenserId, status, updated_at, caller, receivedAt);
+            }
+        }
+
+        for (const result of results) {
+            if (result.error) {
+                result.outcome = BatchOutcome.REJECTED;
+            } else if (rejected.has(result.dispenser_id)) {
+                result.outcome = BatchOutcome.SKIPPED;
+                result.error = messages.BATCH_EVENT_SKIPPED;
+            } else {
+                result.outcome = BatchOutcome.ACCEPTED;
+            }
+        }
+
+        const count = (outcome) => results.filter((result) => result.outcome === outcome).length;
+
+        return {
+            mode,
+            accepted: count(BatchOutcome.ACCEPTED),
+            rejected: count(BatchOutcome.REJECTED),
+            skipped: count(BatchOutcome.SKIPPED),
+            results,
+        };
+    }
+
+    // Returns why an event can't be applied at all, or null
+    validateEvent(event, caller) {
+        if (!event || typeof event !== 'object' || !event.dispenser_id || !this.store.findDispenser(event.dispenser_id)) {
+            return messages.DISPENSER_NOT_FOUND;
+        }
+
+        if (caller && caller.dispenser_id && caller.dispenser_id !== event.dispenser_id) {
+            return messages.DISPENSER_ACCESS_DENIED;
+        }
+
+        if (!event.status || !event.updated_at) {
+            return messages.STATUS_UPDATED_AT_FIELDS_REQUIRED;
+        }
+
+        return null;
+    }
+
+    // Applies one event and returns why it was rejected, or null
+    applyEvent(dispenserManager, dispenserId, status, updatedAt, caller, receivedAt) {
+        try {
+            const result = dispenserManager.changeDispenserStatus(dispenserId, status, new Date(updatedAt), caller, receivedAt);
+            return result.success ? null : result.message;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    // Groups the valid events per dispenser, keeping their order
+    groupByDispenser(results) {
+        const groups = new Map();
+
+        for (const result of results.filter(({ error }) => !error)) {
+            groups.set(result.dispenser_id, [...(groups.get(result.dispenser_id) || []), result]);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Applies the events of a dispenser to a scratch copy of its data, without side effects.
+     * The rehearsal stops at the first rejected event.
+     *
+     * @returns {Array} Why each event was rejected, or null for the events accepted or not tried.
+     */
+    rehearse(dispenserId, events) {
+        const sandbox = new DispenserManager(this.createSandbox(dispenserId));
+        const errors = events.map(() => null);
+
+        events.some(({ status, updated_at }, position) => {
+            errors[position] = this.applyEvent(sandbox, dispenserId, status, updated_at, null, new Date());
+            return errors[position] !== null;
+        });
+
+        return errors;
+    }
+
+    // Copies what the status changes of a dispenser read and write into a new in-memory store.
+    // The catalogue, the pricing rules and the schedules are only read, so they are shared.
+    createSandbox(dispenserId) {
+        const sandbox = new MemoryStore();
+        const usages = this.store.getUsages(dispenserId);
+        const totalSpent = this.store.getTotalSpent(dispenserId);
+
+        sandbox.dispensers = [structuredClone(this.store.findDispenser(dispenserId))];
+        sandbox.kegs = structuredClone(this.store.getKegs().filter((keg) => keg.dispenser_id === dispenserId));
+        sandbox.beverages = this.store.getBeverages();
+        sandbox.pricingRules = this.store.getPricingRules();
+        sandbox.schedules = this.store.getSchedules();
+
+        if (usages) {
+            sandbox.statusChanges.set(dispenserId, structuredClone(usages));
+        }
+
+        if (totalSpent !== undefined) {
+            sandbox.totalSpentPerDispenser.set(dispenserId, totalSpent);
+        }
+
+        return sandbox;
+    }
+}
+
+module.exports = { BatchManager, BatchMode, BatchOutcome };
@@ -0,0 +1,120 @@
+const { v4: uuidv4 } = require('uuid');
+const messages = require('../constants/messages');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { DEFAULT_CURRENCY } = require('../constants/constants');
+const { pick } = require('../utils/utils');
+const { CURRENCY_CODE } = require('../utils/money');
+const { createStore } = require('../stores');
+
+// BeverageManager class to manage the catalogue of beverages dispensers can pour
+class BeverageManager {
+    // Constructor receives the storage adapter holding the catalogue.
+    // It should be the same adapter the DispenserManager uses, so dispensers can reference beverages.
+    constructor(store = createStore()) {
+        this.store = store;
+    }
+
+    get beverages() {
+        return this.store.getBeverages();
+    }
+
+    /**
+     * Creates a new beverage.
+     *
+     * @param {Object} fields - The beverage fields.
+     * @param {string} fields.name - The name of the beverage.
+     * @param {Number} fields.price_per_litre - The price of one litre, in minor units of its currency (1225 for 12.25).
+     *                                          This should be a positive integer.
+     * @param {string} [fields.currency] - The ISO 4217 currency of the price. Defaults to DEFAULT_CURRENCY.
+     * @param {Number|null} [fields.tax_rate] - The percentage of tax included in the price. Invoices use the
+     *                                          configured TAX_RATE when null, the default.
+     *
+     * @returns {Object} The created beverage, with id, name, price_per_litre, currency, tax_rate, created_at
+     *                   and updated_at.
+     *
+     * @throws {Error} If a field is not valid.
+     */
+    createBeverage({ name, price_per_litre, currency = DEFAULT_CURRENCY, tax_rate = null }) {
+        validateBeverage({ name, price_per_litre, currency, tax_rate });
+
+        const now = new Date();
+        const beverage = {
+            id: uuidv4(),
+            name: name.trim(),
+            price_per_litre,
+            currency,
+            tax_rate,
+            created_at: now,
+            updated_at: now,
+        };
+
+        this.store.saveBeverage(beverage);
+        return beverage;
+    }
+
+    /**
+     * Fetches a single beverage.
+     *
+     * @param {string} id - The UUID of the beverage.
+     *
+     * @returns {Object} The beverage.
+     *
+     * @throws {Error} If the beverage with the given id doesn't exist.
+     */
+    getBeverage(id) {
+        const beverage = this.store.findBeverage(id);
+        if (!beverage) {
+            throw new NotFoundError(messages.BEVERAGE_NOT_FOUND);
+        }
+
+        return beverage;
+    }
+
+    /**
+     * Updates a beverage. Usages keep the price that was in effect when they were opened,
+     * so a price change only affects usages opened afterwards.
+     *
+     * @param {string} id - The UUID of the beverage.
+     * @param {Object} changes - The fields to update: name, price_per_litre, currency and/or tax_rate.
+     *
+     * @returns {Object} The updated beverage.
+     *
+     * @throws {Error} If the beverage doesn't exist or a field is not valid.
+     */
+    updateBeverage(id, changes) {
+        const beverage = this.getBeverage(id);
+        const updated = {
+            ...beverage,
+            ...pick(changes, ['name', 'price_per_litre', 'currency', 'tax_rate']),
+            updated_at: new Date(),
+        };
+
+        validateBeverage(updated);
+        updated.name = updated.name.trim();
+
+        Object.assign(beverage, updated);
+        this.store.saveBeverage(beverage);
+
+        return beverage;
+    }
+}
+
+function validateBeverage({ name, price_per_litre, currency, tax_rate = null }) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new ValidationError(messages.BEVERAGE_NAME_REQUIRED);
+    }
+
+    if (!Number.isInteger(price_per_litre) || price_per_litre <= 0) {
+        throw new ValidationError(messages.INVALID_PRICE_PER_LITRE);
+    }
+
+    if (typeof currency !== 'string' || !CURRENCY_CODE.test(currency)) {
+        throw new ValidationError(messages.INVALID_CURRENCY);
+    }
+
+    if (tax_rate !== null && (typeof tax_rate !== 'number' || tax_rate < 0 || tax_rate > 100)) {
+        throw new ValidationError(messages.INVALID_TAX_RATE);
+    }
+}
+
+module.exports = { BeverageManager };
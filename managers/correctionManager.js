@@ -0,0 +1,187 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const messages = require('../constants/messages');
+const { ConflictError, DateOrderError, NotFoundError, ValidationError } = require('../utils/errors');
+const { DispenserEvent } = require('./dispenserManager');
+
+// Define the corrections an operator can make to a usage
+const CorrectionAction = {
+    AMEND: 'amend',
+    VOID: 'void',
+};
+
+// Fields of a usage an amendment can change
+const AMENDABLE_FIELDS = ['flow_volume', 'opened_at', 'closed_at'];
+
+// CorrectionManager class to let operators fix closed usages after the fact, e.g. when the tap was recalibrated
+// mid-pour or a close was sent with a wrong timestamp. An amended usage is billed again; a voided one is kept
+// but no longer billed. Every correction is appended to the usage with its reason, who made it, and the values
+// before and after it, the total of the dispenser is recomputed from its usages, and the keg the usage poured from
+// gets back the litres it no longer poured, or loses the ones it poured on top.
+class CorrectionManager {
+    /**
+     * @param {MemoryStore} store - The storage adapter holding the usages. It should be the one
+     *                             the DispenserManager uses.
+     * @param {DispenserManager} dispenserManager - The manager of the dispensers the usages belong to.
+     */
+    constructor(store, dispenserManager) {
+        this.store = store;
+        this.dispenserManager = dispenserManager;
+    }
+
+    /**
+     * Amends or voids a closed usage.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser.
+     * @param {Number} index - The position of the usage in the spending of the dispenser, from 0 for the oldest.
+     * @param {Object} correction - The correction.
+     * @param {string} correction.action - 'amend' or 'void'.
+     * @param {string} correction.reason - Why the usage is corrected.
+     * @param {Number} [correction.flow_volume] - When amending, the flow volume the usage really poured at.
+     * @param {Date|string} [correction.opened_at] - When amending, when the usage really opened.
+     * @param {Date|string} [correction.closed_at] - When amending, when the usage really closed.
+     * @param {Object} [caller] - Who made the correction. Usually the authenticated principal.
+     * @param {Date} [correctedAt] - When the correction was made. Defaults to now.
+     *
+     * @returns {Object} The corrected usage, with its 'corrections'.
+     *
+     * @throws {Error} If the dispenser or the usage doesn't exist, the usage is open or voided, or the correction
+     *                 is not valid. The amended times must stay between the neighbouring usages.
+     */
+    correctUsage(dispenserId, index, correction, caller = null, correctedAt = new Date()) {
+        const dispenser = this.dispenserManager.getDispenser(dispenserId);
+        const usages = this.store.getUsages(dispenserId) || [];
+        const usage = Number.isInteger(index) ? usages[index] : undefined;
+
+        if (!usage) {
+            throw new NotFoundError(messages.USAGE_NOT_FOUND);
+        }
+
+        if (!usage.closed_at) {
+            throw new ConflictError(messages.USAGE_MUST_BE_CLOSED);
+        }
+
+        if (usage.voided_at) {
+            throw new ConflictError(messages.USAGE_VOIDED);
+        }
+
+        const { action, reason } = correction;
+
+        if (!Object.values(CorrectionAction).includes(action)) {
+            throw new ValidationError(messages.INVALID_CORRECTION_ACTION);
+        }
+
+        if (typeof reason !== 'string' || !reason.trim()) {
+            throw new ValidationError(messages.CORRECTION_REASON_REQUIRED);
+        }
+
+        const original = snapshot(usage);
+        const corrected = action === CorrectionAction.AMEND
+            ? this.amend(usage, correction, usages[index - 1], usages[index + 1])
+            : { segments: [], total_spent: 0, voided_at: correctedAt };
+
+        Object.assign(usage, corrected);
+        usage.corrections = [...(usage.corrections || []), {
+            id: uuidv4(),
+            action,
+            reason: reason.trim(),
+            caller,
+            corrected_at: correctedAt,
+            original,
+            corrected: snapshot(usage),
+        }];
+
+        this.store.saveUsage(dispenserId, index, usage);
+        this.dispenserManager.recomputeTotalSpent(dispenserId);
+
+        const keg = usage.keg_id ? this.store.findKeg(usage.keg_id) : null;
+        const kegEvents = keg
+            ? this.dispenserManager.changeKegLevel(keg, pouredLitres(original) - pouredLitres(usage), correctedAt)
+            : [];
+
+        logger.info('Usage corrected', { dispenser_id: dispenserId, index, action, reason: reason.trim() });
+        this.dispenserManager.emitEvent(DispenserEvent.USAGE_CORRECTED, dispenser, usage);
+
+        for (const [type, changed] of kegEvents) {
+            this.dispenserManager.emitEvent(type, dispenser, null, { keg: changed });
+        }
+
+        return usage;
+    }
+
+    /**
+     * Lists the corrections made to the usages of a dispenser, in the order they were made.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser.
+     *
+     * @returns {Array} The corrections, each with the 'index' of its usage.
+     *
+     * @throws {Error} If the dispenser doesn't exist.
+     */
+    getCorrections(dispenserId) {
+        this.dispenserManager.getDispenser(dispenserId);
+
+        return (this.store.getUsages(dispenserId) || [])
+            .flatMap((usage, index) => (usage.corrections || []).map((correction) => ({ index, ...correction })))
+            .sort((a, b) => new Date(a.corrected_at) - new Date(b.corrected_at));
+    }
+
+    // Validates an amendment and bills the usage again with it
+    amend(usage, changes, previous, next) {
+        const fields = Object.fromEntries(AMENDABLE_FIELDS
+            .filter((field) => changes[field] !== undefined)
+            .map((field) => [field, changes[field]]));
+
+        if (Object.keys(fields).length === 0) {
+            throw new ValidationError(messages.CORRECTION_FIELDS_REQUIRED);
+        }
+
+        if (fields.flow_volume !== undefined && (typeof fields.flow_volume !== 'number' || fields.flow_volume <= 0)) {
+            throw new ValidationError(messages.INVALID_FLOW);
+        }
+
+        for (const field of ['opened_at', 'closed_at']) {
+            if (fields[field] !== undefined) {
+                if (isNaN(Date.parse(fields[field]))) {
+                    throw new ValidationError(messages.INVALID_DATE_FORMAT);
+                }
+
+                fields[field] = new Date(fields[field]);
+            }
+        }
+
+        const amended = { ...usage, ...fields };
+        const openedAt = new Date(amended.opened_at);
+        const closedAt = new Date(amended.closed_at);
+
+        if (closedAt <= openedAt
+            || (previous && openedAt <= new Date(previous.closed_at))
+            || (next && closedAt >= new Date(next.opened_at))) {
+            throw new DateOrderError();
+        }
+
+        return { ...fields, ...this.dispenserManager.billUsage(amended, closedAt) };
+    }
+}
+
+// Returns the litres a usage poured, none once it is voided
+function pouredLitres(usage) {
+    if (usage.voided_at) {
+        return 0;
+    }
+
+    return ((new Date(usage.closed_at) - new Date(usage.opened_at)) / 1000) * usage.flow_volume;
+}
+
+// The values of a usage a correction can change, kept before and after each correction
+function snapshot(usage) {
+    return {
+        opened_at: usage.opened_at,
+        closed_at: usage.closed_at,
+        flow_volume: usage.flow_volume,
+        total_spent: usage.total_spent,
+        voided_at: usage.voided_at || null,
+    };
+}
+
+module.exports = { CorrectionManager, CorrectionAction };
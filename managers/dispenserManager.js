@@ -1,7 +1,19 @@
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 const messages = require('../constants/messages');
-const { calculateTotalSpent } = require('../utils/utils');
+const { ConflictError, DateOrderError, NotFoundError, ValidationError } = require('../utils/errors');
+const { PRICE_PER_LITRE, DEFAULT_CURRENCY } = require('../constants/constants');
+const {
+    calculateSegments, calculateTotalSpent, sumSegments, clipSegments, parseTimeRange, parsePagination, paginate,
+} = require('../utils/utils');
+const { getExhaustionTime } = require('../utils/kegs');
+const { parseExchangeRates, convertAmount } = require('../utils/money');
+const { PricingAdjustment } = require('../utils/pricingRules');
+const { LockState, getLock } = require('../utils/schedules');
+const { TabStatus } = require('./tabManager');
+const { createStore } = require('../stores');
 
 // Define possible states for a dispenser
 const DispenserState = {
@@ -9,43 +21,286 @@ const DispenserState = {
     CLOSE: 'close',
 };
 
-// DispenserManager class to manage dispenser objects
-class DispenserManager {
-    // Constructor initializes three containers:
-    // - dispensers: an array to hold all dispenser objects
-    // - statusChanges: a map where the key is the dispenser id and the value is an array of statusChange objects
-    // - totalSpentPerDispenser: a map where the key is the dispenser id and the value is the total amount spent
-    constructor() {
-        this.dispensers = [];
-        this.statusChanges = new Map();
-        this.totalSpentPerDispenser = new Map();
+// Define possible orders for the usages in the spending
+const SortOrder = {
+    ASC: 'asc',
+    DESC: 'desc',
+};
+
+// Define the outcomes recorded in the audit log of status change attempts
+const AttemptOutcome = {
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+    REPLAYED: 'replayed',
+};
+
+// Define the domain events emitted by the DispenserManager
+const DispenserEvent = {
+    CREATED: 'dispenser.created',
+    OPENED: 'dispenser.opened',
+    CLOSED: 'dispenser.closed',
+    RETIRED: 'dispenser.retired',
+    KEG_ATTACHED: 'keg.attached',
+    KEG_LOW: 'keg.low',
+    KEG_EMPTY: 'keg.empty',
+    ANOMALY_DETECTED: 'dispenser.anomaly',
+    USAGE_CORRECTED: 'usage.corrected',
+};
+
+/**
+ * Returns the caller recorded in the audit log for the status changes the service makes by itself,
+ * such as the automatic closes.
+ *
+ * @param {string} subject - The name of the component making the change, e.g. 'keg-manager'.
+ *
+ * @returns {Object} The caller, with no role nor dispenser.
+ */
+function systemCaller(subject) {
+    return { subject, role: null, dispenser_id: null };
+}
+
+// Emitted with every entry added to the audit log. It is not a DispenserEvent,
+// so it is neither streamed to clients nor delivered to webhooks
+const ATTEMPT_RECORDED = 'attempt.recorded';
+
+// DispenserManager class to manage dispenser objects.
+// It is an EventEmitter: each DispenserEvent is emitted with an object holding the event 'type',
+// the 'dispenser', the 'usage' opened or closed if any, the 'keg' for keg events, and the moment it 'occurred_at'.
+class DispenserManager extends EventEmitter {
+    // Constructor receives the storage adapter holding dispensers, their status changes and totals.
+    // When none is given, the adapter selected in the configuration is used (in-memory by default).
+    // The exchange rates, see parseExchangeRates, convert amounts added up across currencies.
+    constructor(store = createStore(), { exchangeRates = config.EXCHANGE_RATES } = {}) {
+        super();
+        this.store = store;
+        this.exchangeRates = parseExchangeRates(exchangeRates);
+    }
+
+    get dispensers() {
+        return this.store.getDispensers();
+    }
+
+    get statusChanges() {
+        return this.store.statusChanges;
+    }
+
+    get totalSpentPerDispenser() {
+        return this.store.totalSpentPerDispenser;
     }
 
     /**
      * Creates a new dispenser with the given flow volume.
      *
      * @param {Number} flow_volume - The flow volume of the dispenser. This should be a positive number.
+     * @param {string} [beverage_id] - The UUID of the beverage the dispenser pours. Without one, PRICE_PER_LITRE applies.
+     * @param {Object} [location] - Where the dispenser is installed.
+     * @param {string|null} [location.venue_id] - The UUID of its venue.
+     * @param {string|null} [location.zone_id] - The UUID of its zone. The venue of the zone is assigned with it.
      * @returns {Object} The created dispenser. The dispenser has an id, flow volume, state, and updated_at properties.
      * - id: A unique identifier for the dispenser.
      * - flow_volume: The flow volume of the dispenser.
+     * - beverage_id: The beverage the dispenser pours, or null.
+     * - venue_id: The venue the dispenser is installed in, or null.
+     * - zone_id: The zone of the venue the dispenser is installed in, or null.
      * - state: The state of the dispenser. Initial state is 'close'.
      * - updated_at: The date and time when the dispenser was last updated. Initially, this is the creation time.
+     * - created_at: The date and time when the dispenser was created.
+     * - retired_at: The date and time when the dispenser was retired. Initially, this is null.
      *
-     * @throws {Error} If the flow volume is not a positive number.
+     * @throws {Error} If the flow volume is not a positive number, the beverage, venue or zone doesn't exist,
+     *                 or the zone belongs to another venue.
      */
-    createDispenser(flow_volume) {
+    createDispenser(flow_volume, beverage_id = null, location = {}) {
         if (typeof flow_volume !== 'number' || flow_volume <= 0) {
-            throw new Error(messages.INVALID_FLOW);
+            throw new ValidationError(messages.INVALID_FLOW);
         }
 
+        this.validateBeverage(beverage_id);
+        const { venue_id, zone_id } = this.resolveLocation(location);
+
+        const now = new Date();
         const dispenser = {
             id: uuidv4(), // Generate a unique ID for each dispenser
             flow_volume,
+            beverage_id,
+            venue_id,
+            zone_id,
             state: DispenserState.CLOSE, // Initial state is 'close'
-            updated_at: new Date(),
+            updated_at: now,
+            created_at: now,
+            retired_at: null,
         };
 
-        this.dispensers.push(dispenser);
+        this.store.saveDispenser(dispenser);
+        this.emitEvent(DispenserEvent.CREATED, dispenser);
+
+        return dispenser;
+    }
+
+    /**
+     * Lists dispensers, optionally filtered by state, retirement and location, one page at a time.
+     *
+     * @param {Object} [filters] - The filters and pagination, usually taken from the request query.
+     * @param {string} [filters.state] - Only return dispensers in this state ('open' or 'close').
+     * @param {boolean|string} [filters.retired] - Only return retired (true) or active (false) dispensers.
+     * @param {string} [filters.venue_id] - Only return the dispensers installed in this venue.
+     * @param {string} [filters.zone_id] - Only return the dispensers installed in this zone.
+     * @param {Number|string} [filters.limit] - The maximum number of dispensers to return.
+     * @param {Number|string} [filters.offset] - The number of dispensers to skip.
+     *
+     * @returns {Object} The page of dispensers in creation order, with 'dispensers', 'total', 'limit' and 'offset'.
+     *                  Each dispenser has its current 'lock', see describeDispenser.
+     *
+     * @throws {Error} If a filter or the pagination is not valid.
+     */
+    listDispensers({ state, retired, venue_id, zone_id, limit, offset } = {}) {
+        if (state !== undefined && state !== DispenserState.OPEN && state !== DispenserState.CLOSE) {
+            throw new ValidationError(messages.INVALID_STATE_FILTER);
+        }
+
+        if (retired !== undefined && ![true, false, 'true', 'false'].includes(retired)) {
+            throw new ValidationError(messages.INVALID_RETIRED_FILTER);
+        }
+
+        const pagination = parsePagination({ limit, offset });
+
+        const dispensers = this.dispensers.filter((dispenser) => {
+            if (state !== undefined && dispenser.state !== state) {
+                return false;
+            }
+
+            if (retired !== undefined && Boolean(dispenser.retired_at) !== (String(retired) === 'true')) {
+                return false;
+            }
+
+            if (venue_id !== undefined && (dispenser.venue_id || null) !== venue_id) {
+                return false;
+            }
+
+            if (zone_id !== undefined && (dispenser.zone_id || null) !== zone_id) {
+                return false;
+            }
+
+            return true;
+        });
+
+        const { items, ...page } = paginate(dispensers, pagination);
+        const now = new Date();
+
+        return { dispensers: items.map((dispenser) => this.describeDispenser(dispenser, now)), ...page };
+    }
+
+    /**
+     * Returns a dispenser with its 'lock' at a given moment: 'unlocked', 'locked' outside its opening hours or
+     * 'maintenance'. The lock is computed from the schedules rather than stored, as it changes with the time of day.
+     * It is kept apart from the 'state', which stays 'open' or 'close': a dispenser is closed when its lock starts
+     * and can't be opened while it lasts, so a locked dispenser is always closed.
+     *
+     * @param {Object} dispenser - The dispenser.
+     * @param {Date} [at] - The moment to get the lock at. Defaults to now.
+     *
+     * @returns {Object} A copy of the dispenser with its 'lock'.
+     */
+    describeDispenser(dispenser, at = new Date()) {
+        return { ...dispenser, lock: getLock(this.getSchedules(dispenser), at).state };
+    }
+
+    /**
+     * Fetches a single dispenser.
+     *
+     * @param {string} id - The UUID of the dispenser.
+     *
+     * @returns {Object} The dispenser.
+     *
+     * @throws {Error} If the dispenser with the given id doesn't exist.
+     */
+    getDispenser(id) {
+        const dispenser = this.store.findDispenser(id);
+        if (!dispenser) {
+            throw new NotFoundError(messages.DISPENSER_NOT_FOUND);
+        }
+
+        return dispenser;
+    }
+
+    /**
+     * Updates the flow volume of a dispenser, e.g. after the tap hardware is recalibrated, the beverage it pours
+     * or where it is installed. Only usages opened after the update are affected.
+     *
+     * @param {string} id - The UUID of the dispenser.
+     * @param {Object} changes - The fields to update. At least one of them is required.
+     * @param {Number} [changes.flow_volume] - The new flow volume. This should be a positive number.
+     * @param {string|null} [changes.beverage_id] - The UUID of the new beverage, or null to use PRICE_PER_LITRE.
+     * @param {string|null} [changes.venue_id] - The UUID of the new venue, or null. Moving the dispenser to another
+     *                                           venue takes it out of its zone.
+     * @param {string|null} [changes.zone_id] - The UUID of the new zone, or null. The venue of the zone is assigned
+     *                                          with it.
+     *
+     * @returns {Object} The updated dispenser.
+     *
+     * @throws {Error} If the dispenser doesn't exist, is retired, no field is given, the flow volume is not
+     *                 a positive number, the beverage, venue or zone doesn't exist, or the zone belongs
+     *                 to another venue.
+     */
+    updateDispenser(id, { flow_volume, beverage_id, venue_id, zone_id }) {
+        const dispenser = this.getDispenser(id);
+
+        if (dispenser.retired_at) {
+            throw new ConflictError(messages.DISPENSER_RETIRED);
+        }
+
+        if ([flow_volume, beverage_id, venue_id, zone_id].every((field) => field === undefined)) {
+            throw new ValidationError(messages.DISPENSER_UPDATE_FIELDS_REQUIRED);
+        }
+
+        if (flow_volume !== undefined && (typeof flow_volume !== 'number' || flow_volume <= 0)) {
+            throw new ValidationError(messages.INVALID_FLOW);
+        }
+
+        const location = this.resolveLocation({ venue_id, zone_id }, dispenser);
+
+        if (beverage_id !== undefined) {
+            this.validateBeverage(beverage_id);
+            dispenser.beverage_id = beverage_id;
+        }
+
+        Object.assign(dispenser, location);
+
+        if (flow_volume !== undefined) {
+            dispenser.flow_volume = flow_volume;
+        }
+
+        this.store.saveDispenser(dispenser);
+
+        return dispenser;
+    }
+
+    /**
+     * Retires a dispenser. A retired dispenser is kept, along with its spending history,
+     * but its status can no longer be changed.
+     *
+     * @param {string} id - The UUID of the dispenser.
+     * @param {Date} [retiredAt] - The retirement timestamp. Defaults to now.
+     *
+     * @returns {Object} The retired dispenser.
+     *
+     * @throws {Error} If the dispenser doesn't exist, is already retired or is currently open.
+     */
+    retireDispenser(id, retiredAt = new Date()) {
+        const dispenser = this.getDispenser(id);
+
+        if (dispenser.retired_at) {
+            throw new ConflictError(messages.DISPENSER_RETIRED);
+        }
+
+        if (dispenser.state === DispenserState.OPEN) {
+            throw new ConflictError(messages.DISPENSER_MUST_BE_CLOSED);
+        }
+
+        dispenser.retired_at = retiredAt;
+        this.store.saveDispenser(dispenser);
+        this.emitEvent(DispenserEvent.RETIRED, dispenser);
+
         return dispenser;
     }
 
@@ -55,83 +310,153 @@ class DispenserManager {
      * @param {string} id - The UUID of the dispenser to change the status of.
      * @param {string} state - The new state of the dispenser. This should be either 'open' or 'close'.
      * @param {Date} updatedAt - The timestamp when the dispenser's state was changed.
+     * @param {Object} [caller] - Who requested the change, recorded in the audit log. Usually the authenticated principal.
+     * @param {Date} [receivedAt] - When the server received the request, recorded in the audit log. Defaults to now.
+     * @param {string|null} [tabId] - The UUID of the customer tab the usage is attributed to. Only used when opening.
      *
      * @returns {Object} The result of the operation. The result contains a 'success' field which is true if the operation 
      *                   was successful and false otherwise. If the operation was successful, the 'dispenser' field will contain 
      *                   the updated dispenser. If the operation was not successful, the 'message' field will contain a message 
      *                   explaining why the operation was not successful.
      *
-     * @throws {Error} Throws an error if the dispenser with the given id doesn't exist, if the state is not valid, 
+     * @throws {Error} Throws an error if the dispenser with the given id doesn't exist or is retired, if the state is not valid, 
      *                 if the date format is not valid, if updatedAt is not greater than dispenser's opened_at when closing, 
-     *                 or if updatedAt is not greater than the dispenser's last closed_at when opening.
+     *                 if updatedAt is not greater than the dispenser's last closed_at when opening,
+     *                 or if the keg attached to the dispenser is empty, the tab is unknown or not open,
+     *                 or the dispenser is locked by its schedules at updatedAt when opening.
+     *                 Every attempt on an existing dispenser is recorded in its audit log, whether it is accepted or not.
      */
-    changeDispenserStatus(id, state, updatedAt) {
-        const dispenser = this.dispensers.find((dispenser) => dispenser.id === id);
+    changeDispenserStatus(id, state, updatedAt, caller = null, receivedAt = new Date(), tabId = null) {
+        const dispenser = this.store.findDispenser(id);
         if (!dispenser) {
-            throw new Error(messages.DISPENSER_NOT_FOUND);
+            throw new NotFoundError(messages.DISPENSER_NOT_FOUND);
+        }
+
+        const attempt = { dispenser, state, updatedAt, caller, receivedAt };
+
+        try {
+            const result = this.applyStatusChange(dispenser, state, updatedAt, tabId);
+            this.recordAttempt(attempt, result.success ? AttemptOutcome.ACCEPTED : AttemptOutcome.REJECTED, result.message);
+            logger.info(result.success ? 'Dispenser status changed' : 'Dispenser status unchanged', {
+                dispenser_id: id, state, updated_at: updatedAt,
+            });
+            return result;
+        } catch (error) {
+            this.recordAttempt(attempt, AttemptOutcome.REJECTED, error.message);
+            logger.warn('Dispenser status change rejected', { dispenser_id: id, state, updated_at: updatedAt, error: error.message });
+            throw error;
+        }
+    }
+
+    // Validates and applies a status change, see changeDispenserStatus
+    applyStatusChange(dispenser, state, updatedAt, tabId = null) {
+        const { id } = dispenser;
+
+        if (dispenser.retired_at) {
+            throw new ConflictError(messages.DISPENSER_RETIRED);
         }
 
         // Check if the status is valid
         if (state !== DispenserState.OPEN && state !== DispenserState.CLOSE) {
-            throw new Error(messages.INVALID_DISPENSER_STATUS);
+            throw new ValidationError(messages.INVALID_DISPENSER_STATUS);
         }
 
         // Check if the timestamp is valid
         if (isNaN(Date.parse(updatedAt))) {
-            throw new Error(messages.INVALID_DATE_FORMAT);
+            throw new ValidationError(messages.INVALID_DATE_FORMAT);
         }
 
         if (dispenser.state === state) {
             return { success: false, message: messages.DISPENSER_ALREADY_IN_DESIRED_STATE };
         }
 
-        dispenser.state = state;
-        dispenser.updated_at = updatedAt;
-
-        const statusChanges = this.statusChanges.get(id);
+        const statusChanges = this.store.getUsages(id);
+        const kegEvents = [];
 
         // Handle status change
-        // If the new status is 'open', create a new statusChange object and add it to the statusChanges map
+        // If the new status is 'open', create a new statusChange object and add it to the statusChanges map.
+        // The price in effect is copied into it, so later price changes don't rewrite its total
         // If the new status is 'close', update the last statusChange object and calculate the total amount spent
-        // Add the total amount spent to totalSpentPerDispenser map
+        // Recompute the total amount spent in totalSpentPerDispenser map from the usages
+        // When a keg is attached, a usage can't pour more than the keg holds: its closing time is capped
+        // at the moment the keg runs dry and the litres poured are deducted from the keg
         // Note: The spending is calculated only when the dispenser is closed to improve performance
         if (state === DispenserState.OPEN) {
+            this.validateLock(dispenser, new Date(updatedAt));
+
+            const keg = this.findActiveKeg(id);
+            if (keg && keg.remaining_litres <= 0) {
+                throw new ConflictError(messages.KEG_EMPTY);
+            }
+
+            if (tabId) {
+                this.validateTab(tabId, dispenser);
+            }
+
+            const { price_per_litre, currency } = this.getPrice(dispenser);
             const statusChange = {
                 opened_at: updatedAt,
                 closed_at: null,
                 flow_volume: dispenser.flow_volume,
+                beverage_id: dispenser.beverage_id || null,
+                price_per_litre,
+                currency,
                 total_spent: null,
+                segments: null,
+                keg_id: keg ? keg.id : null,
+                tab_id: tabId || null,
             };
 
             if (statusChanges) {
                 const lastStatusChange = statusChanges[statusChanges.length - 1];
 
                 if (lastStatusChange && new Date(updatedAt) <= new Date(lastStatusChange.closed_at)) {
-                    throw new Error(messages.INVALID_DATE_ORDER);
+                    throw new DateOrderError();
                 }
-
-                this.statusChanges.get(id).push(statusChange);
-            } else {
-                this.statusChanges.set(id, [statusChange]);
             }
+
+            this.store.addUsage(id, statusChange);
         } else if (state === DispenserState.CLOSE) {
             if (statusChanges) {
-                const lastStatusChange = statusChanges[statusChanges.length - 1];
+                const lastIndex = statusChanges.length - 1;
+                const lastStatusChange = statusChanges[lastIndex];
 
                 if (lastStatusChange && new Date(updatedAt) <= new Date(lastStatusChange.opened_at)) {
-                    throw new Error(messages.INVALID_DATE_ORDER);
+                    throw new DateOrderError();
                 }
 
+                const keg = lastStatusChange.keg_id ? this.store.findKeg(lastStatusChange.keg_id) : null;
+                const exhaustedAt = keg ? getExhaustionTime(keg, lastStatusChange) : null;
+                const closedAt = exhaustedAt && exhaustedAt < new Date(updatedAt) ? exhaustedAt : updatedAt;
+
                 // We calculate the spending once its closed. 
                 // It's more efficient than doing the calculation on `getSpending` for each single item.
-                lastStatusChange.closed_at = updatedAt;
-                lastStatusChange.total_spent = calculateTotalSpent(lastStatusChange.opened_at, updatedAt, lastStatusChange.flow_volume);
+                lastStatusChange.closed_at = closedAt;
+                Object.assign(lastStatusChange, this.billUsage(lastStatusChange, closedAt));
+                this.store.saveUsage(id, lastIndex, lastStatusChange);
+
+                if (keg) {
+                    kegEvents.push(...this.pourFromKeg(keg, lastStatusChange));
+                }
 
                 // Update total spent per dispenser
-                this.updateTotalSpentPerDispenser(id, lastStatusChange.total_spent);
+                this.recomputeTotalSpent(id);
             }
         }
 
+        // The dispenser state is only persisted once the status change has been validated
+        dispenser.state = state;
+        dispenser.updated_at = updatedAt;
+        this.store.saveDispenser(dispenser);
+
+        const usages = this.store.getUsages(id);
+        const event = state === DispenserState.OPEN ? DispenserEvent.OPENED : DispenserEvent.CLOSED;
+        this.emitEvent(event, dispenser, usages ? usages[usages.length - 1] : null);
+
+        for (const [type, keg] of kegEvents) {
+            this.emitEvent(type, dispenser, null, { keg });
+        }
+
         return { success: true, dispenser };
     }
 
@@ -139,49 +464,503 @@ class DispenserManager {
      * Fetches the total earnings on a specific dispenser.
      *
      * @param {string} id - The UUID of the dispenser for which the spending is to be fetched.
+     * @param {Object} [options] - The filtering options described in filterSpending, and the 'currency' to add up
+     *                             the amount in.
      *
-     * @returns {Object} An object containing the total earnings by the dispenser and 
-     *                   a list of all usage periods for the dispenser. Each usage period contains the 
-     *                   opening and closing timestamps, the flow volume, and the total spent during that period.
+     * @returns {Object} An object containing the total earnings by the dispenser and a list of all usage periods
+     *                   for the dispenser. Each usage period contains the 
+     *                   opening and closing timestamps, the flow volume, the total spent during that period and
+     *                   its segments: the parts of the period billed at a different rate by the pricing rules.
+     *                   Usages keep the currency they were billed in, and the earnings are given as described in
+     *                   summarizeTotals. Without usages, they are 0 in the currency of the dispenser's current price.
      *                   If the dispenser is currently open, the total spent for the current period is 
-     *                   calculated up to the current time.
+     *                   calculated up to the current time, without being stored.
+     *                   The total is recomputed from the usages, so corrected and voided usages are reflected in it.
+     *                   When options are given, the spending is filtered as described in filterSpending.
      *
-     * @throws {Error} Throws an error if the dispenser with the given id doesn't exist.
+     * @throws {Error} Throws an error if the dispenser with the given id doesn't exist, an option is not valid
+     *                 or an amount can't be converted.
      */
-    getSpending(id) {
-        const dispenser = this.dispensers.find((dispenser) => dispenser.id === id);
+    getSpending(id, { from, to, limit, offset, sort, currency } = {}) {
+        const dispenser = this.store.findDispenser(id);
         if (!dispenser) {
-            throw new Error(messages.DISPENSER_NOT_FOUND);
+            throw new NotFoundError(messages.DISPENSER_NOT_FOUND);
         }
 
-        if (!this.statusChanges.get(id)) {
-            return {
-                amount: 0,
-                usages: []
-            };
+        const spending = this.store.getUsages(id);
+        const fallbackCurrency = this.getPrice(dispenser).currency;
+
+        if ([from, to, limit, offset, sort].some((option) => option !== undefined)) {
+            return this.filterSpending(spending || [], { from, to, limit, offset, sort, currency, fallbackCurrency });
+        }
+
+        // The open usage is billed up to now on a copy: its total is only stored once it is closed
+        const now = new Date();
+        const usages = (spending || [])
+            .map((usage) => (usage.closed_at ? usage : { ...usage, ...this.billUsage(usage, now) }));
+
+        // The totals of the closed usages are kept per currency, so only the open usage is added to them
+        const totals = { ...(this.store.getTotalSpent(id) || {}) };
+        for (const usage of usages.filter(({ closed_at }) => !closed_at)) {
+            const billedIn = usage.currency || DEFAULT_CURRENCY;
+            totals[billedIn] = (totals[billedIn] || 0) + usage.total_spent;
+        }
+
+        return {
+            ...this.summarizeTotals(totals, currency, fallbackCurrency),
+            usages
+        };
+    }
+
+    /**
+     * Filters the usages of a dispenser to a time window, sorts them and optionally paginates them.
+     * Usages crossing the limits of the window are kept with their original timestamps, but their
+     * segments are clipped to the window and their total spent is prorated to the part inside it.
+     *
+     * @param {Array} usages - All the usages of the dispenser.
+     * @param {Object} options - The filtering options, usually taken from the request query.
+     * @param {Date|string} [options.from] - The start of the window. Unbounded if not given.
+     * @param {Date|string} [options.to] - The end of the window. Unbounded if not given.
+     * @param {Number|string} [options.limit] - The maximum number of usages to return.
+     * @param {Number|string} [options.offset] - The number of usages to skip.
+     * @param {string} [options.sort] - 'asc' (default) for the oldest usages first or 'desc' for the newest first.
+     * @param {string} [options.currency] - The currency to add up the amount in.
+     * @param {string} [options.fallbackCurrency] - The currency of the amount when no usage matches and no currency
+     *                                              is requested. Defaults to DEFAULT_CURRENCY.
+     *
+     * @returns {Object} The 'amount' spent in the window across all the matching usages, its 'currency' and the
+     *                   'totals' per currency, as described in summarizeTotals, the page of 'usages', the 'from',
+     *                   'to' and 'sort' applied, and when paginated the 'total', 'limit' and 'offset'.
+     *
+     * @throws {Error} If the window, the pagination or the sort order is not valid, or an amount can't be converted.
+     */
+    filterSpending(usages, {
+        from, to, limit, offset, sort = SortOrder.ASC, currency, fallbackCurrency = DEFAULT_CURRENCY,
+    }) {
+        const range = parseTimeRange(from, to);
+
+        if (!Object.values(SortOrder).includes(sort)) {
+            throw new ValidationError(messages.INVALID_SORT_ORDER);
+        }
+
+        const paginated = limit !== undefined || offset !== undefined;
+        const pagination = paginated ? parsePagination({ limit, offset }) : null;
+        const now = new Date();
+
+        const matching = usages
+            .filter((usage) => {
+                const closedAt = usage.closed_at ? new Date(usage.closed_at) : now;
+                return (!range.to || new Date(usage.opened_at) < range.to) && (!range.from || closedAt > range.from);
+            })
+            .map((usage) => {
+                const segments = clipSegments(this.getUsageSegments(usage, now), range.from, range.to);
+                return { ...usage, segments, total_spent: sumSegments(segments) };
+            });
+
+        if (sort === SortOrder.DESC) {
+            matching.reverse();
+        }
+
+        const amounts = this.summarizeTotals(this.totalsPerCurrency(matching), currency, fallbackCurrency);
+        const filters = { from: range.from, to: range.to, sort };
+
+        if (!paginated) {
+            return { ...amounts, usages: matching, ...filters };
+        }
+
+        const { items, ...page } = paginate(matching, pagination);
+        return { ...amounts, usages: items, ...page, ...filters };
+    }
+
+    /**
+     * Returns the price currently in effect for a dispenser: the one of its beverage,
+     * or PRICE_PER_LITRE in DEFAULT_CURRENCY when it has no beverage assigned.
+     *
+     * @param {Object} dispenser - The dispenser.
+     *
+     * @returns {Object} The 'price_per_litre' and 'currency'.
+     */
+    getPrice(dispenser) {
+        const beverage = dispenser.beverage_id && this.store.findBeverage(dispenser.beverage_id);
+        if (!beverage) {
+            return { price_per_litre: PRICE_PER_LITRE, currency: DEFAULT_CURRENCY };
         }
 
-        const spending = this.statusChanges.get(id);
+        return { price_per_litre: beverage.price_per_litre, currency: beverage.currency };
+    }
 
-        const lastStatusChange = spending[spending.length - 1];
+    /**
+     * Bills a usage up to a given moment, splitting it at the boundaries of the pricing rules
+     * that apply to its beverage.
+     *
+     * @param {Object} usage - The usage, with its opened_at, flow_volume, beverage_id and base price_per_litre.
+     * @param {Date} until - The moment the usage is billed up to: its closing time, or now if it is still open.
+     *
+     * @returns {Object} The 'segments' of the usage and its 'total_spent'.
+     */
+    billUsage(usage, until) {
+        const rules = this.getPricingRules(usage.beverage_id, usage.currency || DEFAULT_CURRENCY);
+        const segments = calculateSegments(usage.opened_at, until, usage.flow_volume, usage.price_per_litre, rules);
 
-        if (!lastStatusChange.closed_at) {
-            lastStatusChange.total_spent = calculateTotalSpent(lastStatusChange.opened_at, new Date(), lastStatusChange.flow_volume);
+        return { segments, total_spent: sumSegments(segments) };
+    }
 
-            // Update total spent per dispenser
-            this.updateTotalSpentPerDispenser(id, lastStatusChange.total_spent);
+    /**
+     * Returns the running total of a dispenser's open usage.
+     *
+     * @param {string} id - The UUID of the dispenser.
+     * @param {Date} [now] - The moment the usage is billed up to. Defaults to now.
+     *
+     * @returns {Object|null} The 'opened_at', 'litres' poured, and 'total_spent' so far and its 'currency',
+     *                        or null if the dispenser is not open.
+     */
+    getRunningTotal(id, now = new Date()) {
+        const usage = this.findOpenUsage(id);
+
+        if (!usage) {
+            return null;
         }
 
+        const rules = this.getPricingRules(usage.beverage_id, usage.currency || DEFAULT_CURRENCY);
+
         return {
-            amount: this.totalSpentPerDispenser.get(id) || 0,
-            usages: spending
+            opened_at: usage.opened_at,
+            litres: Number((((now - new Date(usage.opened_at)) / 1000) * usage.flow_volume).toFixed(3)),
+            total_spent: calculateTotalSpent(usage.opened_at, now, usage.flow_volume, usage.price_per_litre, rules),
+            currency: usage.currency || DEFAULT_CURRENCY,
+        };
+    }
+
+    /**
+     * Returns the usage a dispenser is pouring.
+     *
+     * @param {string} id - The UUID of the dispenser.
+     *
+     * @returns {Object|null} The open usage, or null if the dispenser is closed or doesn't exist.
+     */
+    findOpenUsage(id) {
+        const usages = this.store.getUsages(id);
+        const usage = usages && usages[usages.length - 1];
+
+        return usage && !usage.closed_at ? usage : null;
+    }
+
+    /**
+     * Returns the dispensers that are open, including the ones left open before a restart,
+     * whose automatic closes have to be scheduled again.
+     *
+     * @returns {Array} The open dispensers.
+     */
+    getOpenDispensers() {
+        return this.dispensers.filter((dispenser) => dispenser.state === DispenserState.OPEN);
+    }
+
+    // Returns the pricing rules that apply to all beverages or to the given one. Absolute prices only apply to usages
+    // billed in their currency; rules written before they had one are in DEFAULT_CURRENCY
+    getPricingRules(beverageId, currency) {
+        return this.store.getPricingRules().filter((rule) => (!rule.beverage_id || rule.beverage_id === beverageId)
+            && (rule.adjustment !== PricingAdjustment.ABSOLUTE || (rule.currency || DEFAULT_CURRENCY) === currency));
+    }
+
+    /**
+     * Returns the keg currently attached to a dispenser.
+     *
+     * @param {string} id - The UUID of the dispenser.
+     *
+     * @returns {Object|undefined} The keg, or undefined if none is attached.
+     */
+    findActiveKeg(id) {
+        return this.store.getKegs().find((keg) => keg.dispenser_id === id && !keg.detached_at);
+    }
+
+    /**
+     * Deducts the litres poured by a closed usage from its keg.
+     *
+     * @param {Object} keg - The keg the usage poured from.
+     * @param {Object} usage - The closed usage.
+     *
+     * @returns {Array} The [event type, keg] pairs to emit: KEG_EMPTY when the keg ran dry,
+     *                  or KEG_LOW the first time it falls to its low level.
+     */
+    pourFromKeg(keg, usage) {
+        const litres = ((new Date(usage.closed_at) - new Date(usage.opened_at)) / 1000) * usage.flow_volume;
+        return this.changeKegLevel(keg, -litres, usage.closed_at);
+    }
+
+    /**
+     * Adds litres to the level of a keg, or takes them off it, within its capacity. Litres given back,
+     * e.g. when a usage is voided, clear the low and empty levels the keg no longer is at.
+     *
+     * @param {Object} keg - The keg.
+     * @param {Number} litres - The litres to add, negative to take them off.
+     * @param {Date} at - When the level changed.
+     *
+     * @returns {Array} The [event type, keg] pairs to emit: KEG_EMPTY when the keg ran dry,
+     *                  or KEG_LOW the first time it falls to its low level.
+     */
+    changeKegLevel(keg, litres, at) {
+        const events = [];
+        const remaining = Number((keg.remaining_litres + litres).toFixed(3));
+
+        keg.remaining_litres = Math.min(keg.capacity_litres, Math.max(0, remaining));
+
+        if (keg.remaining_litres > 0) {
+            keg.emptied_at = null;
+        }
+
+        if (keg.low_level_litres !== null && keg.remaining_litres > keg.low_level_litres) {
+            keg.low_level_at = null;
+        }
+
+        if (litres < 0 && keg.remaining_litres === 0) {
+            keg.emptied_at = at;
+            events.push([DispenserEvent.KEG_EMPTY, keg]);
+        } else if (litres < 0 && keg.low_level_litres !== null && keg.remaining_litres <= keg.low_level_litres
+            && !keg.low_level_at) {
+            keg.low_level_at = at;
+            events.push([DispenserEvent.KEG_LOW, keg]);
+        }
+
+        this.store.saveKeg(keg);
+        return events;
+    }
+
+    /**
+     * Appends a status change attempt to the audit log of its dispenser and emits it as ATTEMPT_RECORDED.
+     *
+     * @param {Object} attempt - The 'dispenser', requested 'state' and 'updatedAt', 'caller' and 'receivedAt' time.
+     * @param {string} outcome - One of AttemptOutcome.
+     * @param {string} [error] - Why the attempt was rejected.
+     */
+    recordAttempt({ dispenser, state, updatedAt, caller, receivedAt }, outcome, error = null) {
+        const requestedAt = updatedAt ? new Date(updatedAt) : null;
+
+        const entry = {
+            id: uuidv4(),
+            dispenser_id: dispenser.id,
+            caller,
+            requested_status: state,
+            updated_at: requestedAt && !isNaN(requestedAt) ? requestedAt : null,
+            received_at: receivedAt,
+            outcome,
+            error: error || null,
         };
+
+        this.store.addAuditEntry(dispenser.id, entry);
+        this.emit(ATTEMPT_RECORDED, entry);
     }
 
-    updateTotalSpentPerDispenser(id, spentAmount) {
-        const total = this.totalSpentPerDispenser.get(id) || 0;
-        this.totalSpentPerDispenser.set(id, total + spentAmount);
+    emitEvent(type, dispenser, usage = null, details = {}) {
+        this.emit(type, { type, dispenser, usage, ...details, occurred_at: new Date() });
+    }
+
+    /**
+     * Returns the billed segments of a usage without modifying it. An open usage is billed up to the given moment.
+     * The reports, the exports and the forecasts bill usages with it, so their amounts match getSpending.
+     *
+     * @param {Object} usage - The usage.
+     * @param {Date} [now] - The moment open usages are billed up to. Defaults to now.
+     *
+     * @returns {Array} The segments, as returned by calculateSegments.
+     */
+    getUsageSegments(usage, now = new Date()) {
+        if (!usage.closed_at) {
+            return this.billUsage(usage, now).segments;
+        }
+
+        if (usage.segments) {
+            return usage.segments;
+        }
+
+        // Usages closed before pricing rules existed were billed as a single segment
+        return [{
+            started_at: usage.opened_at,
+            ended_at: usage.closed_at,
+            pricing_rule_id: null,
+            price_per_litre: usage.price_per_litre || PRICE_PER_LITRE,
+            total_spent: usage.total_spent,
+        }];
+    }
+
+    validateBeverage(beverageId) {
+        if (beverageId !== null && !this.store.findBeverage(beverageId)) {
+            throw new ValidationError(messages.BEVERAGE_NOT_FOUND);
+        }
+    }
+
+    /**
+     * Resolves where a dispenser is installed after a change of venue and/or zone.
+     * A zone implies its venue, and moving a dispenser to another venue takes it out of its zone.
+     *
+     * @param {Object} changes - The new 'venue_id' and/or 'zone_id'. Undefined fields are kept, null ones cleared.
+     * @param {Object} [current] - The dispenser being moved, if any.
+     *
+     * @returns {Object} The resolved 'venue_id' and 'zone_id'.
+     *
+     * @throws {Error} If the venue or the zone doesn't exist, or the zone belongs to another venue.
+     */
+    resolveLocation({ venue_id, zone_id }, current = {}) {
+        const location = { venue_id: current.venue_id || null, zone_id: current.zone_id || null };
+
+        if (venue_id !== undefined) {
+            if (venue_id !== null && !this.store.findVenue(venue_id)) {
+                throw new ValidationError(messages.VENUE_NOT_FOUND);
+            }
+
+            if (venue_id !== location.venue_id) {
+                location.zone_id = null;
+            }
+
+            location.venue_id = venue_id;
+        }
+
+        if (zone_id !== undefined && zone_id !== null) {
+            const zone = this.store.findZone(zone_id);
+
+            if (!zone) {
+                throw new ValidationError(messages.ZONE_NOT_FOUND);
+            }
+
+            if (venue_id !== undefined && venue_id !== zone.venue_id) {
+                throw new ValidationError(messages.ZONE_VENUE_MISMATCH);
+            }
+
+            location.venue_id = zone.venue_id;
+        }
+
+        if (zone_id !== undefined) {
+            location.zone_id = zone_id;
+        }
+
+        return location;
+    }
+
+    // Returns the schedules of a dispenser and of its venue
+    getSchedules(dispenser) {
+        return this.store.getSchedules().filter((schedule) => schedule.dispenser_id === dispenser.id
+            || (dispenser.venue_id && schedule.venue_id === dispenser.venue_id));
+    }
+
+    // Rejects opening a dispenser outside its opening hours or during its maintenance
+    validateLock(dispenser, date) {
+        const { state } = getLock(this.getSchedules(dispenser), date);
+
+        if (state === LockState.MAINTENANCE) {
+            throw new ConflictError(messages.DISPENSER_IN_MAINTENANCE);
+        }
+
+        if (state === LockState.LOCKED) {
+            throw new ConflictError(messages.DISPENSER_LOCKED);
+        }
+    }
+
+    // Checks that a usage can be attributed to a tab: it must be open and, when bound to a venue, in the dispenser's
+    validateTab(tabId, dispenser) {
+        const tab = this.store.findTab(tabId);
+
+        if (!tab) {
+            throw new ValidationError(messages.TAB_NOT_FOUND);
+        }
+
+        if (tab.status !== TabStatus.OPEN) {
+            throw new ConflictError(messages.TAB_NOT_OPEN);
+        }
+
+        if (tab.venue_id && tab.venue_id !== (dispenser.venue_id || null)) {
+            throw new ValidationError(messages.TAB_VENUE_MISMATCH);
+        }
+    }
+
+    /**
+     * Recomputes the total spent by a dispenser from its closed usages. Totals are never accumulated,
+     * so a corrected or voided usage is reflected in them. They are kept per currency, in minor units,
+     * so closing a usage never depends on the exchange rates.
+     *
+     * @param {string} id - The UUID of the dispenser.
+     */
+    recomputeTotalSpent(id) {
+        const usages = this.store.getUsages(id) || [];
+        this.store.setTotalSpent(id, this.totalsPerCurrency(usages.filter(({ closed_at }) => closed_at)));
+    }
+
+    /**
+     * Converts an amount with the configured exchange rates.
+     *
+     * @param {Number} amount - The amount in minor units of the source currency.
+     * @param {string} from - The source currency.
+     * @param {string} to - The target currency.
+     *
+     * @returns {Number} The amount in minor units of the target currency.
+     *
+     * @throws {Error} If no rate is configured for one of the currencies.
+     */
+    convert(amount, from, to) {
+        return convertAmount(amount, from, to, this.exchangeRates);
+    }
+
+    // Tells whether amounts in a currency can be converted to another one with the configured exchange rates
+    canConvert(from, to) {
+        return from === to || (this.exchangeRates.has(from) && this.exchangeRates.has(to));
+    }
+
+    // Adds up the totals of usages per currency they were billed in, e.g. { EUR: 6125, USD: 5000 }
+    totalsPerCurrency(usages) {
+        const totals = {};
+
+        for (const usage of usages) {
+            const currency = usage.currency || DEFAULT_CURRENCY;
+            totals[currency] = (totals[currency] || 0) + usage.total_spent;
+        }
+
+        return totals;
+    }
+
+    /**
+     * Adds up totals kept per currency in a single currency. Each total is converted once,
+     * so the rounding of the conversions doesn't pile up usage after usage.
+     *
+     * @param {Object} totals - The amounts keyed by currency, in minor units.
+     * @param {string} currency - The currency to add them up in.
+     *
+     * @returns {Number} The sum in minor units of the currency.
+     *
+     * @throws {Error} If no rate is configured for one of the currencies.
+     */
+    sumTotals(totals, currency) {
+        return Object.entries(totals).reduce((sum, [from, amount]) => sum + this.convert(amount, from, currency), 0);
+    }
+
+    /**
+     * Sums up spending kept per currency. Amounts are only converted when a currency is requested,
+     * so spending in several currencies doesn't depend on the exchange rates otherwise.
+     *
+     * @param {Object} totals - The amounts keyed by currency, in minor units.
+     * @param {string} [currency] - The currency to add them up in.
+     * @param {string} [fallbackCurrency] - The currency of an empty spending when none is requested.
+     *
+     * @returns {Object} The 'totals' per currency, and the 'amount' and its 'currency': in the requested currency,
+     *                   or else in the only currency of the totals. Both are null for totals in several
+     *                   currencies when none is requested.
+     *
+     * @throws {Error} If an amount can't be converted to the requested currency.
+     */
+    summarizeTotals(totals, currency, fallbackCurrency = DEFAULT_CURRENCY) {
+        const currencies = Object.keys(totals);
+
+        if (currency !== undefined) {
+            return { amount: this.sumTotals(totals, currency), currency, totals };
+        }
+
+        if (currencies.length > 1) {
+            return { amount: null, currency: null, totals };
+        }
+
+        return currencies.length === 1
+            ? { amount: totals[currencies[0]], currency: currencies[0], totals }
+            : { amount: 0, currency: fallbackCurrency, totals };
     }
 }
 
-module.exports = { DispenserManager, DispenserState };
+module.exports = {
+    DispenserManager, DispenserState, DispenserEvent, SortOrder, AttemptOutcome, ATTEMPT_RECORDED, systemCaller,
+};
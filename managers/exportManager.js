@@ -0,0 +1,126 @@
+const { Readable } = require('stream');
+const messages = require('../constants/messages');
+const { ValidationError } = require('../utils/errors');
+const { DEFAULT_CURRENCY } = require('../constants/constants');
+const { sumSegments, parseTimeRange } = require('../utils/utils');
+
+// Define possible export formats along with their content types
+const ExportFormat = {
+    CSV: 'csv',
+    NDJSON: 'ndjson',
+};
+
+const CONTENT_TYPES = {
+    [ExportFormat.CSV]: 'text/csv',
+    [ExportFormat.NDJSON]: 'application/x-ndjson',
+};
+
+// Columns of every exported usage, in order
+const COLUMNS = [
+    'dispenser_id', 'opened_at', 'closed_at', 'duration', 'litres', 'price', 'currency', 'total_spent', 'voided_at',
+];
+
+// Quotes a CSV value when it contains a separator, a quote or a line break
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ExportManager class to export the usage history of dispensers for accounting
+class ExportManager {
+    // Constructor receives the DispenserManager whose usages are exported.
+    constructor(dispenserManager) {
+        this.dispenserManager = dispenserManager;
+    }
+
+    /**
+     * Yields the usages of one or all dispensers as flat rows, one dispenser after the other
+     * and in chronological order within each dispenser. Rows are built lazily, one at a time.
+     *
+     * @param {Object} [options] - The export options.
+     * @param {string} [options.dispenserId] - Only export the usages of this dispenser.
+     * @param {Date|string} [options.from] - Only export usages opened at or after this date.
+     * @param {Date|string} [options.to] - Only export usages opened before this date.
+     *
+     * @yields {Object} A row with the COLUMNS fields, the price and the total in minor units of the currency.
+     *                  An open usage has no closed_at and is billed up to now. A voided usage has its voided_at
+     *                  and a total_spent of 0.
+     *
+     * @throws {Error} If the dispenser doesn't exist or the range is not valid.
+     */
+    *exportUsages({ dispenserId, from, to } = {}) {
+        const range = parseTimeRange(from, to);
+        const dispensers = dispenserId
+            ? [this.dispenserManager.getDispenser(dispenserId)]
+            : this.dispenserManager.dispensers;
+
+        for (const dispenser of dispensers) {
+            for (const usage of this.dispenserManager.store.getUsages(dispenser.id) || []) {
+                const openedAt = new Date(usage.opened_at);
+                if ((range.from && openedAt < range.from) || (range.to && openedAt >= range.to)) {
+                    continue;
+                }
+
+                const closedAt = usage.closed_at ? new Date(usage.closed_at) : null;
+                const duration = ((closedAt || new Date()) - openedAt) / 1000;
+                const totalSpent = closedAt ? usage.total_spent : sumSegments(this.dispenserManager.getUsageSegments(usage));
+
+                yield {
+                    dispenser_id: dispenser.id,
+                    opened_at: openedAt,
+                    closed_at: closedAt,
+                    duration,
+                    litres: Number((duration * usage.flow_volume).toFixed(3)),
+                    price: usage.price_per_litre,
+                    currency: usage.currency || DEFAULT_CURRENCY,
+                    total_spent: totalSpent,
+                    voided_at: usage.voided_at ? new Date(usage.voided_at) : null,
+                };
+            }
+        }
+    }
+
+    /**
+     * Creates a stream with the exported usages in the given format. The options are validated
+     * before the stream is created, so invalid requests fail before anything is sent.
+     *
+     * @param {string} format - One of ExportFormat.
+     * @param {Object} [options] - The export options, as in exportUsages.
+     *
+     * @returns {Readable} The stream of text lines: a header and one line per usage for CSV, one JSON object per line for NDJSON.
+     *
+     * @throws {Error} If the format is not valid, the dispenser doesn't exist or the range is not valid.
+     */
+    createExportStream(format, options = {}) {
+        if (!Object.values(ExportFormat).includes(format)) {
+            throw new ValidationError(messages.INVALID_EXPORT_FORMAT);
+        }
+
+        parseTimeRange(options.from, options.to);
+        if (options.dispenserId) {
+            this.dispenserManager.getDispenser(options.dispenserId);
+        }
+
+        const rows = this.exportUsages(options);
+
+        function* lines() {
+            if (format === ExportFormat.CSV) {
+                yield `${COLUMNS.join(',')}\n`;
+            }
+
+            for (const row of rows) {
+                yield format === ExportFormat.CSV
+                    ? `${COLUMNS.map((column) => toCsvValue(row[column])).join(',')}\n`
+                    : `${JSON.stringify(row)}\n`;
+            }
+        }
+
+        return Readable.from(lines());
+    }
+}
+
+module.exports = { ExportManager, ExportFormat, CONTENT_TYPES };
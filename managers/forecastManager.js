@@ -0,0 +1,331 @@
+const messages = require('../constants/messages');
+const { ValidationError } = require('../utils/errors');
+const { DEFAULT_CURRENCY } = require('../constants/constants');
+const { clipSegments, sumSegments } = require('../utils/utils');
+const { roundAmount } = require('../utils/money');
+const { PeriodUnit, startOfPeriod, nextPeriod, splitByPeriod } = require('../utils/periods');
+
+// Ways the usage history can be extrapolated
+const ForecastMethod = {
+    // The average of the same hour of the same weekday over the history
+    SEASONAL: 'seasonal',
+    // Simple exponential smoothing of the daily totals
+    SMOOTHING: 'smoothing',
+};
+
+// Ways the forecast can be grouped
+const ForecastGrouping = {
+    DISPENSER: 'dispenser',
+    BEVERAGE: 'beverage',
+};
+
+const DEFAULT_OPTIONS = {
+    days: 7,
+    method: ForecastMethod.SEASONAL,
+    group_by: ForecastGrouping.DISPENSER,
+    history_days: 28,
+    alpha: 0.3,
+};
+
+const MAX_DAYS = 90;
+const MIN_HISTORY_DAYS = 7;
+const MAX_HISTORY_DAYS = 365;
+
+// The bands cover 95% of the outcomes, assuming normally distributed errors
+const CONFIDENCE = 0.95;
+const Z_SCORE = 1.96;
+
+// ForecastManager class to predict how many litres will be poured, and for how much, in the coming days.
+// It extrapolates the usage history the service already holds, so it runs offline: the history is bucketed
+// per hour, in the server's local time zone like the reports, and each group is forecast day by day
+// with a confidence band.
+class ForecastManager {
+    // Constructor receives the DispenserManager whose usages are extrapolated.
+    constructor(dispenserManager) {
+        this.dispenserManager = dispenserManager;
+    }
+
+    /**
+     * Forecasts the litres poured and the revenue of the coming days, per dispenser or per beverage.
+     * The history is made of the full days before today; today is forecast as well. Voided usages are left out
+     * and an open usage counts up to the start of today.
+     *
+     * @param {Object} [options] - The forecast options, usually taken from the request query.
+     * @param {Number|string} [options.days] - How many days to forecast, from 1 to 90. Defaults to 7.
+     * @param {string} [options.method] - One of ForecastMethod. Defaults to 'seasonal'.
+     * @param {string} [options.group_by] - One of ForecastGrouping. Defaults to 'dispenser'.
+     * @param {Number|string} [options.history_days] - How many days of history to learn from, from 7 to 365.
+     *                                                 Defaults to 28.
+     * @param {Number|string} [options.alpha] - The smoothing factor of the 'smoothing' method, above 0 and up to 1.
+     *                                          Higher values follow the recent days more closely. Defaults to 0.3.
+     * @param {string} [options.currency] - The currency to convert the revenue to. Without it, the history is split
+     *                                      per currency it was billed in.
+     * @param {Date} [now] - The moment the forecast is made at. Defaults to now.
+     *
+     * @returns {Object} The forecast with the options applied, the 'confidence' of the bands, the 'history_from' and
+     *                   'history_to' limits, the 'from' and 'to' limits of the forecast, and the 'forecasts'.
+     *                   There is one forecast per group and currency with history, each with its 'key', 'currency',
+     *                   'litres' and 'revenue' over the whole period and per day in 'days'. Every figure is given as
+     *                   'expected', 'lower' and 'upper', the revenue in minor units.
+     *
+     * @throws {Error} If an option is not valid or an amount can't be converted.
+     */
+    getForecast(options = {}, now = new Date()) {
+        const { days, method, group_by, history_days, alpha, currency } = parseOptions(options);
+
+        const from = startOfPeriod(now, PeriodUnit.DAY);
+        const historyFrom = new Date(from.getFullYear(), from.getMonth(), from.getDate() - history_days);
+        const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + days);
+
+        const hours = [];
+        for (let hour = historyFrom; hour < from; hour = nextPeriod(hour, PeriodUnit.HOUR)) {
+            hours.push(hour);
+        }
+
+        const series = this.getHistory(hours, group_by, from, currency);
+        const futureDays = [];
+        for (let day = from; day < to; day = nextPeriod(day, PeriodUnit.DAY)) {
+            futureDays.push(day);
+        }
+
+        const forecasts = [...series.values()].map(({ key, currency, litres, revenue }) => {
+            const predict = method === ForecastMethod.SEASONAL
+                ? (values) => forecastSeasonal(values, hours, futureDays)
+                : (values) => forecastSmoothing(sumPerDay(values, hours), futureDays, alpha);
+
+            const litresPerDay = predict(litres);
+            const revenuePerDay = predict(revenue);
+
+            return {
+                key,
+                currency,
+                litres: roundBand(sumBands(litresPerDay), (value) => Number(value.toFixed(3))),
+                revenue: roundBand(sumBands(revenuePerDay), roundAmount),
+                days: futureDays.map((date, index) => ({
+                    date,
+                    litres: roundBand(litresPerDay[index], (value) => Number(value.toFixed(3))),
+                    revenue: roundBand(revenuePerDay[index], roundAmount),
+                })),
+            };
+        });
+
+        return {
+            method,
+            group_by,
+            days,
+            history_days,
+            alpha: method === ForecastMethod.SMOOTHING ? alpha : null,
+            confidence: CONFIDENCE,
+            history_from: historyFrom,
+            history_to: from,
+            from,
+            to,
+            forecasts,
+        };
+    }
+
+    // Buckets the litres and the revenue of the usages per group, currency and hour of the history.
+    // The revenue is kept in minor units, converted to the given currency if any.
+    getHistory(hours, groupBy, until, target) {
+        const billed = new Map();
+        const indexes = new Map(hours.map((hour, index) => [hour.getTime(), index]));
+        const historyFrom = hours[0];
+
+        for (const dispenser of this.dispenserManager.dispensers) {
+            for (const usage of this.dispenserManager.store.getUsages(dispenser.id) || []) {
+                const openedAt = new Date(usage.opened_at);
+                const closedAt = usage.closed_at ? new Date(usage.closed_at) : until;
+                const windowFrom = historyFrom > openedAt ? historyFrom : openedAt;
+                const windowTo = until < closedAt ? until : closedAt;
+
+                if (usage.voided_at || windowTo <= windowFrom) {
+                    continue;
+                }
+
+                const key = groupBy === ForecastGrouping.DISPENSER ? dispenser.id : usage.beverage_id || null;
+                const group = getSeries(billed, key, usage.currency || DEFAULT_CURRENCY, hours.length);
+                const segments = this.dispenserManager.getUsageSegments(usage, until);
+
+                for (const part of splitByPeriod(windowFrom, windowTo, PeriodUnit.HOUR)) {
+                    const index = indexes.get(part.period.getTime());
+                    group.litres[index] += ((part.to - part.from) / 1000) * usage.flow_volume;
+                    group.revenue[index] += sumSegments(clipSegments(segments, part.from, part.to));
+                }
+            }
+        }
+
+        return this.convertSeries(billed, target, hours.length);
+    }
+
+    // Converts the revenue added up per hour in the currency it was billed in to the given one, each hour of each
+    // group once, and merges the series of a group billed in different currencies. Without a currency, they are
+    // kept as they are
+    convertSeries(billed, target, length) {
+        if (!target) {
+            return billed;
+        }
+
+        const series = new Map();
+
+        for (const { key, currency, litres, revenue } of billed.values()) {
+            const group = getSeries(series, key, target, length);
+
+            for (let index = 0; index < length; index++) {
+                group.litres[index] += litres[index];
+                group.revenue[index] += this.dispenserManager.convert(revenue[index], currency, target);
+            }
+        }
+
+        return series;
+    }
+}
+
+// Returns the hourly series of a group in a currency, adding it to the map if it isn't there yet
+function getSeries(series, key, currency, length) {
+    const id = `${key}|${currency}`;
+
+    if (!series.has(id)) {
+        series.set(id, {
+            key,
+            currency,
+            litres: new Array(length).fill(0),
+            revenue: new Array(length).fill(0),
+        });
+    }
+
+    return series.get(id);
+}
+
+function parseOptions(options) {
+    const parsed = { ...DEFAULT_OPTIONS };
+
+    for (const field of ['days', 'history_days', 'alpha']) {
+        if (options[field] !== undefined) {
+            parsed[field] = Number(options[field]);
+        }
+    }
+
+    if (!Number.isInteger(parsed.days) || parsed.days < 1 || parsed.days > MAX_DAYS) {
+        throw new ValidationError(messages.INVALID_FORECAST_DAYS);
+    }
+
+    if (!Number.isInteger(parsed.history_days) || parsed.history_days < MIN_HISTORY_DAYS
+        || parsed.history_days > MAX_HISTORY_DAYS) {
+        throw new ValidationError(messages.INVALID_HISTORY_DAYS);
+    }
+
+    if (!(parsed.alpha > 0 && parsed.alpha <= 1)) {
+        throw new ValidationError(messages.INVALID_SMOOTHING_FACTOR);
+    }
+
+    parsed.method = options.method === undefined ? parsed.method : options.method;
+    if (!Object.values(ForecastMethod).includes(parsed.method)) {
+        throw new ValidationError(messages.INVALID_FORECAST_METHOD);
+    }
+
+    parsed.group_by = options.group_by === undefined ? parsed.group_by : options.group_by;
+    if (!Object.values(ForecastGrouping).includes(parsed.group_by)) {
+        throw new ValidationError(messages.INVALID_FORECAST_GROUP_BY);
+    }
+
+    parsed.currency = options.currency || null;
+
+    return parsed;
+}
+
+// Forecasts each day as the sum of the average of its hours on the same weekday over the history.
+// The variance of a day is the sum of the variances of its hours.
+function forecastSeasonal(values, hours, days) {
+    const slots = new Map();
+
+    hours.forEach((hour, index) => {
+        const slot = hour.getDay() * 24 + hour.getHours();
+        if (!slots.has(slot)) {
+            slots.set(slot, []);
+        }
+
+        slots.get(slot).push(values[index]);
+    });
+
+    return days.map((day) => {
+        let expected = 0;
+        let variance = 0;
+
+        for (const part of splitByPeriod(day, nextPeriod(day, PeriodUnit.DAY), PeriodUnit.HOUR)) {
+            const samples = slots.get(part.period.getDay() * 24 + part.period.getHours()) || [];
+            const stats = describe(samples);
+
+            expected += stats.mean;
+            variance += stats.variance;
+        }
+
+        return toBand(expected, Math.sqrt(variance));
+    });
+}
+
+// Forecasts every day as the last smoothed level of the daily totals. The spread grows with the horizon,
+// by the one-step error of the smoothing over the history.
+function forecastSmoothing(daily, days, alpha) {
+    let level = daily[0];
+    const errors = [];
+
+    for (const value of daily.slice(1)) {
+        errors.push(value - level);
+        level = alpha * value + (1 - alpha) * level;
+    }
+
+    const deviation = errors.length
+        ? Math.sqrt(errors.reduce((total, error) => total + error * error, 0) / errors.length)
+        : 0;
+
+    return days.map((day, index) => toBand(level, deviation * Math.sqrt(1 + index * alpha * alpha)));
+}
+
+// Adds up hourly values per local day
+function sumPerDay(values, hours) {
+    const totals = new Map();
+
+    hours.forEach((hour, index) => {
+        const day = startOfPeriod(hour, PeriodUnit.DAY).getTime();
+        totals.set(day, (totals.get(day) || 0) + values[index]);
+    });
+
+    return [...totals.values()];
+}
+
+function describe(samples) {
+    if (!samples.length) {
+        return { mean: 0, variance: 0 };
+    }
+
+    const mean = samples.reduce((total, value) => total + value, 0) / samples.length;
+    const variance = samples.length > 1
+        ? samples.reduce((total, value) => total + (value - mean) ** 2, 0) / (samples.length - 1)
+        : 0;
+
+    return { mean, variance };
+}
+
+// Nothing is poured below zero, so the lower limit of a band stops there
+function toBand(expected, deviation) {
+    return {
+        expected,
+        lower: Math.max(0, expected - Z_SCORE * deviation),
+        upper: expected + Z_SCORE * deviation,
+        deviation,
+    };
+}
+
+// Adds up daily bands, assuming the days vary independently
+function sumBands(bands) {
+    const expected = bands.reduce((total, band) => total + band.expected, 0);
+    const variance = bands.reduce((total, band) => total + band.deviation ** 2, 0);
+
+    return toBand(expected, Math.sqrt(variance));
+}
+
+function roundBand({ expected, lower, upper }, round) {
+    return { expected: round(expected), lower: round(lower), upper: round(upper) };
+}
+
+module.exports = { ForecastManager, ForecastMethod, ForecastGrouping };
@@ -0,0 +1,285 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const messages = require('../constants/messages');
+const { DEFAULT_CURRENCY } = require('../constants/constants');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { parsePagination, paginate, parseTimeRange } = require('../utils/utils');
+const { CURRENCY_CODE, roundAmount } = require('../utils/money');
+const { formatInvoiceNumber, renderHtml, renderPdf } = require('../utils/invoices');
+
+// Define the documents an invoice can be rendered as, along with their content types
+const InvoiceFormat = {
+    JSON: 'json',
+    HTML: 'html',
+    PDF: 'pdf',
+};
+
+const CONTENT_TYPES = {
+    [InvoiceFormat.JSON]: 'application/json',
+    [InvoiceFormat.HTML]: 'text/html',
+    [InvoiceFormat.PDF]: 'application/pdf',
+};
+
+// Validates a tax rate: a percentage from 0 to 100
+function isValidTaxRate(rate) {
+    return typeof rate === 'number' && rate >= 0 && rate <= 100;
+}
+
+// InvoiceManager class to issue the invoices of what a dispenser or the dispensers of a venue earned over a period.
+// Invoices are numbered sequentially and never change once issued, so later corrections don't rewrite them.
+// Prices include tax: the tax of each rate is taken out of the amounts billed at that rate.
+class InvoiceManager {
+    /**
+     * @param {MemoryStore} store - The storage adapter holding the invoices. It should be the one the
+     *                              DispenserManager uses.
+     * @param {DispenserManager} dispenserManager - The manager whose spending is invoiced.
+     * @param {Object} [options] - The invoicing options.
+     * @param {Number} [options.taxRate] - The tax rate of the beverages without one of their own, and of the
+     *                                     usages without a beverage. Defaults to the configured TAX_RATE.
+     *
+     * @throws {Error} If the tax rate is not a percentage from 0 to 100.
+     */
+    constructor(store, dispenserManager, { taxRate = config.TAX_RATE } = {}) {
+        if (!isValidTaxRate(taxRate)) {
+            throw new Error(`Invalid tax rate: ${taxRate}`);
+        }
+
+        this.store = store;
+        this.dispenserManager = dispenserManager;
+        this.taxRate = taxRate;
+    }
+
+    /**
+     * Issues the invoice of a dispenser or of all the dispensers installed in a venue, retired ones included,
+     * for the usages returned by getSpending over a period. Usages crossing the limits of the period are
+     * prorated to the part inside it and voided usages are left out.
+     *
+     * @param {Object} fields - What to invoice.
+     * @param {string} [fields.dispenser_id] - The UUID of the dispenser to invoice.
+     * @param {string} [fields.venue_id] - The UUID of the venue to invoice, instead of a dispenser.
+     * @param {Date|string} fields.from - The start of the period, inclusive.
+     * @param {Date|string} fields.to - The end of the period, exclusive. It can't be later than the issue time.
+     * @param {string} [fields.currency] - The currency to invoice in. Defaults to the currency of the dispenser's
+     *                                     current price, or to DEFAULT_CURRENCY for a venue.
+     * @param {Date} [issuedAt] - The issue time. Defaults to now.
+     *
+     * @returns {Object} The invoice, with id, its sequential 'number', dispenser_id, venue_id, from, to, currency,
+     *                   issued_at, the 'lines' of the usages, the 'beverages' subtotals, the 'taxes' per rate,
+     *                   and the 'net_total', 'tax_total' and 'total'. Amounts are in minor units of the currency.
+     *
+     * @throws {Error} If the target or the period is not valid, a dispenser was still open at the end of the
+     *                 period or an amount can't be converted.
+     */
+    issueInvoice({ dispenser_id = null, venue_id = null, from, to, currency }, issuedAt = new Date()) {
+        if (!dispenser_id === !venue_id) {
+            throw new ValidationError(messages.INVOICE_TARGET_REQUIRED);
+        }
+
+        if (from === undefined || from === null || to === undefined || to === null) {
+            throw new ValidationError(messages.INVALID_INVOICE_PERIOD);
+        }
+
+        const range = parseTimeRange(from, to);
+        if (range.to > issuedAt) {
+            throw new ValidationError(messages.INVALID_INVOICE_PERIOD);
+        }
+
+        const dispensers = this.findDispensers({ dispenser_id, venue_id });
+        const target = currency === undefined
+            ? (dispenser_id ? this.dispenserManager.getPrice(dispensers[0]).currency : DEFAULT_CURRENCY)
+            : currency;
+
+        if (typeof target !== 'string' || !CURRENCY_CODE.test(target)) {
+            throw new ValidationError(messages.INVALID_CURRENCY);
+        }
+
+        const lines = [];
+        for (const dispenser of dispensers) {
+            const { usages } = this.dispenserManager.getSpending(dispenser.id, { ...range, currency: target });
+
+            for (const usage of usages.filter(({ voided_at }) => !voided_at)) {
+                if (!usage.closed_at) {
+                    throw new ConflictError(messages.INVOICE_HAS_OPEN_USAGES);
+                }
+
+                lines.push(this.toLine(dispenser, usage, target));
+            }
+        }
+
+        lines.sort((a, b) => new Date(a.opened_at) - new Date(b.opened_at));
+
+        const taxes = sumTaxes(lines);
+        const total = lines.reduce((sum, line) => sum + line.amount, 0);
+        const taxTotal = taxes.reduce((sum, tax) => sum + tax.tax_amount, 0);
+
+        const invoice = {
+            id: uuidv4(),
+            number: this.store.getInvoices().reduce((last, { number }) => Math.max(last, number), 0) + 1,
+            dispenser_id,
+            venue_id: venue_id || dispensers[0].venue_id || null,
+            from: range.from,
+            to: range.to,
+            currency: target,
+            issued_at: issuedAt,
+            lines,
+            beverages: sumBeverages(lines),
+            taxes,
+            net_total: total - taxTotal,
+            tax_total: taxTotal,
+            total,
+        };
+
+        this.store.saveInvoice(invoice);
+        return invoice;
+    }
+
+    /**
+     * Lists the invoices by number, one page at a time.
+     *
+     * @param {Object} [filters] - The filters and pagination, usually taken from the request query.
+     * @param {string} [filters.dispenser_id] - Only return the invoices of this dispenser.
+     * @param {string} [filters.venue_id] - Only return the invoices of this venue and of its dispensers.
+     * @param {Number|string} [filters.limit] - The maximum number of invoices to return.
+     * @param {Number|string} [filters.offset] - The number of invoices to skip.
+     *
+     * @returns {Object} The page of 'invoices' with the 'total', 'limit' and 'offset'.
+     *
+     * @throws {Error} If the pagination is not valid.
+     */
+    listInvoices({ dispenser_id, venue_id, limit, offset } = {}) {
+        const pagination = parsePagination({ limit, offset });
+        const invoices = this.store.getInvoices()
+            .filter((invoice) => (!dispenser_id || invoice.dispenser_id === dispenser_id)
+                && (!venue_id || invoice.venue_id === venue_id))
+            .sort((a, b) => a.number - b.number);
+
+        const { items, ...page } = paginate(invoices, pagination);
+        return { invoices: items, ...page };
+    }
+
+    /**
+     * Fetches a single invoice.
+     *
+     * @param {string} id - The UUID of the invoice.
+     *
+     * @returns {Object} The invoice.
+     *
+     * @throws {Error} If the invoice with the given id doesn't exist.
+     */
+    getInvoice(id) {
+        const invoice = this.store.findInvoice(id);
+        if (!invoice) {
+            throw new NotFoundError(messages.INVOICE_NOT_FOUND);
+        }
+
+        return invoice;
+    }
+
+    /**
+     * Renders an invoice as a document.
+     *
+     * @param {Object} invoice - The invoice.
+     * @param {string} format - One of InvoiceFormat.
+     *
+     * @returns {Object} The 'content' of the document, a string or for a PDF a Buffer, its 'content_type'
+     *                   and a 'filename' made of the invoice number.
+     *
+     * @throws {Error} If the format is not valid.
+     */
+    renderInvoice(invoice, format) {
+        const renderers = {
+            [InvoiceFormat.JSON]: (document) => JSON.stringify(document),
+            [InvoiceFormat.HTML]: renderHtml,
+            [InvoiceFormat.PDF]: renderPdf,
+        };
+
+        if (!renderers[format]) {
+            throw new ValidationError(messages.INVALID_INVOICE_FORMAT);
+        }
+
+        return {
+            content: renderers[format](invoice),
+            content_type: CONTENT_TYPES[format],
+            filename: `invoice-${formatInvoiceNumber(invoice.number)}.${format}`,
+        };
+    }
+
+    // Returns the dispenser to invoice, or the dispensers installed in the venue to invoice
+    findDispensers({ dispenser_id, venue_id }) {
+        if (dispenser_id) {
+            const dispenser = this.store.findDispenser(dispenser_id);
+            if (!dispenser) {
+                throw new ValidationError(messages.DISPENSER_NOT_FOUND);
+            }
+
+            return [dispenser];
+        }
+
+        if (!this.store.findVenue(venue_id)) {
+            throw new ValidationError(messages.VENUE_NOT_FOUND);
+        }
+
+        return this.dispenserManager.dispensers.filter((dispenser) => dispenser.venue_id === venue_id);
+    }
+
+    // Builds the line of a usage, in the currency of the invoice and with the tax rate of its beverage
+    toLine(dispenser, usage, currency) {
+        const beverage = usage.beverage_id ? this.store.findBeverage(usage.beverage_id) : null;
+        const billedIn = usage.currency || DEFAULT_CURRENCY;
+        const seconds = usage.segments
+            .reduce((sum, segment) => sum + (new Date(segment.ended_at) - new Date(segment.started_at)) / 1000, 0);
+
+        return {
+            dispenser_id: dispenser.id,
+            beverage_id: usage.beverage_id || null,
+            beverage_name: beverage ? beverage.name : null,
+            opened_at: usage.opened_at,
+            closed_at: usage.closed_at,
+            litres: Number((seconds * usage.flow_volume).toFixed(3)),
+            price_per_litre: this.dispenserManager.convert(usage.price_per_litre, billedIn, currency),
+            tax_rate: beverage && isValidTaxRate(beverage.tax_rate) ? beverage.tax_rate : this.taxRate,
+            amount: this.dispenserManager.convert(usage.total_spent, billedIn, currency),
+        };
+    }
+}
+
+// Adds up the lines of each beverage, in the order the beverages were first poured
+function sumBeverages(lines) {
+    const beverages = new Map();
+
+    for (const line of lines) {
+        const subtotal = beverages.get(line.beverage_id) || {
+            beverage_id: line.beverage_id,
+            beverage_name: line.beverage_name,
+            tax_rate: line.tax_rate,
+            pours: 0,
+            litres: 0,
+            subtotal: 0,
+        };
+
+        subtotal.pours += 1;
+        subtotal.litres = Number((subtotal.litres + line.litres).toFixed(3));
+        subtotal.subtotal += line.amount;
+        beverages.set(line.beverage_id, subtotal);
+    }
+
+    return [...beverages.values()];
+}
+
+// Takes the tax out of the amounts billed at each rate, the lowest rate first
+function sumTaxes(lines) {
+    const amounts = new Map();
+
+    for (const line of lines) {
+        amounts.set(line.tax_rate, (amounts.get(line.tax_rate) || 0) + line.amount);
+    }
+
+    return [...amounts.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([rate, amount]) => {
+            const tax = roundAmount(amount * rate / (100 + rate));
+            return { tax_rate: rate, net_amount: amount - tax, tax_amount: tax, amount };
+        });
+}
+
+module.exports = { InvoiceManager, InvoiceFormat, CONTENT_TYPES };
@@ -0,0 +1,180 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const messages = require('../constants/messages');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { DispenserState, DispenserEvent, systemCaller } = require('./dispenserManager');
+const { getRemainingLitres, getExhaustionTime } = require('../utils/kegs');
+const { setTimer } = require('../utils/timers');
+
+const KEG_CALLER = systemCaller('keg-manager');
+
+// KegManager class to track the beer left in the keg attached to each dispenser.
+// The DispenserManager deducts the litres poured on every close; this class attaches and swaps kegs,
+// reports their level, and closes a dispenser automatically at the moment its keg runs dry.
+class KegManager {
+    /**
+     * @param {MemoryStore} store - The storage adapter holding the kegs. It should be the one the DispenserManager uses.
+     * @param {DispenserManager} dispenserManager - The manager of the dispensers the kegs are attached to.
+     */
+    constructor(store, dispenserManager) {
+        this.store = store;
+        this.dispenserManager = dispenserManager;
+        this.timers = new Map();
+
+        dispenserManager.on(DispenserEvent.OPENED, ({ dispenser }) => this.scheduleAutoClose(dispenser.id));
+        dispenserManager.on(DispenserEvent.CLOSED, ({ dispenser }) => this.cancelAutoClose(dispenser.id));
+        // A corrected usage changes the level of its keg, and so when an open usage runs it dry
+        dispenserManager.on(DispenserEvent.USAGE_CORRECTED, ({ dispenser }) => this.scheduleAutoClose(dispenser.id));
+
+        for (const dispenser of dispenserManager.getOpenDispensers()) {
+            this.scheduleAutoClose(dispenser.id);
+        }
+    }
+
+    /**
+     * Attaches a new keg to a dispenser. The previous keg, if any, is detached and kept in the history.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser.
+     * @param {Object} fields - The keg fields.
+     * @param {Number} fields.capacity_litres - The capacity of the keg.
+     * @param {Number} [fields.remaining_litres] - The litres left in it. Defaults to the capacity (a full keg).
+     * @param {Number|null} [fields.low_level_litres] - The level at which a KEG_LOW event is emitted. None by default.
+     *
+     * @returns {Object} The attached keg.
+     *
+     * @throws {Error} If the dispenser doesn't exist, is retired or open, or a field is not valid.
+     */
+    attachKeg(dispenserId, { capacity_litres, remaining_litres = capacity_litres, low_level_litres = null }) {
+        const dispenser = this.dispenserManager.getDispenser(dispenserId);
+
+        if (dispenser.retired_at) {
+            throw new ConflictError(messages.DISPENSER_RETIRED);
+        }
+
+        if (dispenser.state === DispenserState.OPEN) {
+            throw new ConflictError(messages.KEG_SWAP_REQUIRES_CLOSED);
+        }
+
+        if (typeof capacity_litres !== 'number' || capacity_litres <= 0) {
+            throw new ValidationError(messages.INVALID_KEG_CAPACITY);
+        }
+
+        if (typeof remaining_litres !== 'number' || remaining_litres < 0 || remaining_litres > capacity_litres) {
+            throw new ValidationError(messages.INVALID_KEG_REMAINING);
+        }
+
+        if (low_level_litres !== null
+            && (typeof low_level_litres !== 'number' || low_level_litres < 0 || low_level_litres > capacity_litres)) {
+            throw new ValidationError(messages.INVALID_KEG_LOW_LEVEL);
+        }
+
+        const now = new Date();
+        const previous = this.dispenserManager.findActiveKeg(dispenserId);
+        if (previous) {
+            previous.detached_at = now;
+            this.store.saveKeg(previous);
+        }
+
+        const keg = {
+            id: uuidv4(),
+            dispenser_id: dispenserId,
+            capacity_litres,
+            remaining_litres,
+            low_level_litres,
+            attached_at: now,
+            detached_at: null,
+            low_level_at: null,
+            emptied_at: null,
+        };
+
+        this.store.saveKeg(keg);
+        this.dispenserManager.emitEvent(DispenserEvent.KEG_ATTACHED, dispenser, null, { keg, previous_keg: previous || null });
+
+        return keg;
+    }
+
+    /**
+     * Reports the level of the keg attached to a dispenser, counting what an open usage has poured so far.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser.
+     * @param {Date} [now] - The moment to report the level at. Defaults to now.
+     *
+     * @returns {Object} The keg with its live 'remaining_litres', whether it is at its 'low_level', and while the
+     *                   dispenser is open, the 'seconds_to_empty' and 'estimated_empty_at' at the current flow.
+     *
+     * @throws {Error} If the dispenser doesn't exist or has no keg attached.
+     */
+    getKegStatus(dispenserId, now = new Date()) {
+        this.dispenserManager.getDispenser(dispenserId);
+
+        const keg = this.dispenserManager.findActiveKeg(dispenserId);
+        if (!keg) {
+            throw new NotFoundError(messages.KEG_NOT_FOUND);
+        }
+
+        const openUsage = this.findOpenUsage(dispenserId, keg);
+        const remaining = getRemainingLitres(keg, openUsage, now);
+        const secondsToEmpty = openUsage ? Number((remaining / openUsage.flow_volume).toFixed(3)) : null;
+
+        return {
+            ...keg,
+            remaining_litres: remaining,
+            low_level: keg.low_level_litres !== null && remaining <= keg.low_level_litres,
+            seconds_to_empty: secondsToEmpty,
+            estimated_empty_at: openUsage ? getExhaustionTime(keg, openUsage) : null,
+        };
+    }
+
+    /**
+     * Returns every keg attached to a dispenser, oldest first, to follow the keg swaps.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser.
+     *
+     * @returns {Array} The kegs, the current one last with a null detached_at.
+     *
+     * @throws {Error} If the dispenser doesn't exist.
+     */
+    getKegHistory(dispenserId) {
+        this.dispenserManager.getDispenser(dispenserId);
+        return this.store.getKegs().filter((keg) => keg.dispenser_id === dispenserId);
+    }
+
+    // Schedules the closing of a dispenser at the moment its open usage runs its keg dry. Usages that would run it
+    // dry too far ahead to wait for are still capped when closed
+    scheduleAutoClose(dispenserId) {
+        this.cancelAutoClose(dispenserId);
+
+        const keg = this.dispenserManager.findActiveKeg(dispenserId);
+        const usage = keg && this.findOpenUsage(dispenserId, keg);
+        if (!usage) {
+            return;
+        }
+
+        const exhaustedAt = getExhaustionTime(keg, usage);
+        const timer = setTimer(exhaustedAt, () => {
+            this.timers.delete(dispenserId);
+            try {
+                this.dispenserManager.changeDispenserStatus(dispenserId, DispenserState.CLOSE, exhaustedAt, KEG_CALLER);
+            } catch (error) {
+                logger.error(`Could not close dispenser ${dispenserId} when its keg ran dry: ${error.message}`);
+            }
+        });
+
+        if (timer) {
+            this.timers.set(dispenserId, timer);
+        }
+    }
+
+    cancelAutoClose(dispenserId) {
+        clearTimeout(this.timers.get(dispenserId));
+        this.timers.delete(dispenserId);
+    }
+
+    // Returns the usage of the dispenser currently pouring from the given keg, if any
+    findOpenUsage(dispenserId, keg) {
+        const usage = this.dispenserManager.findOpenUsage(dispenserId);
+        return usage && usage.keg_id === keg.id ? usage : null;
+    }
+}
+
+module.exports = { KegManager };
@@ -0,0 +1,122 @@
+const client = require('prom-client');
+const { DEFAULT_CURRENCY } = require('../constants/constants');
+const { getErrorCode } = require('../utils/errors');
+const { DispenserState, DispenserEvent, AttemptOutcome, ATTEMPT_RECORDED } = require('./dispenserManager');
+
+// Label of the requests that didn't match any route, so unknown paths don't create new series
+const UNMATCHED_ROUTE = 'unmatched';
+
+// MetricsManager class to expose the telemetry of the API and the dispensers in the Prometheus text format.
+// HTTP metrics are fed by the request metrics middleware; domain metrics by the events of the DispenserManager.
+// Counters start from zero whenever the server starts, as Prometheus expects.
+class MetricsManager {
+    /**
+     * @param {DispenserManager} dispenserManager - The manager whose dispensers are measured.
+     * @param {Object} [options] - Options for tests.
+     * @param {client.Registry} [options.registry] - The registry the metrics are added to. A new one by default.
+     * @param {boolean} [options.collectDefaultMetrics] - Whether to add the process metrics (memory, CPU, event loop).
+     *                                                    Defaults to true.
+     */
+    constructor(dispenserManager, options = {}) {
+        this.registry = options.registry || new client.Registry();
+
+        if (options.collectDefaultMetrics !== false) {
+            client.collectDefaultMetrics({ register: this.registry });
+        }
+
+        const registers = [this.registry];
+
+        this.httpRequests = new client.Counter({
+            name: 'http_requests_total',
+            help: 'HTTP requests handled, by method, route and status code',
+            labelNames: ['method', 'route', 'status'],
+            registers,
+        });
+
+        this.httpRequestDuration = new client.Histogram({
+            name: 'http_request_duration_seconds',
+            help: 'Time spent handling HTTP requests, by method, route and status code',
+            labelNames: ['method', 'route', 'status'],
+            buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+            registers,
+        });
+
+        this.openDispensers = new client.Gauge({
+            name: 'dispensers_open',
+            help: 'Dispensers currently open',
+            registers,
+            collect() {
+                this.set(dispenserManager.dispensers.filter((dispenser) => dispenser.state === DispenserState.OPEN).length);
+            },
+        });
+
+        this.litresPoured = new client.Counter({
+            name: 'dispenser_litres_poured_total',
+            help: 'Litres poured by closed usages, by dispenser',
+            labelNames: ['dispenser_id'],
+            registers,
+        });
+
+        this.revenue = new client.Counter({
+            name: 'dispenser_revenue_total',
+            help: 'Amount billed for closed usages in minor units of the currency, by dispenser and currency',
+            labelNames: ['dispenser_id', 'currency'],
+            registers,
+        });
+
+        this.statusChangeRejections = new client.Counter({
+            name: 'dispenser_status_change_rejections_total',
+            help: 'Status changes rejected, by reason',
+            labelNames: ['reason'],
+            registers,
+        });
+
+        dispenserManager.on(DispenserEvent.CLOSED, ({ dispenser, usage }) => this.recordUsage(dispenser.id, usage));
+        dispenserManager.on(ATTEMPT_RECORDED, (entry) => this.recordAttempt(entry));
+    }
+
+    /**
+     * Records a handled HTTP request.
+     *
+     * @param {Object} request - The 'method', the matched 'route' (null when none matched), the response 'status'
+     *                           and the 'duration' in seconds.
+     */
+    observeRequest({ method, route, status, duration }) {
+        const labels = { method, route: route || UNMATCHED_ROUTE, status };
+        this.httpRequests.inc(labels);
+        this.httpRequestDuration.observe(labels, duration);
+    }
+
+    // Adds the litres and the amount of a closed usage to the totals of its dispenser
+    recordUsage(dispenserId, usage) {
+        if (!usage || !usage.closed_at) {
+            return;
+        }
+
+        const seconds = (new Date(usage.closed_at) - new Date(usage.opened_at)) / 1000;
+        this.litresPoured.inc({ dispenser_id: dispenserId }, seconds * usage.flow_volume);
+        this.revenue.inc({ dispenser_id: dispenserId, currency: usage.currency || DEFAULT_CURRENCY }, usage.total_spent);
+    }
+
+    // Counts the rejected attempts of the audit log, labelled with the code of their error
+    recordAttempt(entry) {
+        if (entry.outcome === AttemptOutcome.REJECTED) {
+            this.statusChangeRejections.inc({ reason: getErrorCode(entry.error) });
+        }
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    /**
+     * Renders every metric in the Prometheus text format.
+     *
+     * @returns {Promise<string>} The exposition text.
+     */
+    metrics() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = { MetricsManager };
@@ -0,0 +1,187 @@
+const { v4: uuidv4 } = require('uuid');
+const messages = require('../constants/messages');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { PricingAdjustment, validateConditions } = require('../utils/pricingRules');
+const { CURRENCY_CODE } = require('../utils/money');
+const { pick } = require('../utils/utils');
+const { createStore } = require('../stores');
+
+// Fields a client may set on a pricing rule
+const RULE_FIELDS = [
+    'name', 'beverage_id', 'adjustment', 'value', 'currency', 'weekdays', 'start_time', 'end_time', 'start_at', 'end_at',
+    'priority',
+];
+
+// PricingRuleManager class to manage time-based pricing rules such as happy hours or peak surcharges
+class PricingRuleManager {
+    // Constructor receives the storage adapter holding the rules.
+    // It should be the same adapter the DispenserManager uses, so usages are billed with these rules.
+    constructor(store = createStore()) {
+        this.store = store;
+    }
+
+    get pricingRules() {
+        return this.store.getPricingRules();
+    }
+
+    /**
+     * Creates a new pricing rule. A rule is in effect while all its conditions hold; omitted conditions always hold.
+     *
+     * @param {Object} fields - The rule fields.
+     * @param {string} fields.name - The name of the rule, e.g. 'Happy hour'.
+     * @param {string} fields.adjustment - 'percentage' to change the base price by `value` percent (e.g. -50),
+     *                                     or 'absolute' to replace it with `value` per litre.
+     * @param {Number} fields.value - The percentage or the absolute price per litre, in minor units of its currency.
+     * @param {string|null} [fields.currency] - The currency of an absolute price, required unless the rule applies
+     *                                          to a beverage, whose currency it defaults to. An absolute price only
+     *                                          applies to usages billed in its currency. Null for percentages.
+     * @param {string|null} [fields.beverage_id] - Only apply to usages of this beverage. Applies to all when null.
+     * @param {Array<Number>|null} [fields.weekdays] - The days of the week it applies on, 0 (Sunday) to 6 (Saturday).
+     * @param {string|null} [fields.start_time] - The local time of day it starts applying, as 'HH:MM'.
+     * @param {string|null} [fields.end_time] - The local time of day it stops applying, as 'HH:MM' (up to '24:00').
+     * @param {Date|string|null} [fields.start_at] - The moment it starts applying.
+     * @param {Date|string|null} [fields.end_at] - The moment it stops applying.
+     * @param {Number} [fields.priority] - Overlapping rules with higher priority win. Defaults to 0.
+     *
+     * @returns {Object} The created pricing rule.
+     *
+     * @throws {Error} If a field is not valid or the beverage doesn't exist.
+     */
+    createPricingRule(fields) {
+        const now = new Date();
+        const rule = this.resolveCurrency(normalizeRule({
+            id: uuidv4(),
+            beverage_id: null,
+            currency: null,
+            weekdays: null,
+            start_time: null,
+            end_time: null,
+            start_at: null,
+            end_at: null,
+            priority: 0,
+            ...pick(fields, RULE_FIELDS),
+            created_at: now,
+            updated_at: now,
+        }));
+
+        this.validatePricingRule(rule);
+        this.store.savePricingRule(rule);
+
+        return rule;
+    }
+
+    /**
+     * Fetches a single pricing rule.
+     *
+     * @param {string} id - The UUID of the pricing rule.
+     *
+     * @returns {Object} The pricing rule.
+     *
+     * @throws {Error} If the pricing rule with the given id doesn't exist.
+     */
+    getPricingRule(id) {
+        const rule = this.store.findPricingRule(id);
+        if (!rule) {
+            throw new NotFoundError(messages.PRICING_RULE_NOT_FOUND);
+        }
+
+        return rule;
+    }
+
+    /**
+     * Updates a pricing rule. Closed usages keep the totals they were billed with.
+     *
+     * @param {string} id - The UUID of the pricing rule.
+     * @param {Object} changes - The fields to update, as in createPricingRule.
+     *
+     * @returns {Object} The updated pricing rule.
+     *
+     * @throws {Error} If the pricing rule doesn't exist, a field is not valid or the beverage doesn't exist.
+     */
+    updatePricingRule(id, changes) {
+        const rule = this.getPricingRule(id);
+        const updated = this.resolveCurrency(normalizeRule({
+            ...rule,
+            ...pick(changes, RULE_FIELDS),
+            updated_at: new Date(),
+        }));
+
+        this.validatePricingRule(updated);
+
+        Object.assign(rule, updated);
+        this.store.savePricingRule(rule);
+
+        return rule;
+    }
+
+    /**
+     * Deletes a pricing rule. Closed usages keep the totals they were billed with.
+     *
+     * @param {string} id - The UUID of the pricing rule.
+     *
+     * @throws {Error} If the pricing rule doesn't exist.
+     */
+    deletePricingRule(id) {
+        this.getPricingRule(id);
+        this.store.removePricingRule(id);
+    }
+
+    validatePricingRule(rule) {
+        if (typeof rule.name !== 'string' || !rule.name.trim()) {
+            throw new ValidationError(messages.PRICING_RULE_NAME_REQUIRED);
+        }
+
+        if (!Object.values(PricingAdjustment).includes(rule.adjustment)) {
+            throw new ValidationError(messages.INVALID_PRICING_ADJUSTMENT);
+        }
+
+        if (typeof rule.value !== 'number' || !Number.isFinite(rule.value)
+            || (rule.adjustment === PricingAdjustment.PERCENTAGE && rule.value <= -100)
+            || (rule.adjustment === PricingAdjustment.ABSOLUTE && (!Number.isInteger(rule.value) || rule.value < 0))) {
+            throw new ValidationError(messages.INVALID_PRICING_VALUE);
+        }
+
+        validateConditions(rule);
+
+        if (!Number.isInteger(rule.priority)) {
+            throw new ValidationError(messages.INVALID_PRIORITY);
+        }
+
+        const beverage = rule.beverage_id === null ? null : this.store.findBeverage(rule.beverage_id);
+        if (rule.beverage_id !== null && !beverage) {
+            throw new ValidationError(messages.BEVERAGE_NOT_FOUND);
+        }
+
+        if (rule.adjustment === PricingAdjustment.ABSOLUTE
+            && (typeof rule.currency !== 'string' || !CURRENCY_CODE.test(rule.currency)
+                || (beverage && rule.currency !== beverage.currency))) {
+            throw new ValidationError(messages.INVALID_PRICING_CURRENCY);
+        }
+    }
+
+    // Defaults the currency of an absolute price to the one of its beverage. Percentages have no currency
+    resolveCurrency(rule) {
+        if (rule.adjustment !== PricingAdjustment.ABSOLUTE) {
+            return { ...rule, currency: null };
+        }
+
+        const beverage = rule.beverage_id ? this.store.findBeverage(rule.beverage_id) : null;
+        if ((rule.currency === undefined || rule.currency === null) && beverage) {
+            return { ...rule, currency: beverage.currency };
+        }
+
+        return rule;
+    }
+}
+
+// Converts the date range limits into Date objects
+function normalizeRule(rule) {
+    return {
+        ...rule,
+        name: typeof rule.name === 'string' ? rule.name.trim() : rule.name,
+        start_at: rule.start_at === null ? null : new Date(rule.start_at),
+        end_at: rule.end_at === null ? null : new Date(rule.end_at),
+    };
+}
+
+module.exports = { PricingRuleManager };
@@ -0,0 +1,151 @@
+const messages = require('../constants/messages');
+const { ValidationError } = require('../utils/errors');
+const { DEFAULT_CURRENCY } = require('../constants/constants');
+const { clipSegments, sumSegments, parseTimeRange } = require('../utils/utils');
+const { PeriodUnit, splitByPeriod } = require('../utils/periods');
+
+// Ways the revenue report can be grouped
+const ReportGrouping = {
+    DISPENSER: 'dispenser',
+    BEVERAGE: 'beverage',
+    HOUR: PeriodUnit.HOUR,
+    DAY: PeriodUnit.DAY,
+    WEEK: PeriodUnit.WEEK,
+};
+
+// ReportManager class to aggregate the usages of all dispensers
+class ReportManager {
+    // Constructor receives the DispenserManager whose usages are reported.
+    constructor(dispenserManager) {
+        this.dispenserManager = dispenserManager;
+    }
+
+    /**
+     * Aggregates the revenue of all dispensers, including retired ones.
+     * Usages crossing the limits of the range are clipped to it and their cost is prorated.
+     * An open usage counts up to now.
+     *
+     * @param {Object} [options] - The report options, usually taken from the request query.
+     * @param {Date|string} [options.from] - The start of the range. Unbounded if not given.
+     * @param {Date|string} [options.to] - The end of the range. Defaults to now.
+     * @param {string} [options.group_by] - One of ReportGrouping. Defaults to 'dispenser'.
+     * @param {string} [options.currency] - The currency to convert every amount to. Without it, the amounts are kept
+     *                                      in the currency they were billed in.
+     *
+     * @returns {Object} The report with the 'from', 'to' and 'group_by' applied, the 'groups' and the overall 'totals'.
+     *                   Groups and totals are split per currency. Each has amount (in minor units), litres, pours
+     *                   (the number of usages opened in the group and range) and open_seconds.
+     *
+     * @throws {Error} If the range or the grouping is not valid, or an amount can't be converted.
+     */
+    getRevenue({ from, to, group_by = ReportGrouping.DISPENSER, currency } = {}) {
+        const now = new Date();
+        const range = parseTimeRange(from, to === undefined ? now : to);
+        const rangeFrom = range.from;
+        const rangeTo = range.to;
+
+        if (!Object.values(ReportGrouping).includes(group_by)) {
+            throw new ValidationError(messages.INVALID_GROUP_BY);
+        }
+
+        const groups = new Map();
+        const totals = new Map();
+
+        for (const dispenser of this.dispenserManager.dispensers) {
+            for (const usage of this.dispenserManager.store.getUsages(dispenser.id) || []) {
+                // Voided usages poured nothing that can be billed
+                if (usage.voided_at) {
+                    continue;
+                }
+
+                const openedAt = new Date(usage.opened_at);
+                const closedAt = usage.closed_at ? new Date(usage.closed_at) : now;
+                const windowFrom = rangeFrom && rangeFrom > openedAt ? rangeFrom : openedAt;
+                const windowTo = rangeTo < closedAt ? rangeTo : closedAt;
+
+                if (windowTo <= windowFrom) {
+                    continue;
+                }
+
+                const segments = this.dispenserManager.getUsageSegments(usage, now);
+                const billedIn = usage.currency || DEFAULT_CURRENCY;
+
+                for (const part of this.splitUsage(dispenser, usage, windowFrom, windowTo, group_by)) {
+                    const clipped = clipSegments(segments, part.from, part.to);
+                    const seconds = (part.to - part.from) / 1000;
+                    const entry = {
+                        amount: sumSegments(clipped),
+                        litres: seconds * usage.flow_volume,
+                        pours: openedAt >= part.from && openedAt < part.to ? 1 : 0,
+                        open_seconds: seconds,
+                    };
+
+                    accumulate(groups, `${part.key}|${billedIn}`, { key: part.key, currency: billedIn }, entry);
+                    accumulate(totals, billedIn, { currency: billedIn }, entry);
+                }
+            }
+        }
+
+        return {
+            from: rangeFrom,
+            to: rangeTo,
+            group_by,
+            groups: this.convertGroups([...groups.values()], currency).map(round),
+            totals: this.convertGroups([...totals.values()], currency).map(round),
+        };
+    }
+
+    // Converts the groups added up in the currency they were billed in to the requested one, each group once,
+    // and merges the parts of a group billed in different currencies. Without a currency, they are kept as they are
+    convertGroups(entries, currency) {
+        if (currency === undefined) {
+            return entries;
+        }
+
+        const converted = new Map();
+
+        for (const entry of entries) {
+            // Totals have no key of their own, so they all merge into one
+            const identity = 'key' in entry ? { key: entry.key, currency } : { currency };
+            const amount = this.dispenserManager.convert(entry.amount, entry.currency, currency);
+
+            accumulate(converted, entry.key, identity, { ...entry, amount });
+        }
+
+        return [...converted.values()];
+    }
+
+    // Splits the part of a usage inside the window into the groups it belongs to
+    splitUsage(dispenser, usage, from, to, groupBy) {
+        if (groupBy === ReportGrouping.DISPENSER) {
+            return [{ key: dispenser.id, from, to }];
+        }
+
+        if (groupBy === ReportGrouping.BEVERAGE) {
+            return [{ key: usage.beverage_id || null, from, to }];
+        }
+
+        return splitByPeriod(from, to, groupBy).map((part) => ({ ...part, key: part.period.toISOString() }));
+    }
+}
+
+function accumulate(map, key, identity, entry) {
+    const current = map.get(key) || { ...identity, amount: 0, litres: 0, pours: 0, open_seconds: 0 };
+
+    current.amount += entry.amount;
+    current.litres += entry.litres;
+    current.pours += entry.pours;
+    current.open_seconds += entry.open_seconds;
+
+    map.set(key, current);
+}
+
+function round(group) {
+    return {
+        ...group,
+        litres: Number(group.litres.toFixed(3)),
+        open_seconds: Number(group.open_seconds.toFixed(3)),
+    };
+}
+
+module.exports = { ReportManager, ReportGrouping };
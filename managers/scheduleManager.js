@@ -0,0 +1,347 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const messages = require('../constants/messages');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { DispenserState, DispenserEvent, systemCaller } = require('./dispenserManager');
+const { validateConditions } = require('../utils/pricingRules');
+const {
+    ScheduleType, LockState, getLock, findLockTime, findNextLockChange,
+} = require('../utils/schedules');
+const { parsePagination, paginate, pick } = require('../utils/utils');
+const { MAX_TIMEOUT_MS, setTimer } = require('../utils/timers');
+
+// Fields a client may set on a schedule
+const SCHEDULE_FIELDS = [
+    'name', 'type', 'dispenser_id', 'venue_id', 'weekdays', 'start_time', 'end_time', 'start_at', 'end_at',
+];
+
+// How far ahead the next change of a lock is looked for
+const LOCK_LOOKAHEAD_MS = 8 * 24 * 60 * 60 * 1000;
+
+const SCHEDULE_CALLER = systemCaller('schedule-manager');
+
+// ScheduleManager class to lock taps outside licensing hours and during cleaning.
+// A schedule applies to a dispenser or to every dispenser of a venue. Opening hours say when a dispenser may
+// be opened: the ones of a dispenser replace the ones of its venue. Maintenance windows lock it in any case.
+// Schedules share the conditions of the pricing rules: weekdays, a time of day window and a date range.
+// Opens are rejected while a dispenser is locked, and a dispenser still open when its lock starts is closed
+// at that moment, so it is only billed up to it.
+class ScheduleManager {
+    /**
+     * @param {MemoryStore} store - The storage adapter holding the schedules. It should be the one the
+     *                              DispenserManager uses, so opens are checked against these schedules.
+     * @param {DispenserManager} dispenserManager - The manager of the dispensers the schedules apply to.
+     * @param {Object} [options]
+     * @param {Number} [options.checkIntervalMs] - How often the open dispensers are checked. 0 disables the check.
+     */
+    constructor(store, dispenserManager, { checkIntervalMs = config.SCHEDULE_CHECK_INTERVAL_MS } = {}) {
+        this.store = store;
+        this.dispenserManager = dispenserManager;
+        this.timers = new Map();
+
+        dispenserManager.on(DispenserEvent.OPENED, ({ dispenser }) => this.scheduleClose(dispenser.id));
+        dispenserManager.on(DispenserEvent.CLOSED, ({ dispenser }) => this.cancelClose(dispenser.id));
+
+        this.rescheduleAll();
+
+        this.interval = null;
+        if (checkIntervalMs > 0) {
+            this.interval = setInterval(() => this.check(), checkIntervalMs);
+            this.interval.unref();
+        }
+    }
+
+    /**
+     * Creates a new schedule. It is in effect while all its conditions hold; omitted conditions always hold.
+     *
+     * @param {Object} fields - The schedule fields.
+     * @param {string} fields.name - The name of the schedule, e.g. 'Licensing hours' or 'Line cleaning'.
+     * @param {string} fields.type - 'opening_hours' for when the dispensers may be opened, or 'maintenance'
+     *                               for when they are locked.
+     * @param {string|null} [fields.dispenser_id] - The dispenser it applies to.
+     * @param {string|null} [fields.venue_id] - The venue whose dispensers it applies to, instead of a dispenser.
+     * @param {Array<Number>|null} [fields.weekdays] - The days of the week it applies on, 0 (Sunday) to 6 (Saturday).
+     * @param {string|null} [fields.start_time] - The local time of day it starts applying, as 'HH:MM'.
+     * @param {string|null} [fields.end_time] - The local time of day it stops applying, as 'HH:MM' (up to '24:00').
+     * @param {Date|string|null} [fields.start_at] - The moment it starts applying.
+     * @param {Date|string|null} [fields.end_at] - The moment it stops applying.
+     *
+     * @returns {Object} The created schedule.
+     *
+     * @throws {Error} If a field is not valid, or the dispenser or the venue doesn't exist.
+     */
+    createSchedule(fields) {
+        const now = new Date();
+        const schedule = normalizeSchedule({
+            id: uuidv4(),
+            dispenser_id: null,
+            venue_id: null,
+            weekdays: null,
+            start_time: null,
+            end_time: null,
+            start_at: null,
+            end_at: null,
+            ...pick(fields, SCHEDULE_FIELDS),
+            created_at: now,
+            updated_at: now,
+        });
+
+        this.validateSchedule(schedule);
+        this.store.saveSchedule(schedule);
+        this.rescheduleAll();
+
+        return schedule;
+    }
+
+    /**
+     * Lists the schedules in the order they were created, one page at a time.
+     *
+     * @param {Object} [filters] - The filters and pagination, usually taken from the request query.
+     * @param {string} [filters.type] - Only return the schedules of this type.
+     * @param {string} [filters.dispenser_id] - Only return the schedules that apply to this dispenser,
+     *                                          its own and the ones of its venue.
+     * @param {string} [filters.venue_id] - Only return the schedules of this venue and of its dispensers.
+     * @param {Number|string} [filters.limit] - The maximum number of schedules to return.
+     * @param {Number|string} [filters.offset] - The number of schedules to skip.
+     *
+     * @returns {Object} The page of schedules, with 'schedules', 'total', 'limit' and 'offset'.
+     *
+     * @throws {Error} If the dispenser doesn't exist, or a filter or the pagination is not valid.
+     */
+    listSchedules({ type, dispenser_id, venue_id, limit, offset } = {}) {
+        if (type !== undefined && !Object.values(ScheduleType).includes(type)) {
+            throw new ValidationError(messages.INVALID_SCHEDULE_TYPE);
+        }
+
+        const pagination = parsePagination({ limit, offset });
+        let schedules = this.store.getSchedules().filter((schedule) => type === undefined || schedule.type === type);
+
+        if (dispenser_id !== undefined) {
+            const applicable = this.dispenserManager.getSchedules(this.dispenserManager.getDispenser(dispenser_id));
+            schedules = schedules.filter((schedule) => applicable.includes(schedule));
+        }
+
+        if (venue_id !== undefined) {
+            schedules = schedules.filter((schedule) => schedule.venue_id === venue_id
+                || (schedule.dispenser_id && this.findDispenserVenueId(schedule.dispenser_id) === venue_id));
+        }
+
+        const { items, ...page } = paginate(schedules, pagination);
+        return { schedules: items, ...page };
+    }
+
+    /**
+     * Fetches a single schedule.
+     *
+     * @param {string} id - The UUID of the schedule.
+     *
+     * @returns {Object} The schedule.
+     *
+     * @throws {Error} If the schedule with the given id doesn't exist.
+     */
+    getSchedule(id) {
+        const schedule = this.store.findSchedule(id);
+        if (!schedule) {
+            throw new NotFoundError(messages.SCHEDULE_NOT_FOUND);
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Updates a schedule. Open dispensers it now locks are closed when their lock starts.
+     *
+     * @param {string} id - The UUID of the schedule.
+     * @param {Object} changes - The fields to update, as in createSchedule.
+     *
+     * @returns {Object} The updated schedule.
+     *
+     * @throws {Error} If the schedule doesn't exist, a field is not valid, or the dispenser or the venue
+     *                 doesn't exist.
+     */
+    updateSchedule(id, changes) {
+        const schedule = this.getSchedule(id);
+        const updated = normalizeSchedule({ ...schedule, ...pick(changes, SCHEDULE_FIELDS), updated_at: new Date() });
+
+        this.validateSchedule(updated);
+
+        Object.assign(schedule, updated);
+        this.store.saveSchedule(schedule);
+        this.rescheduleAll();
+
+        return schedule;
+    }
+
+    /**
+     * Deletes a schedule.
+     *
+     * @param {string} id - The UUID of the schedule.
+     *
+     * @throws {Error} If the schedule doesn't exist.
+     */
+    deleteSchedule(id) {
+        this.getSchedule(id);
+        this.store.removeSchedule(id);
+        this.rescheduleAll();
+    }
+
+    /**
+     * Returns whether a dispenser can be opened at a given moment.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser.
+     * @param {Date} [at] - The moment to check. Defaults to now.
+     *
+     * @returns {Object} The lock, with 'dispenser_id', 'state' ('unlocked', 'locked' outside the opening hours
+     *                   or 'maintenance'), the maintenance 'schedule_id' in effect, the moment it was 'checked_at'
+     *                   and the moment its state changes, 'changes_at', or null when it doesn't within a week.
+     *
+     * @throws {Error} If the dispenser doesn't exist.
+     */
+    getLock(dispenserId, at = new Date()) {
+        const schedules = this.dispenserManager.getSchedules(this.dispenserManager.getDispenser(dispenserId));
+        const { state, schedule } = getLock(schedules, at);
+
+        return {
+            dispenser_id: dispenserId,
+            state,
+            schedule_id: schedule ? schedule.id : null,
+            checked_at: at,
+            changes_at: findNextLockChange(schedules, at, new Date(at.getTime() + LOCK_LOOKAHEAD_MS)),
+        };
+    }
+
+    /**
+     * Closes the open dispensers whose lock started by the given moment, billing them up to the start of the lock.
+     * A schedule only locks a dispenser from the moment it was created, so a dispenser that was open when
+     * a schedule locking it was created is billed up to that moment, not up to an earlier start of the lock.
+     *
+     * @param {Date} [now] - The moment to check at. Defaults to now.
+     *
+     * @returns {Array} The ids of the dispensers closed.
+     */
+    check(now = new Date()) {
+        return this.dispenserManager.getOpenDispensers()
+            .filter((dispenser) => this.forceClose(dispenser.id, now))
+            .map((dispenser) => dispenser.id);
+    }
+
+    // Stops the periodic check and the scheduled closes
+    stop() {
+        clearInterval(this.interval);
+        for (const id of [...this.timers.keys()]) {
+            this.cancelClose(id);
+        }
+    }
+
+    // Closes a dispenser if its lock started by the given moment. Returns whether it was closed.
+    forceClose(dispenserId, now) {
+        const dispenser = this.store.findDispenser(dispenserId);
+        const usage = this.dispenserManager.findOpenUsage(dispenserId);
+        if (!usage) {
+            return false;
+        }
+
+        const openedAt = new Date(usage.opened_at);
+        const schedules = this.dispenserManager.getSchedules(dispenser);
+        const lockAt = findLockTime(schedules, openedAt, new Date(now.getTime() + 1));
+        if (!lockAt) {
+            return false;
+        }
+
+        // A dispenser opened while it was already locked is closed right away
+        const closedAt = lockAt > openedAt ? lockAt : now;
+
+        try {
+            this.dispenserManager.changeDispenserStatus(dispenserId, DispenserState.CLOSE, closedAt, SCHEDULE_CALLER);
+            logger.info('Dispenser closed by its schedule', { dispenser_id: dispenserId, closed_at: closedAt });
+            return true;
+        } catch (error) {
+            logger.error(`Could not close dispenser ${dispenserId} when its lock started: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Schedules the closing of an open dispenser at the moment its lock starts. Locks starting too far ahead to wait
+    // for are still closed by the periodic check
+    scheduleClose(dispenserId) {
+        this.cancelClose(dispenserId);
+
+        const dispenser = this.store.findDispenser(dispenserId);
+        const usage = this.dispenserManager.findOpenUsage(dispenserId);
+        if (!usage) {
+            return;
+        }
+
+        const now = new Date();
+        const openedAt = new Date(usage.opened_at);
+        const horizon = new Date(Math.max(now, openedAt) + MAX_TIMEOUT_MS);
+        const lockAt = findLockTime(this.dispenserManager.getSchedules(dispenser), openedAt, horizon);
+        if (!lockAt) {
+            return;
+        }
+
+        // Timers can fire a little early, before the clock reaches the lock
+        const timer = setTimer(lockAt, () => {
+            this.timers.delete(dispenserId);
+            this.forceClose(dispenserId, new Date(Math.max(Date.now(), lockAt)));
+        }, now);
+
+        if (timer) {
+            this.timers.set(dispenserId, timer);
+        }
+    }
+
+    cancelClose(dispenserId) {
+        clearTimeout(this.timers.get(dispenserId));
+        this.timers.delete(dispenserId);
+    }
+
+    // Schedules again the closing of every open dispenser, after the schedules changed
+    rescheduleAll() {
+        for (const dispenser of this.dispenserManager.getOpenDispensers()) {
+            this.scheduleClose(dispenser.id);
+        }
+    }
+
+    findDispenserVenueId(dispenserId) {
+        const dispenser = this.store.findDispenser(dispenserId);
+        return dispenser ? dispenser.venue_id || null : null;
+    }
+
+    validateSchedule(schedule) {
+        if (typeof schedule.name !== 'string' || !schedule.name.trim()) {
+            throw new ValidationError(messages.SCHEDULE_NAME_REQUIRED);
+        }
+
+        if (!Object.values(ScheduleType).includes(schedule.type)) {
+            throw new ValidationError(messages.INVALID_SCHEDULE_TYPE);
+        }
+
+        if (!schedule.dispenser_id === !schedule.venue_id) {
+            throw new ValidationError(messages.SCHEDULE_TARGET_REQUIRED);
+        }
+
+        validateConditions(schedule);
+
+        if (schedule.dispenser_id && !this.store.findDispenser(schedule.dispenser_id)) {
+            throw new ValidationError(messages.DISPENSER_NOT_FOUND);
+        }
+
+        if (schedule.venue_id && !this.store.findVenue(schedule.venue_id)) {
+            throw new ValidationError(messages.VENUE_NOT_FOUND);
+        }
+    }
+}
+
+// Trims the name and converts the date range limits into Date objects
+function normalizeSchedule(schedule) {
+    return {
+        ...schedule,
+        name: typeof schedule.name === 'string' ? schedule.name.trim() : schedule.name,
+        start_at: schedule.start_at === null ? null : new Date(schedule.start_at),
+        end_at: schedule.end_at === null ? null : new Date(schedule.end_at),
+    };
+}
+
+module.exports = { ScheduleManager, ScheduleType, LockState };
@@ -0,0 +1,178 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const messages = require('../constants/messages');
+const { UnprocessableError, ValidationError } = require('../utils/errors');
+const { DispenserState, AttemptOutcome } = require('./dispenserManager');
+
+// Longest idempotency key accepted
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// StatusUpdateManager class to receive the status updates sent by the tap hardware.
+// Tap controllers retry on flaky networks, so the same update can arrive twice and updates can arrive out of order.
+// Updates sent with an idempotency key are applied once: duplicates get the original result back until the key expires.
+// In reconciliation mode, updates are buffered for a short window and applied in 'updated_at' order.
+class StatusUpdateManager {
+    /**
+     * @param {MemoryStore} store - The storage adapter holding the idempotency records.
+     * @param {DispenserManager} dispenserManager - The manager the updates are applied to.
+     * @param {Object} [options]
+     * @param {Number} [options.reconciliationWindowMs] - How long updates are buffered before being applied. 0 applies them at once.
+     * @param {Number} [options.idempotencyTtlMs] - How long the result of an update is returned for its idempotency key.
+     *                                              Expired results are removed from the store at most once per TTL.
+     */
+    constructor(store, dispenserManager, {
+        reconciliationWindowMs = config.RECONCILIATION_WINDOW_MS,
+        idempotencyTtlMs = config.IDEMPOTENCY_TTL_MS,
+    } = {}) {
+        this.store = store;
+        this.dispenserManager = dispenserManager;
+        this.reconciliationWindowMs = reconciliationWindowMs;
+        this.idempotencyTtlMs = idempotencyTtlMs;
+        // When the expired idempotency records were last removed
+        this.purgedAt = new Date(0);
+        // Updates waiting to be applied, with the timer that flushes them, per dispenser id
+        this.buffers = new Map();
+    }
+
+    /**
+     * Submits a status update.
+     *
+     * @param {string} id - The UUID of the dispenser.
+     * @param {string} state - The requested state, 'open' or 'close'.
+     * @param {Date} updatedAt - When the tap changed its state.
+     * @param {Object} [options]
+     * @param {Object} [options.caller] - Who sent the update, recorded in the audit log.
+     * @param {string} [options.idempotencyKey] - The key identifying retries of the same update.
+     * @param {string|null} [options.tabId] - The UUID of the customer tab an opening is attributed to.
+     *
+     * @returns {Object} The result of changeDispenserStatus, with 'buffered' set when the update waits in the
+     *                   reconciliation buffer and 'replayed' set when it is the stored result of a duplicate.
+     *
+     * @throws {Error} If the dispenser doesn't exist, the update is rejected, or the idempotency key is invalid
+     *                 or was used for another update. Rejected updates are not stored and can be retried with the same key.
+     */
+    submit(id, state, updatedAt, { caller = null, idempotencyKey, tabId = null } = {}) {
+        const receivedAt = new Date();
+
+        if (idempotencyKey === undefined) {
+            return this.apply(id, state, updatedAt, caller, receivedAt, tabId);
+        }
+
+        if (typeof idempotencyKey !== 'string' || idempotencyKey.length === 0
+            || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+            throw new ValidationError(messages.INVALID_IDEMPOTENCY_KEY);
+        }
+
+        const dispenser = this.dispenserManager.getDispenser(id);
+        this.purgeIdempotencyRecords(receivedAt);
+
+        const recordId = `${id}:${idempotencyKey}`;
+        const record = this.store.findIdempotencyRecord(recordId);
+
+        if (record && receivedAt - record.created_at < this.idempotencyTtlMs) {
+            if (record.state !== state || record.updated_at.getTime() !== new Date(updatedAt).getTime()
+                || (record.tab_id || null) !== tabId) {
+                throw new UnprocessableError(messages.IDEMPOTENCY_KEY_REUSED);
+            }
+
+            this.dispenserManager.recordAttempt({ dispenser, state, updatedAt, caller, receivedAt }, AttemptOutcome.REPLAYED);
+            return { ...record.result, replayed: true };
+        }
+
+        const result = this.apply(id, state, updatedAt, caller, receivedAt, tabId);
+
+        this.store.saveIdempotencyRecord({
+            id: recordId,
+            dispenser_id: id,
+            key: idempotencyKey,
+            state,
+            updated_at: new Date(updatedAt),
+            tab_id: tabId,
+            result: { success: result.success, message: result.message, buffered: result.buffered },
+            created_at: receivedAt,
+        });
+
+        return result;
+    }
+
+    // Removes the idempotency records older than the TTL, at most once per TTL so the store isn't written on every update
+    purgeIdempotencyRecords(now) {
+        if (now - this.purgedAt < this.idempotencyTtlMs) {
+            return;
+        }
+
+        this.store.removeIdempotencyRecordsBefore(new Date(now - this.idempotencyTtlMs));
+        this.purgedAt = now;
+    }
+
+    // Applies an update at once, or buffers it in reconciliation mode
+    apply(id, state, updatedAt, caller, receivedAt, tabId) {
+        if (this.reconciliationWindowMs <= 0) {
+            return this.dispenserManager.changeDispenserStatus(id, state, updatedAt, caller, receivedAt, tabId);
+        }
+
+        // Updates that can never be applied are rejected at once instead of being buffered
+        const dispenser = this.dispenserManager.getDispenser(id);
+
+        if (state !== DispenserState.OPEN && state !== DispenserState.CLOSE) {
+            throw new ValidationError(messages.INVALID_DISPENSER_STATUS);
+        }
+
+        if (isNaN(Date.parse(updatedAt))) {
+            throw new ValidationError(messages.INVALID_DATE_FORMAT);
+        }
+
+        if (!this.buffers.has(id)) {
+            const timer = setTimeout(() => this.flush(id), this.reconciliationWindowMs);
+            timer.unref();
+            this.buffers.set(id, { updates: [], timer });
+        }
+
+        const { updates } = this.buffers.get(id);
+        const time = new Date(updatedAt).getTime();
+
+        // A retry without idempotency key is the same update twice: it is only applied once
+        if (!updates.some((update) => update.state === state && update.updatedAt.getTime() === time)) {
+            updates.push({ state, updatedAt: new Date(updatedAt), caller, receivedAt, tabId });
+        }
+
+        return { success: true, buffered: true, dispenser };
+    }
+
+    /**
+     * Applies the buffered updates of a dispenser in 'updated_at' order.
+     * Updates that are rejected are logged; the audit log records why.
+     *
+     * @param {string} id - The UUID of the dispenser.
+     */
+    flush(id) {
+        const buffer = this.buffers.get(id);
+        if (!buffer) {
+            return;
+        }
+
+        clearTimeout(buffer.timer);
+        this.buffers.delete(id);
+
+        const updates = buffer.updates.sort((a, b) => a.updatedAt - b.updatedAt || a.receivedAt - b.receivedAt);
+
+        for (const { state, updatedAt, caller, receivedAt, tabId } of updates) {
+            try {
+                this.dispenserManager.changeDispenserStatus(id, state, updatedAt, caller, receivedAt, tabId);
+            } catch (error) {
+                logger.warn(`Could not apply the buffered status update of dispenser ${id}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Applies the buffered updates of every dispenser, for instance before shutting down.
+     */
+    flushAll() {
+        for (const id of [...this.buffers.keys()]) {
+            this.flush(id);
+        }
+    }
+}
+
+module.exports = { StatusUpdateManager };
@@ -0,0 +1,313 @@
+const { v4: uuidv4 } = require('uuid');
+const messages = require('../constants/messages');
+const { DEFAULT_CURRENCY, DiscountType } = require('../constants/constants');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { parsePagination, paginate } = require('../utils/utils');
+const { roundAmount } = require('../utils/money');
+
+// Define the lifecycle of a tab: pours are attributed to open tabs, closed tabs wait for payment
+const TabStatus = {
+    OPEN: 'open',
+    CLOSED: 'closed',
+    SETTLED: 'settled',
+};
+
+// TabManager class to manage customer tabs: the bill of a table or a customer, which the usages opened for them
+// are attributed to across dispensers. A tab is opened, gets pours and discounts, is closed and finally settled
+// with an invoice whose total no longer changes.
+class TabManager {
+    /**
+     * @param {MemoryStore} store - The storage adapter holding the tabs. It should be the one the DispenserManager uses.
+     * @param {DispenserManager} dispenserManager - The manager of the dispensers the pours are served by.
+     */
+    constructor(store, dispenserManager) {
+        this.store = store;
+        this.dispenserManager = dispenserManager;
+    }
+
+    /**
+     * Opens a new tab.
+     *
+     * @param {Object} fields - The tab fields.
+     * @param {string} fields.name - Who the tab is for, e.g. a table number or a customer name.
+     * @param {string|null} [fields.venue_id] - The UUID of the venue the tab is opened in. Its pours must be
+     *                                          served by the dispensers of that venue. None by default.
+     *
+     * @returns {Object} The open tab, with id, name, venue_id, status, discounts, opened_at, closed_at,
+     *                   settled_at and invoice.
+     *
+     * @throws {Error} If the name is not valid or the venue doesn't exist.
+     */
+    openTab({ name, venue_id = null }) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new ValidationError(messages.TAB_NAME_REQUIRED);
+        }
+
+        if (venue_id !== null && !this.store.findVenue(venue_id)) {
+            throw new ValidationError(messages.VENUE_NOT_FOUND);
+        }
+
+        const tab = {
+            id: uuidv4(),
+            name: name.trim(),
+            venue_id,
+            status: TabStatus.OPEN,
+            discounts: [],
+            opened_at: new Date(),
+            closed_at: null,
+            settled_at: null,
+            invoice: null,
+        };
+
+        this.store.saveTab(tab);
+        return tab;
+    }
+
+    /**
+     * Lists the tabs in the order they were opened, one page at a time.
+     *
+     * @param {Object} [filters] - The filters and pagination, usually taken from the request query.
+     * @param {string} [filters.status] - Only return the tabs in this status.
+     * @param {string} [filters.venue_id] - Only return the tabs of this venue.
+     * @param {Number|string} [filters.limit] - The maximum number of tabs to return.
+     * @param {Number|string} [filters.offset] - The number of tabs to skip.
+     *
+     * @returns {Object} The page of tabs, with 'tabs', 'total', 'limit' and 'offset'.
+     *
+     * @throws {Error} If a filter or the pagination is not valid.
+     */
+    listTabs({ status, venue_id, limit, offset } = {}) {
+        if (status !== undefined && !Object.values(TabStatus).includes(status)) {
+            throw new ValidationError(messages.INVALID_TAB_STATUS_FILTER);
+        }
+
+        const pagination = parsePagination({ limit, offset });
+        const tabs = this.store.getTabs().filter((tab) => (status === undefined || tab.status === status)
+            && (venue_id === undefined || tab.venue_id === venue_id));
+
+        const { items, ...page } = paginate(tabs, pagination);
+        return { tabs: items, ...page };
+    }
+
+    /**
+     * Fetches a single tab.
+     *
+     * @param {string} id - The UUID of the tab.
+     *
+     * @returns {Object} The tab.
+     *
+     * @throws {Error} If the tab with the given id doesn't exist.
+     */
+    getTab(id) {
+        const tab = this.store.findTab(id);
+        if (!tab) {
+            throw new NotFoundError(messages.TAB_NOT_FOUND);
+        }
+
+        return tab;
+    }
+
+    /**
+     * Returns the statement of a tab: its pours across dispensers with their prices, its discounts and its total.
+     * Pours in progress are billed up to now.
+     *
+     * @param {string} id - The UUID of the tab.
+     * @param {Date} [now] - The moment pours in progress are billed up to. Defaults to now.
+     *
+     * @returns {Object} The tab, with its 'pours', their 'totals' per currency, the 'subtotal' of the pours, the
+     *                   'discounts' with the 'amount' each took off, the 'discount_total', the 'total' due and its
+     *                   'currency'. Amounts are in minor units of the currency of the first pour; pours billed in
+     *                   another one are converted to it. When no exchange rate converts them, the pours are only
+     *                   added up per currency in 'totals', and the other amounts and the currency are null.
+     *
+     * @throws {Error} If the tab doesn't exist.
+     */
+    getStatement(id, now = new Date()) {
+        const tab = this.getTab(id);
+        const pours = this.getPours(id, now);
+        const totals = this.dispenserManager.totalsPerCurrency(pours);
+        const currency = pours.length > 0 ? pours[0].currency : DEFAULT_CURRENCY;
+
+        // Discounts are given in the currency of the tab, so they can't apply without a single one
+        if (!Object.keys(totals).every((from) => this.dispenserManager.canConvert(from, currency))) {
+            return {
+                ...tab,
+                pours,
+                totals,
+                subtotal: null,
+                discounts: tab.discounts.map((discount) => ({ ...discount, amount: null })),
+                discount_total: null,
+                total: null,
+                currency: null,
+            };
+        }
+
+        const subtotal = this.dispenserManager.sumTotals(totals, currency);
+        let total = subtotal;
+
+        // Discounts apply in the order they were given, each on what is left to pay
+        const discounts = tab.discounts.map((discount) => {
+            const amount = discount.type === DiscountType.PERCENTAGE
+                ? roundAmount((total * discount.value) / 100)
+                : Math.min(discount.value, total);
+
+            total -= amount;
+            return { ...discount, amount };
+        });
+
+        return {
+            ...tab,
+            pours,
+            totals,
+            subtotal,
+            discounts,
+            discount_total: subtotal - total,
+            total,
+            currency,
+        };
+    }
+
+    /**
+     * Gives a discount on a tab, e.g. a happy customer or a spilled pint.
+     *
+     * @param {string} id - The UUID of the tab.
+     * @param {Object} fields - The discount fields.
+     * @param {string} fields.type - 'percentage' off what is left to pay, or an 'absolute' amount.
+     * @param {Number} fields.value - The percentage, up to 100, or the amount in minor units of the tab's currency.
+     * @param {string} [fields.reason] - Why the discount was given.
+     *
+     * @returns {Object} The statement of the tab.
+     *
+     * @throws {Error} If the tab doesn't exist or is settled, or a field is not valid.
+     */
+    addDiscount(id, { type, value, reason = null }) {
+        const tab = this.getTab(id);
+
+        if (tab.status === TabStatus.SETTLED) {
+            throw new ConflictError(messages.TAB_SETTLED);
+        }
+
+        if (!Object.values(DiscountType).includes(type)) {
+            throw new ValidationError(messages.INVALID_DISCOUNT_TYPE);
+        }
+
+        if (typeof value !== 'number' || value <= 0 || (type === DiscountType.PERCENTAGE && value > 100)
+            || (type === DiscountType.ABSOLUTE && !Number.isInteger(value))) {
+            throw new ValidationError(messages.INVALID_DISCOUNT_VALUE);
+        }
+
+        tab.discounts.push({ id: uuidv4(), type, value, reason: reason || null, created_at: new Date() });
+        this.store.saveTab(tab);
+
+        return this.getStatement(id);
+    }
+
+    /**
+     * Closes a tab: no more pours can be attributed to it, but it can still get discounts until it is settled.
+     *
+     * @param {string} id - The UUID of the tab.
+     * @param {Date} [closedAt] - The closing time. Defaults to now.
+     *
+     * @returns {Object} The statement of the tab.
+     *
+     * @throws {Error} If the tab doesn't exist, is not open or has pours in progress.
+     */
+    closeTab(id, closedAt = new Date()) {
+        const tab = this.getTab(id);
+
+        if (tab.status !== TabStatus.OPEN) {
+            throw new ConflictError(messages.TAB_NOT_OPEN);
+        }
+
+        this.checkPoursClosed(id, closedAt);
+
+        Object.assign(tab, { status: TabStatus.CLOSED, closed_at: closedAt });
+        this.store.saveTab(tab);
+
+        return this.getStatement(id, closedAt);
+    }
+
+    /**
+     * Settles a tab, closing it first if it is still open. Its invoice records the final totals,
+     * which later discounts or corrections can't change. The tab is only changed once they are known.
+     *
+     * @param {string} id - The UUID of the tab.
+     * @param {Date} [settledAt] - The settlement time. Defaults to now.
+     *
+     * @returns {Object} The statement of the tab, with its 'invoice': the 'totals' per currency, 'subtotal',
+     *                   'discount_total', 'total' and 'currency' at settlement, as described in getStatement,
+     *                   the number of 'pours' and the 'issued_at' time.
+     *
+     * @throws {Error} If the tab doesn't exist, is already settled or has pours in progress.
+     */
+    settleTab(id, settledAt = new Date()) {
+        const tab = this.getTab(id);
+
+        if (tab.status === TabStatus.SETTLED) {
+            throw new ConflictError(messages.TAB_SETTLED);
+        }
+
+        if (tab.status === TabStatus.OPEN) {
+            this.checkPoursClosed(id, settledAt);
+        }
+
+        const statement = this.getStatement(id, settledAt);
+
+        Object.assign(tab, {
+            status: TabStatus.SETTLED,
+            closed_at: tab.closed_at || settledAt,
+            settled_at: settledAt,
+            invoice: {
+                totals: statement.totals,
+                subtotal: statement.subtotal,
+                discount_total: statement.discount_total,
+                total: statement.total,
+                currency: statement.currency,
+                pours: statement.pours.length,
+                issued_at: settledAt,
+            },
+        });
+        this.store.saveTab(tab);
+
+        return this.getStatement(id, settledAt);
+    }
+
+    // Checks that no dispenser is still pouring for a tab, so it can be closed
+    checkPoursClosed(id, now) {
+        if (this.getPours(id, now).some((pour) => !pour.closed_at)) {
+            throw new ConflictError(messages.TAB_HAS_OPEN_POURS);
+        }
+    }
+
+    // Returns the usages attributed to a tab across dispensers, in the order they were opened.
+    // Voided usages are left out
+    getPours(id, now) {
+        const pours = [];
+
+        for (const dispenser of this.dispenserManager.dispensers) {
+            for (const usage of this.store.getUsages(dispenser.id) || []) {
+                if (usage.tab_id !== id || usage.voided_at) {
+                    continue;
+                }
+
+                const until = usage.closed_at ? new Date(usage.closed_at) : now;
+                const { total_spent } = usage.closed_at ? usage : this.dispenserManager.billUsage(usage, now);
+
+                pours.push({
+                    dispenser_id: dispenser.id,
+                    beverage_id: usage.beverage_id,
+                    opened_at: usage.opened_at,
+                    closed_at: usage.closed_at,
+                    litres: Number((((until - new Date(usage.opened_at)) / 1000) * usage.flow_volume).toFixed(3)),
+                    price_per_litre: usage.price_per_litre,
+                    currency: usage.currency || DEFAULT_CURRENCY,
+                    total_spent,
+                });
+            }
+        }
+
+        return pours.sort((a, b) => new Date(a.opened_at) - new Date(b.opened_at));
+    }
+}
+
+module.exports = { TabManager, TabStatus, DiscountType };
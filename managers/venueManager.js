@@ -0,0 +1,291 @@
+const { v4: uuidv4 } = require('uuid');
+const messages = require('../constants/messages');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { parsePagination, paginate, parseTimeRange } = require('../utils/utils');
+
+// VenueManager class to manage the venues dispensers are installed in, and the zones venues are divided into
+// (a bar, a terrace, a stand...). Dispensers are assigned to them through the DispenserManager.
+class VenueManager {
+    /**
+     * @param {MemoryStore} store - The storage adapter holding the venues. It should be the one the DispenserManager uses.
+     * @param {DispenserManager} dispenserManager - The manager of the dispensers installed in the venues.
+     */
+    constructor(store, dispenserManager) {
+        this.store = store;
+        this.dispenserManager = dispenserManager;
+    }
+
+    /**
+     * Creates a new venue.
+     *
+     * @param {Object} fields - The venue fields.
+     * @param {string} fields.name - The name of the venue.
+     *
+     * @returns {Object} The created venue, with id, name, created_at and updated_at.
+     *
+     * @throws {Error} If the name is not valid.
+     */
+    createVenue({ name }) {
+        validateName(name, messages.VENUE_NAME_REQUIRED);
+
+        const now = new Date();
+        const venue = { id: uuidv4(), name: name.trim(), created_at: now, updated_at: now };
+
+        this.store.saveVenue(venue);
+        return venue;
+    }
+
+    /**
+     * Lists the venues in creation order, one page at a time.
+     *
+     * @param {Object} [filters] - The filters and pagination, usually taken from the request query.
+     * @param {string} [filters.id] - Only return this venue, e.g. for credentials restricted to it.
+     * @param {Number|string} [filters.limit] - The maximum number of venues to return.
+     * @param {Number|string} [filters.offset] - The number of venues to skip.
+     *
+     * @returns {Object} The page of venues, with 'venues', 'total', 'limit' and 'offset'.
+     *
+     * @throws {Error} If the pagination is not valid.
+     */
+    listVenues({ id, limit, offset } = {}) {
+        const pagination = parsePagination({ limit, offset });
+        const venues = this.store.getVenues().filter((venue) => id === undefined || venue.id === id);
+
+        const { items, ...page } = paginate(venues, pagination);
+        return { venues: items, ...page };
+    }
+
+    /**
+     * Fetches a single venue.
+     *
+     * @param {string} id - The UUID of the venue.
+     *
+     * @returns {Object} The venue.
+     *
+     * @throws {Error} If the venue with the given id doesn't exist.
+     */
+    getVenue(id) {
+        const venue = this.store.findVenue(id);
+        if (!venue) {
+            throw new NotFoundError(messages.VENUE_NOT_FOUND);
+        }
+
+        return venue;
+    }
+
+    /**
+     * Renames a venue.
+     *
+     * @param {string} id - The UUID of the venue.
+     * @param {Object} changes - The fields to update.
+     * @param {string} changes.name - The new name.
+     *
+     * @returns {Object} The updated venue.
+     *
+     * @throws {Error} If the venue doesn't exist or the name is not valid.
+     */
+    updateVenue(id, { name }) {
+        const venue = this.getVenue(id);
+        validateName(name, messages.VENUE_NAME_REQUIRED);
+
+        Object.assign(venue, { name: name.trim(), updated_at: new Date() });
+        this.store.saveVenue(venue);
+
+        return venue;
+    }
+
+    /**
+     * Creates a new zone in a venue.
+     *
+     * @param {Object} fields - The zone fields.
+     * @param {string} fields.venue_id - The UUID of the venue the zone is part of.
+     * @param {string} fields.name - The name of the zone.
+     *
+     * @returns {Object} The created zone, with id, venue_id, name, created_at and updated_at.
+     *
+     * @throws {Error} If the venue doesn't exist or the name is not valid.
+     */
+    createZone({ venue_id, name }) {
+        if (!this.store.findVenue(venue_id)) {
+            throw new ValidationError(messages.VENUE_NOT_FOUND);
+        }
+
+        validateName(name, messages.ZONE_NAME_REQUIRED);
+
+        const now = new Date();
+        const zone = { id: uuidv4(), venue_id, name: name.trim(), created_at: now, updated_at: now };
+
+        this.store.saveZone(zone);
+        return zone;
+    }
+
+    /**
+     * Lists the zones in creation order, one page at a time.
+     *
+     * @param {Object} [filters] - The filters and pagination, usually taken from the request query.
+     * @param {string} [filters.venue_id] - Only return the zones of this venue.
+     * @param {Number|string} [filters.limit] - The maximum number of zones to return.
+     * @param {Number|string} [filters.offset] - The number of zones to skip.
+     *
+     * @returns {Object} The page of zones, with 'zones', 'total', 'limit' and 'offset'.
+     *
+     * @throws {Error} If the pagination is not valid.
+     */
+    listZones({ venue_id, limit, offset } = {}) {
+        const pagination = parsePagination({ limit, offset });
+        const zones = this.store.getZones().filter((zone) => venue_id === undefined || zone.venue_id === venue_id);
+
+        const { items, ...page } = paginate(zones, pagination);
+        return { zones: items, ...page };
+    }
+
+    /**
+     * Fetches a single zone.
+     *
+     * @param {string} id - The UUID of the zone.
+     *
+     * @returns {Object} The zone.
+     *
+     * @throws {Error} If the zone with the given id doesn't exist.
+     */
+    getZone(id) {
+        const zone = this.store.findZone(id);
+        if (!zone) {
+            throw new NotFoundError(messages.ZONE_NOT_FOUND);
+        }
+
+        return zone;
+    }
+
+    /**
+     * Renames a zone. Zones can't be moved to another venue.
+     *
+     * @param {string} id - The UUID of the zone.
+     * @param {Object} changes - The fields to update.
+     * @param {string} changes.name - The new name.
+     *
+     * @returns {Object} The updated zone.
+     *
+     * @throws {Error} If the zone doesn't exist or the name is not valid.
+     */
+    updateZone(id, { name }) {
+        const zone = this.getZone(id);
+        validateName(name, messages.ZONE_NAME_REQUIRED);
+
+        Object.assign(zone, { name: name.trim(), updated_at: new Date() });
+        this.store.saveZone(zone);
+
+        return zone;
+    }
+
+    /**
+     * Returns the venue a dispenser, a venue, a zone, a tab, a schedule or an invoice belongs to,
+     * to check the access of the credentials restricted to a venue.
+     *
+     * @param {string} type - 'dispenser', 'venue', 'zone', 'tab', 'schedule' or 'invoice'.
+     * @param {string} id - The UUID of the resource.
+     *
+     * @returns {string|null|undefined} The UUID of the venue, null when the resource isn't bound to any,
+     *                                  or undefined when the resource doesn't exist.
+     */
+    findVenueId(type, id) {
+        if (type === 'venue') {
+            return this.store.findVenue(id) ? id : undefined;
+        }
+
+        // The schedule of a dispenser belongs to the venue of the dispenser
+        const schedule = type === 'schedule' ? this.store.findSchedule(id) : null;
+        if (schedule && schedule.dispenser_id) {
+            return this.findVenueId('dispenser', schedule.dispenser_id);
+        }
+
+        const finders = {
+            dispenser: 'findDispenser',
+            zone: 'findZone',
+            tab: 'findTab',
+            schedule: 'findSchedule',
+            invoice: 'findInvoice',
+        };
+        const resource = this.store[finders[type]](id);
+        return resource ? resource.venue_id || null : undefined;
+    }
+
+    /**
+     * Returns the spending of the dispensers installed in a venue, retired ones included.
+     *
+     * @param {string} id - The UUID of the venue.
+     * @param {Object} [options] - The 'from' and 'to' limits of the spending, unbounded if not given,
+     *                             and the 'currency' to add it up in. Amounts are only converted when it is given.
+     *
+     * @returns {Object} The 'venue_id', the 'amount' spent, its 'currency' and 'totals' per currency, as described
+     *                   in DispenserManager.summarizeTotals, the 'from' and 'to' applied, and the same amounts for
+     *                   each of the 'dispensers'.
+     *
+     * @throws {Error} If the venue doesn't exist, the range is not valid or an amount can't be converted.
+     */
+    getVenueSpending(id, { from, to, currency } = {}) {
+        this.getVenue(id);
+        return { venue_id: id, ...this.sumSpending({ venue_id: id }, { from, to, currency }) };
+    }
+
+    /**
+     * Returns the spending of the dispensers installed in a zone, retired ones included.
+     *
+     * @param {string} id - The UUID of the zone.
+     * @param {Object} [options] - The 'from' and 'to' limits of the spending, unbounded if not given,
+     *                             and the 'currency' to add it up in. Amounts are only converted when it is given.
+     *
+     * @returns {Object} The 'zone_id' and 'venue_id', the 'amount' spent, its 'currency' and 'totals' per currency,
+     *                   as described in DispenserManager.summarizeTotals, the 'from' and 'to' applied, and the same
+     *                   amounts for each of the 'dispensers'.
+     *
+     * @throws {Error} If the zone doesn't exist, the range is not valid or an amount can't be converted.
+     */
+    getZoneSpending(id, { from, to, currency } = {}) {
+        const zone = this.getZone(id);
+        const spending = this.sumSpending({ zone_id: id }, { from, to, currency });
+        return { zone_id: id, venue_id: zone.venue_id, ...spending };
+    }
+
+    // Adds up the spending of the dispensers matching the location filter within the range.
+    // The amounts are added up per currency across dispensers, so each currency is converted once
+    sumSpending(location, { from, to, currency }) {
+        const range = parseTimeRange(from, to);
+        const dispensers = this.dispenserManager.dispensers.filter((dispenser) => Object.entries(location)
+            .every(([key, value]) => (dispenser[key] || null) === value));
+
+        const totals = {};
+        const spending = dispensers.map((dispenser) => {
+            const usages = this.store.getUsages(dispenser.id) || [];
+            const { amount, currency: billedIn, totals: dispenserTotals } = this.dispenserManager
+                .filterSpending(usages, { ...range, currency });
+
+            for (const [code, total] of Object.entries(dispenserTotals)) {
+                totals[code] = (totals[code] || 0) + total;
+            }
+
+            return {
+                dispenser_id: dispenser.id,
+                zone_id: dispenser.zone_id || null,
+                amount,
+                currency: billedIn,
+                totals: dispenserTotals,
+            };
+        });
+
+        return {
+            ...this.dispenserManager.summarizeTotals(totals, currency),
+            from: range.from,
+            to: range.to,
+            dispensers: spending,
+        };
+    }
+}
+
+function validateName(name, message) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new ValidationError(message);
+    }
+}
+
+module.exports = { VenueManager };
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const messages = require('../constants/messages');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { DispenserEvent } = require('./dispenserManager');
+const { postJson } = require('../utils/httpClient');
+const { pick } = require('../utils/utils');
+
+// Define possible states of a webhook delivery
+const DeliveryStatus = {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+};
+
+// Fields a client may set on a webhook
+const WEBHOOK_FIELDS = ['url', 'events', 'secret', 'active'];
+
+// Returns a webhook without its secret, which is only disclosed when the webhook is created
+function toPublicWebhook({ secret, ...webhook }) {
+    return webhook;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms).unref());
+}
+
+// WebhookManager class to notify external systems, such as a POS or an inventory system, of dispenser events.
+// Every event emitted by the DispenserManager is posted to the active webhooks subscribed to its type.
+// Failed deliveries are retried with exponential backoff and every attempt is kept in the delivery log.
+class WebhookManager {
+    /**
+     * @param {MemoryStore} store - The storage adapter holding the webhooks and their delivery log.
+     * @param {DispenserManager} dispenserManager - The manager whose events are delivered.
+     * @param {Object} [options] - Delivery options. Default to the runtime configuration.
+     * @param {Number} [options.maxAttempts] - The number of attempts before a delivery is marked as failed.
+     * @param {Number} [options.retryBaseMs] - The delay before the first retry. It doubles after each attempt.
+     * @param {Number} [options.timeoutMs] - How long to wait for a response.
+     * @param {Function} [options.send] - The function posting the payload, postJson by default.
+     */
+    constructor(store, dispenserManager, options = {}) {
+        this.store = store;
+        this.maxAttempts = options.maxAttempts || config.WEBHOOK_MAX_ATTEMPTS;
+        this.retryBaseMs = options.retryBaseMs || config.WEBHOOK_RETRY_BASE_MS;
+        this.timeoutMs = options.timeoutMs || config.WEBHOOK_TIMEOUT_MS;
+        this.send = options.send || postJson;
+
+        for (const type of Object.values(DispenserEvent)) {
+            dispenserManager.on(type, (event) => this.dispatch(event));
+        }
+    }
+
+    get webhooks() {
+        return this.store.getWebhooks().map(toPublicWebhook);
+    }
+
+    /**
+     * Subscribes a URL to dispenser events.
+     *
+     * @param {Object} fields - The webhook fields.
+     * @param {string} fields.url - The http or https URL the events are posted to.
+     * @param {Array<string>} [fields.events] - The DispenserEvent types to deliver. All of them when empty or not given.
+     * @param {string} [fields.secret] - The key the payloads are signed with. A random one is generated when not given.
+     * @param {boolean} [fields.active] - Whether events are delivered. Defaults to true.
+     *
+     * @returns {Object} The created webhook, including its secret.
+     *
+     * @throws {Error} If a field is not valid.
+     */
+    createWebhook(fields) {
+        const now = new Date();
+        const webhook = {
+            id: uuidv4(),
+            events: [],
+            secret: crypto.randomBytes(32).toString('hex'),
+            active: true,
+            ...pick(fields, WEBHOOK_FIELDS),
+            created_at: now,
+            updated_at: now,
+        };
+
+        validateWebhook(webhook);
+        this.store.saveWebhook(webhook);
+
+        return webhook;
+    }
+
+    /**
+     * Fetches a single webhook, without its secret.
+     *
+     * @param {string} id - The UUID of the webhook.
+     *
+     * @returns {Object} The webhook.
+     *
+     * @throws {Error} If the webhook with the given id doesn't exist.
+     */
+    getWebhook(id) {
+        return toPublicWebhook(this.findWebhook(id));
+    }
+
+    /**
+     * Updates a webhook. Deliveries already started keep their original payload.
+     *
+     * @param {string} id - The UUID of the webhook.
+     * @param {Object} changes - The fields to update, as in createWebhook.
+     *
+     * @returns {Object} The updated webhook, without its secret.
+     *
+     * @throws {Error} If the webhook doesn't exist or a field is not valid.
+     */
+    updateWebhook(id, changes) {
+        const webhook = this.findWebhook(id);
+        const updated = { ...webhook, ...pick(changes, WEBHOOK_FIELDS), updated_at: new Date() };
+
+        validateWebhook(updated);
+
+        Object.assign(webhook, updated);
+        this.store.saveWebhook(webhook);
+
+        return toPublicWebhook(webhook);
+    }
+
+    /**
+     * Deletes a webhook. Its delivery log is kept.
+     *
+     * @param {string} id - The UUID of the webhook.
+     *
+     * @throws {Error} If the webhook doesn't exist.
+     */
+    deleteWebhook(id) {
+        this.findWebhook(id);
+        this.store.removeWebhook(id);
+    }
+
+    /**
+     * Returns the delivery log of a webhook, oldest first.
+     *
+     * @param {string} id - The UUID of the webhook.
+     *
+     * @returns {Array} The deliveries, each with its event_type, payload, status and attempts.
+     *
+     * @throws {Error} If the webhook doesn't exist.
+     */
+    getDeliveries(id) {
+        this.findWebhook(id);
+        return this.store.getWebhookDeliveries().filter((delivery) => delivery.webhook_id === id);
+    }
+
+    /**
+     * Delivers an event to every active webhook subscribed to its type.
+     *
+     * @param {Object} event - The event emitted by the DispenserManager.
+     *
+     * @returns {Promise} Resolves once every delivery has succeeded or run out of attempts. It never rejects.
+     */
+    dispatch(event) {
+        const webhooks = this.store.getWebhooks().filter((webhook) => webhook.active
+            && (!webhook.events.length || webhook.events.includes(event.type)));
+
+        return Promise.all(webhooks.map((webhook) => this.deliver(webhook, event)));
+    }
+
+    async deliver(webhook, event) {
+        const now = new Date();
+        const delivery = {
+            id: uuidv4(),
+            webhook_id: webhook.id,
+            event_type: event.type,
+            payload: null,
+            status: DeliveryStatus.PENDING,
+            attempts: [],
+            created_at: now,
+            updated_at: now,
+        };
+        const { type, occurred_at, ...data } = event;
+        delivery.payload = JSON.stringify({ id: delivery.id, type, occurred_at, data });
+        this.store.saveWebhookDelivery(delivery);
+
+        while (delivery.status === DeliveryStatus.PENDING) {
+            const attempt = await this.attempt(webhook, delivery);
+
+            delivery.attempts.push(attempt);
+            delivery.updated_at = new Date();
+
+            if (attempt.status_code >= 200 && attempt.status_code < 300) {
+                delivery.status = DeliveryStatus.SUCCEEDED;
+            } else if (delivery.attempts.length >= this.maxAttempts) {
+                delivery.status = DeliveryStatus.FAILED;
+            }
+
+            this.store.saveWebhookDelivery(delivery);
+
+            if (delivery.status === DeliveryStatus.PENDING) {
+                await sleep(this.retryBaseMs * 2 ** (delivery.attempts.length - 1));
+            }
+        }
+
+        return delivery;
+    }
+
+    // Posts the payload once and describes the outcome. Network errors are recorded rather than thrown.
+    async attempt(webhook, delivery) {
+        const attemptedAt = new Date();
+        const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+
+        try {
+            const { status } = await this.send(webhook.url, delivery.payload, {
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.payload)}`,
+            }, this.timeoutMs);
+
+            return { attempted_at: attemptedAt, status_code: status, error: null };
+        } catch (error) {
+            return { attempted_at: attemptedAt, status_code: null, error: error.message };
+        }
+    }
+
+    findWebhook(id) {
+        const webhook = this.store.findWebhook(id);
+        if (!webhook) {
+            throw new NotFoundError(messages.WEBHOOK_NOT_FOUND);
+        }
+
+        return webhook;
+    }
+}
+
+/**
+ * Signs a webhook payload. Receivers verify a delivery by computing the same signature
+ * from the X-Webhook-Timestamp header and the raw body, and comparing it with X-Webhook-Signature.
+ *
+ * @param {string} secret - The webhook secret.
+ * @param {Number} timestamp - The Unix time of the attempt, in seconds.
+ * @param {string} payload - The raw JSON body.
+ *
+ * @returns {string} The hex encoded HMAC-SHA256 of `${timestamp}.${payload}`.
+ */
+function signPayload(secret, timestamp, payload) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+function validateWebhook({ url, events, secret, active }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new ValidationError(messages.INVALID_WEBHOOK_URL);
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new ValidationError(messages.INVALID_WEBHOOK_URL);
+    }
+
+    const types = Object.values(DispenserEvent);
+    if (!Array.isArray(events) || !events.every((type) => types.includes(type))) {
+        throw new ValidationError(messages.INVALID_WEBHOOK_EVENTS);
+    }
+
+    if (typeof secret !== 'string' || secret.length < 16) {
+        throw new ValidationError(messages.INVALID_WEBHOOK_SECRET);
+    }
+
+    if (typeof active !== 'boolean') {
+        throw new ValidationError(messages.INVALID_WEBHOOK_ACTIVE);
+    }
+}
+
+module.exports = { WebhookManager, DeliveryStatus, signPayload };
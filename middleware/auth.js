@@ -0,0 +1,156 @@
+const messages = require('../constants/messages');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Creates the middleware authenticating every request.
+ * The principal is stored on 'req.auth' for the authorize middleware.
+ * When authentication is explicitly disabled, every request is let through.
+ *
+ * @param {AuthManager} authManager - The manager holding the credentials.
+ *
+ * @returns {Function} The middleware.
+ */
+function authenticate(authManager) {
+    return (req, res, next) => {
+        if (!authManager.enabled) {
+            req.auth = { enabled: false, principal: null };
+            return next();
+        }
+
+        try {
+            req.auth = { enabled: true, principal: authManager.authenticate(req.headers) };
+        } catch (error) {
+            if (error instanceof AuthenticationError) {
+                res.set('WWW-Authenticate', 'Bearer');
+            }
+            return next(error);
+        }
+
+        next();
+    };
+}
+
+/**
+ * Creates the middleware restricting a route to some roles.
+ * Credentials bound to a dispenser may only act on the dispenser in the 'id' URL parameter.
+ * Routes allowing them without that parameter must restrict them to their dispenser.
+ *
+ * @param {...string} roles - The roles allowed on the route.
+ *
+ * @returns {Function} The middleware.
+ */
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!req.auth) {
+            return next(new Error('authorize() requires the authenticate() middleware'));
+        }
+
+        if (!req.auth.enabled) {
+            return next();
+        }
+
+        const { principal } = req.auth;
+
+        if (!roles.includes(principal.role)) {
+            return next(new ForbiddenError(messages.INSUFFICIENT_ROLE));
+        }
+
+        // Routes without a dispenser id in the URL, such as the batch ingestion, check the binding themselves
+        if (principal.dispenser_id && req.params.id !== undefined && principal.dispenser_id !== req.params.id) {
+            return next(new ForbiddenError(messages.DISPENSER_ACCESS_DENIED));
+        }
+
+        next();
+    };
+}
+
+/**
+ * Returns the venue the credentials of a request are restricted to.
+ *
+ * @param {Object} req - The request.
+ *
+ * @returns {string|null} The UUID of the venue, or null when the credentials are not restricted to one.
+ */
+function getVenueScope(req) {
+    return (req.auth && req.auth.principal && req.auth.principal.venue_id) || null;
+}
+
+/**
+ * Checks that the credentials of a request may act on a venue.
+ *
+ * @param {Object} req - The request.
+ * @param {string|null} venueId - The UUID of the venue, or null for resources outside any venue.
+ *
+ * @throws {Error} If the credentials are restricted to another venue.
+ */
+function checkVenueAccess(req, venueId) {
+    const scope = getVenueScope(req);
+
+    if (scope && venueId !== scope) {
+        throw new ForbiddenError(messages.VENUE_ACCESS_DENIED);
+    }
+}
+
+/**
+ * Creates the middleware restricting credentials bound to a venue to the resources of that venue.
+ * Resources that don't exist are let through, so the route can answer 404.
+ *
+ * @param {Function} resolveVenueId - Returns the UUID of the venue of the resource targeted by a request,
+ *                                    null for resources outside any venue, or undefined when it doesn't exist.
+ *
+ * @returns {Function} The middleware.
+ */
+function restrictToVenue(resolveVenueId) {
+    return (req, res, next) => {
+        if (!getVenueScope(req)) {
+            return next();
+        }
+
+        try {
+            const venueId = resolveVenueId(req);
+
+            if (venueId !== undefined) {
+                checkVenueAccess(req, venueId);
+            }
+        } catch (error) {
+            return next(error);
+        }
+
+        next();
+    };
+}
+
+/**
+ * Creates the middleware keeping credentials bound to a venue from changing the resources every venue shares,
+ * such as the beverage catalogue and the pricing rules. They can still read them.
+ *
+ * @returns {Function} The middleware.
+ */
+function restrictSharedChanges() {
+    const restrict = restrictToVenue(() => null);
+    return (req, res, next) => (['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? next() : restrict(req, res, next));
+}
+
+/**
+ * Describes who sent a request, for the audit logs.
+ *
+ * @param {Object} req - The request.
+ *
+ * @returns {Object} The 'subject', 'role', 'dispenser_id' and 'venue_id' of the principal, null when authentication
+ *                   is disabled, and the 'ip' of the client.
+ */
+function getCaller(req) {
+    const principal = (req.auth && req.auth.principal) || {};
+
+    return {
+        subject: principal.subject || null,
+        role: principal.role || null,
+        dispenser_id: principal.dispenser_id || null,
+        venue_id: principal.venue_id || null,
+        ip: req.ip || null,
+    };
+}
+
+module.exports = {
+    authenticate, authorize, restrictToVenue, restrictSharedChanges, checkVenueAccess, getVenueScope, getCaller,
+};
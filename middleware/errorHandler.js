@@ -0,0 +1,43 @@
+const messages = require('../constants/messages');
+const logger = require('../utils/logger');
+const { AppError, getErrorCode } = require('../utils/errors');
+
+// Messages of the client errors the body parser exposes, by status. Others keep the message of the parser
+const EXPOSED_MESSAGES = {
+    413: messages.REQUEST_BODY_TOO_LARGE,
+    415: messages.UNSUPPORTED_MEDIA_TYPE,
+};
+
+/**
+ * Express error middleware turning the errors thrown by the routes and managers into JSON responses.
+ * Errors extending AppError are answered with their status, message and code. Malformed JSON bodies are answered
+ * with a 400 status code, and the other client errors the body parser exposes, such as a body too large (413) or in an
+ * unsupported encoding (415), with their own status. Anything else is logged and answered with a generic 500 so internals are not leaked.
+ * Responses have the format { "error": "message", "code": "ERROR_CODE" }.
+ * Express recognizes error middleware by their four parameters, so 'next' is kept even when unused.
+ */
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    if (error instanceof AppError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: messages.INVALID_JSON_BODY, code: 'INVALID_JSON_BODY' });
+    }
+
+    const status = error.status || error.statusCode;
+
+    if (error.expose && status >= 400 && status < 500) {
+        const message = EXPOSED_MESSAGES[status] || error.message;
+        return res.status(status).json({ error: message, code: getErrorCode(message) });
+    }
+
+    logger.error('Unhandled error', { error: error.message, stack: error.stack });
+    return res.status(500).json({ error: messages.INTERNAL_SERVER_ERROR, code: 'INTERNAL_SERVER_ERROR' });
+}
+
+module.exports = { errorHandler };
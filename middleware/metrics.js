@@ -0,0 +1,27 @@
+/**
+ * Creates the middleware measuring every request once its response is sent.
+ * Requests are labelled with the pattern of the route they matched, such as '/dispenser/:id',
+ * so the number of series doesn't grow with the number of dispensers.
+ *
+ * @param {MetricsManager} metricsManager - The manager holding the HTTP metrics.
+ *
+ * @returns {Function} The middleware.
+ */
+function trackRequests(metricsManager) {
+    return (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+
+        res.on('finish', () => {
+            metricsManager.observeRequest({
+                method: req.method,
+                route: req.route ? req.route.path : null,
+                status: res.statusCode,
+                duration: Number(process.hrtime.bigint() - startedAt) / 1e9,
+            });
+        });
+
+        next();
+    };
+}
+
+module.exports = { trackRequests };
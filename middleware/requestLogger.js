@@ -0,0 +1,42 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+
+// Header carrying the correlation id of a request, both in the request and in the response
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Correlation ids accepted from clients; anything else is replaced by a new one
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Creates the middleware giving every request a correlation id and logging it once the response is sent.
+ * The id is taken from the X-Request-Id header when the client sends a valid one, and generated otherwise.
+ * It is returned in the X-Request-Id response header and added to every log entry written while handling the request.
+ *
+ * @returns {Function} The middleware.
+ */
+function requestLogger() {
+    return (req, res, next) => {
+        const header = req.get(REQUEST_ID_HEADER);
+        const requestId = header && VALID_REQUEST_ID.test(header) ? header : uuidv4();
+        const startedAt = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.set(REQUEST_ID_HEADER, requestId);
+
+        res.on('finish', () => {
+            logger.info('request completed', {
+                request_id: requestId,
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+                subject: req.auth && req.auth.principal ? req.auth.principal.subject : null,
+            });
+        });
+
+        requestContext.run({ requestId }, next);
+    };
+}
+
+module.exports = { requestLogger, REQUEST_ID_HEADER };
@@ -0,0 +1,65 @@
+const Ajv = require('ajv');
+const ajvErrors = require('ajv-errors');
+const messages = require('../constants/messages');
+const { ValidationError } = require('../utils/errors');
+
+// Builds a validator. Schema properties may carry an 'errorMessage' reported instead of the generic error.
+function createAjv(options) {
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, ...options });
+    ajvErrors(ajv);
+    // Accepts every date Date.parse understands, as the managers do
+    ajv.addFormat('date-time', (value) => !isNaN(Date.parse(value)));
+    return ajv;
+}
+
+// URL parameters, query strings and headers are always strings, so they are coerced to the types of their schemas.
+// Bodies are JSON and must already have the right types.
+const coercingAjv = createAjv({ coerceTypes: true });
+const strictAjv = createAjv();
+
+// The parts of a request an operation may declare a schema for, and the validator each is checked with
+const PARTS = [
+    { key: 'params', ajv: coercingAjv },
+    { key: 'query', ajv: coercingAjv },
+    { key: 'headers', ajv: coercingAjv },
+    { key: 'body', ajv: strictAjv },
+];
+
+// Turns the first error of a failed validation into a ValidationError
+function toValidationError(part, errors) {
+    const [error] = errors;
+    if (error.keyword === 'errorMessage') {
+        return new ValidationError(error.message);
+    }
+
+    const location = [part, ...error.instancePath.split('/').filter(Boolean)].join('.');
+    return new ValidationError(`${messages.INVALID_REQUEST}: ${location} ${error.message}`, 'INVALID_REQUEST');
+}
+
+/**
+ * Creates the middleware checking a request against the schemas of its operation.
+ * The schemas are compiled once, when the route is declared. The request is not modified: coercion only
+ * happens on a copy, so the managers keep receiving the raw values.
+ *
+ * @param {Object} operation - The operation, as declared in the schemas module.
+ *
+ * @returns {Function} The middleware.
+ */
+function validate(operation) {
+    const validators = PARTS
+        .filter(({ key }) => operation[key])
+        .map(({ key, ajv }) => ({ key, check: ajv.compile(operation[key]) }));
+
+    return (req, res, next) => {
+        for (const { key, check } of validators) {
+            const value = key === 'body' ? req.body : { ...req[key] };
+            if (!check(value)) {
+                return next(toValidationError(key, check.errors));
+            }
+        }
+
+        next();
+    };
+}
+
+module.exports = { validate };
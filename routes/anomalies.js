@@ -0,0 +1,42 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the anomaly detection endpoints.
+ *
+ * @param {AnomalyManager} anomalyManager - The manager holding the rules and the alerts.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (anomalyManager) => {
+    const router = express.Router();
+
+    // Endpoint to get the anomaly rules of a dispenser
+    // Requires 'id' as a URL parameter
+    // Returns the rules, with a null limit for the rules that are not set
+    router.get('/dispenser/:id/anomaly-rules', authorize(Role.ADMIN, Role.STAFF), validate(operations.getAnomalyRules),
+        (req, res) => {
+            res.status(200).json(anomalyManager.getRules(req.params.id));
+        });
+
+    // Endpoint to replace the anomaly rules of a dispenser
+    // Requires 'id' as a URL parameter and accepts 'max_open_seconds', 'max_litres_per_pour', 'max_opens',
+    // 'window_seconds' and 'auto_close' in the request body
+    // Returns the rules
+    router.put('/dispenser/:id/anomaly-rules', authorize(Role.ADMIN), validate(operations.setAnomalyRules), (req, res) => {
+        res.status(200).json(anomalyManager.setRules(req.params.id, req.body));
+    });
+
+    // Endpoint to list the anomalies detected on the dispensers
+    // Accepts optional 'dispenser_id', 'rule', 'from', 'to', 'limit' and 'offset' query parameters
+    // Returns a page of alerts in the order they were detected
+    router.get('/alerts', authorize(Role.ADMIN, Role.STAFF), validate(operations.listAlerts), (req, res) => {
+        const { dispenser_id, rule, from, to, limit, offset } = req.query;
+        res.status(200).json(anomalyManager.getAlerts({ dispenser_id, rule, from, to, limit, offset }));
+    });
+
+    return router;
+};
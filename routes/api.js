@@ -1,95 +1,261 @@
 const express = require('express');
 const router = express.Router();
 const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { BeverageManager } = require('../managers/beverageManager');
+const { PricingRuleManager } = require('../managers/pricingRuleManager');
+const { ReportManager } = require('../managers/reportManager');
+const { ForecastManager } = require('../managers/forecastManager');
+const { ExportManager } = require('../managers/exportManager');
+const { WebhookManager } = require('../managers/webhookManager');
+const { KegManager } = require('../managers/kegManager');
+const { AuditManager } = require('../managers/auditManager');
+const { StatusUpdateManager } = require('../managers/statusUpdateManager');
+const { BatchManager } = require('../managers/batchManager');
+const { MetricsManager } = require('../managers/metricsManager');
+const { AnomalyManager } = require('../managers/anomalyManager');
+const { VenueManager } = require('../managers/venueManager');
+const { TabManager } = require('../managers/tabManager');
+const { CorrectionManager } = require('../managers/correctionManager');
+const { ScheduleManager } = require('../managers/scheduleManager');
+const { InvoiceManager } = require('../managers/invoiceManager');
+const { AuthManager, Role } = require('../managers/authManager');
+const {
+    authenticate, authorize, restrictToVenue, restrictSharedChanges, checkVenueAccess, getVenueScope, getCaller,
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { trackRequests } = require('../middleware/metrics');
+const { operations } = require('../schemas');
+const { createStore } = require('../stores');
+const beverageRoutes = require('./beverages');
+const pricingRuleRoutes = require('./pricingRules');
+const scheduleRoutes = require('./schedules');
+const invoiceRoutes = require('./invoices');
+const reportRoutes = require('./reports');
+const exportRoutes = require('./exports');
+const eventRoutes = require('./events');
+const webhookRoutes = require('./webhooks');
+const kegRoutes = require('./kegs');
+const auditRoutes = require('./audit');
+const batchRoutes = require('./batch');
+const docsRoutes = require('./docs');
+const anomalyRoutes = require('./anomalies');
+const venueRoutes = require('./venues');
+const tabRoutes = require('./tabs');
+const correctionRoutes = require('./corrections');
+const metricsRoutes = require('./metrics');
 const messages = require('../constants/messages');
+const logger = require('../utils/logger');
 
-// Initialize DispenserManager instance
-const dispenserManager = new DispenserManager();
+// Initialize the managers on a shared storage adapter
+const store = createStore();
+const dispenserManager = new DispenserManager(store);
+const beverageManager = new BeverageManager(store);
+const pricingRuleManager = new PricingRuleManager(store);
+const reportManager = new ReportManager(dispenserManager);
+const forecastManager = new ForecastManager(dispenserManager);
+const exportManager = new ExportManager(dispenserManager);
+const webhookManager = new WebhookManager(store, dispenserManager);
+const kegManager = new KegManager(store, dispenserManager);
+const auditManager = new AuditManager(dispenserManager);
+const statusUpdateManager = new StatusUpdateManager(store, dispenserManager);
+const batchManager = new BatchManager(dispenserManager);
+const metricsManager = new MetricsManager(dispenserManager);
+const anomalyManager = new AnomalyManager(store, dispenserManager);
+const venueManager = new VenueManager(store, dispenserManager);
+const tabManager = new TabManager(store, dispenserManager);
+const correctionManager = new CorrectionManager(store, dispenserManager);
+const scheduleManager = new ScheduleManager(store, dispenserManager);
+const invoiceManager = new InvoiceManager(store, dispenserManager);
+const authManager = new AuthManager();
+
+if (!authManager.enabled) {
+    logger.warn('Authentication is disabled: every request is let through with full access');
+} else if (!authManager.configured) {
+    logger.warn('No API keys nor JWT secret are configured: every request needing credentials is rejected');
+}
+
+// Every request is measured, including the ones rejected by the authentication
+router.use(trackRequests(metricsManager));
 
 // Base endpoint to check if the API is working
 router.get('/', (req, res) => {
     res.json({ message: messages.API_WORKING });
 });
 
-// Endpoint to create a new dispenser
-// Requires 'flow_volume' in the request body
-// Returns the created dispenser's id and flow_volume
-router.post('/dispenser', (req, res) => {
-    try {
-        const { flow_volume } = req.body;
-
-        if (!flow_volume) {
-            return res.status(400).json({ error: messages.FLOW_VOLUME_REQUIRED });
-        }
+// API documentation endpoints, public so clients can discover how to authenticate
+router.use(docsRoutes());
 
-        if (typeof flow_volume !== 'number') {
-            return res.status(400).json({ error: messages.FLOW_VOLUME_MUST_BE_NUMBER });
-        }
+// Every endpoint below requires credentials unless authentication is explicitly disabled
+router.use(authenticate(authManager));
 
-        if (flow_volume <= 0) {
-            return res.status(400).json({ error: messages.FLOW_VOLUME_POSITIVE });
-        }
+// Credentials restricted to a venue may only reach the dispensers, venues and zones of that venue,
+// and none of the endpoints spanning every venue
+router.use(['/dispenser/status/batch', '/events', '/usages', '/reports', '/alerts', '/webhook'],
+    restrictToVenue(() => null));
+// The beverage catalogue and the pricing rules bill every venue, so only credentials spanning every venue change them
+router.use(['/beverage', '/pricing-rule'], restrictSharedChanges());
+router.use('/dispenser/:id', restrictToVenue((req) => venueManager.findVenueId('dispenser', req.params.id)));
+router.use('/venue/:id', restrictToVenue((req) => venueManager.findVenueId('venue', req.params.id)));
+router.use('/zone/:id', restrictToVenue((req) => venueManager.findVenueId('zone', req.params.id)));
+router.use('/tab/:id', restrictToVenue((req) => venueManager.findVenueId('tab', req.params.id)));
+router.use('/schedule/:id', restrictToVenue((req) => venueManager.findVenueId('schedule', req.params.id)));
+router.use('/invoice/:id', restrictToVenue((req) => venueManager.findVenueId('invoice', req.params.id)));
 
-        const dispenser = dispenserManager.createDispenser(flow_volume);
-        res.status(200).json({ id: dispenser.id, flow_volume: dispenser.flow_volume });
-    } catch (error) {
-        if (error.message === messages.INVALID_FLOW) {
-            res.status(400).json({ error: error.message });
-        } else {
-            res.status(500).json({ error: messages.INTERNAL_SERVER_ERROR });
-        }
+// Checks that credentials restricted to a venue only install dispensers in that venue
+function checkLocationAccess(req, { venue_id, zone_id }) {
+    if (venue_id !== undefined) {
+        checkVenueAccess(req, venue_id);
     }
+
+    const zoneVenueId = zone_id ? venueManager.findVenueId('zone', zone_id) : undefined;
+
+    if (zoneVenueId !== undefined) {
+        checkVenueAccess(req, zoneVenueId);
+    }
+}
+
+// Endpoint to create a new dispenser
+// Requires 'flow_volume' in the request body and accepts optional 'beverage_id', 'venue_id' and 'zone_id'
+// Credentials restricted to a venue install the dispenser in their venue by default
+// Returns the created dispenser's id, flow_volume, beverage_id, venue_id and zone_id
+router.post('/dispenser', authorize(Role.ADMIN), validate(operations.createDispenser), (req, res) => {
+    const { flow_volume, beverage_id, zone_id } = req.body;
+    const venue_id = req.body.venue_id === undefined && !zone_id ? getVenueScope(req) || undefined : req.body.venue_id;
+
+    checkLocationAccess(req, { venue_id, zone_id });
+
+    const dispenser = dispenserManager.createDispenser(flow_volume, beverage_id, { venue_id, zone_id });
+    res.status(200).json({
+        id: dispenser.id,
+        flow_volume: dispenser.flow_volume,
+        beverage_id: dispenser.beverage_id,
+        venue_id: dispenser.venue_id,
+        zone_id: dispenser.zone_id,
+    });
+});
+
+// Endpoint to list dispensers
+// Accepts optional 'state', 'retired', 'venue_id', 'zone_id', 'limit' and 'offset' query parameters
+// Credentials restricted to a venue only get the dispensers of their venue
+// Returns a page of dispensers along with the total number of matches
+router.get('/dispenser', authorize(Role.ADMIN, Role.STAFF), validate(operations.listDispensers), (req, res) => {
+    const { state, retired, venue_id = getVenueScope(req) || undefined, zone_id, limit, offset } = req.query;
+
+    checkLocationAccess(req, { venue_id, zone_id });
+
+    res.status(200).json(dispenserManager.listDispensers({ state, retired, venue_id, zone_id, limit, offset }));
+});
+
+// Endpoint to get a single dispenser
+// Requires 'id' as a URL parameter
+// Returns the dispenser with its current lock
+router.get('/dispenser/:id', authorize(Role.ADMIN, Role.STAFF, Role.TAP), validate(operations.getDispenser),
+    (req, res) => {
+        res.status(200).json(dispenserManager.describeDispenser(dispenserManager.getDispenser(req.params.id)));
+    });
+
+// Endpoint to update a dispenser
+// Requires 'id' as a URL parameter and 'flow_volume', 'beverage_id', 'venue_id' and/or 'zone_id' in the request body
+// Returns the updated dispenser with its current lock
+router.patch('/dispenser/:id', authorize(Role.ADMIN), validate(operations.updateDispenser), (req, res) => {
+    const { flow_volume, beverage_id, venue_id, zone_id } = req.body;
+
+    checkLocationAccess(req, { venue_id, zone_id });
+
+    const dispenser = dispenserManager.updateDispenser(req.params.id, { flow_volume, beverage_id, venue_id, zone_id });
+    res.status(200).json(dispenserManager.describeDispenser(dispenser));
+});
+
+// Endpoint to retire a dispenser
+// Requires 'id' as a URL parameter
+// The dispenser is soft-deleted: it stays listed and its spending remains readable
+// Returns the retired dispenser with its current lock
+router.delete('/dispenser/:id', authorize(Role.ADMIN), validate(operations.retireDispenser), (req, res) => {
+    res.status(200).json(dispenserManager.describeDispenser(dispenserManager.retireDispenser(req.params.id)));
 });
 
 // Endpoint to update the status of a dispenser
 // Requires 'id' as a URL parameter and 'status' and 'updated_at' in the request body
+// Accepts an optional 'tab_id' in the request body, attributing the usage opened to a customer tab
+// Accepts an optional 'Idempotency-Key' header: retries with the same key get the original result back
 // Returns the dispenser's updated status and 'updated_at' timestamp
-router.put('/dispenser/:id/status', (req, res) => {
-    try {
+router.put('/dispenser/:id/status', authorize(Role.ADMIN, Role.TAP), validate(operations.changeDispenserStatus),
+    (req, res) => {
         const { id } = req.params;
-        const { status, updated_at } = req.body;
+        const { status, updated_at, tab_id = null } = req.body;
+        const result = statusUpdateManager.submit(id, status, new Date(updated_at), {
+            caller: getCaller(req),
+            idempotencyKey: req.get('Idempotency-Key'),
+            tabId: status === DispenserState.OPEN ? tab_id : null,
+        });
 
-        if (!status || !updated_at) {
-            return res.status(400).json({ error: messages.STATUS_UPDATED_AT_FIELDS_REQUIRED });
+        if (result.replayed) {
+            res.set('Idempotent-Replayed', 'true');
         }
 
-        const result = dispenserManager.changeDispenserStatus(id, status, new Date(updated_at));
-
         if (!result.success) {
             return res.status(409).json({ message: messages.DISPENSER_ALREADY_IN_DESIRED_STATE });
         }
 
         return res.status(202).send();
-    } catch (error) {
-        if (error.message === messages.INVALID_DISPENSER_STATUS) {
-            res.status(400).json({ error: error.message });
-        } else if (error.message === messages.INVALID_DATE_FORMAT) {
-            res.status(400).json({ error: error.message });
-        } else if (error.message === messages.DISPENSER_NOT_FOUND) {
-            res.status(404).json({ error: error.message });
-        } else {
-            res.status(500).json({ error: messages.INTERNAL_SERVER_ERROR });
-        }
-    }
-});
+    });
 
 // Endpoint to get the spending history of a dispenser
-// Requires 'id' as a URL parameter
-// Returns the total amount spent and an array of statusChange objects
-router.get('/dispenser/:id/spending', (req, res) => {
-    try {
-        const { id } = req.params;
-        const spending = dispenserManager.getSpending(id);
-        res.status(200).json(spending);
-    } catch (error) {
-        if (error.message === messages.DISPENSER_NOT_FOUND) {
-            res.status(404).json({ error: error.message });
-        } else if (error.message === messages.INVALID_DISPENSER_STATUS) {
-            res.status(400).json({ error: error.message });
-        } else {
-            res.status(500).json({ error: messages.INTERNAL_SERVER_ERROR });
-        }
-    }
-});
+// Requires 'id' as a URL parameter and accepts optional 'from', 'to', 'limit', 'offset', 'sort' and 'currency'
+// query parameters
+// Returns the total amount spent, in minor units of its currency, and an array of statusChange objects
+router.get('/dispenser/:id/spending', authorize(Role.ADMIN, Role.STAFF), validate(operations.getSpending),
+    (req, res) => {
+        const { from, to, limit, offset, sort, currency } = req.query;
+        res.status(200).json(dispenserManager.getSpending(req.params.id, { from, to, limit, offset, sort, currency }));
+    });
+
+// Usage correction endpoints
+router.use(correctionRoutes(correctionManager));
+
+// Venue and zone endpoints
+router.use(venueRoutes(venueManager));
+
+// Customer tab endpoints
+router.use(tabRoutes(tabManager));
+
+// Beverage catalogue endpoints
+router.use(beverageRoutes(beverageManager));
+
+// Pricing rule endpoints
+router.use(pricingRuleRoutes(pricingRuleManager));
+
+// Opening hours and maintenance window endpoints
+router.use(scheduleRoutes(scheduleManager, venueManager));
+
+// Invoice endpoints
+router.use(invoiceRoutes(invoiceManager, venueManager));
+
+// Reporting endpoints
+router.use(reportRoutes(reportManager, forecastManager));
+
+// Usage export endpoints
+router.use(exportRoutes(exportManager));
+
+// Real-time event endpoints
+router.use(eventRoutes(dispenserManager));
+
+// Webhook subscription endpoints
+router.use(webhookRoutes(webhookManager));
+
+// Keg inventory endpoints
+router.use(kegRoutes(kegManager));
+
+// Audit log endpoints
+router.use(auditRoutes(auditManager));
+
+// Batch ingestion endpoints
+router.use(batchRoutes(batchManager));
+
+// Anomaly detection endpoints
+router.use(anomalyRoutes(anomalyManager));
 
 module.exports = router;
+
+// Monitoring endpoints, mounted at the root of the app where Prometheus scrapes them
+module.exports.monitoringRoutes = metricsRoutes(metricsManager, authManager);
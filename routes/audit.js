@@ -0,0 +1,27 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the audit log endpoints.
+ *
+ * @param {AuditManager} auditManager - The manager reading the audit log.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (auditManager) => {
+    const router = express.Router();
+
+    // Endpoint to get the audit log of the status change attempts of a dispenser
+    // Requires 'id' as a URL parameter and accepts optional 'outcome', 'from', 'to', 'limit' and 'offset' query parameters
+    // Returns a page of attempts, accepted and rejected, in the order they were received
+    router.get('/dispenser/:id/audit', authorize(Role.ADMIN, Role.STAFF), validate(operations.getAuditLog),
+        (req, res) => {
+            const { outcome, from, to, limit, offset } = req.query;
+            res.status(200).json(auditManager.getAuditLog(req.params.id, { outcome, from, to, limit, offset }));
+        });
+
+    return router;
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const { authorize, getCaller } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the batch ingestion endpoints.
+ *
+ * @param {BatchManager} batchManager - The manager applying the batches.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (batchManager) => {
+    const router = express.Router();
+
+    // Endpoint to apply a batch of status events buffered by tap controllers while offline
+    // Requires 'events' in the request body, each with 'dispenser_id', 'status' and 'updated_at',
+    // and accepts an optional 'mode', either 'partial' (default) or 'atomic' per dispenser
+    // Taps may only send events of their own dispenser
+    // Returns the result of each event
+    router.post('/dispenser/status/batch', authorize(Role.ADMIN, Role.TAP), validate(operations.ingestStatusBatch),
+        (req, res) => {
+            const { events, mode } = req.body;
+            res.status(200).json(batchManager.ingest(events, { mode, caller: getCaller(req) }));
+        });
+
+    return router;
+};
@@ -0,0 +1,49 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the beverage catalogue endpoints.
+ *
+ * @param {BeverageManager} beverageManager - The manager holding the catalogue.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (beverageManager) => {
+    const router = express.Router();
+
+    // Endpoint to create a new beverage
+    // Requires 'name' and 'price_per_litre' in the request body and accepts an optional 'currency'
+    // Returns the created beverage
+    router.post('/beverage', authorize(Role.ADMIN), validate(operations.createBeverage), (req, res) => {
+        const { name, price_per_litre, currency } = req.body;
+        const beverage = beverageManager.createBeverage({ name, price_per_litre, currency });
+        res.status(201).json(beverage);
+    });
+
+    // Endpoint to list the beverage catalogue
+    // Returns all the beverages
+    router.get('/beverage', authorize(Role.ADMIN, Role.STAFF), validate(operations.listBeverages), (req, res) => {
+        res.status(200).json({ beverages: beverageManager.beverages });
+    });
+
+    // Endpoint to get a single beverage
+    // Requires 'id' as a URL parameter
+    // Returns the beverage
+    router.get('/beverage/:id', authorize(Role.ADMIN, Role.STAFF), validate(operations.getBeverage), (req, res) => {
+        res.status(200).json(beverageManager.getBeverage(req.params.id));
+    });
+
+    // Endpoint to update a beverage
+    // Requires 'id' as a URL parameter and accepts 'name', 'price_per_litre' and 'currency' in the request body
+    // Returns the updated beverage. Usages already opened keep the price they were opened with
+    router.patch('/beverage/:id', authorize(Role.ADMIN), validate(operations.updateBeverage), (req, res) => {
+        const { name, price_per_litre, currency } = req.body;
+        const beverage = beverageManager.updateBeverage(req.params.id, { name, price_per_litre, currency });
+        res.status(200).json(beverage);
+    });
+
+    return router;
+};
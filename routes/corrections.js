@@ -0,0 +1,40 @@
+const express = require('express');
+const { authorize, getCaller } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the usage correction endpoints.
+ *
+ * @param {CorrectionManager} correctionManager - The manager correcting the usages.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (correctionManager) => {
+    const router = express.Router();
+
+    // Endpoint to amend or void a closed usage of a dispenser
+    // Requires 'id' and 'index' as URL parameters, and 'action' and 'reason' in the request body
+    // Accepts 'flow_volume', 'opened_at' and 'closed_at' in the request body to amend the usage
+    // Returns the corrected usage with its corrections
+    router.post('/dispenser/:id/usages/:index/corrections', authorize(Role.ADMIN), validate(operations.correctUsage),
+        (req, res) => {
+            const { action, reason, flow_volume, opened_at, closed_at } = req.body;
+            const usage = correctionManager.correctUsage(req.params.id, Number(req.params.index), {
+                action, reason, flow_volume, opened_at, closed_at,
+            }, getCaller(req));
+
+            res.status(201).json(usage);
+        });
+
+    // Endpoint to list the corrections made to the usages of a dispenser
+    // Requires 'id' as a URL parameter
+    // Returns the corrections in the order they were made, each with the index of its usage
+    router.get('/dispenser/:id/corrections', authorize(Role.ADMIN, Role.STAFF), validate(operations.listCorrections),
+        (req, res) => {
+            res.status(200).json(correctionManager.getCorrections(req.params.id));
+        });
+
+    return router;
+};
@@ -0,0 +1,52 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { operations, components } = require('../schemas');
+
+// The Swagger UI page, loading its assets and the document from the given base path
+function renderViewer(basePath) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Beer tap dispenser API</title>
+    <link rel="stylesheet" href="${basePath}/docs/assets/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${basePath}/docs/assets/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '${basePath}/docs/openapi.json', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Creates the router for the API documentation endpoints.
+ * The OpenAPI document is built once, from the schemas the requests are validated with.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = () => {
+    const router = express.Router();
+    const document = buildOpenApiDocument(operations, components);
+
+    // Endpoint to get the OpenAPI document of the API
+    // Returns the document as JSON
+    router.get('/docs/openapi.json', (req, res) => {
+        res.status(200).json(document);
+    });
+
+    // Endpoint to browse the API documentation
+    // Returns an interactive Swagger UI page
+    router.get('/docs', (req, res) => {
+        res.status(200).type('html').send(renderViewer(req.baseUrl));
+    });
+
+    // The static files of the Swagger UI page
+    router.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+    return router;
+};
@@ -0,0 +1,96 @@
+const express = require('express');
+const config = require('../config/config');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+const { DispenserEvent, DispenserState } = require('../managers/dispenserManager');
+
+// Event sent periodically with the running total of each open dispenser
+const TICK_EVENT = 'dispenser.tick';
+
+// Writes one Server-Sent Event
+function sendEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Opens a Server-Sent Events stream with the domain events of all dispensers, or of a single one.
+ * While a dispenser is open, a tick with its running total is sent every EVENT_TICK_INTERVAL_MS.
+ * The listeners and the timer are released when the client disconnects.
+ */
+function streamEvents(req, res, dispenserManager, dispenserId) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const listeners = Object.values(DispenserEvent).map((type) => {
+        const listener = (event) => {
+            if (!dispenserId || event.dispenser.id === dispenserId) {
+                sendEvent(res, type, event);
+            }
+        };
+
+        dispenserManager.on(type, listener);
+        return [type, listener];
+    });
+
+    const tick = setInterval(() => {
+        const now = new Date();
+        const dispensers = dispenserId
+            ? [dispenserManager.getDispenser(dispenserId)]
+            : dispenserManager.dispensers;
+
+        for (const dispenser of dispensers) {
+            if (dispenser.state !== DispenserState.OPEN) {
+                continue;
+            }
+
+            const runningTotal = dispenserManager.getRunningTotal(dispenser.id, now);
+            if (runningTotal) {
+                sendEvent(res, TICK_EVENT, { type: TICK_EVENT, dispenser_id: dispenser.id, ...runningTotal, occurred_at: now });
+            }
+        }
+    }, config.EVENT_TICK_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(tick);
+        for (const [type, listener] of listeners) {
+            dispenserManager.off(type, listener);
+        }
+    });
+}
+
+/**
+ * Creates the router for the real-time event endpoints.
+ *
+ * @param {DispenserManager} dispenserManager - The manager emitting the events.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (dispenserManager) => {
+    const router = express.Router();
+
+    // Every open stream adds its own listeners, so the default limit of 10 would be reached quickly
+    dispenserManager.setMaxListeners(0);
+
+    // Endpoint to subscribe to the events of all dispensers
+    // Streams Server-Sent Events until the client disconnects
+    router.get('/events', authorize(Role.ADMIN, Role.STAFF), validate(operations.streamEvents), (req, res) => {
+        streamEvents(req, res, dispenserManager);
+    });
+
+    // Endpoint to subscribe to the events of a dispenser
+    // Requires 'id' as a URL parameter
+    // Streams Server-Sent Events until the client disconnects
+    router.get('/dispenser/:id/events', authorize(Role.ADMIN, Role.STAFF), validate(operations.streamDispenserEvents),
+        (req, res) => {
+            dispenserManager.getDispenser(req.params.id);
+            streamEvents(req, res, dispenserManager, req.params.id);
+        });
+
+    return router;
+};
@@ -0,0 +1,61 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+const { ExportFormat, CONTENT_TYPES } = require('../managers/exportManager');
+
+// Picks the export format from the 'format' query parameter, or else from the Accept header. Defaults to CSV.
+function resolveFormat(req) {
+    if (req.query.format !== undefined) {
+        return req.query.format;
+    }
+
+    return req.accepts(Object.values(CONTENT_TYPES)) === CONTENT_TYPES[ExportFormat.NDJSON]
+        ? ExportFormat.NDJSON
+        : ExportFormat.CSV;
+}
+
+function sendExport(res, exportManager, format, options) {
+    // The export is validated before anything is sent, so errors still get a JSON response
+    const stream = exportManager.createExportStream(format, options);
+
+    // attachment() guesses the content type from the file name, so the type is set afterwards
+    res.status(200);
+    res.attachment(`usages.${format}`);
+    res.type(CONTENT_TYPES[format]);
+
+    // Headers are already sent if the stream fails, so the response can only be aborted
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+}
+
+/**
+ * Creates the router for the usage export endpoints.
+ *
+ * @param {ExportManager} exportManager - The manager building the exports.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (exportManager) => {
+    const router = express.Router();
+
+    // Endpoint to export the usages of all dispensers
+    // Accepts optional 'format', 'from' and 'to' query parameters
+    // Streams the usages as CSV or NDJSON
+    router.get('/usages/export', authorize(Role.ADMIN, Role.STAFF), validate(operations.exportUsages), (req, res) => {
+        const { from, to } = req.query;
+        sendExport(res, exportManager, resolveFormat(req), { from, to });
+    });
+
+    // Endpoint to export the usages of a dispenser
+    // Requires 'id' as a URL parameter and accepts optional 'format', 'from' and 'to' query parameters
+    // Streams the usages as CSV or NDJSON
+    router.get('/dispenser/:id/usages/export', authorize(Role.ADMIN, Role.STAFF),
+        validate(operations.exportDispenserUsages), (req, res) => {
+            const { from, to } = req.query;
+            sendExport(res, exportManager, resolveFormat(req), { dispenserId: req.params.id, from, to });
+        });
+
+    return router;
+};
@@ -0,0 +1,90 @@
+const express = require('express');
+const { authorize, checkVenueAccess, getVenueScope } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+const { InvoiceFormat, CONTENT_TYPES } = require('../managers/invoiceManager');
+
+// Picks the document format from the 'format' query parameter, or else from the Accept header. Defaults to JSON.
+function resolveFormat(req) {
+    if (req.query.format !== undefined) {
+        return req.query.format;
+    }
+
+    const type = req.accepts(Object.values(CONTENT_TYPES));
+    const format = Object.keys(CONTENT_TYPES).find((key) => CONTENT_TYPES[key] === type);
+    return format || InvoiceFormat.JSON;
+}
+
+/**
+ * Creates the router for the invoice endpoints.
+ * Credentials restricted to a venue are checked against the venue of the invoice in the URL before these routes run.
+ *
+ * @param {InvoiceManager} invoiceManager - The manager issuing the invoices.
+ * @param {VenueManager} venueManager - The manager finding the venue of the dispensers to invoice.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (invoiceManager, venueManager) => {
+    const router = express.Router();
+
+    // Checks that credentials restricted to a venue only invoice that venue and its dispensers
+    const checkTargetAccess = (req, { dispenser_id, venue_id }) => {
+        if (venue_id) {
+            checkVenueAccess(req, venue_id);
+        }
+
+        const dispenserVenueId = dispenser_id ? venueManager.findVenueId('dispenser', dispenser_id) : undefined;
+
+        if (dispenserVenueId !== undefined) {
+            checkVenueAccess(req, dispenserVenueId);
+        }
+    };
+
+    // Endpoint to issue an invoice
+    // Requires 'from', 'to' and either 'dispenser_id' or 'venue_id' in the request body, and accepts an optional
+    // 'currency'. Credentials restricted to a venue invoice their venue by default
+    // Returns the issued invoice
+    router.post('/invoice', authorize(Role.ADMIN, Role.STAFF), validate(operations.issueInvoice), (req, res) => {
+        const { dispenser_id, from, to, currency } = req.body;
+        const venue_id = req.body.venue_id === undefined && !dispenser_id
+            ? getVenueScope(req) || undefined
+            : req.body.venue_id;
+
+        checkTargetAccess(req, { dispenser_id, venue_id });
+
+        res.status(201).json(invoiceManager.issueInvoice({ dispenser_id, venue_id, from, to, currency }));
+    });
+
+    // Endpoint to list the invoices
+    // Accepts optional 'dispenser_id', 'venue_id', 'limit' and 'offset' query parameters
+    // Returns a page of invoices, only the ones of their venue for credentials restricted to a venue
+    router.get('/invoice', authorize(Role.ADMIN, Role.STAFF), validate(operations.listInvoices), (req, res) => {
+        const { dispenser_id, venue_id = getVenueScope(req) || undefined, limit, offset } = req.query;
+
+        checkTargetAccess(req, { dispenser_id, venue_id });
+
+        res.status(200).json(invoiceManager.listInvoices({ dispenser_id, venue_id, limit, offset }));
+    });
+
+    // Endpoint to get an invoice
+    // Requires 'id' as a URL parameter and accepts an optional 'format' query parameter
+    // Returns the invoice as JSON, or as an HTML or PDF document to print
+    router.get('/invoice/:id', authorize(Role.ADMIN, Role.STAFF), validate(operations.getInvoice), (req, res) => {
+        const format = resolveFormat(req);
+        const invoice = invoiceManager.getInvoice(req.params.id);
+
+        if (format === InvoiceFormat.JSON) {
+            res.status(200).json(invoice);
+            return;
+        }
+
+        const { content, content_type, filename } = invoiceManager.renderInvoice(invoice, format);
+        res.status(200);
+        res.type(content_type);
+        res.set('Content-Disposition', `inline; filename="${filename}"`);
+        res.send(content);
+    });
+
+    return router;
+};
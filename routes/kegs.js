@@ -0,0 +1,42 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the keg inventory endpoints.
+ *
+ * @param {KegManager} kegManager - The manager tracking the kegs.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (kegManager) => {
+    const router = express.Router();
+
+    // Endpoint to attach a new keg to a dispenser, swapping the current one if any
+    // Requires 'id' as a URL parameter and 'capacity_litres' in the request body,
+    // and accepts optional 'remaining_litres' and 'low_level_litres'
+    // Returns the attached keg
+    router.post('/dispenser/:id/keg', authorize(Role.ADMIN, Role.STAFF), validate(operations.attachKeg), (req, res) => {
+        const { capacity_litres, remaining_litres, low_level_litres } = req.body;
+        const keg = kegManager.attachKeg(req.params.id, { capacity_litres, remaining_litres, low_level_litres });
+        res.status(201).json(keg);
+    });
+
+    // Endpoint to get the level of the keg attached to a dispenser
+    // Requires 'id' as a URL parameter
+    // Returns the keg with its remaining volume and, while open, the estimated time to empty
+    router.get('/dispenser/:id/keg', authorize(Role.ADMIN, Role.STAFF), validate(operations.getKeg), (req, res) => {
+        res.status(200).json(kegManager.getKegStatus(req.params.id));
+    });
+
+    // Endpoint to get the kegs attached to a dispenser over time
+    // Requires 'id' as a URL parameter
+    // Returns the kegs, oldest first
+    router.get('/dispenser/:id/kegs', authorize(Role.ADMIN, Role.STAFF), validate(operations.listKegs), (req, res) => {
+        res.status(200).json({ kegs: kegManager.getKegHistory(req.params.id) });
+    });
+
+    return router;
+};
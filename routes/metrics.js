@@ -0,0 +1,37 @@
+const express = require('express');
+const config = require('../config/config');
+const { authenticate, authorize, restrictToVenue } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { trackRequests } = require('../middleware/metrics');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the monitoring endpoints. It is mounted at the root of the app, where Prometheus
+ * scrapes the metrics by default.
+ *
+ * @param {MetricsManager} metricsManager - The manager holding the metrics.
+ * @param {AuthManager} authManager - The manager holding the credentials, used when the metrics are protected.
+ * @param {Object} [options]
+ * @param {boolean} [options.protect] - Whether scraping requires admin or staff credentials spanning every venue.
+ *                                      Scrapers don't send credentials unless configured to, so it is off by default.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (metricsManager, authManager, { protect = config.METRICS_AUTH } = {}) => {
+    const router = express.Router();
+    const guards = protect
+        ? [authenticate(authManager), restrictToVenue(() => null), authorize(Role.ADMIN, Role.STAFF)]
+        : [];
+
+    // Endpoint to scrape the metrics of the API and the dispensers
+    // Returns the metrics in the Prometheus text format
+    router.get('/metrics', trackRequests(metricsManager), ...guards, validate(operations.getMetrics),
+        (req, res, next) => {
+            metricsManager.metrics()
+                .then((text) => res.status(200).type(metricsManager.contentType).send(text))
+                .catch(next);
+        });
+
+    return router;
+};
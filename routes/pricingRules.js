@@ -0,0 +1,56 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the pricing rule endpoints.
+ *
+ * @param {PricingRuleManager} pricingRuleManager - The manager holding the pricing rules.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (pricingRuleManager) => {
+    const router = express.Router();
+
+    // Endpoint to create a new pricing rule
+    // Requires 'name', 'adjustment' and 'value' in the request body and accepts optional 'beverage_id',
+    // 'weekdays', 'start_time', 'end_time', 'start_at', 'end_at' and 'priority'
+    // Returns the created pricing rule
+    router.post('/pricing-rule', authorize(Role.ADMIN), validate(operations.createPricingRule), (req, res) => {
+        res.status(201).json(pricingRuleManager.createPricingRule(req.body));
+    });
+
+    // Endpoint to list the pricing rules
+    // Returns all the pricing rules
+    router.get('/pricing-rule', authorize(Role.ADMIN, Role.STAFF), validate(operations.listPricingRules),
+        (req, res) => {
+            res.status(200).json({ pricing_rules: pricingRuleManager.pricingRules });
+        });
+
+    // Endpoint to get a single pricing rule
+    // Requires 'id' as a URL parameter
+    // Returns the pricing rule
+    router.get('/pricing-rule/:id', authorize(Role.ADMIN, Role.STAFF), validate(operations.getPricingRule),
+        (req, res) => {
+            res.status(200).json(pricingRuleManager.getPricingRule(req.params.id));
+        });
+
+    // Endpoint to update a pricing rule
+    // Requires 'id' as a URL parameter and accepts the same fields as the creation in the request body
+    // Returns the updated pricing rule
+    router.patch('/pricing-rule/:id', authorize(Role.ADMIN), validate(operations.updatePricingRule), (req, res) => {
+        res.status(200).json(pricingRuleManager.updatePricingRule(req.params.id, req.body));
+    });
+
+    // Endpoint to delete a pricing rule
+    // Requires 'id' as a URL parameter
+    // Returns 204 and an empty body
+    router.delete('/pricing-rule/:id', authorize(Role.ADMIN), validate(operations.deletePricingRule), (req, res) => {
+        pricingRuleManager.deletePricingRule(req.params.id);
+        res.status(204).send();
+    });
+
+    return router;
+};
@@ -0,0 +1,35 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the reporting endpoints.
+ *
+ * @param {ReportManager} reportManager - The manager building the reports.
+ * @param {ForecastManager} forecastManager - The manager forecasting the coming days.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (reportManager, forecastManager) => {
+    const router = express.Router();
+
+    // Endpoint to get the revenue aggregated across all dispensers
+    // Accepts optional 'from', 'to', 'group_by' and 'currency' query parameters
+    // Returns the amount, litres, pours and open time per group and in total
+    router.get('/reports/revenue', authorize(Role.ADMIN, Role.STAFF), validate(operations.getRevenue), (req, res) => {
+        const { from, to, group_by, currency } = req.query;
+        res.status(200).json(reportManager.getRevenue({ from, to, group_by, currency }));
+    });
+
+    // Endpoint to forecast the litres poured and the revenue of the coming days from the usage history
+    // Accepts optional 'days', 'method', 'group_by', 'history_days', 'alpha' and 'currency' query parameters
+    // Returns the expected litres and revenue with their confidence bands, per group and per day
+    router.get('/reports/forecast', authorize(Role.ADMIN, Role.STAFF), validate(operations.getForecast), (req, res) => {
+        const { days, method, group_by, history_days, alpha, currency } = req.query;
+        res.status(200).json(forecastManager.getForecast({ days, method, group_by, history_days, alpha, currency }));
+    });
+
+    return router;
+};
@@ -0,0 +1,84 @@
+const express = require('express');
+const { authorize, checkVenueAccess, getVenueScope } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the schedule endpoints.
+ * Credentials restricted to a venue are checked against the venue of the schedule in the URL before these routes run.
+ *
+ * @param {ScheduleManager} scheduleManager - The manager holding the schedules.
+ * @param {VenueManager} venueManager - The manager finding the venue of the dispensers the schedules apply to.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (scheduleManager, venueManager) => {
+    const router = express.Router();
+
+    // Checks that credentials restricted to a venue only schedule the dispensers of that venue
+    const checkTargetAccess = (req, { dispenser_id, venue_id }) => {
+        if (venue_id) {
+            checkVenueAccess(req, venue_id);
+        }
+
+        const dispenserVenueId = dispenser_id ? venueManager.findVenueId('dispenser', dispenser_id) : undefined;
+
+        if (dispenserVenueId !== undefined) {
+            checkVenueAccess(req, dispenserVenueId);
+        }
+    };
+
+    // Endpoint to create a schedule
+    // Requires 'name', 'type' and either 'dispenser_id' or 'venue_id' in the request body, and accepts optional
+    // 'weekdays', 'start_time', 'end_time', 'start_at' and 'end_at'
+    // Returns the created schedule
+    router.post('/schedule', authorize(Role.ADMIN), validate(operations.createSchedule), (req, res) => {
+        checkTargetAccess(req, req.body);
+        res.status(201).json(scheduleManager.createSchedule(req.body));
+    });
+
+    // Endpoint to list the schedules
+    // Accepts optional 'type', 'dispenser_id', 'venue_id', 'limit' and 'offset' query parameters
+    // Returns a page of schedules, only the ones of their venue for credentials restricted to a venue
+    router.get('/schedule', authorize(Role.ADMIN, Role.STAFF), validate(operations.listSchedules), (req, res) => {
+        const { type, dispenser_id, venue_id = getVenueScope(req) || undefined, limit, offset } = req.query;
+
+        checkTargetAccess(req, { dispenser_id, venue_id });
+
+        res.status(200).json(scheduleManager.listSchedules({ type, dispenser_id, venue_id, limit, offset }));
+    });
+
+    // Endpoint to get a single schedule
+    // Requires 'id' as a URL parameter
+    // Returns the schedule
+    router.get('/schedule/:id', authorize(Role.ADMIN, Role.STAFF), validate(operations.getSchedule), (req, res) => {
+        res.status(200).json(scheduleManager.getSchedule(req.params.id));
+    });
+
+    // Endpoint to update a schedule
+    // Requires 'id' as a URL parameter and accepts the same fields as the creation in the request body
+    // Returns the updated schedule
+    router.patch('/schedule/:id', authorize(Role.ADMIN), validate(operations.updateSchedule), (req, res) => {
+        checkTargetAccess(req, req.body);
+        res.status(200).json(scheduleManager.updateSchedule(req.params.id, req.body));
+    });
+
+    // Endpoint to delete a schedule
+    // Requires 'id' as a URL parameter
+    // Returns 204 and an empty body
+    router.delete('/schedule/:id', authorize(Role.ADMIN), validate(operations.deleteSchedule), (req, res) => {
+        scheduleManager.deleteSchedule(req.params.id);
+        res.status(204).send();
+    });
+
+    // Endpoint to get whether a dispenser can be opened now
+    // Requires 'id' as a URL parameter
+    // Returns the lock state of the dispenser and when it changes
+    router.get('/dispenser/:id/lock', authorize(Role.ADMIN, Role.STAFF, Role.TAP),
+        validate(operations.getDispenserLock), (req, res) => {
+            res.status(200).json(scheduleManager.getLock(req.params.id));
+        });
+
+    return router;
+};
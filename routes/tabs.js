@@ -0,0 +1,72 @@
+const express = require('express');
+const { authorize, checkVenueAccess, getVenueScope } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the customer tab endpoints.
+ * Credentials restricted to a venue are checked against the venue of the tab in the URL before these routes run.
+ *
+ * @param {TabManager} tabManager - The manager holding the tabs.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (tabManager) => {
+    const router = express.Router();
+
+    // Endpoint to open a customer tab
+    // Requires 'name' in the request body and accepts an optional 'venue_id'
+    // Credentials restricted to a venue open the tab in their venue by default
+    // Returns the open tab
+    router.post('/tab', authorize(Role.ADMIN, Role.STAFF), validate(operations.openTab), (req, res) => {
+        const { name, venue_id = getVenueScope(req) } = req.body;
+        checkVenueAccess(req, venue_id);
+        res.status(201).json(tabManager.openTab({ name, venue_id }));
+    });
+
+    // Endpoint to list the customer tabs
+    // Accepts optional 'status', 'venue_id', 'limit' and 'offset' query parameters
+    // Returns a page of tabs, only the ones of their venue for credentials restricted to a venue
+    router.get('/tab', authorize(Role.ADMIN, Role.STAFF), validate(operations.listTabs), (req, res) => {
+        const { status, venue_id = getVenueScope(req) || undefined, limit, offset } = req.query;
+
+        if (venue_id !== undefined) {
+            checkVenueAccess(req, venue_id);
+        }
+
+        res.status(200).json(tabManager.listTabs({ status, venue_id, limit, offset }));
+    });
+
+    // Endpoint to get the statement of a tab
+    // Requires 'id' as a URL parameter
+    // Returns the tab with its pours across dispensers, its discounts and the total due
+    router.get('/tab/:id', authorize(Role.ADMIN, Role.STAFF), validate(operations.getTab), (req, res) => {
+        res.status(200).json(tabManager.getStatement(req.params.id));
+    });
+
+    // Endpoint to give a discount on a tab
+    // Requires 'id' as a URL parameter and 'type' and 'value' in the request body, and accepts an optional 'reason'
+    // Returns the statement of the tab
+    router.post('/tab/:id/discount', authorize(Role.ADMIN, Role.STAFF), validate(operations.addTabDiscount),
+        (req, res) => {
+            const { type, value, reason } = req.body;
+            res.status(200).json(tabManager.addDiscount(req.params.id, { type, value, reason }));
+        });
+
+    // Endpoint to close a tab, so no more pours are attributed to it
+    // Requires 'id' as a URL parameter
+    // Returns the statement of the tab
+    router.post('/tab/:id/close', authorize(Role.ADMIN, Role.STAFF), validate(operations.closeTab), (req, res) => {
+        res.status(200).json(tabManager.closeTab(req.params.id));
+    });
+
+    // Endpoint to settle a tab
+    // Requires 'id' as a URL parameter
+    // Returns the statement of the tab with its invoice
+    router.post('/tab/:id/settle', authorize(Role.ADMIN, Role.STAFF), validate(operations.settleTab), (req, res) => {
+        res.status(200).json(tabManager.settleTab(req.params.id));
+    });
+
+    return router;
+};
@@ -0,0 +1,103 @@
+const express = require('express');
+const { authorize, checkVenueAccess, getVenueScope } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the venue and zone endpoints.
+ * Credentials restricted to a venue are checked against the venue in the URL before these routes run.
+ *
+ * @param {VenueManager} venueManager - The manager holding the venues and the zones.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (venueManager) => {
+    const router = express.Router();
+
+    // Endpoint to create a new venue
+    // Requires 'name' in the request body
+    // Returns the created venue. Credentials restricted to a venue can't create others
+    router.post('/venue', authorize(Role.ADMIN), validate(operations.createVenue), (req, res) => {
+        checkVenueAccess(req, null);
+        res.status(201).json(venueManager.createVenue({ name: req.body.name }));
+    });
+
+    // Endpoint to list the venues
+    // Accepts optional 'limit' and 'offset' query parameters
+    // Returns a page of venues, only their own for credentials restricted to a venue
+    router.get('/venue', authorize(Role.ADMIN, Role.STAFF), validate(operations.listVenues), (req, res) => {
+        const { limit, offset } = req.query;
+        res.status(200).json(venueManager.listVenues({ id: getVenueScope(req) || undefined, limit, offset }));
+    });
+
+    // Endpoint to get a single venue
+    // Requires 'id' as a URL parameter
+    // Returns the venue
+    router.get('/venue/:id', authorize(Role.ADMIN, Role.STAFF), validate(operations.getVenue), (req, res) => {
+        res.status(200).json(venueManager.getVenue(req.params.id));
+    });
+
+    // Endpoint to rename a venue
+    // Requires 'id' as a URL parameter and 'name' in the request body
+    // Returns the updated venue
+    router.patch('/venue/:id', authorize(Role.ADMIN), validate(operations.updateVenue), (req, res) => {
+        res.status(200).json(venueManager.updateVenue(req.params.id, { name: req.body.name }));
+    });
+
+    // Endpoint to get the spending of the dispensers installed in a venue
+    // Requires 'id' as a URL parameter and accepts optional 'from', 'to' and 'currency' query parameters
+    // Returns the total amount spent and the amount of each dispenser, in minor units of the currency
+    router.get('/venue/:id/spending', authorize(Role.ADMIN, Role.STAFF), validate(operations.getVenueSpending),
+        (req, res) => {
+            const { from, to, currency } = req.query;
+            res.status(200).json(venueManager.getVenueSpending(req.params.id, { from, to, currency }));
+        });
+
+    // Endpoint to create a new zone
+    // Requires 'venue_id' and 'name' in the request body
+    // Returns the created zone
+    router.post('/zone', authorize(Role.ADMIN), validate(operations.createZone), (req, res) => {
+        const { venue_id, name } = req.body;
+        checkVenueAccess(req, venue_id);
+        res.status(201).json(venueManager.createZone({ venue_id, name }));
+    });
+
+    // Endpoint to list the zones
+    // Accepts optional 'venue_id', 'limit' and 'offset' query parameters
+    // Returns a page of zones, only the ones of their venue for credentials restricted to a venue
+    router.get('/zone', authorize(Role.ADMIN, Role.STAFF), validate(operations.listZones), (req, res) => {
+        const { venue_id = getVenueScope(req) || undefined, limit, offset } = req.query;
+
+        if (venue_id !== undefined) {
+            checkVenueAccess(req, venue_id);
+        }
+
+        res.status(200).json(venueManager.listZones({ venue_id, limit, offset }));
+    });
+
+    // Endpoint to get a single zone
+    // Requires 'id' as a URL parameter
+    // Returns the zone
+    router.get('/zone/:id', authorize(Role.ADMIN, Role.STAFF), validate(operations.getZone), (req, res) => {
+        res.status(200).json(venueManager.getZone(req.params.id));
+    });
+
+    // Endpoint to rename a zone
+    // Requires 'id' as a URL parameter and 'name' in the request body
+    // Returns the updated zone
+    router.patch('/zone/:id', authorize(Role.ADMIN), validate(operations.updateZone), (req, res) => {
+        res.status(200).json(venueManager.updateZone(req.params.id, { name: req.body.name }));
+    });
+
+    // Endpoint to get the spending of the dispensers installed in a zone
+    // Requires 'id' as a URL parameter and accepts optional 'from', 'to' and 'currency' query parameters
+    // Returns the total amount spent and the amount of each dispenser, in minor units of the currency
+    router.get('/zone/:id/spending', authorize(Role.ADMIN, Role.STAFF), validate(operations.getZoneSpending),
+        (req, res) => {
+            const { from, to, currency } = req.query;
+            res.status(200).json(venueManager.getZoneSpending(req.params.id, { from, to, currency }));
+        });
+
+    return router;
+};
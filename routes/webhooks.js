@@ -0,0 +1,61 @@
+const express = require('express');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../managers/authManager');
+const { validate } = require('../middleware/validate');
+const { operations } = require('../schemas');
+
+/**
+ * Creates the router for the webhook subscription endpoints.
+ *
+ * @param {WebhookManager} webhookManager - The manager holding the webhooks.
+ *
+ * @returns {express.Router} The router.
+ */
+module.exports = (webhookManager) => {
+    const router = express.Router();
+
+    // Endpoint to create a new webhook
+    // Requires 'url' in the request body and accepts optional 'events', 'secret' and 'active'
+    // Returns the created webhook, including the secret its payloads are signed with
+    router.post('/webhook', authorize(Role.ADMIN), validate(operations.createWebhook), (req, res) => {
+        res.status(201).json(webhookManager.createWebhook(req.body));
+    });
+
+    // Endpoint to list the webhooks
+    // Returns all the webhooks, without their secrets
+    router.get('/webhook', authorize(Role.ADMIN), validate(operations.listWebhooks), (req, res) => {
+        res.status(200).json({ webhooks: webhookManager.webhooks });
+    });
+
+    // Endpoint to get a single webhook
+    // Requires 'id' as a URL parameter
+    // Returns the webhook, without its secret
+    router.get('/webhook/:id', authorize(Role.ADMIN), validate(operations.getWebhook), (req, res) => {
+        res.status(200).json(webhookManager.getWebhook(req.params.id));
+    });
+
+    // Endpoint to update a webhook
+    // Requires 'id' as a URL parameter and accepts the same fields as the creation in the request body
+    // Returns the updated webhook, without its secret
+    router.patch('/webhook/:id', authorize(Role.ADMIN), validate(operations.updateWebhook), (req, res) => {
+        res.status(200).json(webhookManager.updateWebhook(req.params.id, req.body));
+    });
+
+    // Endpoint to delete a webhook
+    // Requires 'id' as a URL parameter
+    // Returns 204 and an empty body
+    router.delete('/webhook/:id', authorize(Role.ADMIN), validate(operations.deleteWebhook), (req, res) => {
+        webhookManager.deleteWebhook(req.params.id);
+        res.status(204).send();
+    });
+
+    // Endpoint to get the delivery log of a webhook
+    // Requires 'id' as a URL parameter
+    // Returns the deliveries with their attempts
+    router.get('/webhook/:id/deliveries', authorize(Role.ADMIN), validate(operations.getWebhookDeliveries),
+        (req, res) => {
+            res.status(200).json({ deliveries: webhookManager.getDeliveries(req.params.id) });
+        });
+
+    return router;
+};
@@ -0,0 +1,89 @@
+const messages = require('../constants/messages');
+const { AnomalyRule } = require('../managers/anomalyManager');
+const {
+    ref, nullable, idParams, paginationQuery, timeRangeQuery, page,
+} = require('./common');
+
+// Request and response contracts of the anomaly detection endpoints
+module.exports = {
+    getAnomalyRules: {
+        method: 'get',
+        path: '/dispenser/:id/anomaly-rules',
+        tag: 'Anomalies',
+        summary: 'Get the anomaly rules of a dispenser',
+        params: idParams,
+        responses: {
+            200: {
+                description: 'The rules, with a null limit for the rules that are not set',
+                schema: ref('AnomalyRules'),
+            },
+        },
+        errors: [404],
+    },
+    setAnomalyRules: {
+        method: 'put',
+        path: '/dispenser/:id/anomaly-rules',
+        tag: 'Anomalies',
+        summary: 'Replace the anomaly rules of a dispenser',
+        description: 'Rules left out are reset to their default. They apply to the open usage at once.',
+        params: idParams,
+        body: {
+            type: 'object',
+            properties: {
+                max_open_seconds: {
+                    ...nullable({ type: 'number' }),
+                    exclusiveMinimum: 0,
+                    description: 'The longest a pour may last',
+                    errorMessage: messages.INVALID_MAX_OPEN_SECONDS,
+                },
+                max_litres_per_pour: {
+                    ...nullable({ type: 'number' }),
+                    exclusiveMinimum: 0,
+                    description: 'The most litres a pour may serve',
+                    errorMessage: messages.INVALID_MAX_LITRES_PER_POUR,
+                },
+                max_opens: {
+                    ...nullable({ type: 'integer' }),
+                    minimum: 1,
+                    description: 'The most times the dispenser may be opened within the window',
+                    errorMessage: messages.INVALID_MAX_OPENS,
+                },
+                window_seconds: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    description: 'The window the opens are counted in. Defaults to an hour',
+                    errorMessage: messages.INVALID_OPENS_WINDOW,
+                },
+                auto_close: {
+                    type: 'boolean',
+                    description: 'Whether a pour is closed, and billed, at its duration or volume limit',
+                    errorMessage: messages.INVALID_AUTO_CLOSE,
+                },
+            },
+        },
+        responses: { 200: { description: 'The rules', schema: ref('AnomalyRules') } },
+        errors: [400, 404],
+    },
+    listAlerts: {
+        method: 'get',
+        path: '/alerts',
+        tag: 'Anomalies',
+        summary: 'List the anomalies detected on the dispensers',
+        query: {
+            type: 'object',
+            properties: {
+                dispenser_id: { type: 'string', description: 'Only return the alerts of this dispenser' },
+                rule: { type: 'string', enum: Object.values(AnomalyRule), errorMessage: messages.INVALID_ALERT_RULE },
+                ...timeRangeQuery,
+                ...paginationQuery,
+            },
+        },
+        responses: {
+            200: {
+                description: 'A page of alerts in the order they were detected',
+                schema: page('alerts', ref('Alert')),
+            },
+        },
+        errors: [400, 404],
+    },
+};
@@ -0,0 +1,81 @@
+const messages = require('../constants/messages');
+const { ref, nullable, idParams } = require('./common');
+
+const beverageFields = {
+    name: { type: 'string', minLength: 1, errorMessage: messages.BEVERAGE_NAME_REQUIRED },
+    price_per_litre: {
+        type: 'integer',
+        minimum: 1,
+        description: 'In minor units of the currency, e.g. 1225 for 12.25',
+        errorMessage: messages.INVALID_PRICE_PER_LITRE,
+    },
+    currency: {
+        type: 'string',
+        pattern: '^[A-Z]{3}$',
+        description: 'An ISO 4217 code',
+        errorMessage: messages.INVALID_CURRENCY,
+    },
+    tax_rate: {
+        ...nullable({ type: 'number' }),
+        minimum: 0,
+        maximum: 100,
+        description: 'The percentage of tax included in the price. Invoices use the configured rate when null',
+        errorMessage: messages.INVALID_TAX_RATE,
+    },
+};
+
+// Request and response contracts of the beverage catalogue endpoints
+module.exports = {
+    createBeverage: {
+        method: 'post',
+        path: '/beverage',
+        tag: 'Beverages',
+        summary: 'Add a beverage to the catalogue',
+        body: {
+            type: 'object',
+            properties: beverageFields,
+            required: ['name', 'price_per_litre'],
+            errorMessage: {
+                required: { name: messages.BEVERAGE_NAME_REQUIRED, price_per_litre: messages.INVALID_PRICE_PER_LITRE },
+            },
+        },
+        responses: { 201: { description: 'The created beverage', schema: ref('Beverage') } },
+        errors: [400],
+    },
+    listBeverages: {
+        method: 'get',
+        path: '/beverage',
+        tag: 'Beverages',
+        summary: 'List the beverage catalogue',
+        responses: {
+            200: {
+                description: 'All the beverages',
+                schema: {
+                    type: 'object',
+                    properties: { beverages: { type: 'array', items: ref('Beverage') } },
+                    required: ['beverages'],
+                },
+            },
+        },
+    },
+    getBeverage: {
+        method: 'get',
+        path: '/beverage/:id',
+        tag: 'Beverages',
+        summary: 'Get a beverage',
+        params: idParams,
+        responses: { 200: { description: 'The beverage', schema: ref('Beverage') } },
+        errors: [404],
+    },
+    updateBeverage: {
+        method: 'patch',
+        path: '/beverage/:id',
+        tag: 'Beverages',
+        summary: 'Update a beverage',
+        description: 'Usages already opened keep the price they were opened with.',
+        params: idParams,
+        body: { type: 'object', properties: beverageFields },
+        responses: { 200: { description: 'The updated beverage', schema: ref('Beverage') } },
+        errors: [400, 404],
+    },
+};
@@ -0,0 +1,559 @@
+const messages = require('../constants/messages');
+const { MAX_PAGE_LIMIT } = require('../constants/constants');
+const { DispenserState, SortOrder, AttemptOutcome } = require('../managers/dispenserManager');
+const { DeliveryStatus } = require('../managers/webhookManager');
+const { AnomalyRule } = require('../managers/anomalyManager');
+const { TabStatus, DiscountType } = require('../managers/tabManager');
+const { CorrectionAction } = require('../managers/correctionManager');
+const { PricingAdjustment } = require('../utils/pricingRules');
+const { ScheduleType, LockState } = require('../utils/schedules');
+
+// Shared pieces of the request and response schemas.
+// Properties carry an 'errorMessage' so a request failing the schema gets the same message the managers would throw.
+
+// References a schema of the OpenAPI components
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+// A nullable variant of a schema
+function nullable(schema) {
+    return { ...schema, type: [schema.type, 'null'] };
+}
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+// Prices and amounts are integers in minor units of their currency
+const money = { type: 'integer', description: 'In minor units of the currency, e.g. 1225 for 12.25' };
+
+// Amounts keyed by the currency they were billed in, e.g. { "EUR": 6125, "USD": 5000 }
+const perCurrency = {
+    type: 'object',
+    description: 'The amounts in minor units, keyed by the currency they were billed in, without conversion',
+    additionalProperties: { type: 'integer' },
+};
+
+// The 'id' URL parameter of the routes on a single resource
+const idParams = {
+    type: 'object',
+    properties: { id: { type: 'string', description: 'The UUID of the resource' } },
+    required: ['id'],
+};
+
+// The weekdays, time of day window and date range conditions shared by the pricing rules and the schedules
+const conditionFields = {
+    weekdays: {
+        ...nullable({ type: 'array' }),
+        items: { type: 'integer', minimum: 0, maximum: 6 },
+        minItems: 1,
+        description: 'The days it applies, 0 being Sunday. Every day when null',
+        errorMessage: messages.INVALID_WEEKDAYS,
+    },
+    start_time: {
+        ...nullable({ type: 'string' }),
+        pattern: '^\\d{2}:\\d{2}$',
+        description: 'The local time of day it starts applying, as HH:MM',
+        errorMessage: messages.INVALID_TIME_WINDOW,
+    },
+    end_time: {
+        ...nullable({ type: 'string' }),
+        pattern: '^\\d{2}:\\d{2}$',
+        description: 'The local time of day it stops applying, as HH:MM, up to 24:00',
+        errorMessage: messages.INVALID_TIME_WINDOW,
+    },
+    start_at: { ...nullable(dateTime), errorMessage: messages.INVALID_DATE_RANGE },
+    end_at: { ...nullable(dateTime), errorMessage: messages.INVALID_DATE_RANGE },
+};
+
+const paginationQuery = {
+    limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_PAGE_LIMIT,
+        description: 'The maximum number of items to return',
+        errorMessage: messages.INVALID_PAGINATION,
+    },
+    offset: {
+        type: 'integer',
+        minimum: 0,
+        description: 'The number of items to skip',
+        errorMessage: messages.INVALID_PAGINATION,
+    },
+};
+
+// The 'currency' query parameter of the responses that can be converted with the exchange rates
+const currencyQuery = {
+    currency: {
+        type: 'string',
+        pattern: '^[A-Z]{3}$',
+        description: 'Converts the amounts to this ISO 4217 currency with the configured exchange rates',
+        errorMessage: messages.INVALID_CURRENCY,
+    },
+};
+
+const timeRangeQuery = {
+    from: { ...dateTime, description: 'The start of the range, inclusive', errorMessage: messages.INVALID_TIME_RANGE },
+    to: { ...dateTime, description: 'The end of the range, exclusive', errorMessage: messages.INVALID_TIME_RANGE },
+};
+
+// A page of items, as returned by the list endpoints
+function page(key, itemSchema) {
+    return {
+        type: 'object',
+        properties: {
+            [key]: { type: 'array', items: itemSchema },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+        },
+        required: [key, 'total', 'limit', 'offset'],
+    };
+}
+
+// The schemas of the responses, published as OpenAPI components
+const components = {
+    Error: {
+        type: 'object',
+        properties: {
+            error: { type: 'string', description: 'A message for people' },
+            code: { type: 'string', description: 'A stable code for programs, such as DISPENSER_NOT_FOUND' },
+        },
+        required: ['error'],
+    },
+    Dispenser: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            flow_volume: { type: 'number', description: 'Litres poured per second' },
+            beverage_id: nullable({ type: 'string' }),
+            venue_id: nullable({ type: 'string' }),
+            zone_id: nullable({ type: 'string' }),
+            state: { type: 'string', enum: Object.values(DispenserState) },
+            lock: {
+                type: 'string',
+                enum: Object.values(LockState),
+                description: 'Whether the dispenser can be opened now, from its schedules. The state stays open or '
+                    + 'close: a dispenser is closed when its lock starts and can\'t be opened while it lasts',
+            },
+            created_at: dateTime,
+            updated_at: dateTime,
+            retired_at: nullable(dateTime),
+        },
+        required: ['id', 'flow_volume', 'state', 'lock'],
+    },
+    Segment: {
+        type: 'object',
+        description: 'A part of a usage billed at a single rate',
+        properties: {
+            started_at: dateTime,
+            ended_at: dateTime,
+            pricing_rule_id: nullable({ type: 'string' }),
+            price_per_litre: money,
+            total_spent: money,
+        },
+    },
+    Usage: {
+        type: 'object',
+        description: 'A period during which a dispenser was open',
+        properties: {
+            opened_at: dateTime,
+            closed_at: nullable(dateTime),
+            flow_volume: { type: 'number' },
+            beverage_id: nullable({ type: 'string' }),
+            price_per_litre: money,
+            currency: { type: 'string' },
+            total_spent: money,
+            segments: { type: 'array', items: ref('Segment') },
+            keg_id: nullable({ type: 'string' }),
+            tab_id: nullable({ type: 'string' }),
+            voided_at: { ...nullable(dateTime), description: 'When the usage was voided. It is no longer billed' },
+            corrections: { type: 'array', items: ref('Correction') },
+        },
+        required: ['opened_at', 'closed_at', 'flow_volume', 'total_spent'],
+    },
+    Correction: {
+        type: 'object',
+        description: 'An amendment or a void of a usage, with its values before and after it',
+        properties: {
+            id: { type: 'string' },
+            index: { type: 'integer', description: 'The position of the usage in the spending of the dispenser' },
+            action: { type: 'string', enum: Object.values(CorrectionAction) },
+            reason: { type: 'string' },
+            caller: nullable({ type: 'object' }),
+            corrected_at: dateTime,
+            original: ref('CorrectedValues'),
+            corrected: ref('CorrectedValues'),
+        },
+        required: ['id', 'action', 'reason', 'corrected_at', 'original', 'corrected'],
+    },
+    CorrectedValues: {
+        type: 'object',
+        properties: {
+            opened_at: dateTime,
+            closed_at: dateTime,
+            flow_volume: { type: 'number' },
+            total_spent: money,
+            voided_at: nullable(dateTime),
+        },
+    },
+    Spending: {
+        type: 'object',
+        properties: {
+            amount: {
+                ...nullable(money),
+                description: 'In minor units. Null for usages billed in several currencies when none is requested',
+            },
+            currency: nullable({ type: 'string' }),
+            totals: perCurrency,
+            usages: { type: 'array', items: ref('Usage') },
+            from: nullable(dateTime),
+            to: nullable(dateTime),
+            sort: { type: 'string', enum: Object.values(SortOrder) },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+        },
+        required: ['amount', 'currency', 'totals', 'usages'],
+    },
+    Beverage: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            price_per_litre: money,
+            currency: { type: 'string' },
+            tax_rate: nullable({ type: 'number' }),
+            created_at: dateTime,
+            updated_at: dateTime,
+        },
+        required: ['id', 'name', 'price_per_litre', 'currency'],
+    },
+    PricingRule: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            beverage_id: nullable({ type: 'string' }),
+            adjustment: { type: 'string', enum: Object.values(PricingAdjustment) },
+            value: { type: 'number', description: 'A percentage, or a price per litre in minor units' },
+            currency: nullable({ type: 'string', description: 'The currency of an absolute price' }),
+            weekdays: nullable({ type: 'array', items: { type: 'integer' } }),
+            start_time: nullable({ type: 'string' }),
+            end_time: nullable({ type: 'string' }),
+            start_at: nullable(dateTime),
+            end_at: nullable(dateTime),
+            priority: { type: 'integer' },
+            created_at: dateTime,
+            updated_at: dateTime,
+        },
+        required: ['id', 'name', 'adjustment', 'value'],
+    },
+    Keg: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            dispenser_id: { type: 'string' },
+            capacity_litres: { type: 'number' },
+            remaining_litres: { type: 'number' },
+            low_level_litres: nullable({ type: 'number' }),
+            attached_at: dateTime,
+            detached_at: nullable(dateTime),
+            low_level_at: nullable(dateTime),
+            emptied_at: nullable(dateTime),
+        },
+        required: ['id', 'dispenser_id', 'capacity_litres', 'remaining_litres'],
+    },
+    Webhook: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            url: { type: 'string' },
+            events: { type: 'array', items: { type: 'string' } },
+            secret: { type: 'string', description: 'Only returned when the webhook is created' },
+            active: { type: 'boolean' },
+            created_at: dateTime,
+            updated_at: dateTime,
+        },
+        required: ['id', 'url', 'events', 'active'],
+    },
+    WebhookDelivery: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            webhook_id: { type: 'string' },
+            event_type: { type: 'string' },
+            payload: { type: 'string' },
+            status: { type: 'string', enum: Object.values(DeliveryStatus) },
+            attempts: { type: 'array', items: { type: 'object' } },
+            created_at: dateTime,
+            updated_at: dateTime,
+        },
+    },
+    AuditEntry: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            dispenser_id: { type: 'string' },
+            caller: nullable({ type: 'object' }),
+            requested_status: {},
+            updated_at: nullable(dateTime),
+            received_at: dateTime,
+            outcome: { type: 'string', enum: Object.values(AttemptOutcome) },
+            error: nullable({ type: 'string' }),
+        },
+        required: ['id', 'dispenser_id', 'received_at', 'outcome'],
+    },
+    AnomalyRules: {
+        type: 'object',
+        properties: {
+            dispenser_id: { type: 'string' },
+            max_open_seconds: nullable({ type: 'number' }),
+            max_litres_per_pour: nullable({ type: 'number' }),
+            max_opens: nullable({ type: 'integer' }),
+            window_seconds: { type: 'number' },
+            auto_close: { type: 'boolean' },
+            updated_at: nullable(dateTime),
+        },
+        required: [
+            'dispenser_id', 'max_open_seconds', 'max_litres_per_pour', 'max_opens', 'window_seconds', 'auto_close',
+        ],
+    },
+    Alert: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            dispenser_id: { type: 'string' },
+            rule: { type: 'string', enum: Object.values(AnomalyRule), description: 'The rule that was violated' },
+            value: { type: 'number', description: 'The seconds, litres or opens measured' },
+            limit: { type: 'number' },
+            usage_opened_at: dateTime,
+            auto_closed: { type: 'boolean', description: 'Whether the dispenser was closed at the limit' },
+            detected_at: dateTime,
+        },
+        required: ['id', 'dispenser_id', 'rule', 'value', 'limit', 'detected_at'],
+    },
+    Venue: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            created_at: dateTime,
+            updated_at: dateTime,
+        },
+        required: ['id', 'name'],
+    },
+    Zone: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            venue_id: { type: 'string' },
+            name: { type: 'string' },
+            created_at: dateTime,
+            updated_at: dateTime,
+        },
+        required: ['id', 'venue_id', 'name'],
+    },
+    LocationSpending: {
+        type: 'object',
+        description: 'The spending of the dispensers installed in a venue or a zone',
+        properties: {
+            venue_id: { type: 'string' },
+            zone_id: { type: 'string' },
+            amount: {
+                ...nullable(money),
+                description: 'In minor units. Null for usages billed in several currencies when none is requested',
+            },
+            currency: nullable({ type: 'string' }),
+            totals: perCurrency,
+            from: nullable(dateTime),
+            to: nullable(dateTime),
+            dispensers: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        dispenser_id: { type: 'string' },
+                        zone_id: nullable({ type: 'string' }),
+                        amount: nullable(money),
+                        currency: nullable({ type: 'string' }),
+                        totals: perCurrency,
+                    },
+                    required: ['dispenser_id', 'zone_id', 'amount', 'currency', 'totals'],
+                },
+            },
+        },
+        required: ['venue_id', 'amount', 'currency', 'totals', 'dispensers'],
+    },
+    Tab: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            venue_id: nullable({ type: 'string' }),
+            status: { type: 'string', enum: Object.values(TabStatus) },
+            discounts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        type: { type: 'string', enum: Object.values(DiscountType) },
+                        value: { type: 'number' },
+                        reason: nullable({ type: 'string' }),
+                        amount: nullable({
+                            ...money,
+                            description: 'Only in statements: the amount taken off, in minor units',
+                        }),
+                        created_at: dateTime,
+                    },
+                },
+            },
+            opened_at: dateTime,
+            closed_at: nullable(dateTime),
+            settled_at: nullable(dateTime),
+            invoice: nullable({
+                type: 'object',
+                description: 'The totals at settlement',
+                properties: {
+                    totals: perCurrency,
+                    subtotal: nullable(money),
+                    discount_total: nullable(money),
+                    total: nullable(money),
+                    currency: nullable({ type: 'string' }),
+                    pours: { type: 'integer' },
+                    issued_at: dateTime,
+                },
+            }),
+        },
+        required: ['id', 'name', 'status', 'discounts'],
+    },
+    TabStatement: {
+        allOf: [ref('Tab')],
+        type: 'object',
+        properties: {
+            pours: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        dispenser_id: { type: 'string' },
+                        beverage_id: nullable({ type: 'string' }),
+                        opened_at: dateTime,
+                        closed_at: nullable(dateTime),
+                        litres: { type: 'number' },
+                        price_per_litre: money,
+                        currency: { type: 'string' },
+                        total_spent: money,
+                    },
+                },
+            },
+            totals: perCurrency,
+            subtotal: nullable({
+                ...money,
+                description: 'Null when the pours are in currencies no exchange rate converts, see totals',
+            }),
+            discount_total: nullable(money),
+            total: nullable(money),
+            currency: nullable({ type: 'string' }),
+        },
+        required: ['pours', 'totals', 'subtotal', 'discount_total', 'total', 'currency'],
+    },
+    Schedule: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'string', enum: Object.values(ScheduleType) },
+            dispenser_id: nullable({ type: 'string' }),
+            venue_id: nullable({ type: 'string' }),
+            weekdays: nullable({ type: 'array', items: { type: 'integer' } }),
+            start_time: nullable({ type: 'string' }),
+            end_time: nullable({ type: 'string' }),
+            start_at: nullable(dateTime),
+            end_at: nullable(dateTime),
+            created_at: dateTime,
+            updated_at: dateTime,
+        },
+        required: ['id', 'name', 'type', 'dispenser_id', 'venue_id'],
+    },
+    Lock: {
+        type: 'object',
+        properties: {
+            dispenser_id: { type: 'string' },
+            state: { type: 'string', enum: Object.values(LockState) },
+            schedule_id: { ...nullable({ type: 'string' }), description: 'The maintenance window in effect' },
+            checked_at: dateTime,
+            changes_at: {
+                ...nullable(dateTime),
+                description: 'When the state changes, or null when it doesn\'t within a week',
+            },
+        },
+        required: ['dispenser_id', 'state', 'schedule_id', 'checked_at', 'changes_at'],
+    },
+    Invoice: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            number: { type: 'integer', description: 'Sequential across all invoices, from 1' },
+            dispenser_id: nullable({ type: 'string' }),
+            venue_id: nullable({ type: 'string' }),
+            from: dateTime,
+            to: dateTime,
+            currency: { type: 'string' },
+            issued_at: dateTime,
+            lines: {
+                type: 'array',
+                description: 'One line per usage, prorated to the period',
+                items: {
+                    type: 'object',
+                    properties: {
+                        dispenser_id: { type: 'string' },
+                        beverage_id: nullable({ type: 'string' }),
+                        beverage_name: nullable({ type: 'string' }),
+                        opened_at: dateTime,
+                        closed_at: dateTime,
+                        litres: { type: 'number' },
+                        price_per_litre: money,
+                        tax_rate: { type: 'number' },
+                        amount: { ...money, description: 'Tax included, in minor units' },
+                    },
+                },
+            },
+            beverages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        beverage_id: nullable({ type: 'string' }),
+                        beverage_name: nullable({ type: 'string' }),
+                        tax_rate: { type: 'number' },
+                        pours: { type: 'integer' },
+                        litres: { type: 'number' },
+                        subtotal: money,
+                    },
+                },
+            },
+            taxes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        tax_rate: { type: 'number' },
+                        net_amount: money,
+                        tax_amount: money,
+                        amount: money,
+                    },
+                },
+            },
+            net_total: money,
+            tax_total: money,
+            total: money,
+        },
+        required: ['id', 'number', 'currency', 'issued_at', 'lines', 'beverages', 'taxes', 'total'],
+    },
+};
+
+module.exports = {
+    ref, nullable, dateTime, money, idParams, conditionFields, paginationQuery, currencyQuery, timeRangeQuery, page,
+    components,
+};
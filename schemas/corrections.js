@@ -0,0 +1,83 @@
+const messages = require('../constants/messages');
+const { CorrectionAction } = require('../managers/correctionManager');
+const { ref, dateTime, idParams } = require('./common');
+
+// Request and response contracts of the usage correction endpoints
+module.exports = {
+    correctUsage: {
+        method: 'post',
+        path: '/dispenser/:id/usages/:index/corrections',
+        tag: 'Corrections',
+        summary: 'Amend or void a closed usage',
+        description: 'An amended usage is billed again, a voided one is no longer billed. '
+            + 'The total of the dispenser is recomputed from its usages.',
+        params: {
+            type: 'object',
+            properties: {
+                ...idParams.properties,
+                index: {
+                    type: 'integer',
+                    minimum: 0,
+                    description: 'The position of the usage in the spending of the dispenser, from 0 for the oldest',
+                    errorMessage: messages.USAGE_NOT_FOUND,
+                },
+            },
+            required: ['id', 'index'],
+        },
+        body: {
+            type: 'object',
+            properties: {
+                action: {
+                    type: 'string',
+                    enum: Object.values(CorrectionAction),
+                    errorMessage: messages.INVALID_CORRECTION_ACTION,
+                },
+                reason: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Why the usage is corrected',
+                    errorMessage: messages.CORRECTION_REASON_REQUIRED,
+                },
+                flow_volume: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    description: 'When amending, the flow volume the usage really poured at',
+                    errorMessage: messages.INVALID_FLOW,
+                },
+                opened_at: {
+                    ...dateTime,
+                    description: 'When amending, when the usage really opened',
+                    errorMessage: messages.INVALID_DATE_FORMAT,
+                },
+                closed_at: {
+                    ...dateTime,
+                    description: 'When amending, when the usage really closed',
+                    errorMessage: messages.INVALID_DATE_FORMAT,
+                },
+            },
+            required: ['action', 'reason'],
+            errorMessage: {
+                required: {
+                    action: messages.INVALID_CORRECTION_ACTION,
+                    reason: messages.CORRECTION_REASON_REQUIRED,
+                },
+            },
+        },
+        responses: { 201: { description: 'The corrected usage, with its corrections', schema: ref('Usage') } },
+        errors: [400, 404, 409],
+    },
+    listCorrections: {
+        method: 'get',
+        path: '/dispenser/:id/corrections',
+        tag: 'Corrections',
+        summary: 'List the corrections made to the usages of a dispenser',
+        params: idParams,
+        responses: {
+            200: {
+                description: 'The corrections in the order they were made',
+                schema: { type: 'array', items: ref('Correction') },
+            },
+        },
+        errors: [404],
+    },
+};
@@ -0,0 +1,272 @@
+const messages = require('../constants/messages');
+const { MAX_BATCH_EVENTS } = require('../constants/constants');
+const { DispenserState, SortOrder, AttemptOutcome } = require('../managers/dispenserManager');
+const { BatchMode, BatchOutcome } = require('../managers/batchManager');
+const {
+    ref, nullable, dateTime, idParams, paginationQuery, currencyQuery, timeRangeQuery, page,
+} = require('./common');
+
+// Where a dispenser is installed. A zone implies its venue
+const locationFields = {
+    venue_id: { ...nullable({ type: 'string' }), errorMessage: messages.VENUE_NOT_FOUND },
+    zone_id: {
+        ...nullable({ type: 'string' }),
+        description: 'The venue of the zone is assigned with it',
+        errorMessage: messages.ZONE_NOT_FOUND,
+    },
+};
+
+// Request and response contracts of the dispenser endpoints
+module.exports = {
+    listDispensers: {
+        method: 'get',
+        path: '/dispenser',
+        tag: 'Dispensers',
+        summary: 'List dispensers',
+        query: {
+            type: 'object',
+            properties: {
+                state: {
+                    type: 'string',
+                    enum: Object.values(DispenserState),
+                    errorMessage: messages.INVALID_STATE_FILTER,
+                },
+                retired: { type: 'boolean', errorMessage: messages.INVALID_RETIRED_FILTER },
+                venue_id: { type: 'string', description: 'Only return the dispensers installed in this venue' },
+                zone_id: { type: 'string', description: 'Only return the dispensers installed in this zone' },
+                ...paginationQuery,
+            },
+        },
+        responses: {
+            200: {
+                description: 'A page of dispensers in creation order',
+                schema: page('dispensers', ref('Dispenser')),
+            },
+        },
+        errors: [400],
+    },
+    createDispenser: {
+        method: 'post',
+        path: '/dispenser',
+        tag: 'Dispensers',
+        summary: 'Create a dispenser',
+        body: {
+            type: 'object',
+            properties: {
+                flow_volume: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    description: 'Litres poured per second',
+                    errorMessage: {
+                        type: messages.FLOW_VOLUME_MUST_BE_NUMBER,
+                        exclusiveMinimum: messages.FLOW_VOLUME_POSITIVE,
+                    },
+                },
+                beverage_id: { ...nullable({ type: 'string' }), errorMessage: messages.BEVERAGE_NOT_FOUND },
+                ...locationFields,
+            },
+            required: ['flow_volume'],
+            errorMessage: { required: { flow_volume: messages.FLOW_VOLUME_REQUIRED } },
+        },
+        responses: {
+            200: {
+                description: 'The created dispenser',
+                schema: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        flow_volume: { type: 'number' },
+                        beverage_id: nullable({ type: 'string' }),
+                        venue_id: nullable({ type: 'string' }),
+                        zone_id: nullable({ type: 'string' }),
+                    },
+                    required: ['id', 'flow_volume'],
+                },
+            },
+        },
+        errors: [400],
+    },
+    getDispenser: {
+        method: 'get',
+        path: '/dispenser/:id',
+        tag: 'Dispensers',
+        summary: 'Get a dispenser',
+        params: idParams,
+        responses: { 200: { description: 'The dispenser', schema: ref('Dispenser') } },
+        errors: [404],
+    },
+    updateDispenser: {
+        method: 'patch',
+        path: '/dispenser/:id',
+        tag: 'Dispensers',
+        summary: 'Update the flow volume, the beverage or the location of a dispenser',
+        description: 'Moving a dispenser to another venue takes it out of its zone.',
+        params: idParams,
+        body: {
+            type: 'object',
+            properties: {
+                flow_volume: { type: 'number', exclusiveMinimum: 0, errorMessage: messages.INVALID_FLOW },
+                beverage_id: { ...nullable({ type: 'string' }), errorMessage: messages.BEVERAGE_NOT_FOUND },
+                ...locationFields,
+            },
+        },
+        responses: { 200: { description: 'The updated dispenser', schema: ref('Dispenser') } },
+        errors: [400, 404, 409],
+    },
+    retireDispenser: {
+        method: 'delete',
+        path: '/dispenser/:id',
+        tag: 'Dispensers',
+        summary: 'Retire a closed dispenser',
+        description: 'The dispenser is soft-deleted: it stays listed and its spending remains readable.',
+        params: idParams,
+        responses: { 200: { description: 'The retired dispenser', schema: ref('Dispenser') } },
+        errors: [404, 409],
+    },
+    changeDispenserStatus: {
+        method: 'put',
+        path: '/dispenser/:id/status',
+        tag: 'Dispensers',
+        summary: 'Open or close a dispenser',
+        description: 'Every attempt is recorded in the audit log of the dispenser.',
+        params: idParams,
+        headers: {
+            type: 'object',
+            properties: {
+                'idempotency-key': {
+                    type: 'string',
+                    minLength: 1,
+                    maxLength: 255,
+                    description: 'Retries with the same key get the original result back',
+                    errorMessage: messages.INVALID_IDEMPOTENCY_KEY,
+                },
+            },
+        },
+        body: {
+            type: 'object',
+            properties: {
+                status: {
+                    type: 'string',
+                    enum: Object.values(DispenserState),
+                    errorMessage: messages.INVALID_DISPENSER_STATUS,
+                },
+                updated_at: {
+                    ...dateTime,
+                    description: 'When the tap changed its state',
+                    errorMessage: messages.INVALID_DATE_FORMAT,
+                },
+                tab_id: {
+                    ...nullable({ type: 'string' }),
+                    description: 'The customer tab the usage is attributed to. Ignored when closing',
+                    errorMessage: messages.TAB_NOT_FOUND,
+                },
+            },
+            required: ['status', 'updated_at'],
+            errorMessage: { required: messages.STATUS_UPDATED_AT_FIELDS_REQUIRED },
+        },
+        responses: {
+            202: { description: 'The status changed, or the update was buffered for reconciliation' },
+            409: {
+                description: 'The dispenser was already in the requested state',
+                schema: { type: 'object', properties: { message: { type: 'string' } } },
+            },
+        },
+        errors: [400, 404, 409, 422],
+    },
+    ingestStatusBatch: {
+        method: 'post',
+        path: '/dispenser/status/batch',
+        tag: 'Dispensers',
+        summary: 'Apply a batch of status events',
+        description: 'The events of each dispenser are applied in the order they are given and get their own result.',
+        body: {
+            type: 'object',
+            properties: {
+                events: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: MAX_BATCH_EVENTS,
+                    // Events are checked one by one by the batch manager, so an invalid event only rejects itself
+                    items: { description: 'A status event with its "dispenser_id", "status" and "updated_at"' },
+                    errorMessage: messages.INVALID_BATCH_EVENTS,
+                },
+                mode: { type: 'string', enum: Object.values(BatchMode), errorMessage: messages.INVALID_BATCH_MODE },
+            },
+            required: ['events'],
+            errorMessage: { required: messages.INVALID_BATCH_EVENTS },
+        },
+        responses: {
+            200: {
+                description: 'The result of each event, in the same order',
+                schema: {
+                    type: 'object',
+                    properties: {
+                        mode: { type: 'string' },
+                        accepted: { type: 'integer' },
+                        rejected: { type: 'integer' },
+                        skipped: { type: 'integer' },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    index: { type: 'integer' },
+                                    dispenser_id: nullable({ type: 'string' }),
+                                    outcome: { type: 'string', enum: Object.values(BatchOutcome) },
+                                    error: nullable({ type: 'string' }),
+                                },
+                            },
+                        },
+                    },
+                    required: ['mode', 'accepted', 'rejected', 'skipped', 'results'],
+                },
+            },
+        },
+        errors: [400],
+    },
+    getSpending: {
+        method: 'get',
+        path: '/dispenser/:id/spending',
+        tag: 'Dispensers',
+        summary: 'Get the spending of a dispenser',
+        description: 'Without query parameters, every usage is returned. Usages crossing the range are prorated.',
+        params: idParams,
+        query: {
+            type: 'object',
+            properties: {
+                ...timeRangeQuery,
+                ...paginationQuery,
+                sort: { type: 'string', enum: Object.values(SortOrder), errorMessage: messages.INVALID_SORT_ORDER },
+                ...currencyQuery,
+            },
+        },
+        responses: { 200: { description: 'The amount spent and the usages', schema: ref('Spending') } },
+        errors: [400, 404],
+    },
+    getAuditLog: {
+        method: 'get',
+        path: '/dispenser/:id/audit',
+        tag: 'Dispensers',
+        summary: 'Get the audit log of the status change attempts of a dispenser',
+        params: idParams,
+        query: {
+            type: 'object',
+            properties: {
+                outcome: {
+                    type: 'string',
+                    enum: Object.values(AttemptOutcome),
+                    errorMessage: messages.INVALID_AUDIT_OUTCOME,
+                },
+                ...timeRangeQuery,
+                ...paginationQuery,
+            },
+        },
+        responses: {
+            200: {
+                description: 'A page of attempts in the order they were received',
+                schema: page('entries', ref('AuditEntry')),
+            },
+        },
+        errors: [400, 404],
+    },
+};
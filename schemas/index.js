@@ -0,0 +1,20 @@
+const { components } = require('./common');
+
+// Every operation of the API, keyed by name, with its request and response schemas
+const operations = {
+    ...require('./dispensers'),
+    ...require('./venues'),
+    ...require('./tabs'),
+    ...require('./invoices'),
+    ...require('./corrections'),
+    ...require('./kegs'),
+    ...require('./beverages'),
+    ...require('./pricingRules'),
+    ...require('./schedules'),
+    ...require('./reports'),
+    ...require('./webhooks'),
+    ...require('./anomalies'),
+    ...require('./metrics'),
+};
+
+module.exports = { operations, components };
@@ -0,0 +1,103 @@
+const messages = require('../constants/messages');
+const { InvoiceFormat, CONTENT_TYPES } = require('../managers/invoiceManager');
+const {
+    ref, dateTime, idParams, currencyQuery, paginationQuery, page,
+} = require('./common');
+
+// Request and response contracts of the invoice endpoints
+module.exports = {
+    issueInvoice: {
+        method: 'post',
+        path: '/invoice',
+        tag: 'Invoices',
+        summary: 'Issue the invoice of a dispenser or a venue for a period',
+        description: 'The invoice lists the usages getSpending returns for the period, which must have ended. '
+            + 'Prices include tax, which is taken out of the amounts billed at each rate.',
+        body: {
+            type: 'object',
+            properties: {
+                dispenser_id: {
+                    type: 'string',
+                    description: 'The dispenser to invoice',
+                    errorMessage: messages.DISPENSER_NOT_FOUND,
+                },
+                venue_id: {
+                    type: 'string',
+                    description: 'The venue whose dispensers to invoice, instead of a dispenser',
+                    errorMessage: messages.VENUE_NOT_FOUND,
+                },
+                from: {
+                    ...dateTime,
+                    description: 'The start of the period, inclusive',
+                    errorMessage: messages.INVALID_INVOICE_PERIOD,
+                },
+                to: {
+                    ...dateTime,
+                    description: 'The end of the period, exclusive',
+                    errorMessage: messages.INVALID_INVOICE_PERIOD,
+                },
+                currency: {
+                    ...currencyQuery.currency,
+                    description: 'The ISO 4217 currency to invoice in. Defaults to the currency of the dispenser\'s '
+                        + 'price, or to the default currency for a venue',
+                },
+            },
+            required: ['from', 'to'],
+            errorMessage: {
+                required: { from: messages.INVALID_INVOICE_PERIOD, to: messages.INVALID_INVOICE_PERIOD },
+            },
+        },
+        responses: { 201: { description: 'The issued invoice', schema: ref('Invoice') } },
+        errors: [400, 409],
+    },
+    listInvoices: {
+        method: 'get',
+        path: '/invoice',
+        tag: 'Invoices',
+        summary: 'List the invoices',
+        query: {
+            type: 'object',
+            properties: {
+                dispenser_id: { type: 'string', description: 'Only return the invoices of this dispenser' },
+                venue_id: { type: 'string', description: 'Only return the invoices of this venue and its dispensers' },
+                ...paginationQuery,
+            },
+        },
+        responses: {
+            200: {
+                description: 'A page of invoices in the order of their numbers',
+                schema: page('invoices', ref('Invoice')),
+            },
+        },
+        errors: [400],
+    },
+    getInvoice: {
+        method: 'get',
+        path: '/invoice/:id',
+        tag: 'Invoices',
+        summary: 'Get an invoice as JSON, or as a printable HTML or PDF document',
+        params: idParams,
+        query: {
+            type: 'object',
+            properties: {
+                format: {
+                    type: 'string',
+                    enum: Object.values(InvoiceFormat),
+                    description: 'Defaults to the type in the Accept header, or else JSON',
+                    errorMessage: messages.INVALID_INVOICE_FORMAT,
+                },
+            },
+        },
+        responses: {
+            200: {
+                description: 'The invoice',
+                content: {
+                    [CONTENT_TYPES[InvoiceFormat.JSON]]: { schema: { $ref: '#/components/schemas/Invoice' } },
+                    [CONTENT_TYPES[InvoiceFormat.HTML]]: { schema: { type: 'string' } },
+                    [CONTENT_TYPES[InvoiceFormat.PDF]]: { schema: { type: 'string', format: 'binary' } },
+                },
+            },
+        },
+        errors: [400, 404],
+    },
+};
@@ -0,0 +1,75 @@
+const messages = require('../constants/messages');
+const { ref, nullable, idParams } = require('./common');
+
+// Request and response contracts of the keg inventory endpoints
+module.exports = {
+    attachKeg: {
+        method: 'post',
+        path: '/dispenser/:id/keg',
+        tag: 'Kegs',
+        summary: 'Attach a keg to a closed dispenser, replacing the current one',
+        params: idParams,
+        body: {
+            type: 'object',
+            properties: {
+                capacity_litres: { type: 'number', exclusiveMinimum: 0, errorMessage: messages.INVALID_KEG_CAPACITY },
+                remaining_litres: {
+                    type: 'number',
+                    minimum: 0,
+                    description: 'Defaults to the capacity',
+                    errorMessage: messages.INVALID_KEG_REMAINING,
+                },
+                low_level_litres: {
+                    ...nullable({ type: 'number' }),
+                    minimum: 0,
+                    errorMessage: messages.INVALID_KEG_LOW_LEVEL,
+                },
+            },
+            required: ['capacity_litres'],
+            errorMessage: { required: messages.INVALID_KEG_CAPACITY },
+        },
+        responses: { 201: { description: 'The attached keg', schema: ref('Keg') } },
+        errors: [400, 404, 409],
+    },
+    getKeg: {
+        method: 'get',
+        path: '/dispenser/:id/keg',
+        tag: 'Kegs',
+        summary: 'Get the level of the keg attached to a dispenser',
+        params: idParams,
+        responses: {
+            200: {
+                description: 'The keg with its live level',
+                schema: {
+                    allOf: [ref('Keg'), {
+                        type: 'object',
+                        properties: {
+                            low_level: { type: 'boolean' },
+                            seconds_to_empty: nullable({ type: 'number' }),
+                            estimated_empty_at: nullable({ type: 'string', format: 'date-time' }),
+                        },
+                    }],
+                },
+            },
+        },
+        errors: [404],
+    },
+    listKegs: {
+        method: 'get',
+        path: '/dispenser/:id/kegs',
+        tag: 'Kegs',
+        summary: 'Get the kegs attached to a dispenser over time',
+        params: idParams,
+        responses: {
+            200: {
+                description: 'The kegs, oldest first',
+                schema: {
+                    type: 'object',
+                    properties: { kegs: { type: 'array', items: ref('Keg') } },
+                    required: ['kegs'],
+                },
+            },
+        },
+        errors: [404],
+    },
+};
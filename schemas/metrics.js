@@ -0,0 +1,20 @@
+// Request and response contracts of the monitoring endpoints
+module.exports = {
+    getMetrics: {
+        method: 'get',
+        path: '/metrics',
+        // Served at the root of the app, where Prometheus scrapes the metrics by default
+        servers: [{ url: '/' }],
+        tag: 'Monitoring',
+        summary: 'Scrape the metrics of the API and the dispensers',
+        description: 'HTTP request counts and latencies per route, open dispensers, litres poured, revenue '
+            + 'and status change rejections by reason. Served at /metrics, outside the /api prefix, and open to '
+            + 'scrapers unless DISPENSER_METRICS_AUTH is set, which requires admin or staff credentials.',
+        responses: {
+            200: {
+                description: 'The metrics in the Prometheus text format',
+                content: { 'text/plain': { schema: { type: 'string' } } },
+            },
+        },
+    },
+};
@@ -0,0 +1,105 @@
+const messages = require('../constants/messages');
+const { PricingAdjustment } = require('../utils/pricingRules');
+const {
+    ref, nullable, idParams, conditionFields,
+} = require('./common');
+
+const pricingRuleFields = {
+    name: { type: 'string', minLength: 1, errorMessage: messages.PRICING_RULE_NAME_REQUIRED },
+    beverage_id: {
+        ...nullable({ type: 'string' }),
+        description: 'The beverage the rule applies to. Every beverage when null',
+        errorMessage: messages.BEVERAGE_NOT_FOUND,
+    },
+    adjustment: {
+        type: 'string',
+        enum: Object.values(PricingAdjustment),
+        errorMessage: messages.INVALID_PRICING_ADJUSTMENT,
+    },
+    value: {
+        type: 'number',
+        description: 'The percentage added to the price, or the absolute price per litre in minor units',
+        errorMessage: messages.INVALID_PRICING_VALUE,
+    },
+    currency: {
+        ...nullable({ type: 'string' }),
+        pattern: '^[A-Z]{3}$',
+        description: 'The ISO 4217 currency of an absolute price, which only applies to usages billed in it. '
+            + 'Defaults to the currency of the beverage the rule applies to',
+        errorMessage: messages.INVALID_PRICING_CURRENCY,
+    },
+    ...conditionFields,
+    priority: {
+        type: 'integer',
+        description: 'Higher priorities win when rules overlap',
+        errorMessage: messages.INVALID_PRIORITY,
+    },
+};
+
+// Request and response contracts of the pricing rule endpoints
+module.exports = {
+    createPricingRule: {
+        method: 'post',
+        path: '/pricing-rule',
+        tag: 'Pricing rules',
+        summary: 'Create a pricing rule',
+        body: {
+            type: 'object',
+            properties: pricingRuleFields,
+            required: ['name', 'adjustment', 'value'],
+            errorMessage: {
+                required: {
+                    name: messages.PRICING_RULE_NAME_REQUIRED,
+                    adjustment: messages.INVALID_PRICING_ADJUSTMENT,
+                    value: messages.INVALID_PRICING_VALUE,
+                },
+            },
+        },
+        responses: { 201: { description: 'The created pricing rule', schema: ref('PricingRule') } },
+        errors: [400],
+    },
+    listPricingRules: {
+        method: 'get',
+        path: '/pricing-rule',
+        tag: 'Pricing rules',
+        summary: 'List the pricing rules',
+        responses: {
+            200: {
+                description: 'All the pricing rules',
+                schema: {
+                    type: 'object',
+                    properties: { pricing_rules: { type: 'array', items: ref('PricingRule') } },
+                    required: ['pricing_rules'],
+                },
+            },
+        },
+    },
+    getPricingRule: {
+        method: 'get',
+        path: '/pricing-rule/:id',
+        tag: 'Pricing rules',
+        summary: 'Get a pricing rule',
+        params: idParams,
+        responses: { 200: { description: 'The pricing rule', schema: ref('PricingRule') } },
+        errors: [404],
+    },
+    updatePricingRule: {
+        method: 'patch',
+        path: '/pricing-rule/:id',
+        tag: 'Pricing rules',
+        summary: 'Update a pricing rule',
+        params: idParams,
+        body: { type: 'object', properties: pricingRuleFields },
+        responses: { 200: { description: 'The updated pricing rule', schema: ref('PricingRule') } },
+        errors: [400, 404],
+    },
+    deletePricingRule: {
+        method: 'delete',
+        path: '/pricing-rule/:id',
+        tag: 'Pricing rules',
+        summary: 'Delete a pricing rule',
+        params: idParams,
+        responses: { 204: { description: 'The pricing rule was deleted' } },
+        errors: [404],
+    },
+};
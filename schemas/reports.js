@@ -0,0 +1,216 @@
+const messages = require('../constants/messages');
+const { ReportGrouping } = require('../managers/reportManager');
+const { ForecastMethod, ForecastGrouping } = require('../managers/forecastManager');
+const { ExportFormat, CONTENT_TYPES } = require('../managers/exportManager');
+const { nullable, dateTime, money, idParams, currencyQuery, timeRangeQuery } = require('./common');
+
+const exportQuery = {
+    type: 'object',
+    properties: {
+        format: {
+            type: 'string',
+            enum: Object.values(ExportFormat),
+            description: 'Defaults to the type in the Accept header, or else CSV',
+            errorMessage: messages.INVALID_EXPORT_FORMAT,
+        },
+        ...timeRangeQuery,
+    },
+};
+
+const exportResponses = {
+    200: {
+        description: 'The usages, streamed as a file attachment',
+        content: Object.fromEntries(Object.values(CONTENT_TYPES).map((type) => [type, { schema: { type: 'string' } }])),
+    },
+};
+
+const revenueGroup = {
+    type: 'object',
+    properties: {
+        key: { type: 'string', description: 'The dispenser id, the beverage id or the start of the period' },
+        currency: { type: 'string' },
+        amount: money,
+        litres: { type: 'number' },
+        pours: { type: 'integer' },
+        open_seconds: { type: 'number' },
+    },
+};
+
+// The expected value of a forecast figure and the limits of its confidence band
+function band(value) {
+    return {
+        type: 'object',
+        properties: { expected: value, lower: value, upper: value },
+        required: ['expected', 'lower', 'upper'],
+    };
+}
+
+const forecast = {
+    type: 'object',
+    properties: {
+        key: { ...nullable({ type: 'string' }), description: 'The dispenser id or the beverage id' },
+        currency: { type: 'string' },
+        litres: band({ type: 'number' }),
+        revenue: band(money),
+        days: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { date: dateTime, litres: band({ type: 'number' }), revenue: band(money) },
+            },
+        },
+    },
+};
+
+// Request and response contracts of the reporting, export and real-time event endpoints
+module.exports = {
+    getRevenue: {
+        method: 'get',
+        path: '/reports/revenue',
+        tag: 'Reports',
+        summary: 'Get the revenue aggregated across all dispensers',
+        query: {
+            type: 'object',
+            properties: {
+                ...timeRangeQuery,
+                group_by: {
+                    type: 'string',
+                    enum: Object.values(ReportGrouping),
+                    errorMessage: messages.INVALID_GROUP_BY,
+                },
+                ...currencyQuery,
+            },
+        },
+        responses: {
+            200: {
+                description: 'The revenue per group and in total, split per currency unless converted to one',
+                schema: {
+                    type: 'object',
+                    properties: {
+                        from: nullable(dateTime),
+                        to: dateTime,
+                        group_by: { type: 'string' },
+                        groups: { type: 'array', items: revenueGroup },
+                        totals: { type: 'array', items: revenueGroup },
+                    },
+                    required: ['group_by', 'groups', 'totals'],
+                },
+            },
+        },
+        errors: [400],
+    },
+    getForecast: {
+        method: 'get',
+        path: '/reports/forecast',
+        tag: 'Reports',
+        summary: 'Forecast the litres poured and the revenue of the coming days',
+        description: 'The forecast extrapolates the usage history of the full days before today, '
+            + 'in the server\'s local time zone.',
+        query: {
+            type: 'object',
+            properties: {
+                days: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 90,
+                    description: 'How many days to forecast, from today. Defaults to 7',
+                    errorMessage: messages.INVALID_FORECAST_DAYS,
+                },
+                method: {
+                    type: 'string',
+                    enum: Object.values(ForecastMethod),
+                    description: 'The average of each hour of the week, or exponential smoothing of the daily totals',
+                    errorMessage: messages.INVALID_FORECAST_METHOD,
+                },
+                group_by: {
+                    type: 'string',
+                    enum: Object.values(ForecastGrouping),
+                    errorMessage: messages.INVALID_FORECAST_GROUP_BY,
+                },
+                history_days: {
+                    type: 'integer',
+                    minimum: 7,
+                    maximum: 365,
+                    description: 'How many days of history to learn from. Defaults to 28',
+                    errorMessage: messages.INVALID_HISTORY_DAYS,
+                },
+                alpha: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    maximum: 1,
+                    description: 'The smoothing factor of the smoothing method. Defaults to 0.3',
+                    errorMessage: messages.INVALID_SMOOTHING_FACTOR,
+                },
+                ...currencyQuery,
+            },
+        },
+        responses: {
+            200: {
+                description: 'The expected litres and revenue per group, in total and per day, with 95% bands',
+                schema: {
+                    type: 'object',
+                    properties: {
+                        method: { type: 'string' },
+                        group_by: { type: 'string' },
+                        days: { type: 'integer' },
+                        history_days: { type: 'integer' },
+                        alpha: nullable({ type: 'number' }),
+                        confidence: { type: 'number' },
+                        history_from: dateTime,
+                        history_to: dateTime,
+                        from: dateTime,
+                        to: dateTime,
+                        forecasts: { type: 'array', items: forecast },
+                    },
+                    required: ['method', 'group_by', 'days', 'confidence', 'forecasts'],
+                },
+            },
+        },
+        errors: [400],
+    },
+    exportUsages: {
+        method: 'get',
+        path: '/usages/export',
+        tag: 'Reports',
+        summary: 'Export the usages of all dispensers',
+        query: exportQuery,
+        responses: exportResponses,
+        errors: [400],
+    },
+    exportDispenserUsages: {
+        method: 'get',
+        path: '/dispenser/:id/usages/export',
+        tag: 'Reports',
+        summary: 'Export the usages of a dispenser',
+        params: idParams,
+        query: exportQuery,
+        responses: exportResponses,
+        errors: [400, 404],
+    },
+    streamEvents: {
+        method: 'get',
+        path: '/events',
+        tag: 'Events',
+        summary: 'Subscribe to the events of all dispensers',
+        responses: {
+            200: {
+                description: 'Server-Sent Events, until the client disconnects',
+                content: { 'text/event-stream': {} },
+            },
+        },
+    },
+    streamDispenserEvents: {
+        method: 'get',
+        path: '/dispenser/:id/events',
+        tag: 'Events',
+        summary: 'Subscribe to the events of a dispenser',
+        params: idParams,
+        responses: {
+            200: {
+                description: 'Server-Sent Events, until the client disconnects',
+                content: { 'text/event-stream': {} },
+            },
+        },
+        errors: [404],
+    },
+};
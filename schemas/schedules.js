@@ -0,0 +1,113 @@
+const messages = require('../constants/messages');
+const { ScheduleType } = require('../utils/schedules');
+const {
+    ref, nullable, idParams, conditionFields, paginationQuery, page,
+} = require('./common');
+
+const scheduleFields = {
+    name: { type: 'string', minLength: 1, errorMessage: messages.SCHEDULE_NAME_REQUIRED },
+    type: {
+        type: 'string',
+        enum: Object.values(ScheduleType),
+        description: 'When the dispensers may be opened, or when they are locked for maintenance',
+        errorMessage: messages.INVALID_SCHEDULE_TYPE,
+    },
+    dispenser_id: {
+        ...nullable({ type: 'string' }),
+        description: 'The dispenser the schedule applies to',
+        errorMessage: messages.DISPENSER_NOT_FOUND,
+    },
+    venue_id: {
+        ...nullable({ type: 'string' }),
+        description: 'The venue whose dispensers the schedule applies to, instead of a dispenser',
+        errorMessage: messages.VENUE_NOT_FOUND,
+    },
+    ...conditionFields,
+};
+
+// Request and response contracts of the schedule endpoints
+module.exports = {
+    createSchedule: {
+        method: 'post',
+        path: '/schedule',
+        tag: 'Schedules',
+        summary: 'Create a schedule',
+        description: 'Open dispensers it locks are closed when their lock starts.',
+        body: {
+            type: 'object',
+            properties: scheduleFields,
+            required: ['name', 'type'],
+            errorMessage: {
+                required: { name: messages.SCHEDULE_NAME_REQUIRED, type: messages.INVALID_SCHEDULE_TYPE },
+            },
+        },
+        responses: { 201: { description: 'The created schedule', schema: ref('Schedule') } },
+        errors: [400],
+    },
+    listSchedules: {
+        method: 'get',
+        path: '/schedule',
+        tag: 'Schedules',
+        summary: 'List the schedules',
+        query: {
+            type: 'object',
+            properties: {
+                type: {
+                    type: 'string',
+                    enum: Object.values(ScheduleType),
+                    errorMessage: messages.INVALID_SCHEDULE_TYPE,
+                },
+                dispenser_id: {
+                    type: 'string',
+                    description: 'Only return the schedules that apply to this dispenser, including its venue\'s',
+                },
+                venue_id: { type: 'string', description: 'Only return the schedules of this venue and its dispensers' },
+                ...paginationQuery,
+            },
+        },
+        responses: {
+            200: {
+                description: 'A page of schedules in the order they were created',
+                schema: page('schedules', ref('Schedule')),
+            },
+        },
+        errors: [400, 404],
+    },
+    getSchedule: {
+        method: 'get',
+        path: '/schedule/:id',
+        tag: 'Schedules',
+        summary: 'Get a schedule',
+        params: idParams,
+        responses: { 200: { description: 'The schedule', schema: ref('Schedule') } },
+        errors: [404],
+    },
+    updateSchedule: {
+        method: 'patch',
+        path: '/schedule/:id',
+        tag: 'Schedules',
+        summary: 'Update a schedule',
+        params: idParams,
+        body: { type: 'object', properties: scheduleFields },
+        responses: { 200: { description: 'The updated schedule', schema: ref('Schedule') } },
+        errors: [400, 404],
+    },
+    deleteSchedule: {
+        method: 'delete',
+        path: '/schedule/:id',
+        tag: 'Schedules',
+        summary: 'Delete a schedule',
+        params: idParams,
+        responses: { 204: { description: 'The schedule was deleted' } },
+        errors: [404],
+    },
+    getDispenserLock: {
+        method: 'get',
+        path: '/dispenser/:id/lock',
+        tag: 'Schedules',
+        summary: 'Get whether a dispenser can be opened',
+        params: idParams,
+        responses: { 200: { description: 'The lock of the dispenser now', schema: ref('Lock') } },
+        errors: [404],
+    },
+};
@@ -0,0 +1,122 @@
+const messages = require('../constants/messages');
+const { TabStatus, DiscountType } = require('../managers/tabManager');
+const {
+    ref, nullable, idParams, paginationQuery, page,
+} = require('./common');
+
+const statement = (description) => ({ 200: { description, schema: ref('TabStatement') } });
+
+// Request and response contracts of the customer tab endpoints
+module.exports = {
+    openTab: {
+        method: 'post',
+        path: '/tab',
+        tag: 'Tabs',
+        summary: 'Open a customer tab',
+        description: 'Usages are attributed to the tab by sending its id when opening a dispenser.',
+        body: {
+            type: 'object',
+            properties: {
+                name: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'A table number or a customer name',
+                    errorMessage: messages.TAB_NAME_REQUIRED,
+                },
+                venue_id: {
+                    ...nullable({ type: 'string' }),
+                    description: 'Only the dispensers of this venue can pour for the tab',
+                    errorMessage: messages.VENUE_NOT_FOUND,
+                },
+            },
+            required: ['name'],
+            errorMessage: { required: { name: messages.TAB_NAME_REQUIRED } },
+        },
+        responses: { 201: { description: 'The open tab', schema: ref('Tab') } },
+        errors: [400],
+    },
+    listTabs: {
+        method: 'get',
+        path: '/tab',
+        tag: 'Tabs',
+        summary: 'List customer tabs',
+        query: {
+            type: 'object',
+            properties: {
+                status: {
+                    type: 'string',
+                    enum: Object.values(TabStatus),
+                    errorMessage: messages.INVALID_TAB_STATUS_FILTER,
+                },
+                venue_id: { type: 'string', description: 'Only return the tabs of this venue' },
+                ...paginationQuery,
+            },
+        },
+        responses: {
+            200: { description: 'A page of tabs in the order they were opened', schema: page('tabs', ref('Tab')) },
+        },
+        errors: [400],
+    },
+    getTab: {
+        method: 'get',
+        path: '/tab/:id',
+        tag: 'Tabs',
+        summary: 'Get the statement of a tab',
+        description: 'Pours in progress are billed up to now.',
+        params: idParams,
+        responses: statement('The tab with its pours, discounts and total'),
+        errors: [404],
+    },
+    addTabDiscount: {
+        method: 'post',
+        path: '/tab/:id/discount',
+        tag: 'Tabs',
+        summary: 'Give a discount on a tab',
+        description: 'Discounts apply in the order they were given, each on what is left to pay.',
+        params: idParams,
+        body: {
+            type: 'object',
+            properties: {
+                type: {
+                    type: 'string',
+                    enum: Object.values(DiscountType),
+                    description: 'A percentage off what is left to pay, or an absolute amount',
+                    errorMessage: messages.INVALID_DISCOUNT_TYPE,
+                },
+                value: {
+                    type: 'number',
+                    exclusiveMinimum: 0,
+                    description: 'The percentage, or the amount in minor units of the currency of the tab',
+                    errorMessage: messages.INVALID_DISCOUNT_VALUE,
+                },
+                reason: nullable({ type: 'string' }),
+            },
+            required: ['type', 'value'],
+            errorMessage: {
+                required: { type: messages.INVALID_DISCOUNT_TYPE, value: messages.INVALID_DISCOUNT_VALUE },
+            },
+        },
+        responses: statement('The statement of the tab'),
+        errors: [400, 404, 409],
+    },
+    closeTab: {
+        method: 'post',
+        path: '/tab/:id/close',
+        tag: 'Tabs',
+        summary: 'Close a tab',
+        description: 'No more pours can be attributed to it. Its dispensers must be closed first.',
+        params: idParams,
+        responses: statement('The statement of the tab'),
+        errors: [404, 409],
+    },
+    settleTab: {
+        method: 'post',
+        path: '/tab/:id/settle',
+        tag: 'Tabs',
+        summary: 'Settle a tab',
+        description: 'The tab is closed if it is still open, and its invoice records the final totals.',
+        params: idParams,
+        responses: statement('The statement of the tab, with its invoice'),
+        errors: [404, 409],
+    },
+};
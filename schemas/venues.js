@@ -0,0 +1,147 @@
+const messages = require('../constants/messages');
+const {
+    ref, idParams, paginationQuery, currencyQuery, timeRangeQuery, page,
+} = require('./common');
+
+const venueFields = {
+    name: { type: 'string', minLength: 1, errorMessage: messages.VENUE_NAME_REQUIRED },
+};
+
+const zoneFields = {
+    name: { type: 'string', minLength: 1, errorMessage: messages.ZONE_NAME_REQUIRED },
+};
+
+const spendingQuery = { type: 'object', properties: { ...timeRangeQuery, ...currencyQuery } };
+
+// Request and response contracts of the venue and zone endpoints
+module.exports = {
+    createVenue: {
+        method: 'post',
+        path: '/venue',
+        tag: 'Venues',
+        summary: 'Create a venue',
+        body: {
+            type: 'object',
+            properties: venueFields,
+            required: ['name'],
+            errorMessage: { required: { name: messages.VENUE_NAME_REQUIRED } },
+        },
+        responses: { 201: { description: 'The created venue', schema: ref('Venue') } },
+        errors: [400],
+    },
+    listVenues: {
+        method: 'get',
+        path: '/venue',
+        tag: 'Venues',
+        summary: 'List venues',
+        description: 'Credentials restricted to a venue only get their own.',
+        query: { type: 'object', properties: paginationQuery },
+        responses: { 200: { description: 'A page of venues in creation order', schema: page('venues', ref('Venue')) } },
+        errors: [400],
+    },
+    getVenue: {
+        method: 'get',
+        path: '/venue/:id',
+        tag: 'Venues',
+        summary: 'Get a venue',
+        params: idParams,
+        responses: { 200: { description: 'The venue', schema: ref('Venue') } },
+        errors: [404],
+    },
+    updateVenue: {
+        method: 'patch',
+        path: '/venue/:id',
+        tag: 'Venues',
+        summary: 'Rename a venue',
+        params: idParams,
+        body: {
+            type: 'object',
+            properties: venueFields,
+            required: ['name'],
+            errorMessage: { required: { name: messages.VENUE_NAME_REQUIRED } },
+        },
+        responses: { 200: { description: 'The updated venue', schema: ref('Venue') } },
+        errors: [400, 404],
+    },
+    getVenueSpending: {
+        method: 'get',
+        path: '/venue/:id/spending',
+        tag: 'Venues',
+        summary: 'Get the spending of the dispensers of a venue',
+        description: 'Retired dispensers are included. Usages crossing the range are prorated.',
+        params: idParams,
+        query: spendingQuery,
+        responses: { 200: { description: 'The spending of the venue', schema: ref('LocationSpending') } },
+        errors: [400, 404],
+    },
+    createZone: {
+        method: 'post',
+        path: '/zone',
+        tag: 'Venues',
+        summary: 'Create a zone in a venue',
+        body: {
+            type: 'object',
+            properties: {
+                venue_id: { type: 'string', errorMessage: messages.VENUE_NOT_FOUND },
+                ...zoneFields,
+            },
+            required: ['venue_id', 'name'],
+            errorMessage: {
+                required: { venue_id: messages.VENUE_NOT_FOUND, name: messages.ZONE_NAME_REQUIRED },
+            },
+        },
+        responses: { 201: { description: 'The created zone', schema: ref('Zone') } },
+        errors: [400],
+    },
+    listZones: {
+        method: 'get',
+        path: '/zone',
+        tag: 'Venues',
+        summary: 'List zones',
+        description: 'Credentials restricted to a venue only get the zones of their venue.',
+        query: {
+            type: 'object',
+            properties: {
+                venue_id: { type: 'string', description: 'Only return the zones of this venue' },
+                ...paginationQuery,
+            },
+        },
+        responses: { 200: { description: 'A page of zones in creation order', schema: page('zones', ref('Zone')) } },
+        errors: [400],
+    },
+    getZone: {
+        method: 'get',
+        path: '/zone/:id',
+        tag: 'Venues',
+        summary: 'Get a zone',
+        params: idParams,
+        responses: { 200: { description: 'The zone', schema: ref('Zone') } },
+        errors: [404],
+    },
+    updateZone: {
+        method: 'patch',
+        path: '/zone/:id',
+        tag: 'Venues',
+        summary: 'Rename a zone',
+        params: idParams,
+        body: {
+            type: 'object',
+            properties: zoneFields,
+            required: ['name'],
+            errorMessage: { required: { name: messages.ZONE_NAME_REQUIRED } },
+        },
+        responses: { 200: { description: 'The updated zone', schema: ref('Zone') } },
+        errors: [400, 404],
+    },
+    getZoneSpending: {
+        method: 'get',
+        path: '/zone/:id/spending',
+        tag: 'Venues',
+        summary: 'Get the spending of the dispensers of a zone',
+        description: 'Retired dispensers are included. Usages crossing the range are prorated.',
+        params: idParams,
+        query: spendingQuery,
+        responses: { 200: { description: 'The spending of the zone', schema: ref('LocationSpending') } },
+        errors: [400, 404],
+    },
+};
@@ -0,0 +1,105 @@
+const messages = require('../constants/messages');
+const { DispenserEvent } = require('../managers/dispenserManager');
+const { ref, idParams } = require('./common');
+
+const webhookFields = {
+    url: {
+        type: 'string',
+        pattern: '^https?://',
+        description: 'The http or https URL the events are posted to',
+        errorMessage: messages.INVALID_WEBHOOK_URL,
+    },
+    events: {
+        type: 'array',
+        items: { type: 'string', enum: Object.values(DispenserEvent) },
+        description: 'The event types to deliver. All of them when empty',
+        errorMessage: messages.INVALID_WEBHOOK_EVENTS,
+    },
+    secret: {
+        type: 'string',
+        minLength: 16,
+        description: 'The key the payloads are signed with',
+        errorMessage: messages.INVALID_WEBHOOK_SECRET,
+    },
+    active: { type: 'boolean', errorMessage: messages.INVALID_WEBHOOK_ACTIVE },
+};
+
+// Request and response contracts of the webhook subscription endpoints
+module.exports = {
+    createWebhook: {
+        method: 'post',
+        path: '/webhook',
+        tag: 'Webhooks',
+        summary: 'Subscribe a URL to dispenser events',
+        body: {
+            type: 'object',
+            properties: webhookFields,
+            required: ['url'],
+            errorMessage: { required: messages.INVALID_WEBHOOK_URL },
+        },
+        responses: { 201: { description: 'The created webhook, including its secret', schema: ref('Webhook') } },
+        errors: [400],
+    },
+    listWebhooks: {
+        method: 'get',
+        path: '/webhook',
+        tag: 'Webhooks',
+        summary: 'List the webhooks',
+        responses: {
+            200: {
+                description: 'All the webhooks, without their secrets',
+                schema: {
+                    type: 'object',
+                    properties: { webhooks: { type: 'array', items: ref('Webhook') } },
+                    required: ['webhooks'],
+                },
+            },
+        },
+    },
+    getWebhook: {
+        method: 'get',
+        path: '/webhook/:id',
+        tag: 'Webhooks',
+        summary: 'Get a webhook',
+        params: idParams,
+        responses: { 200: { description: 'The webhook, without its secret', schema: ref('Webhook') } },
+        errors: [404],
+    },
+    updateWebhook: {
+        method: 'patch',
+        path: '/webhook/:id',
+        tag: 'Webhooks',
+        summary: 'Update a webhook',
+        params: idParams,
+        body: { type: 'object', properties: webhookFields },
+        responses: { 200: { description: 'The updated webhook, without its secret', schema: ref('Webhook') } },
+        errors: [400, 404],
+    },
+    deleteWebhook: {
+        method: 'delete',
+        path: '/webhook/:id',
+        tag: 'Webhooks',
+        summary: 'Delete a webhook',
+        params: idParams,
+        responses: { 204: { description: 'The webhook was deleted' } },
+        errors: [404],
+    },
+    getWebhookDeliveries: {
+        method: 'get',
+        path: '/webhook/:id/deliveries',
+        tag: 'Webhooks',
+        summary: 'Get the delivery log of a webhook',
+        params: idParams,
+        responses: {
+            200: {
+                description: 'The deliveries with their attempts',
+                schema: {
+                    type: 'object',
+                    properties: { deliveries: { type: 'array', items: ref('WebhookDelivery') } },
+                    required: ['deliveries'],
+                },
+            },
+        },
+        errors: [404],
+    },
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const { DEFAULT_CURRENCY, DiscountType } = require('../constants/constants');
+const { getDecimals, roundAmount } = require('../utils/money');
+const { PricingAdjustment } = require('../utils/pricingRules');
+
+// The version of the journal format, written on the first line of the journal. Journals without it were written
+// before amounts were kept in minor units, and are migrated when they are loaded.
+const JOURNAL_VERSION = 2;
+
+// Store methods that modify data. Every call to one of them is appended to the journal file.
+const MUTATIONS = [
+    'saveDispenser',
+    'addUsage',
+    'saveUsage',
+    'setTotalSpent',
+    'saveBeverage',
+    'savePricingRule',
+    'removePricingRule',
+    'saveWebhook',
+    'removeWebhook',
+    'saveWebhookDelivery',
+    'saveKeg',
+    'addAuditEntry',
+    'saveIdempotencyRecord',
+    'removeIdempotencyRecordsBefore',
+    'saveAnomalyRules',
+    'saveAlert',
+    'saveVenue',
+    'saveZone',
+    'saveTab',
+    'saveSchedule',
+    'removeSchedule',
+    'saveInvoice',
+];
+
+// Matches the ISO 8601 strings produced by JSON.stringify for Date objects
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+function reviveDates(key, value) {
+    if (key.endsWith('_at') && typeof value === 'string' && ISO_DATE.test(value)) {
+        return new Date(value);
+    }
+    return value;
+}
+
+// Converts an amount in major units, e.g. 12.25, to minor units of its currency, e.g. 1225
+function toMinorUnits(amount, currency) {
+    return typeof amount === 'number' ? roundAmount(amount * 10 ** getDecimals(currency || DEFAULT_CURRENCY)) : amount;
+}
+
+// Converts the prices and totals of a usage and of its billed segments to minor units
+function migrateUsage(usage) {
+    const convert = (record) => ({
+        ...record,
+        price_per_litre: toMinorUnits(record.price_per_litre, usage.currency),
+        total_spent: toMinorUnits(record.total_spent, usage.currency),
+    });
+
+    return { ...convert(usage), segments: usage.segments ? usage.segments.map(convert) : usage.segments };
+}
+
+// Converts the absolute discounts of a tab, and the totals of its invoice, to minor units
+function migrateTab(tab) {
+    const currency = tab.invoice ? tab.invoice.currency : DEFAULT_CURRENCY;
+    const discounts = (tab.discounts || []).map((discount) => (discount.type === DiscountType.ABSOLUTE
+        ? { ...discount, value: toMinorUnits(discount.value, currency) }
+        : discount));
+    const invoice = tab.invoice && {
+        ...tab.invoice,
+        subtotal: toMinorUnits(tab.invoice.subtotal, currency),
+        discount_total: toMinorUnits(tab.invoice.discount_total, currency),
+        total: toMinorUnits(tab.invoice.total, currency),
+    };
+
+    return { ...tab, discounts, invoice };
+}
+
+// FileStore is a durable storage adapter backed by an append-only JSON-lines journal.
+// Each mutation is written as one line; on startup the journal is replayed into memory,
+// so reads are served exactly as in MemoryStore.
+class FileStore extends MemoryStore {
+    /**
+     * @param {string} filePath - Path of the journal file. It is created, along with its directory, if missing.
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.replaying = false;
+        this.versioned = false;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.replay();
+    }
+
+    /**
+     * Replays the journal into memory. A journal without a version is migrated: its amounts are converted from
+     * major to minor units, then it is rewritten in the current format.
+     *
+     * @throws {Error} If the journal was written in a newer format.
+     */
+    replay() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        const entries = fs.readFileSync(this.filePath, 'utf8').split('\n')
+            .filter((line) => line.trim())
+            .map((line) => JSON.parse(line, reviveDates));
+
+        if (entries.length === 0) {
+            return;
+        }
+
+        const legacy = entries[0].version === undefined;
+        if (!legacy && entries[0].version !== JOURNAL_VERSION) {
+            throw new Error(`Unsupported journal version: ${entries[0].version}`);
+        }
+
+        const replayed = [];
+
+        this.replaying = true;
+        try {
+            for (const { op, args } of legacy ? entries : entries.slice(1)) {
+                if (MUTATIONS.includes(op)) {
+                    const applied = legacy ? this.migrate(op, args) : args;
+                    this[op](...applied);
+                    replayed.push({ op, args: applied });
+                }
+            }
+        } finally {
+            this.replaying = false;
+        }
+
+        if (legacy) {
+            this.rewrite(replayed);
+        }
+
+        this.versioned = true;
+    }
+
+    // Converts the arguments of a mutation written before amounts were kept in minor units
+    migrate(op, args) {
+        switch (op) {
+            case 'saveBeverage': {
+                const [beverage] = args;
+                return [{ ...beverage, price_per_litre: toMinorUnits(beverage.price_per_litre, beverage.currency) }];
+            }
+            case 'addUsage':
+                return [args[0], migrateUsage(args[1])];
+            case 'saveUsage':
+                return [args[0], args[1], migrateUsage(args[2])];
+            case 'setTotalSpent': {
+                // The total was a single amount, which is now kept per currency: it is added up again
+                // from the closed usages already replayed
+                const totals = {};
+                for (const usage of (this.getUsages(args[0]) || []).filter(({ closed_at }) => closed_at)) {
+                    const currency = usage.currency || DEFAULT_CURRENCY;
+                    totals[currency] = (totals[currency] || 0) + usage.total_spent;
+                }
+
+                return [args[0], totals];
+            }
+            case 'savePricingRule': {
+                const [rule] = args;
+                return [rule.adjustment === PricingAdjustment.ABSOLUTE
+                    ? { ...rule, value: toMinorUnits(rule.value), currency: DEFAULT_CURRENCY }
+                    : rule];
+            }
+            case 'saveTab':
+                return [migrateTab(args[0])];
+            default:
+                return args;
+        }
+    }
+
+    // Replaces the journal with the given mutations in the current format. The new journal is written aside
+    // and then renamed, so a failure leaves the previous one in place.
+    rewrite(entries) {
+        const lines = [{ version: JOURNAL_VERSION }, ...entries].map((entry) => `${JSON.stringify(entry)}\n`);
+        const temporary = `${this.filePath}.migrating`;
+
+        fs.writeFileSync(temporary, lines.join(''));
+        fs.renameSync(temporary, this.filePath);
+    }
+
+    append(op, args) {
+        if (this.replaying) {
+            return;
+        }
+
+        if (!this.versioned) {
+            fs.appendFileSync(this.filePath, `${JSON.stringify({ version: JOURNAL_VERSION })}\n`);
+            this.versioned = true;
+        }
+
+        fs.appendFileSync(this.filePath, `${JSON.stringify({ op, args })}\n`);
+    }
+}
+
+// Every mutating method writes its arguments to the journal before updating memory
+for (const op of MUTATIONS) {
+    FileStore.prototype[op] = function (...args) {
+        this.append(op, args);
+        return MemoryStore.prototype[op].apply(this, args);
+    };
+}
+
+module.exports = FileStore;
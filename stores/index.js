@@ -0,0 +1,27 @@
+const config = require('../config/config');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+/**
+ * Creates the storage adapter selected in the configuration.
+ *
+ * @param {Object} [options] - Storage options. Defaults to the runtime configuration.
+ * @param {string} options.STORE_DRIVER - Either 'memory' or 'file'.
+ * @param {string} options.STORE_PATH - Journal file used by the 'file' driver.
+ *
+ * @returns {MemoryStore} The storage adapter.
+ *
+ * @throws {Error} If the driver is unknown.
+ */
+function createStore(options = config) {
+    switch (options.STORE_DRIVER) {
+        case 'memory':
+            return new MemoryStore();
+        case 'file':
+            return new FileStore(options.STORE_PATH);
+        default:
+            throw new Error(`Unknown store driver: ${options.STORE_DRIVER}`);
+    }
+}
+
+module.exports = { createStore, MemoryStore, FileStore };
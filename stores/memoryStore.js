@@ -0,0 +1,275 @@
+// Inserts a record or replaces the stored record with the same id
+function upsert(records, record) {
+    const index = records.findIndex((stored) => stored.id === record.id);
+
+    if (index === -1) {
+        records.push(record);
+    } else {
+        records[index] = record;
+    }
+}
+
+// MemoryStore keeps every record in process memory. It is the default storage adapter
+// and the base class for the durable adapters, which replay their data into it on startup.
+class MemoryStore {
+    // Constructor initializes seventeen containers:
+    // - dispensers: an array to hold all dispenser objects
+    // - statusChanges: a map where the key is the dispenser id and the value is an array of statusChange objects
+    // - totalSpentPerDispenser: a map where the key is the dispenser id and the value is the total amount spent
+    // - beverages: an array to hold the beverage catalogue
+    // - pricingRules: an array to hold the time-based pricing rules
+    // - webhooks: an array to hold the webhook subscriptions
+    // - webhookDeliveries: an array to hold the delivery log of the webhooks
+    // - kegs: an array to hold the kegs attached to dispensers, current and past
+    // - auditEntries: a map where the key is the dispenser id and the value is an array of status change attempts
+    // - idempotencyRecords: an array to hold the results of the status updates sent with an idempotency key
+    // - anomalyRules: a map where the key is the dispenser id and the value is its anomaly detection rules
+    // - alerts: an array to hold the anomalies detected on the dispensers
+    // - venues: an array to hold the venues dispensers are installed in
+    // - zones: an array to hold the zones venues are divided into
+    // - tabs: an array to hold the customer tabs usages are attributed to
+    // - schedules: an array to hold the opening hours and maintenance windows of dispensers and venues
+    // - invoices: an array to hold the invoices issued for the usages of dispensers and venues
+    constructor() {
+        this.dispensers = [];
+        this.statusChanges = new Map();
+        this.totalSpentPerDispenser = new Map();
+        this.beverages = [];
+        this.pricingRules = [];
+        this.webhooks = [];
+        this.webhookDeliveries = [];
+        this.kegs = [];
+        this.auditEntries = new Map();
+        this.idempotencyRecords = [];
+        this.anomalyRules = new Map();
+        this.alerts = [];
+        this.venues = [];
+        this.zones = [];
+        this.tabs = [];
+        this.schedules = [];
+        this.invoices = [];
+    }
+
+    getDispensers() {
+        return this.dispensers;
+    }
+
+    findDispenser(id) {
+        return this.dispensers.find((dispenser) => dispenser.id === id);
+    }
+
+    /**
+     * Inserts a dispenser or replaces the stored dispenser with the same id.
+     *
+     * @param {Object} dispenser - The dispenser to persist.
+     */
+    saveDispenser(dispenser) {
+        upsert(this.dispensers, dispenser);
+    }
+
+    getUsages(dispenserId) {
+        return this.statusChanges.get(dispenserId);
+    }
+
+    addUsage(dispenserId, usage) {
+        if (this.statusChanges.has(dispenserId)) {
+            this.statusChanges.get(dispenserId).push(usage);
+        } else {
+            this.statusChanges.set(dispenserId, [usage]);
+        }
+    }
+
+    /**
+     * Replaces the usage stored at the given position of a dispenser's usage list.
+     *
+     * @param {string} dispenserId - The UUID of the dispenser the usage belongs to.
+     * @param {Number} index - The position of the usage in the dispenser's usage list.
+     * @param {Object} usage - The updated usage.
+     */
+    saveUsage(dispenserId, index, usage) {
+        this.statusChanges.get(dispenserId)[index] = usage;
+    }
+
+    getTotalSpent(dispenserId) {
+        return this.totalSpentPerDispenser.get(dispenserId);
+    }
+
+    setTotalSpent(dispenserId, amount) {
+        this.totalSpentPerDispenser.set(dispenserId, amount);
+    }
+
+    getBeverages() {
+        return this.beverages;
+    }
+
+    findBeverage(id) {
+        return this.beverages.find((beverage) => beverage.id === id);
+    }
+
+    saveBeverage(beverage) {
+        upsert(this.beverages, beverage);
+    }
+
+    getPricingRules() {
+        return this.pricingRules;
+    }
+
+    findPricingRule(id) {
+        return this.pricingRules.find((rule) => rule.id === id);
+    }
+
+    savePricingRule(rule) {
+        upsert(this.pricingRules, rule);
+    }
+
+    removePricingRule(id) {
+        this.pricingRules = this.pricingRules.filter((rule) => rule.id !== id);
+    }
+
+    getWebhooks() {
+        return this.webhooks;
+    }
+
+    findWebhook(id) {
+        return this.webhooks.find((webhook) => webhook.id === id);
+    }
+
+    saveWebhook(webhook) {
+        upsert(this.webhooks, webhook);
+    }
+
+    removeWebhook(id) {
+        this.webhooks = this.webhooks.filter((webhook) => webhook.id !== id);
+    }
+
+    getWebhookDeliveries() {
+        return this.webhookDeliveries;
+    }
+
+    findWebhookDelivery(id) {
+        return this.webhookDeliveries.find((webhookDelivery) => webhookDelivery.id === id);
+    }
+
+    saveWebhookDelivery(webhookDelivery) {
+        upsert(this.webhookDeliveries, webhookDelivery);
+    }
+
+    getKegs() {
+        return this.kegs;
+    }
+
+    findKeg(id) {
+        return this.kegs.find((keg) => keg.id === id);
+    }
+
+    saveKeg(keg) {
+        upsert(this.kegs, keg);
+    }
+
+    getAuditEntries(dispenserId) {
+        return this.auditEntries.get(dispenserId) || [];
+    }
+
+    // The audit log is append-only: entries are never updated or removed
+    addAuditEntry(dispenserId, entry) {
+        if (this.auditEntries.has(dispenserId)) {
+            this.auditEntries.get(dispenserId).push(entry);
+        } else {
+            this.auditEntries.set(dispenserId, [entry]);
+        }
+    }
+
+    findIdempotencyRecord(id) {
+        return this.idempotencyRecords.find((record) => record.id === id);
+    }
+
+    saveIdempotencyRecord(record) {
+        upsert(this.idempotencyRecords, record);
+    }
+
+    removeIdempotencyRecordsBefore(date) {
+        this.idempotencyRecords = this.idempotencyRecords.filter((record) => record.created_at >= new Date(date));
+    }
+
+    findAnomalyRules(dispenserId) {
+        return this.anomalyRules.get(dispenserId);
+    }
+
+    saveAnomalyRules(dispenserId, rules) {
+        this.anomalyRules.set(dispenserId, rules);
+    }
+
+    getAlerts() {
+        return this.alerts;
+    }
+
+    saveAlert(alert) {
+        upsert(this.alerts, alert);
+    }
+
+    getVenues() {
+        return this.venues;
+    }
+
+    findVenue(id) {
+        return this.venues.find((venue) => venue.id === id);
+    }
+
+    saveVenue(venue) {
+        upsert(this.venues, venue);
+    }
+
+    getZones() {
+        return this.zones;
+    }
+
+    findZone(id) {
+        return this.zones.find((zone) => zone.id === id);
+    }
+
+    saveZone(zone) {
+        upsert(this.zones, zone);
+    }
+
+    getTabs() {
+        return this.tabs;
+    }
+
+    findTab(id) {
+        return this.tabs.find((tab) => tab.id === id);
+    }
+
+    saveTab(tab) {
+        upsert(this.tabs, tab);
+    }
+
+    getSchedules() {
+        return this.schedules;
+    }
+
+    findSchedule(id) {
+        return this.schedules.find((schedule) => schedule.id === id);
+    }
+
+    saveSchedule(schedule) {
+        upsert(this.schedules, schedule);
+    }
+
+    removeSchedule(id) {
+        this.schedules = this.schedules.filter((schedule) => schedule.id !== id);
+    }
+
+    getInvoices() {
+        return this.invoices;
+    }
+
+    findInvoice(id) {
+        return this.invoices.find((invoice) => invoice.id === id);
+    }
+
+    saveInvoice(invoice) {
+        upsert(this.invoices, invoice);
+    }
+}
+
+module.exports = MemoryStore;
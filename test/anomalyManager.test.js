@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+const { AnomalyManager, AnomalyRule } = require('../managers/anomalyManager');
+const { DispenserManager, DispenserState, DispenserEvent } = require('../managers/dispenserManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+describe('AnomalyManager', () => {
+    let store;
+    let dispenserManager;
+    let anomalyManager;
+    let dispenser;
+
+    const open = (at) => dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date(at));
+    const close = (at) => dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date(at));
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        anomalyManager = new AnomalyManager(store, dispenserManager, { checkIntervalMs: 0 });
+        dispenser = dispenserManager.createDispenser(0.5);
+    });
+
+    afterEach(() => {
+        anomalyManager.stop();
+    });
+
+    it('should replace the rules and validate them', () => {
+        expect(anomalyManager.getRules(dispenser.id)).to.include({ max_open_seconds: null, auto_close: false });
+
+        anomalyManager.setRules(dispenser.id, { max_open_seconds: 60, auto_close: true });
+        const rules = anomalyManager.setRules(dispenser.id, { max_opens: 3 });
+        expect(rules).to.include({ max_open_seconds: null, max_opens: 3, window_seconds: 3600, auto_close: false });
+        expect(anomalyManager.getRules(dispenser.id)).to.deep.equal(rules);
+
+        expect(() => anomalyManager.setRules(dispenser.id, { max_open_seconds: 0 })).to.throw(messages.INVALID_MAX_OPEN_SECONDS);
+        expect(() => anomalyManager.setRules(dispenser.id, { max_litres_per_pour: '5' })).to.throw(messages.INVALID_MAX_LITRES_PER_POUR);
+        expect(() => anomalyManager.setRules(dispenser.id, { max_opens: 1.5 })).to.throw(messages.INVALID_MAX_OPENS);
+        expect(() => anomalyManager.setRules(dispenser.id, { window_seconds: null })).to.throw(messages.INVALID_OPENS_WINDOW);
+        expect(() => anomalyManager.setRules(dispenser.id, { auto_close: 'yes' })).to.throw(messages.INVALID_AUTO_CLOSE);
+        expect(() => anomalyManager.setRules('unknown', {})).to.throw(messages.DISPENSER_NOT_FOUND);
+    });
+
+    it('should raise an alert when a closed pour went past its limits', () => {
+        const events = [];
+        dispenserManager.on(DispenserEvent.ANOMALY_DETECTED, (event) => events.push(event));
+        anomalyManager.setRules(dispenser.id, { max_open_seconds: 30, max_litres_per_pour: 10 });
+
+        open('2023-05-11T00:00:00Z');
+        close('2023-05-11T00:00:25Z');
+
+        const { alerts } = anomalyManager.getAlerts();
+        expect(alerts).to.have.length(1);
+        expect(alerts[0]).to.include({ rule: AnomalyRule.MAX_LITRES_PER_POUR, value: 12.5, limit: 10, auto_closed: false });
+        expect(events).to.have.length(1);
+        expect(events[0].alert).to.deep.equal(alerts[0]);
+    });
+
+    it('should raise a single alert for a burst of opens within the window', () => {
+        anomalyManager.setRules(dispenser.id, { max_opens: 2, window_seconds: 1800 });
+
+        for (const minute of [10, 20, 30, 40]) {
+            open(`2023-05-11T00:${minute}:00Z`);
+            close(`2023-05-11T00:${minute}:05Z`);
+        }
+
+        const { alerts } = anomalyManager.getAlerts({ rule: AnomalyRule.MAX_OPENS });
+        expect(alerts).to.have.length(1);
+        expect(alerts[0]).to.include({ value: 3, limit: 2 });
+        expect(alerts[0].usage_opened_at).to.deep.equal(new Date('2023-05-11T00:30:00Z'));
+    });
+
+    it('should alert once on a tap left open without closing it', () => {
+        anomalyManager.setRules(dispenser.id, { max_open_seconds: 3600 });
+        open('2023-05-11T20:00:00Z');
+
+        expect(anomalyManager.check(new Date('2023-05-11T20:30:00Z'))).to.have.length(0);
+        expect(anomalyManager.check(new Date('2023-05-11T23:00:00Z'))).to.have.length(1);
+        expect(anomalyManager.check(new Date('2023-05-12T08:00:00Z'))).to.have.length(0);
+        expect(dispenserManager.getDispenser(dispenser.id).state).to.equal(DispenserState.OPEN);
+
+        close('2023-05-12T08:00:00Z');
+        expect(anomalyManager.getAlerts().total).to.equal(1);
+    });
+
+    it('should close a dispenser at its limit and bill it only up to it', () => {
+        open('2023-05-11T20:00:00Z');
+        anomalyManager.setRules(dispenser.id, { max_open_seconds: 3600, max_litres_per_pour: 2000, auto_close: true });
+
+        const alerts = anomalyManager.check(new Date('2023-05-12T08:00:00Z'));
+
+        expect(alerts).to.have.length(1);
+        expect(alerts[0]).to.include({ rule: AnomalyRule.MAX_OPEN_SECONDS, value: 3600, auto_closed: true });
+        const spending = dispenserManager.getSpending(dispenser.id);
+        expect(spending.usages[0].closed_at).to.deep.equal(new Date('2023-05-11T21:00:00Z'));
+        expect(spending.amount).to.equal(3600 * 0.5 * constants.PRICE_PER_LITRE);
+        expect(store.getAuditEntries(dispenser.id).pop().caller.subject).to.equal('anomaly-manager');
+    });
+
+    it('should close an open dispenser on time when its limit is reached', async () => {
+        anomalyManager.setRules(dispenser.id, { max_open_seconds: 0.05, auto_close: true });
+        open(new Date());
+
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        expect(dispenserManager.getDispenser(dispenser.id).state).to.equal(DispenserState.CLOSE);
+        expect(anomalyManager.getAlerts({ dispenser_id: dispenser.id }).alerts[0].auto_closed).to.equal(true);
+    });
+
+    it('should filter the alerts and validate the filters', () => {
+        expect(() => anomalyManager.getAlerts({ rule: 'too_thirsty' })).to.throw(messages.INVALID_ALERT_RULE);
+        expect(() => anomalyManager.getAlerts({ dispenser_id: 'unknown' })).to.throw(messages.DISPENSER_NOT_FOUND);
+        expect(() => anomalyManager.getAlerts({ limit: 0 })).to.throw(messages.INVALID_PAGINATION);
+
+        anomalyManager.setRules(dispenser.id, { max_open_seconds: 1 });
+        open('2023-05-11T00:00:00Z');
+        close('2023-05-11T00:00:05Z');
+
+        expect(anomalyManager.getAlerts({ rule: AnomalyRule.MAX_OPENS }).total).to.equal(0);
+        expect(anomalyManager.getAlerts({ from: new Date(Date.now() + 60000) }).total).to.equal(0);
+        expect(anomalyManager.getAlerts({ dispenser_id: dispenser.id }).total).to.equal(1);
+    });
+});
@@ -1,8 +1,10 @@
+const http = require('http');
 const chai = require('chai');
 const chaiHttp = require('chai-http');
+const Ajv = require('ajv');
 const app = require('../app');
 const messages = require('../constants/messages');
-const { PRICE_PER_LITRE } = require('../constants/constants');
+const { PRICE_PER_LITRE, DEFAULT_CURRENCY } = require('../constants/constants');
 
 const { expect } = chai;
 chai.use(chaiHttp);
@@ -67,6 +69,933 @@ describe('API Routes', () => {
         });
     });
 
+    describe('GET /api/dispenser', () => {
+        it('should return a page of dispensers', async () => {
+            await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            await chai.request(app).post('/api/dispenser').send({ flow_volume: 2 });
+
+            return chai
+                .request(app)
+                .get('/api/dispenser')
+                .query({ limit: 1, offset: 1 })
+                .then((res) => {
+                    expect(res).to.have.status(200);
+                    expect(res.body.dispensers).to.be.an('array').with.lengthOf(1);
+                    expect(res.body.total).to.be.at.least(2);
+                    expect(res.body.limit).to.equal(1);
+                    expect(res.body.offset).to.equal(1);
+                });
+        });
+
+        it('should filter dispensers by state', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            await chai
+                .request(app)
+                .put(`/api/dispenser/${response.body.id}/status`)
+                .send({ status: 'open', updated_at: new Date().toISOString() });
+
+            return chai
+                .request(app)
+                .get('/api/dispenser')
+                .query({ state: 'open', limit: 100 })
+                .then((res) => {
+                    expect(res).to.have.status(200);
+                    expect(res.body.dispensers.every((dispenser) => dispenser.state === 'open')).to.equal(true);
+                    expect(res.body.dispensers.map((dispenser) => dispenser.id)).to.include(response.body.id);
+                });
+        });
+
+        it('should return 400 for an invalid state filter', async () => {
+            return chai
+                .request(app)
+                .get('/api/dispenser')
+                .query({ state: 'broken' })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_STATE_FILTER);
+                });
+        });
+
+        it('should return 400 for an invalid pagination', async () => {
+            return chai
+                .request(app)
+                .get('/api/dispenser')
+                .query({ limit: 0 })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_PAGINATION);
+                });
+        });
+    });
+
+    describe('GET /api/dispenser/:id', () => {
+        it('should return the dispenser', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1.5 });
+
+            return chai
+                .request(app)
+                .get(`/api/dispenser/${response.body.id}`)
+                .then((res) => {
+                    expect(res).to.have.status(200);
+                    expect(res.body.id).to.equal(response.body.id);
+                    expect(res.body.flow_volume).to.equal(1.5);
+                    expect(res.body.state).to.equal('close');
+                    expect(res.body.retired_at).to.equal(null);
+                });
+        });
+
+        it('should return 404 if dispenser is not found', async () => {
+            return chai
+                .request(app)
+                .get('/api/dispenser/nonexistent_id')
+                .then((res) => {
+                    expect(res).to.have.status(404);
+                    expect(res.body.error).to.equal(messages.DISPENSER_NOT_FOUND);
+                });
+        });
+    });
+
+    describe('PATCH /api/dispenser/:id', () => {
+        it('should update the flow_volume', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1.5 });
+
+            return chai
+                .request(app)
+                .patch(`/api/dispenser/${response.body.id}`)
+                .send({ flow_volume: 0.8 })
+                .then((res) => {
+                    expect(res).to.have.status(200);
+                    expect(res.body.flow_volume).to.equal(0.8);
+                });
+        });
+
+        it('should return 400 for an invalid flow_volume', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1.5 });
+
+            return chai
+                .request(app)
+                .patch(`/api/dispenser/${response.body.id}`)
+                .send({ flow_volume: -1 })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_FLOW);
+                });
+        });
+    });
+
+    describe('DELETE /api/dispenser/:id', () => {
+        it('should retire the dispenser and refuse further status changes', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1.5 });
+            const dispenserId = response.body.id;
+
+            const retired = await chai.request(app).delete(`/api/dispenser/${dispenserId}`);
+            expect(retired).to.have.status(200);
+            expect(retired.body.retired_at).to.exist;
+
+            const status = await chai
+                .request(app)
+                .put(`/api/dispenser/${dispenserId}/status`)
+                .send({ status: 'open', updated_at: new Date().toISOString() });
+            expect(status).to.have.status(409);
+            expect(status.body.error).to.equal(messages.DISPENSER_RETIRED);
+
+            const spending = await chai.request(app).get(`/api/dispenser/${dispenserId}/spending`);
+            expect(spending).to.have.status(200);
+        });
+
+        it('should return 409 if the dispenser is open', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1.5 });
+            await chai
+                .request(app)
+                .put(`/api/dispenser/${response.body.id}/status`)
+                .send({ status: 'open', updated_at: new Date().toISOString() });
+
+            return chai
+                .request(app)
+                .delete(`/api/dispenser/${response.body.id}`)
+                .then((res) => {
+                    expect(res).to.have.status(409);
+                    expect(res.body.error).to.equal(messages.DISPENSER_MUST_BE_CLOSED);
+                });
+        });
+    });
+
+    describe('/api/beverage', () => {
+        it('should create a beverage and assign it to a new dispenser', async () => {
+            const beverage = await chai
+                .request(app)
+                .post('/api/beverage')
+                .send({ name: 'Pilsner', price_per_litre: 950, currency: 'GBP' });
+            expect(beverage).to.have.status(201);
+            expect(beverage.body.currency).to.equal('GBP');
+
+            const dispenser = await chai
+                .request(app)
+                .post('/api/dispenser')
+                .send({ flow_volume: 1, beverage_id: beverage.body.id });
+            expect(dispenser).to.have.status(200);
+            expect(dispenser.body.beverage_id).to.equal(beverage.body.id);
+        });
+
+        it('should update the price of a beverage', async () => {
+            const beverage = await chai.request(app).post('/api/beverage')
+                .send({ name: 'Porter', price_per_litre: 700 });
+
+            return chai
+                .request(app)
+                .patch(`/api/beverage/${beverage.body.id}`)
+                .send({ price_per_litre: 750 })
+                .then((res) => {
+                    expect(res).to.have.status(200);
+                    expect(res.body.price_per_litre).to.equal(750);
+                });
+        });
+
+        it('should return 400 for an invalid price', async () => {
+            return chai
+                .request(app)
+                .post('/api/beverage')
+                .send({ name: 'Porter', price_per_litre: 'free' })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_PRICE_PER_LITRE);
+                });
+        });
+
+        it('should return 400 for a price that is not in minor units', async () => {
+            const res = await chai.request(app).post('/api/beverage').send({ name: 'Porter', price_per_litre: 7.5 });
+
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equal(messages.INVALID_PRICE_PER_LITRE);
+        });
+
+        it('should return 404 if beverage is not found', async () => {
+            return chai
+                .request(app)
+                .get('/api/beverage/nonexistent_id')
+                .then((res) => {
+                    expect(res).to.have.status(404);
+                    expect(res.body.error).to.equal(messages.BEVERAGE_NOT_FOUND);
+                });
+        });
+
+        it('should return 400 when creating a dispenser with an unknown beverage', async () => {
+            return chai
+                .request(app)
+                .post('/api/dispenser')
+                .send({ flow_volume: 1, beverage_id: 'nonexistent_id' })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.BEVERAGE_NOT_FOUND);
+                });
+        });
+    });
+
+    describe('/api/pricing-rule', () => {
+        it('should create, list and delete a pricing rule', async () => {
+            const beverage = await chai.request(app).post('/api/beverage').send({ name: 'Weiss', price_per_litre: 8 });
+
+            const rule = await chai
+                .request(app)
+                .post('/api/pricing-rule')
+                .send({
+                    name: 'Happy hour',
+                    adjustment: 'percentage',
+                    value: -25,
+                    weekdays: [1, 2, 3, 4, 5],
+                    start_time: '17:00',
+                    end_time: '19:00',
+                    beverage_id: beverage.body.id,
+                });
+            expect(rule).to.have.status(201);
+            expect(rule.body.id).to.exist;
+
+            const list = await chai.request(app).get('/api/pricing-rule');
+            expect(list.body.pricing_rules.map((item) => item.id)).to.include(rule.body.id);
+
+            const deleted = await chai.request(app).delete(`/api/pricing-rule/${rule.body.id}`);
+            expect(deleted).to.have.status(204);
+
+            const fetched = await chai.request(app).get(`/api/pricing-rule/${rule.body.id}`);
+            expect(fetched).to.have.status(404);
+            expect(fetched.body.error).to.equal(messages.PRICING_RULE_NOT_FOUND);
+        });
+
+        it('should return 400 for an invalid time window', async () => {
+            return chai
+                .request(app)
+                .post('/api/pricing-rule')
+                .send({ name: 'Broken', adjustment: 'absolute', value: 5, start_time: '25:00' })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_TIME_WINDOW);
+                });
+        });
+    });
+
+    describe('GET /api/reports/revenue', () => {
+        it('should return the revenue grouped by day', async () => {
+            return chai
+                .request(app)
+                .get('/api/reports/revenue')
+                .query({ group_by: 'day' })
+                .then((res) => {
+                    expect(res).to.have.status(200);
+                    expect(res.body.group_by).to.equal('day');
+                    expect(res.body.groups).to.be.an('array');
+                    expect(res.body.totals).to.be.an('array');
+                });
+        });
+
+        it('should return 400 for an invalid grouping', async () => {
+            return chai
+                .request(app)
+                .get('/api/reports/revenue')
+                .query({ group_by: 'year' })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_GROUP_BY);
+                });
+        });
+    });
+
+    describe('GET /api/reports/forecast', () => {
+        it('should forecast the coming days with confidence bands', async () => {
+            const res = await chai.request(app).get('/api/reports/forecast')
+                .query({ days: 3, method: 'smoothing', group_by: 'beverage' });
+
+            expect(res).to.have.status(200);
+            expect(res.body).to.include({ days: 3, method: 'smoothing', group_by: 'beverage', alpha: 0.3 });
+            expect(res.body.forecasts).to.be.an('array');
+        });
+
+        it('should return 400 for an invalid horizon', async () => {
+            const res = await chai.request(app).get('/api/reports/forecast').query({ days: 365 });
+
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equal(messages.INVALID_FORECAST_DAYS);
+        });
+    });
+
+    describe('GET /api/usages/export', () => {
+        it('should stream CSV by default', async () => {
+            return chai
+                .request(app)
+                .get('/api/usages/export')
+                .then((res) => {
+                    expect(res).to.have.status(200);
+                    expect(res).to.have.header('content-type', /text\/csv/);
+                    expect(res.text.split('\n')[0]).to.equal('dispenser_id,opened_at,closed_at,duration,litres,price,currency,total_spent,voided_at');
+                });
+        });
+
+        it('should stream NDJSON when the client accepts it', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            await chai
+                .request(app)
+                .put(`/api/dispenser/${response.body.id}/status`)
+                .send({ status: 'open', updated_at: new Date().toISOString() });
+
+            return chai
+                .request(app)
+                .get(`/api/dispenser/${response.body.id}/usages/export`)
+                .set('Accept', 'application/x-ndjson')
+                .buffer(true)
+                .parse((res, callback) => {
+                    let text = '';
+                    res.on('data', (chunk) => { text += chunk; });
+                    res.on('end', () => callback(null, text));
+                })
+                .then((res) => {
+                    expect(res).to.have.status(200);
+                    expect(res).to.have.header('content-type', /application\/x-ndjson/);
+                    const rows = res.body.trim().split('\n').map((line) => JSON.parse(line));
+                    expect(rows).to.have.lengthOf(1);
+                    expect(rows[0].dispenser_id).to.equal(response.body.id);
+                });
+        });
+
+        it('should return 400 for an unknown format', async () => {
+            return chai
+                .request(app)
+                .get('/api/usages/export')
+                .query({ format: 'xlsx' })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_EXPORT_FORMAT);
+                });
+        });
+    });
+
+    describe('GET /api/dispenser/:id/events', () => {
+        it('should stream the events and running totals of the dispenser', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = response.body.id;
+            const server = app.listen(0);
+            const { port } = server.address();
+
+            try {
+                const received = await new Promise((resolve, reject) => {
+                    const request = http.get(`http://127.0.0.1:${port}/api/dispenser/${dispenserId}/events`, (res) => {
+                        expect(res.statusCode).to.equal(200);
+                        expect(res.headers['content-type']).to.match(/text\/event-stream/);
+
+                        let text = '';
+                        res.on('data', (chunk) => {
+                            text += chunk;
+                            if (text.includes('event: dispenser.tick')) {
+                                request.destroy();
+                                resolve(text);
+                            }
+                        });
+
+                        chai
+                            .request(app)
+                            .put(`/api/dispenser/${dispenserId}/status`)
+                            .send({ status: 'open', updated_at: new Date().toISOString() })
+                            .catch(reject);
+                    });
+                    request.on('error', reject);
+                });
+
+                expect(received).to.include('event: dispenser.opened');
+                const lines = received.split('\n');
+                const tick = JSON.parse(lines[lines.indexOf('event: dispenser.tick') + 1].slice('data: '.length));
+                expect(tick.dispenser_id).to.equal(dispenserId);
+                expect(tick.total_spent).to.be.a('number');
+            } finally {
+                server.close();
+            }
+        }).timeout(5000);
+
+        it('should return 404 if dispenser is not found', async () => {
+            return chai
+                .request(app)
+                .get('/api/dispenser/nonexistent_id/events')
+                .then((res) => {
+                    expect(res).to.have.status(404);
+                    expect(res.body.error).to.equal(messages.DISPENSER_NOT_FOUND);
+                });
+        });
+    });
+
+    describe('/api/webhook', () => {
+        it('should create, update, list and delete a webhook', async () => {
+            const created = await chai
+                .request(app)
+                .post('/api/webhook')
+                .send({ url: 'http://127.0.0.1:1/hooks', events: ['dispenser.opened'], active: false });
+            expect(created).to.have.status(201);
+            expect(created.body.secret).to.be.a('string');
+
+            const updated = await chai.request(app).patch(`/api/webhook/${created.body.id}`).send({ events: [] });
+            expect(updated).to.have.status(200);
+            expect(updated.body.events).to.deep.equal([]);
+            expect(updated.body).to.not.have.property('secret');
+
+            const deliveries = await chai.request(app).get(`/api/webhook/${created.body.id}/deliveries`);
+            expect(deliveries).to.have.status(200);
+            expect(deliveries.body.deliveries).to.deep.equal([]);
+
+            const deleted = await chai.request(app).delete(`/api/webhook/${created.body.id}`);
+            expect(deleted).to.have.status(204);
+
+            const list = await chai.request(app).get('/api/webhook');
+            expect(list.body.webhooks.map((webhook) => webhook.id)).to.not.include(created.body.id);
+        });
+
+        it('should return 400 for an invalid URL', async () => {
+            return chai
+                .request(app)
+                .post('/api/webhook')
+                .send({ url: 'not a url' })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_WEBHOOK_URL);
+                });
+        });
+    });
+
+    describe('/api/dispenser/:id/keg', () => {
+        it('should attach a keg and report its level', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = response.body.id;
+
+            const keg = await chai.request(app).post(`/api/dispenser/${dispenserId}/keg`).send({ capacity_litres: 50 });
+            expect(keg).to.have.status(201);
+
+            const status = await chai.request(app).get(`/api/dispenser/${dispenserId}/keg`);
+            expect(status).to.have.status(200);
+            expect(status.body.remaining_litres).to.equal(50);
+
+            const history = await chai.request(app).get(`/api/dispenser/${dispenserId}/kegs`);
+            expect(history.body.kegs).to.have.lengthOf(1);
+        });
+
+        it('should return 404 if no keg is attached', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+
+            return chai
+                .request(app)
+                .get(`/api/dispenser/${response.body.id}/keg`)
+                .then((res) => {
+                    expect(res).to.have.status(404);
+                    expect(res.body.error).to.equal(messages.KEG_NOT_FOUND);
+                });
+        });
+
+        it('should return 409 when opening a dispenser with an empty keg', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            await chai.request(app).post(`/api/dispenser/${response.body.id}/keg`).send({ capacity_litres: 50, remaining_litres: 0 });
+
+            return chai
+                .request(app)
+                .put(`/api/dispenser/${response.body.id}/status`)
+                .send({ status: 'open', updated_at: new Date().toISOString() })
+                .then((res) => {
+                    expect(res).to.have.status(409);
+                    expect(res.body.error).to.equal(messages.KEG_EMPTY);
+                });
+        });
+    });
+
+    describe('error responses', () => {
+        it('should return a stable error code along with the message', () => {
+            return chai
+                .request(app)
+                .get('/api/dispenser/unknown')
+                .then((res) => {
+                    expect(res).to.have.status(404);
+                    expect(res.body).to.deep.equal({ error: messages.DISPENSER_NOT_FOUND, code: 'DISPENSER_NOT_FOUND' });
+                    expect(res).to.have.header('X-Request-Id');
+                });
+        });
+
+        it('should return 409 when a status change is not later than the previous one', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = response.body.id;
+
+            await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'open', updated_at: '2023-05-11T00:00:10Z' });
+
+            return chai
+                .request(app)
+                .put(`/api/dispenser/${dispenserId}/status`)
+                .send({ status: 'close', updated_at: '2023-05-11T00:00:00Z' })
+                .then((res) => {
+                    expect(res).to.have.status(409);
+                    expect(res.body.code).to.equal('INVALID_DATE_ORDER');
+                });
+        });
+    });
+
+    describe('GET /api/docs', () => {
+        it('should serve the OpenAPI document without credentials', async () => {
+            const res = await chai.request(app).get('/api/docs/openapi.json');
+
+            expect(res).to.have.status(200);
+            expect(res.body.openapi).to.equal('3.1.0');
+            expect(res.body.paths).to.have.property('/dispenser/{id}/status');
+        });
+
+        it('should serve the interactive viewer and its assets', async () => {
+            const page = await chai.request(app).get('/api/docs');
+            expect(page).to.have.status(200);
+            expect(page).to.be.html;
+            expect(page.text).to.include('/api/docs/openapi.json');
+
+            const bundle = await chai.request(app).get('/api/docs/assets/swagger-ui-bundle.js');
+            expect(bundle).to.have.status(200);
+        });
+
+        it('should document the responses the API actually sends', async () => {
+            const document = (await chai.request(app).get('/api/docs/openapi.json')).body;
+            const ajv = new Ajv({ strict: false, validateFormats: false });
+            ajv.addSchema(document, 'openapi');
+
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 0.5 });
+            await chai.request(app).put(`/api/dispenser/${created.body.id}/status`).send({ status: 'open', updated_at: new Date() });
+            const dispenser = await chai.request(app).get(`/api/dispenser/${created.body.id}`);
+            const spending = await chai.request(app).get(`/api/dispenser/${created.body.id}/spending`);
+
+            expect(ajv.validate({ $ref: 'openapi#/components/schemas/Dispenser' }, dispenser.body), ajv.errorsText()).to.equal(true);
+            expect(ajv.validate({ $ref: 'openapi#/components/schemas/Spending' }, spending.body), ajv.errorsText()).to.equal(true);
+        });
+    });
+
+    describe('/api/dispenser/:id/anomaly-rules and /api/alerts', () => {
+        it('should set the rules of a dispenser and list the alerts they raise', async () => {
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 0.5 });
+            const dispenserId = created.body.id;
+
+            const rules = await chai.request(app).put(`/api/dispenser/${dispenserId}/anomaly-rules`).send({ max_open_seconds: 60 });
+            expect(rules).to.have.status(200);
+            expect(rules.body).to.include({ dispenser_id: dispenserId, max_open_seconds: 60, auto_close: false });
+
+            const invalid = await chai.request(app).put(`/api/dispenser/${dispenserId}/anomaly-rules`).send({ max_opens: 0 });
+            expect(invalid).to.have.status(400);
+            expect(invalid.body.error).to.equal(messages.INVALID_MAX_OPENS);
+
+            await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'open', updated_at: '2023-05-11T20:00:00Z' });
+            await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'close', updated_at: '2023-05-11T22:00:00Z' });
+
+            const res = await chai.request(app).get('/api/alerts').query({ dispenser_id: dispenserId });
+            expect(res).to.have.status(200);
+            expect(res.body.total).to.equal(1);
+            expect(res.body.alerts[0]).to.include({ rule: 'max_open_seconds', value: 7200, limit: 60 });
+
+            const fetched = await chai.request(app).get(`/api/dispenser/${dispenserId}/anomaly-rules`);
+            expect(fetched.body).to.deep.equal(rules.body);
+        });
+
+        it('should return 400 for an unknown rule filter', async () => {
+            const res = await chai.request(app).get('/api/alerts').query({ rule: 'too_thirsty' });
+
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equal(messages.INVALID_ALERT_RULE);
+        });
+    });
+
+    describe('/api/venue and /api/zone', () => {
+        it('should assign dispensers to venues and zones and scope the listing and the spending', async () => {
+            const venue = await chai.request(app).post('/api/venue').send({ name: 'Stadium' });
+            expect(venue).to.have.status(201);
+
+            const zone = await chai.request(app).post('/api/zone').send({ venue_id: venue.body.id, name: 'North stand' });
+            expect(zone).to.have.status(201);
+            expect(zone.body).to.include({ venue_id: venue.body.id, name: 'North stand' });
+
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1, zone_id: zone.body.id });
+            expect(created.body).to.include({ venue_id: venue.body.id, zone_id: zone.body.id });
+
+            await chai.request(app).put(`/api/dispenser/${created.body.id}/status`).send({ status: 'open', updated_at: '2023-05-11T00:00:00Z' });
+            await chai.request(app).put(`/api/dispenser/${created.body.id}/status`).send({ status: 'close', updated_at: '2023-05-11T00:00:10Z' });
+
+            const listed = await chai.request(app).get('/api/dispenser').query({ venue_id: venue.body.id });
+            expect(listed.body.total).to.equal(1);
+            expect(listed.body.dispensers[0].id).to.equal(created.body.id);
+
+            const spending = await chai.request(app).get(`/api/venue/${venue.body.id}/spending`);
+            expect(spending).to.have.status(200);
+            expect(spending.body.amount).to.be.closeTo(10 * PRICE_PER_LITRE, 0.01);
+
+            const zoneSpending = await chai.request(app).get(`/api/zone/${zone.body.id}/spending`).query({ to: '2023-05-11T00:00:05Z' });
+            expect(zoneSpending.body.amount).to.be.closeTo(5 * PRICE_PER_LITRE, 0.01);
+            expect(zoneSpending.body.dispensers).to.deep.equal([{
+                dispenser_id: created.body.id,
+                zone_id: zone.body.id,
+                amount: zoneSpending.body.amount,
+                currency: 'EUR',
+                totals: { EUR: zoneSpending.body.amount },
+            }]);
+        });
+
+        it('should return 400 for a zone of another venue and 404 for an unknown venue', async () => {
+            const venue = await chai.request(app).post('/api/venue').send({ name: 'Harbour bar' });
+            const other = await chai.request(app).post('/api/venue').send({ name: 'Rooftop' });
+            const zone = await chai.request(app).post('/api/zone').send({ venue_id: venue.body.id, name: 'Terrace' });
+
+            const mismatch = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1, venue_id: other.body.id, zone_id: zone.body.id });
+            expect(mismatch).to.have.status(400);
+            expect(mismatch.body.error).to.equal(messages.ZONE_VENUE_MISMATCH);
+
+            const missing = await chai.request(app).get('/api/venue/unknown/spending');
+            expect(missing).to.have.status(404);
+            expect(missing.body.error).to.equal(messages.VENUE_NOT_FOUND);
+        });
+    });
+
+    describe('/api/tab', () => {
+        it('should attribute the pours opened for a tab and settle it', async () => {
+            const tab = await chai.request(app).post('/api/tab').send({ name: 'Table 12' });
+            expect(tab).to.have.status(201);
+            expect(tab.body.status).to.equal('open');
+
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = created.body.id;
+
+            const opened = await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'open', updated_at: '2023-05-11T20:00:00Z', tab_id: tab.body.id });
+            expect(opened).to.have.status(202);
+            await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'close', updated_at: '2023-05-11T20:00:10Z' });
+
+            const discounted = await chai.request(app).post(`/api/tab/${tab.body.id}/discount`).send({ type: 'percentage', value: 50, reason: 'Birthday' });
+            expect(discounted).to.have.status(200);
+            expect(discounted.body.pours).to.have.length(1);
+            expect(discounted.body.total).to.be.closeTo(5 * PRICE_PER_LITRE, 0.01);
+
+            const settled = await chai.request(app).post(`/api/tab/${tab.body.id}/settle`);
+            expect(settled).to.have.status(200);
+            expect(settled.body.status).to.equal('settled');
+            expect(settled.body.invoice.total).to.equal(discounted.body.total);
+
+            const again = await chai.request(app).post(`/api/tab/${tab.body.id}/close`);
+            expect(again).to.have.status(409);
+            expect(again.body.error).to.equal(messages.TAB_NOT_OPEN);
+        });
+
+        it('should return 400 when opening a dispenser for an unknown tab', async () => {
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const res = await chai.request(app).put(`/api/dispenser/${created.body.id}/status`).send({ status: 'open', updated_at: '2023-05-11T20:00:00Z', tab_id: 'unknown' });
+
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equal(messages.TAB_NOT_FOUND);
+        });
+    });
+
+    describe('/api/dispenser/:id/usages/:index/corrections', () => {
+        it('should amend and void usages and recompute the spending', async () => {
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = created.body.id;
+
+            for (const [open, close] of [['20:00:00', '20:00:10'], ['20:05:00', '20:05:10']]) {
+                await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'open', updated_at: `2023-05-11T${open}Z` });
+                await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'close', updated_at: `2023-05-11T${close}Z` });
+            }
+
+            const amended = await chai.request(app).post(`/api/dispenser/${dispenserId}/usages/0/corrections`).send({ action: 'amend', reason: 'Recalibrated', flow_volume: 0.5 });
+            expect(amended).to.have.status(201);
+            expect(amended.body.total_spent).to.be.closeTo(5 * PRICE_PER_LITRE, 0.01);
+            expect(amended.body.corrections[0].original.flow_volume).to.equal(1);
+
+            const voided = await chai.request(app).post(`/api/dispenser/${dispenserId}/usages/1/corrections`).send({ action: 'void', reason: 'Test pour' });
+            expect(voided).to.have.status(201);
+            expect(voided.body.total_spent).to.equal(0);
+
+            const spending = await chai.request(app).get(`/api/dispenser/${dispenserId}/spending`);
+            expect(spending.body.amount).to.be.closeTo(5 * PRICE_PER_LITRE, 0.01);
+            expect(spending.body.usages).to.have.length(2);
+
+            const corrections = await chai.request(app).get(`/api/dispenser/${dispenserId}/corrections`);
+            expect(corrections).to.have.status(200);
+            expect(corrections.body.map((correction) => correction.index)).to.deep.equal([0, 1]);
+
+            const again = await chai.request(app).post(`/api/dispenser/${dispenserId}/usages/1/corrections`).send({ action: 'void', reason: 'Twice' });
+            expect(again).to.have.status(409);
+            expect(again.body.error).to.equal(messages.USAGE_VOIDED);
+        });
+
+        it('should return 400 without a reason and 404 for an unknown usage', async () => {
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+
+            const missing = await chai.request(app).post(`/api/dispenser/${created.body.id}/usages/0/corrections`).send({ action: 'void' });
+            expect(missing).to.have.status(400);
+            expect(missing.body.error).to.equal(messages.CORRECTION_REASON_REQUIRED);
+
+            const unknown = await chai.request(app).post(`/api/dispenser/${created.body.id}/usages/0/corrections`).send({ action: 'void', reason: 'Test pour' });
+            expect(unknown).to.have.status(404);
+            expect(unknown.body.error).to.equal(messages.USAGE_NOT_FOUND);
+        });
+    });
+
+    describe('/api/schedule', () => {
+        it('should lock a dispenser during maintenance and reject its opens', async () => {
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = created.body.id;
+
+            const schedule = await chai.request(app).post('/api/schedule').send({ name: 'Line cleaning', type: 'maintenance', dispenser_id: dispenserId, start_at: '2023-05-11T09:00:00Z', end_at: '2023-05-11T10:00:00Z' });
+            expect(schedule).to.have.status(201);
+
+            const rejected = await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'open', updated_at: '2023-05-11T09:30:00Z' });
+            expect(rejected).to.have.status(409);
+            expect(rejected.body.error).to.equal(messages.DISPENSER_IN_MAINTENANCE);
+
+            const opened = await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'open', updated_at: '2023-05-11T10:00:00Z' });
+            expect(opened).to.have.status(202);
+
+            const lock = await chai.request(app).get(`/api/dispenser/${dispenserId}/lock`);
+            expect(lock).to.have.status(200);
+            expect(lock.body).to.include({ state: 'unlocked', schedule_id: null });
+
+            const listed = await chai.request(app).get('/api/schedule').query({ dispenser_id: dispenserId });
+            expect(listed.body.schedules.map((item) => item.id)).to.deep.equal([schedule.body.id]);
+
+            const deleted = await chai.request(app).delete(`/api/schedule/${schedule.body.id}`);
+            expect(deleted).to.have.status(204);
+        });
+
+        it('should show the lock of a dispenser next to its state', async () => {
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = created.body.id;
+
+            const schedule = await chai.request(app).post('/api/schedule').send({ name: 'Line cleaning', type: 'maintenance', dispenser_id: dispenserId });
+
+            const locked = await chai.request(app).get(`/api/dispenser/${dispenserId}`);
+            expect(locked.body).to.include({ state: 'close', lock: 'maintenance' });
+
+            const listed = await chai.request(app).get('/api/dispenser').query({ limit: 100 });
+            expect(listed.body.dispensers.find((item) => item.id === dispenserId).lock).to.equal('maintenance');
+
+            await chai.request(app).delete(`/api/schedule/${schedule.body.id}`);
+
+            const unlocked = await chai.request(app).get(`/api/dispenser/${dispenserId}`);
+            expect(unlocked.body).to.include({ state: 'close', lock: 'unlocked' });
+        });
+
+        it('should return 400 when a schedule has no dispenser or venue', async () => {
+            const res = await chai.request(app).post('/api/schedule').send({ name: 'Licensing hours', type: 'opening_hours' });
+
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equal(messages.SCHEDULE_TARGET_REQUIRED);
+        });
+    });
+
+    describe('/api/invoice', () => {
+        it('should issue the invoice of a dispenser and render it as HTML and PDF', async () => {
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = created.body.id;
+
+            await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'open', updated_at: '2023-05-11T20:00:00Z' });
+            await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'close', updated_at: '2023-05-11T20:00:10Z' });
+
+            const invoice = await chai.request(app).post('/api/invoice').send({ dispenser_id: dispenserId, from: '2023-05-11T18:00:00Z', to: '2023-05-12T06:00:00Z' });
+            expect(invoice).to.have.status(201);
+            expect(invoice.body.number).to.be.a('number');
+            expect(invoice.body).to.include({ currency: DEFAULT_CURRENCY, total: 10 * PRICE_PER_LITRE });
+            expect(invoice.body.lines).to.have.length(1);
+
+            const html = await chai.request(app).get(`/api/invoice/${invoice.body.id}`).set('Accept', 'text/html');
+            expect(html).to.have.status(200);
+            expect(html).to.have.header('content-type', /text\/html/);
+            expect(html.text).to.include(`Invoice ${String(invoice.body.number).padStart(6, '0')}`);
+
+            const pdf = await chai.request(app).get(`/api/invoice/${invoice.body.id}`).query({ format: 'pdf' })
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on('data', (chunk) => chunks.push(chunk));
+                    res.on('end', () => callback(null, Buffer.concat(chunks)));
+                });
+            expect(pdf).to.have.status(200);
+            expect(pdf).to.have.header('content-type', 'application/pdf');
+            expect(pdf.body.toString('latin1', 0, 8)).to.equal('%PDF-1.4');
+
+            const listed = await chai.request(app).get('/api/invoice').query({ dispenser_id: dispenserId });
+            expect(listed.body.invoices.map((item) => item.id)).to.deep.equal([invoice.body.id]);
+        });
+
+        it('should return 400 for a period that has not ended', async () => {
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const res = await chai.request(app).post('/api/invoice').send({ dispenser_id: created.body.id, from: '2023-05-11T18:00:00Z', to: '2999-01-01T00:00:00Z' });
+
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equal(messages.INVALID_INVOICE_PERIOD);
+        });
+    });
+
+    describe('GET /metrics', () => {
+        it('should expose the request and dispenser metrics in the Prometheus text format', async () => {
+            const created = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            await chai.request(app).get(`/api/dispenser/${created.body.id}`);
+            await chai.request(app).get('/api/dispenser/unknown');
+
+            const res = await chai.request(app).get('/metrics');
+
+            expect(res).to.have.status(200);
+            expect(res).to.have.header('content-type', /^text\/plain/);
+            expect(res.text).to.match(/http_requests_total\{method="GET",route="\/dispenser\/:id",status="200"\} \d+/);
+            expect(res.text).to.match(/http_requests_total\{method="GET",route="\/dispenser\/:id",status="404"\} \d+/);
+            expect(res.text).to.include('http_request_duration_seconds_bucket');
+            expect(res.text).to.match(/^dispensers_open \d+$/m);
+            expect(res.text).to.include('# TYPE dispenser_status_change_rejections_total counter');
+
+            expect(await chai.request(app).get('/api/metrics')).to.have.status(404);
+        });
+    });
+
+    describe('PUT /api/dispenser/:id/status with an Idempotency-Key', () => {
+        it('should return the original result for a retried update', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = response.body.id;
+            const body = { status: 'open', updated_at: new Date().toISOString() };
+
+            const first = await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).set('Idempotency-Key', 'open-1').send(body);
+            const retry = await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).set('Idempotency-Key', 'open-1').send(body);
+
+            expect(first).to.have.status(202);
+            expect(retry).to.have.status(202);
+            expect(retry).to.have.header('Idempotent-Replayed', 'true');
+        });
+
+        it('should return 422 when the key is reused for another update', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = response.body.id;
+
+            await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).set('Idempotency-Key', 'key')
+                .send({ status: 'open', updated_at: new Date().toISOString() });
+
+            return chai
+                .request(app)
+                .put(`/api/dispenser/${dispenserId}/status`)
+                .set('Idempotency-Key', 'key')
+                .send({ status: 'close', updated_at: new Date(Date.now() + 1000).toISOString() })
+                .then((res) => {
+                    expect(res).to.have.status(422);
+                    expect(res.body.error).to.equal(messages.IDEMPOTENCY_KEY_REUSED);
+                });
+        });
+    });
+
+    describe('POST /api/dispenser/status/batch', () => {
+        it('should apply a batch of events and return the result of each', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = response.body.id;
+
+            const res = await chai.request(app).post('/api/dispenser/status/batch').send({
+                events: [
+                    { dispenser_id: dispenserId, status: 'open', updated_at: '2023-05-11T00:00:00Z' },
+                    { dispenser_id: dispenserId, status: 'close', updated_at: '2023-05-11T00:00:10Z' },
+                    { dispenser_id: dispenserId, status: 'close', updated_at: '2023-05-11T00:00:20Z' },
+                ],
+            });
+
+            expect(res).to.have.status(200);
+            expect(res.body).to.include({ mode: 'partial', accepted: 2, rejected: 1, skipped: 0 });
+            expect(res.body.results[2].error).to.equal(messages.DISPENSER_ALREADY_IN_DESIRED_STATE);
+        });
+
+        it('should return 400 for an invalid batch', () => {
+            return chai
+                .request(app)
+                .post('/api/dispenser/status/batch')
+                .send({ events: [] })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_BATCH_EVENTS);
+                });
+        });
+    });
+
+    describe('GET /api/dispenser/:id/audit', () => {
+        it('should list the accepted and rejected status change attempts', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = response.body.id;
+            const updated_at = new Date().toISOString();
+
+            await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'open', updated_at });
+            await chai.request(app).put(`/api/dispenser/${dispenserId}/status`).send({ status: 'open', updated_at });
+
+            const all = await chai.request(app).get(`/api/dispenser/${dispenserId}/audit`);
+            expect(all).to.have.status(200);
+            expect(all.body.total).to.equal(2);
+            expect(all.body.entries[0]).to.include({ requested_status: 'open', updated_at, outcome: 'accepted' });
+
+            const rejected = await chai.request(app).get(`/api/dispenser/${dispenserId}/audit?outcome=rejected`);
+            expect(rejected.body.entries).to.have.lengthOf(1);
+            expect(rejected.body.entries[0].error).to.equal(messages.DISPENSER_ALREADY_IN_DESIRED_STATE);
+        });
+
+        it('should return 400 for an invalid outcome filter', async () => {
+            const response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+
+            return chai
+                .request(app)
+                .get(`/api/dispenser/${response.body.id}/audit?outcome=maybe`)
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_AUDIT_OUTCOME);
+                });
+        });
+    });
+
     describe('PUT /dispenser/:id/status', () => {
         let dispenserId;
 
@@ -258,7 +1187,51 @@ describe('API Routes', () => {
                 .then((res) => {
                     expect(res).to.have.status(200);
                     expect(res.body.usages).to.be.an('array').with.lengthOf(1);
-                    expect(res.body.usages[0].total_spent).to.be.closeTo(2.5 * 10 * PRICE_PER_LITRE, 0.2); // flow_volume * time open in seconds * price per litre
+                    expect(res.body.usages[0].total_spent).to.be.closeTo(2.5 * 10 * PRICE_PER_LITRE, 20); // flow_volume * time open in seconds * price per litre
+                });
+        });
+
+        it('should filter and paginate the spending', async () => {
+            let response = await chai.request(app).post('/api/dispenser').send({ flow_volume: 1 });
+            const dispenserId = response.body.id;
+
+            await chai
+                .request(app)
+                .put(`/api/dispenser/${dispenserId}/status`)
+                .send({ status: 'open', updated_at: '2023-05-11T00:00:00Z' });
+
+            await chai
+                .request(app)
+                .put(`/api/dispenser/${dispenserId}/status`)
+                .send({ status: 'close', updated_at: '2023-05-11T00:00:10Z' });
+
+            return chai
+                .request(app)
+                .get(`/api/dispenser/${dispenserId}/spending`)
+                .query({ from: '2023-05-11T00:00:05Z', limit: 10 })
+                .then((res) => {
+                    expect(res).to.have.status(200);
+                    expect(res.body.usages).to.have.lengthOf(1);
+                    expect(res.body.total).to.equal(1);
+                    expect(res.body).to.include({ amount: 5 * PRICE_PER_LITRE, currency: DEFAULT_CURRENCY });
+                });
+        });
+
+        it('should return 400 when the spending can\'t be converted to the currency', async () => {
+            const res = await chai.request(app).get(`/api/dispenser/${dispenserId}/spending`).query({ currency: 'JPY' });
+
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equal(messages.EXCHANGE_RATE_NOT_FOUND);
+        });
+
+        it('should return 400 for an invalid spending range', async () => {
+            return chai
+                .request(app)
+                .get(`/api/dispenser/${dispenserId}/spending`)
+                .query({ from: '2023-05-12T00:00:00Z', to: '2023-05-11T00:00:00Z' })
+                .then((res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.body.error).to.equal(messages.INVALID_TIME_RANGE);
                 });
         });
 
@@ -281,7 +1254,7 @@ describe('API Routes', () => {
                     expect(res).to.have.status(200);
                     expect(res.body.usages).to.be.an('array').with.lengthOf(1);
                     const totalSpent = (new Date() - new Date(openDate)) / 1000 * 2.5 * PRICE_PER_LITRE;
-                    expect(res.body.usages[0].total_spent).to.be.closeTo(totalSpent, 0.2); // allow for a small error due to timing
+                    expect(res.body.usages[0].total_spent).to.be.closeTo(totalSpent, 20); // allow for a small error due to timing
                 });
         }).timeout(10000); // Increase timeout for this test to 10 seconds;
     });
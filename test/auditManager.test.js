@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+const { AuditManager } = require('../managers/auditManager');
+const { DispenserManager, DispenserState, AttemptOutcome } = require('../managers/dispenserManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+
+describe('AuditManager', () => {
+    const caller = { subject: 'tap-1', role: 'tap', dispenser_id: null, ip: '127.0.0.1' };
+    let dispenserManager;
+    let auditManager;
+    let dispenser;
+
+    beforeEach(() => {
+        dispenserManager = new DispenserManager(new MemoryStore());
+        auditManager = new AuditManager(dispenserManager);
+        dispenser = dispenserManager.createDispenser(0.5);
+    });
+
+    it('should record accepted and rejected attempts', () => {
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'), caller);
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:05Z'), caller);
+        expect(() => dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-10T00:00:00Z')))
+            .to.throw(messages.INVALID_DATE_ORDER);
+        expect(() => dispenserManager.changeDispenserStatus(dispenser.id, 'half-open', new Date('invalid')))
+            .to.throw(messages.INVALID_DISPENSER_STATUS);
+
+        const { entries, total } = auditManager.getAuditLog(dispenser.id);
+
+        expect(total).to.equal(4);
+        expect(entries.map((entry) => entry.outcome)).to.deep.equal([
+            AttemptOutcome.ACCEPTED, AttemptOutcome.REJECTED, AttemptOutcome.REJECTED, AttemptOutcome.REJECTED,
+        ]);
+        expect(entries[0]).to.include({ caller, requested_status: DispenserState.OPEN, error: null });
+        expect(entries[0].updated_at).to.deep.equal(new Date('2023-05-11T00:00:00Z'));
+        expect(entries[0].received_at).to.be.an.instanceOf(Date);
+        expect(entries[1].error).to.equal(messages.DISPENSER_ALREADY_IN_DESIRED_STATE);
+        expect(entries[2]).to.include({ caller: null, error: messages.INVALID_DATE_ORDER });
+        expect(entries[3]).to.include({ requested_status: 'half-open', updated_at: null });
+    });
+
+    it('should filter the attempts by outcome and time', () => {
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date());
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date());
+
+        const rejected = auditManager.getAuditLog(dispenser.id, { outcome: AttemptOutcome.REJECTED });
+        expect(rejected.entries).to.have.lengthOf(1);
+        expect(rejected.entries[0].outcome).to.equal(AttemptOutcome.REJECTED);
+
+        const future = auditManager.getAuditLog(dispenser.id, { from: new Date(Date.now() + 60000).toISOString() });
+        expect(future.total).to.equal(0);
+
+        const page = auditManager.getAuditLog(dispenser.id, { limit: 1, offset: 1 });
+        expect(page).to.include({ total: 2, limit: 1, offset: 1 });
+    });
+
+    it('should throw an error for unknown dispensers and invalid filters', () => {
+        expect(() => auditManager.getAuditLog('unknown')).to.throw(messages.DISPENSER_NOT_FOUND);
+        expect(() => auditManager.getAuditLog(dispenser.id, { outcome: 'maybe' })).to.throw(messages.INVALID_AUDIT_OUTCOME);
+        expect(() => auditManager.getAuditLog(dispenser.id, { from: 'yesterday' })).to.throw(messages.INVALID_TIME_RANGE);
+    });
+});
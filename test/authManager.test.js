@@ -0,0 +1,155 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const { AuthManager, Role, signToken } = require('../managers/authManager');
+const { authenticate, authorize, restrictToVenue, restrictSharedChanges } = require('../middleware/auth');
+const { errorHandler } = require('../middleware/errorHandler');
+const messages = require('../constants/messages');
+
+const { expect } = chai;
+chai.use(chaiHttp);
+
+const SECRET = 'a-secret-for-the-tests';
+
+describe('AuthManager', () => {
+    const authManager = new AuthManager({ apiKeys: 'admin-key:admin, staff-key:staff, tap-key:tap:tap-1', jwtSecret: SECRET });
+
+    it('should resolve the principal of an API key', () => {
+        expect(authManager.authenticate({ 'x-api-key': 'staff-key' }).role).to.equal(Role.STAFF);
+        expect(authManager.authenticate({ authorization: 'Bearer tap-key' })).to.include({ role: Role.TAP, dispenser_id: 'tap-1' });
+        expect(() => authManager.authenticate({ 'x-api-key': 'unknown' })).to.throw(messages.INVALID_CREDENTIALS);
+        expect(() => authManager.authenticate({})).to.throw(messages.AUTHENTICATION_REQUIRED);
+    });
+
+    it('should resolve the principal of a token', () => {
+        const token = signToken({ sub: 'alice', role: Role.ADMIN, exp: Date.now() / 1000 + 60 }, SECRET);
+
+        expect(authManager.authenticate({ authorization: `Bearer ${token}` })).to.deep.equal({
+            subject: 'alice',
+            role: Role.ADMIN,
+            dispenser_id: null,
+            venue_id: null,
+        });
+    });
+
+    it('should restrict admin and staff credentials to a venue', () => {
+        const scoped = new AuthManager({ apiKeys: 'bar-key:staff:venue-1', jwtSecret: SECRET });
+        const token = signToken({ role: Role.ADMIN, venue_id: 'venue-2' }, SECRET);
+
+        expect(scoped.authenticate({ 'x-api-key': 'bar-key' })).to.include({ dispenser_id: null, venue_id: 'venue-1' });
+        expect(scoped.authenticateToken(token)).to.include({ role: Role.ADMIN, venue_id: 'venue-2' });
+        expect(authManager.authenticate({ 'x-api-key': 'tap-key' }).venue_id).to.equal(null);
+    });
+
+    it('should reject forged, expired and incomplete tokens', () => {
+        const forged = signToken({ role: Role.ADMIN }, 'another-secret');
+        const expired = signToken({ role: Role.ADMIN, exp: Date.now() / 1000 - 1 }, SECRET);
+        const unbound = signToken({ role: Role.TAP }, SECRET);
+
+        expect(() => authManager.authenticateToken(forged)).to.throw(messages.INVALID_CREDENTIALS);
+        expect(() => authManager.authenticateToken(expired)).to.throw(messages.TOKEN_EXPIRED);
+        expect(() => authManager.authenticateToken(unbound)).to.throw(messages.INVALID_CREDENTIALS);
+        expect(() => authManager.authenticateToken('not.a.token')).to.throw(messages.INVALID_CREDENTIALS);
+    });
+
+    it('should only be disabled explicitly and without credentials, and reject invalid key entries', () => {
+        expect(new AuthManager({ apiKeys: '', jwtSecret: '', disabled: false }).enabled).to.equal(true);
+        expect(new AuthManager({ apiKeys: '', jwtSecret: '', disabled: true }).enabled).to.equal(false);
+        expect(new AuthManager({ apiKeys: 'key:admin', jwtSecret: '', disabled: true }).enabled).to.equal(true);
+        expect(authManager.enabled).to.equal(true);
+        expect(() => new AuthManager({ apiKeys: 'key:owner' })).to.throw('Invalid API key entry');
+        expect(() => new AuthManager({ apiKeys: 'key:tap' })).to.throw('Invalid API key entry');
+    });
+
+    describe('middleware', () => {
+        const app = express();
+        app.use(authenticate(authManager));
+        app.get('/dispenser/:id', authorize(Role.ADMIN, Role.STAFF), (req, res) => res.json(req.auth.principal));
+        app.put('/dispenser/:id/status', authorize(Role.ADMIN, Role.TAP), (req, res) => res.status(202).send());
+        app.use(errorHandler);
+
+        it('should return 401 without valid credentials', async () => {
+            const missing = await chai.request(app).get('/dispenser/tap-1');
+            expect(missing).to.have.status(401);
+            expect(missing.body).to.deep.equal({ error: messages.AUTHENTICATION_REQUIRED, code: 'AUTHENTICATION_REQUIRED' });
+            expect(missing).to.have.header('WWW-Authenticate', 'Bearer');
+
+            const invalid = await chai.request(app).get('/dispenser/tap-1').set('X-API-Key', 'unknown');
+            expect(invalid).to.have.status(401);
+            expect(invalid.body.error).to.equal(messages.INVALID_CREDENTIALS);
+        });
+
+        it('should return 403 when the role is not allowed', async () => {
+            const res = await chai.request(app).put('/dispenser/tap-1/status').set('X-API-Key', 'staff-key');
+            expect(res).to.have.status(403);
+            expect(res.body.error).to.equal(messages.INSUFFICIENT_ROLE);
+        });
+
+        it('should only let a tap change the status of its own dispenser', async () => {
+            const own = await chai.request(app).put('/dispenser/tap-1/status').set('X-API-Key', 'tap-key');
+            expect(own).to.have.status(202);
+
+            const other = await chai.request(app).put('/dispenser/tap-2/status').set('X-API-Key', 'tap-key');
+            expect(other).to.have.status(403);
+            expect(other.body.error).to.equal(messages.DISPENSER_ACCESS_DENIED);
+        });
+
+        it('should only let venue-bound credentials reach the resources of their venue', async () => {
+            const venues = express();
+            venues.use(authenticate(new AuthManager({ apiKeys: 'admin-key:admin, bar-key:staff:venue-1' })));
+            venues.use('/venue/:id', restrictToVenue((req) => (req.params.id === 'unknown' ? undefined : req.params.id)));
+            venues.get('/venue/:id', authorize(Role.ADMIN, Role.STAFF), (req, res) => res.status(200).send());
+            venues.use(errorHandler);
+
+            expect(await chai.request(venues).get('/venue/venue-1').set('X-API-Key', 'bar-key')).to.have.status(200);
+            expect(await chai.request(venues).get('/venue/unknown').set('X-API-Key', 'bar-key')).to.have.status(200);
+            expect(await chai.request(venues).get('/venue/venue-2').set('X-API-Key', 'admin-key')).to.have.status(200);
+
+            const other = await chai.request(venues).get('/venue/venue-2').set('X-API-Key', 'bar-key');
+            expect(other).to.have.status(403);
+            expect(other.body.error).to.equal(messages.VENUE_ACCESS_DENIED);
+        });
+
+        it('should only let credentials spanning every venue change the catalogue and the pricing rules', async () => {
+            const catalogue = express();
+            catalogue.use(authenticate(new AuthManager({ apiKeys: 'admin-key:admin, bar-admin-key:admin:venue-1' })));
+            catalogue.use(['/beverage', '/pricing-rule'], restrictSharedChanges());
+            catalogue.get('/beverage', authorize(Role.ADMIN), (req, res) => res.status(200).send());
+            catalogue.post(['/beverage', '/pricing-rule'], authorize(Role.ADMIN), (req, res) => res.status(201).send());
+            catalogue.use(errorHandler);
+
+            for (const path of ['/beverage', '/pricing-rule']) {
+                const scoped = await chai.request(catalogue).post(path).set('X-API-Key', 'bar-admin-key');
+                expect(scoped).to.have.status(403);
+                expect(scoped.body.error).to.equal(messages.VENUE_ACCESS_DENIED);
+
+                expect(await chai.request(catalogue).post(path).set('X-API-Key', 'admin-key')).to.have.status(201);
+            }
+
+            expect(await chai.request(catalogue).get('/beverage').set('X-API-Key', 'bar-admin-key')).to.have.status(200);
+        });
+
+        it('should let every request through when authentication is disabled', async () => {
+            const open = express();
+            open.use(authenticate(new AuthManager({ apiKeys: '', jwtSecret: '', disabled: true })));
+            open.get('/dispenser/:id', authorize(Role.ADMIN), (req, res) => res.status(200).send());
+
+            const res = await chai.request(open).get('/dispenser/tap-1');
+            expect(res).to.have.status(200);
+        });
+
+        it('should reject every request when no credentials are configured', async () => {
+            const closed = express();
+            closed.use(authenticate(new AuthManager({ apiKeys: '', jwtSecret: '', disabled: false })));
+            closed.get('/dispenser/:id', authorize(Role.ADMIN), (req, res) => res.status(200).send());
+            closed.use(errorHandler);
+
+            expect(await chai.request(closed).get('/dispenser/tap-1')).to.have.status(401);
+            expect(await chai.request(closed).get('/dispenser/tap-1').set('X-API-Key', 'any')).to.have.status(401);
+
+            const token = signToken({ role: Role.ADMIN }, 'guessed');
+            expect(await chai.request(closed).get('/dispenser/tap-1').set('Authorization', `Bearer ${token}`))
+                .to.have.status(401);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const { BatchManager, BatchMode, BatchOutcome } = require('../managers/batchManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+
+describe('BatchManager', () => {
+    let store;
+    let dispenserManager;
+    let batchManager;
+    let first;
+    let second;
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        batchManager = new BatchManager(dispenserManager);
+        first = dispenserManager.createDispenser(0.5);
+        second = dispenserManager.createDispenser(0.5);
+    });
+
+    const event = (dispenser, status, time) => ({ dispenser_id: dispenser.id, status, updated_at: `2023-05-11T00:${time}Z` });
+
+    it('should apply the valid events and report the rejected ones in partial mode', () => {
+        const batch = batchManager.ingest([
+            event(first, DispenserState.OPEN, '00:00'),
+            event(second, DispenserState.OPEN, '00:00'),
+            event(first, DispenserState.CLOSE, '00:10'),
+            event(second, DispenserState.OPEN, '00:05'),
+            { dispenser_id: 'unknown', status: DispenserState.OPEN, updated_at: '2023-05-11T00:00:00Z' },
+        ]);
+
+        expect(batch).to.include({ mode: BatchMode.PARTIAL, accepted: 3, rejected: 2, skipped: 0 });
+        expect(batch.results.map((result) => result.outcome)).to.deep.equal([
+            BatchOutcome.ACCEPTED, BatchOutcome.ACCEPTED, BatchOutcome.ACCEPTED, BatchOutcome.REJECTED, BatchOutcome.REJECTED,
+        ]);
+        expect(batch.results[3].error).to.equal(messages.DISPENSER_ALREADY_IN_DESIRED_STATE);
+        expect(batch.results[4].error).to.equal(messages.DISPENSER_NOT_FOUND);
+        expect(store.getUsages(first.id)[0].total_spent).to.be.above(0);
+        expect(dispenserManager.getDispenser(second.id).state).to.equal(DispenserState.OPEN);
+    });
+
+    it('should apply the events of a dispenser all or nothing in atomic mode', () => {
+        const batch = batchManager.ingest([
+            event(first, DispenserState.OPEN, '00:00'),
+            event(second, DispenserState.OPEN, '00:00'),
+            event(first, DispenserState.CLOSE, '00:10'),
+            event(second, DispenserState.CLOSE, '00:05'),
+            event(second, DispenserState.OPEN, '00:01'),
+        ], { mode: BatchMode.ATOMIC });
+
+        expect(batch).to.include({ accepted: 2, rejected: 1, skipped: 2 });
+        expect(batch.results[4]).to.include({ outcome: BatchOutcome.REJECTED, error: messages.INVALID_DATE_ORDER });
+        expect(batch.results[1]).to.include({ outcome: BatchOutcome.SKIPPED, error: messages.BATCH_EVENT_SKIPPED });
+        expect(store.getUsages(first.id)).to.have.lengthOf(1);
+        expect(store.getUsages(second.id)).to.equal(undefined);
+        expect(dispenserManager.getDispenser(second.id).state).to.equal(DispenserState.CLOSE);
+    });
+
+    it('should reject every event of a dispenser with an invalid event in atomic mode', () => {
+        const batch = batchManager.ingest([
+            event(first, DispenserState.OPEN, '00:00'),
+            { dispenser_id: first.id, status: DispenserState.CLOSE },
+        ], { mode: BatchMode.ATOMIC });
+
+        expect(batch.results.map((result) => result.outcome)).to.deep.equal([BatchOutcome.SKIPPED, BatchOutcome.REJECTED]);
+        expect(batch.results[1].error).to.equal(messages.STATUS_UPDATED_AT_FIELDS_REQUIRED);
+        expect(dispenserManager.getDispenser(first.id).state).to.equal(DispenserState.CLOSE);
+    });
+
+    it('should only accept the events of its own dispenser from a tap', () => {
+        const caller = { subject: 'tap', role: 'tap', dispenser_id: first.id };
+        const batch = batchManager.ingest([
+            event(first, DispenserState.OPEN, '00:00'),
+            event(second, DispenserState.OPEN, '00:00'),
+        ], { caller });
+
+        expect(batch.results[0].outcome).to.equal(BatchOutcome.ACCEPTED);
+        expect(batch.results[1].error).to.equal(messages.DISPENSER_ACCESS_DENIED);
+    });
+
+    it('should throw an error for an invalid batch', () => {
+        expect(() => batchManager.ingest([])).to.throw(messages.INVALID_BATCH_EVENTS);
+        expect(() => batchManager.ingest({})).to.throw(messages.INVALID_BATCH_EVENTS);
+        expect(() => batchManager.ingest([event(first, DispenserState.OPEN, '00:00')], { mode: 'some' }))
+            .to.throw(messages.INVALID_BATCH_MODE);
+    });
+});
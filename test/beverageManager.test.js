@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const { BeverageManager } = require('../managers/beverageManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+describe('BeverageManager', () => {
+    let store;
+    let beverageManager;
+    let dispenserManager;
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        beverageManager = new BeverageManager(store);
+        dispenserManager = new DispenserManager(store);
+    });
+
+    describe('createBeverage', () => {
+        it('should create a beverage with the default currency', () => {
+            const beverage = beverageManager.createBeverage({ name: ' Lager ', price_per_litre: 8 });
+
+            expect(beverage.name).to.equal('Lager');
+            expect(beverage.price_per_litre).to.equal(8);
+            expect(beverage.currency).to.equal(constants.DEFAULT_CURRENCY);
+            expect(beverage.tax_rate).to.equal(null);
+            expect(beverageManager.beverages).to.deep.equal([beverage]);
+        });
+
+        it('should throw an error when a field is invalid', () => {
+            expect(() => beverageManager.createBeverage({ name: '', price_per_litre: 8 }))
+                .to.throw(messages.BEVERAGE_NAME_REQUIRED);
+            expect(() => beverageManager.createBeverage({ name: 'Stout', price_per_litre: 0 }))
+                .to.throw(messages.INVALID_PRICE_PER_LITRE);
+            expect(() => beverageManager.createBeverage({ name: 'Stout', price_per_litre: 7.5 }))
+                .to.throw(messages.INVALID_PRICE_PER_LITRE);
+            expect(() => beverageManager.createBeverage({ name: 'Stout', price_per_litre: 8, currency: 'euro' }))
+                .to.throw(messages.INVALID_CURRENCY);
+            expect(() => beverageManager.createBeverage({ name: 'Stout', price_per_litre: 8, tax_rate: 120 }))
+                .to.throw(messages.INVALID_TAX_RATE);
+        });
+    });
+
+    describe('updateBeverage', () => {
+        it('should not change the price of usages already opened', () => {
+            const beverage = beverageManager.createBeverage({ name: 'IPA', price_per_litre: 10, currency: 'USD' });
+            const dispenser = dispenserManager.createDispenser(0.5, beverage.id);
+            const openDate = new Date('2023-05-11T00:00:00Z');
+            const closeDate = new Date('2023-05-11T00:01:00Z');
+
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, openDate);
+            beverageManager.updateBeverage(beverage.id, { price_per_litre: 20 });
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, closeDate);
+
+            const [usage] = dispenserManager.getSpending(dispenser.id).usages;
+            expect(usage.price_per_litre).to.equal(10);
+            expect(usage.currency).to.equal('USD');
+            expect(usage.total_spent).to.be.closeTo(60 * 0.5 * 10, 0.01);
+            expect(beverageManager.getBeverage(beverage.id).price_per_litre).to.equal(20);
+        });
+
+        it('should throw an error for a beverage that does not exist', () => {
+            expect(() => beverageManager.updateBeverage('non-existent-id', { price_per_litre: 1 }))
+                .to.throw(messages.BEVERAGE_NOT_FOUND);
+        });
+    });
+
+    describe('dispenser assignment', () => {
+        it('should price usages with the beverage assigned when they are opened', () => {
+            const beverage = beverageManager.createBeverage({ name: 'Stout', price_per_litre: 6 });
+            const dispenser = dispenserManager.createDispenser(1);
+
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:10Z'));
+            dispenserManager.updateDispenser(dispenser.id, { beverage_id: beverage.id });
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:01:00Z'));
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:01:10Z'));
+
+            const { usages, amount } = dispenserManager.getSpending(dispenser.id);
+            expect(usages[0].price_per_litre).to.equal(constants.PRICE_PER_LITRE);
+            expect(usages[1].price_per_litre).to.equal(6);
+            expect(usages[1].beverage_id).to.equal(beverage.id);
+            expect(amount).to.be.closeTo(10 * constants.PRICE_PER_LITRE + 10 * 6, 0.01);
+        });
+
+        it('should throw an error when assigning a beverage that does not exist', () => {
+            expect(() => dispenserManager.createDispenser(1, 'non-existent-id')).to.throw(messages.BEVERAGE_NOT_FOUND);
+        });
+    });
+});
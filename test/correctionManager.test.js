@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+const { CorrectionManager, CorrectionAction } = require('../managers/correctionManager');
+const { DispenserManager, DispenserState, DispenserEvent } = require('../managers/dispenserManager');
+const { TabManager } = require('../managers/tabManager');
+const { KegManager } = require('../managers/kegManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+describe('CorrectionManager', () => {
+    let store;
+    let dispenserManager;
+    let correctionManager;
+    let dispenser;
+
+    const pour = (openedAt, closedAt, tabId = null) => {
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date(openedAt), null, new Date(), tabId);
+        if (closedAt) {
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date(closedAt));
+        }
+    };
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        correctionManager = new CorrectionManager(store, dispenserManager);
+        dispenser = dispenserManager.createDispenser(1);
+        pour('2023-05-11T20:00:00Z', '2023-05-11T20:00:10Z');
+        pour('2023-05-11T20:05:00Z', '2023-05-11T20:05:10Z');
+    });
+
+    it('should amend a usage, keep its original values and recompute the total', () => {
+        const events = [];
+        dispenserManager.on(DispenserEvent.USAGE_CORRECTED, (event) => events.push(event));
+
+        const usage = correctionManager.correctUsage(dispenser.id, 0, {
+            action: CorrectionAction.AMEND,
+            reason: ' Closed late ',
+            closed_at: '2023-05-11T20:00:04Z',
+        }, { subject: 'manager' });
+
+        expect(usage.closed_at).to.deep.equal(new Date('2023-05-11T20:00:04Z'));
+        expect(usage.total_spent).to.be.closeTo(4 * constants.PRICE_PER_LITRE, 0.01);
+        expect(usage.corrections).to.have.length(1);
+        expect(usage.corrections[0]).to.include({ action: CorrectionAction.AMEND, reason: 'Closed late' });
+        expect(usage.corrections[0].caller).to.deep.equal({ subject: 'manager' });
+        expect(usage.corrections[0].original).to.include({ flow_volume: 1, total_spent: 10 * constants.PRICE_PER_LITRE });
+        expect(usage.corrections[0].corrected.total_spent).to.equal(usage.total_spent);
+
+        expect(dispenserManager.totalSpentPerDispenser.get(dispenser.id)).to.deep.equal({
+            [constants.DEFAULT_CURRENCY]: 14 * constants.PRICE_PER_LITRE,
+        });
+        expect(dispenserManager.getSpending(dispenser.id).amount).to.be.closeTo(14 * constants.PRICE_PER_LITRE, 0.01);
+        expect(events).to.have.length(1);
+        expect(events[0].usage).to.equal(usage);
+    });
+
+    it('should void a usage so it is no longer billed anywhere', () => {
+        const tabManager = new TabManager(store, dispenserManager);
+        const tab = tabManager.openTab({ name: 'Table 1' });
+        pour('2023-05-11T20:10:00Z', '2023-05-11T20:10:10Z', tab.id);
+
+        const usage = correctionManager.correctUsage(dispenser.id, 2, { action: CorrectionAction.VOID, reason: 'Spilled' });
+
+        expect(usage).to.include({ total_spent: 0 });
+        expect(usage.voided_at).to.be.an.instanceOf(Date);
+        expect(usage.corrections[0].corrected.voided_at).to.equal(usage.voided_at);
+        expect(dispenserManager.getSpending(dispenser.id).amount).to.be.closeTo(20 * constants.PRICE_PER_LITRE, 0.01);
+        expect(dispenserManager.getSpending(dispenser.id, { from: '2023-05-11T20:10:00Z' }).amount).to.equal(0);
+        expect(tabManager.getStatement(tab.id).pours).to.have.length(0);
+
+        expect(() => correctionManager.correctUsage(dispenser.id, 2, { action: CorrectionAction.VOID, reason: 'Again' }))
+            .to.throw(messages.USAGE_VOIDED);
+        expect(correctionManager.getCorrections(dispenser.id).map((correction) => correction.index)).to.deep.equal([2]);
+    });
+
+    it('should give the keg back the litres a corrected usage no longer poured', () => {
+        const events = [];
+        dispenserManager.on(DispenserEvent.KEG_LOW, (event) => events.push(event));
+
+        const keg = new KegManager(store, dispenserManager)
+            .attachKeg(dispenser.id, { capacity_litres: 50, low_level_litres: 40 });
+        pour('2023-05-11T20:10:00Z', '2023-05-11T20:10:20Z');
+        pour('2023-05-11T20:15:00Z', '2023-05-11T20:15:10Z');
+        expect(store.findKeg(keg.id)).to.deep.include({ remaining_litres: 20, low_level_at: new Date('2023-05-11T20:10:20Z') });
+
+        correctionManager.correctUsage(dispenser.id, 2, { action: CorrectionAction.VOID, reason: 'Spilled' });
+        expect(store.findKeg(keg.id).remaining_litres).to.equal(40);
+
+        correctionManager.correctUsage(dispenser.id, 3, {
+            action: CorrectionAction.AMEND, reason: 'Closed late', closed_at: '2023-05-11T20:15:05Z',
+        });
+        expect(store.findKeg(keg.id)).to.include({ remaining_litres: 45, low_level_at: null });
+
+        // Usages poured before the keg was attached don't change its level
+        correctionManager.correctUsage(dispenser.id, 0, { action: CorrectionAction.VOID, reason: 'Test pour' });
+        expect(store.findKeg(keg.id).remaining_litres).to.equal(45);
+
+        const corrected = new Date();
+        correctionManager.correctUsage(dispenser.id, 3, {
+            action: CorrectionAction.AMEND, reason: 'Closed early', closed_at: '2023-05-11T20:15:40Z',
+        }, null, corrected);
+        expect(store.findKeg(keg.id)).to.deep.include({ remaining_litres: 10, low_level_at: corrected });
+        expect(events.map((event) => event.keg.id)).to.deep.equal([keg.id, keg.id]);
+    });
+
+    it('should reject corrections that are not valid', () => {
+        const correct = (index, correction) => () => correctionManager.correctUsage(dispenser.id, index, correction);
+        const amend = { action: CorrectionAction.AMEND, reason: 'Fix' };
+
+        expect(correct(5, { action: CorrectionAction.VOID, reason: 'Fix' })).to.throw(messages.USAGE_NOT_FOUND);
+        expect(correct(0, { action: 'delete', reason: 'Fix' })).to.throw(messages.INVALID_CORRECTION_ACTION);
+        expect(correct(0, { action: CorrectionAction.VOID, reason: ' ' })).to.throw(messages.CORRECTION_REASON_REQUIRED);
+        expect(correct(0, amend)).to.throw(messages.CORRECTION_FIELDS_REQUIRED);
+        expect(correct(0, { ...amend, flow_volume: -1 })).to.throw(messages.INVALID_FLOW);
+        expect(correct(0, { ...amend, opened_at: 'yesterday' })).to.throw(messages.INVALID_DATE_FORMAT);
+        expect(correct(0, { ...amend, closed_at: '2023-05-11T20:05:05Z' })).to.throw(messages.INVALID_DATE_ORDER);
+
+        pour('2023-05-11T20:10:00Z');
+        expect(correct(2, { action: CorrectionAction.VOID, reason: 'Fix' })).to.throw(messages.USAGE_MUST_BE_CLOSED);
+        expect(store.getUsages(dispenser.id)[0].corrections).to.equal(undefined);
+    });
+});
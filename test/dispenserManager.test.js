@@ -1,6 +1,8 @@
 const assert = require('chai').assert;
 const { expect } = require('chai');
-const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { DispenserManager, DispenserState, DispenserEvent } = require('../managers/dispenserManager');
+const { BeverageManager } = require('../managers/beverageManager');
+const { MemoryStore } = require('../stores');
 const messages = require('../constants/messages');
 const constants = require('../constants/constants');
 
@@ -28,6 +30,70 @@ describe('DispenserManager', () => {
         });
     });
 
+    describe('listDispensers', () => {
+        let dispenserManager;
+
+        beforeEach(() => {
+            dispenserManager = new DispenserManager();
+        });
+
+        it('should filter by state and retirement and paginate', () => {
+            const open = dispenserManager.createDispenser(1);
+            const retired = dispenserManager.createDispenser(1);
+            const closed = dispenserManager.createDispenser(1);
+            dispenserManager.changeDispenserStatus(open.id, DispenserState.OPEN, new Date());
+            dispenserManager.retireDispenser(retired.id);
+
+            const ids = (page) => page.dispensers.map((dispenser) => dispenser.id);
+            const all = { limit: 100 };
+
+            expect(ids(dispenserManager.listDispensers({ ...all, state: DispenserState.OPEN })))
+                .to.include(open.id).and.not.include(closed.id);
+            expect(ids(dispenserManager.listDispensers({ ...all, retired: 'true' })))
+                .to.include(retired.id).and.not.include(closed.id);
+            expect(ids(dispenserManager.listDispensers({ ...all, retired: false })))
+                .to.include(closed.id).and.not.include(retired.id);
+
+            const total = dispenserManager.listDispensers().total;
+            const page = dispenserManager.listDispensers({ limit: 2, offset: total - 1 });
+            expect(ids(page)).to.deep.equal([closed.id]);
+            expect(page.limit).to.equal(2);
+        });
+
+        it('should throw an error for invalid filters', () => {
+            expect(() => dispenserManager.listDispensers({ state: 'INVALID' })).to.throw(messages.INVALID_STATE_FILTER);
+            expect(() => dispenserManager.listDispensers({ retired: 'maybe' })).to.throw(messages.INVALID_RETIRED_FILTER);
+            expect(() => dispenserManager.listDispensers({ offset: -1 })).to.throw(messages.INVALID_PAGINATION);
+        });
+    });
+
+    describe('updateDispenser', () => {
+        it('should only apply the new flow volume to usages opened afterwards', () => {
+            const dispenserManager = new DispenserManager();
+            const dispenser = dispenserManager.createDispenser(1);
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+
+            dispenserManager.updateDispenser(dispenser.id, { flow_volume: 2 });
+
+            expect(dispenserManager.getDispenser(dispenser.id).flow_volume).to.equal(2);
+            expect(dispenserManager.getSpending(dispenser.id).usages[0].flow_volume).to.equal(1);
+        });
+    });
+
+    describe('retireDispenser', () => {
+        it('should refuse status changes once retired', () => {
+            const dispenserManager = new DispenserManager();
+            const dispenser = dispenserManager.createDispenser(1);
+
+            dispenserManager.retireDispenser(dispenser.id);
+
+            expect(dispenser.retired_at).to.be.an.instanceOf(Date);
+            expect(() => dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date()))
+                .to.throw(messages.DISPENSER_RETIRED);
+            expect(() => dispenserManager.retireDispenser(dispenser.id)).to.throw(messages.DISPENSER_RETIRED);
+        });
+    });
+
     describe('changeDispenserStatus', () => {
         let dispenserManager;
         let dispenser;
@@ -62,7 +128,7 @@ describe('DispenserManager', () => {
                 dispenser: { ...dispenser, state: DispenserState.CLOSE, updated_at: closeDate },
             });
             const totalSpent = dispenserManager.totalSpentPerDispenser.get(dispenser.id);
-            expect(totalSpent).to.be.closeTo(60 * 0.5 * constants.PRICE_PER_LITRE, 0.01);
+            expect(totalSpent).to.deep.equal({ [constants.DEFAULT_CURRENCY]: 60 * 0.5 * constants.PRICE_PER_LITRE });
             done();
         });
 
@@ -88,6 +154,73 @@ describe('DispenserManager', () => {
         });
     });
 
+    describe('events', () => {
+        it('should emit an event for each step of the dispenser lifecycle', () => {
+            const dispenserManager = new DispenserManager();
+            const events = [];
+            Object.values(DispenserEvent).forEach((type) => dispenserManager.on(type, (event) => events.push(event)));
+
+            const dispenser = dispenserManager.createDispenser(1);
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:10Z'));
+            dispenserManager.retireDispenser(dispenser.id);
+
+            expect(events.map((event) => event.type)).to.deep.equal([
+                DispenserEvent.CREATED,
+                DispenserEvent.OPENED,
+                DispenserEvent.CLOSED,
+                DispenserEvent.RETIRED,
+            ]);
+            expect(events.every((event) => event.dispenser.id === dispenser.id)).to.equal(true);
+            expect(events[2].usage.total_spent).to.be.closeTo(10 * constants.PRICE_PER_LITRE, 0.01);
+        });
+
+        it('should not emit an event for a rejected status change', () => {
+            const dispenserManager = new DispenserManager();
+            const dispenser = dispenserManager.createDispenser(1);
+            let emitted = false;
+            dispenserManager.on(DispenserEvent.CLOSED, () => { emitted = true; });
+
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date());
+
+            expect(emitted).to.equal(false);
+        });
+    });
+
+    describe('getRunningTotal', () => {
+        it('should return the running total of an open dispenser and null otherwise', () => {
+            const dispenserManager = new DispenserManager();
+            const dispenser = dispenserManager.createDispenser(0.5);
+            const openDate = new Date('2023-05-11T00:00:00Z');
+
+            expect(dispenserManager.getRunningTotal(dispenser.id)).to.equal(null);
+
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, openDate);
+            const runningTotal = dispenserManager.getRunningTotal(dispenser.id, new Date('2023-05-11T00:00:20Z'));
+
+            expect(runningTotal.litres).to.equal(10);
+            expect(runningTotal.total_spent).to.be.closeTo(10 * constants.PRICE_PER_LITRE, 0.01);
+        });
+    });
+
+    describe('findOpenUsage', () => {
+        it('should return the usage an open dispenser is pouring and null otherwise', () => {
+            const dispenserManager = new DispenserManager(new MemoryStore());
+            const dispenser = dispenserManager.createDispenser(0.5);
+
+            expect(dispenserManager.findOpenUsage(dispenser.id)).to.equal(null);
+            expect(dispenserManager.findOpenUsage('unknown')).to.equal(null);
+
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+            expect(dispenserManager.findOpenUsage(dispenser.id).opened_at).to.deep.equal(new Date('2023-05-11T00:00:00Z'));
+            expect(dispenserManager.getOpenDispensers()).to.deep.equal([dispenser]);
+
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:10Z'));
+            expect(dispenserManager.findOpenUsage(dispenser.id)).to.equal(null);
+            expect(dispenserManager.getOpenDispensers()).to.deep.equal([]);
+        });
+    });
+
     describe('getSpending', () => {
         let dispenserManager;
         let dispenser;
@@ -103,7 +236,7 @@ describe('DispenserManager', () => {
 
         it('should return an empty array for a new dispenser', () => {
             const spending = dispenserManager.getSpending(dispenser.id);
-            expect(spending).to.deep.equal({ amount: 0, usages: [] });
+            expect(spending).to.deep.equal({ amount: 0, currency: constants.DEFAULT_CURRENCY, totals: {}, usages: [] });
         });
 
         it('should return the spending for a dispenser', (done) => {
@@ -117,5 +250,81 @@ describe('DispenserManager', () => {
             expect(spending.usages[0].total_spent).to.be.closeTo(60 * 0.5 * constants.PRICE_PER_LITRE, 0.01);
             done();
         });
+
+        it('should add up usages billed in several currencies in one of them', () => {
+            const store = new MemoryStore();
+            const manager = new DispenserManager(store, { exchangeRates: 'USD:1.1' });
+            const stout = new BeverageManager(store).createBeverage({ name: 'Stout', price_per_litre: 1000, currency: 'USD' });
+            const tap = manager.createDispenser(0.5);
+
+            // 5 litres billed in EUR, then 5 litres billed in USD once the tap pours the stout
+            manager.changeDispenserStatus(tap.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+            manager.changeDispenserStatus(tap.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:10Z'));
+            manager.updateDispenser(tap.id, { beverage_id: stout.id });
+            manager.changeDispenserStatus(tap.id, DispenserState.OPEN, new Date('2023-05-11T00:01:00Z'));
+            manager.changeDispenserStatus(tap.id, DispenserState.CLOSE, new Date('2023-05-11T00:01:10Z'));
+
+            // The spending is kept per currency unless one is asked for:
+            // 61.25 EUR are 67.375 USD, rounded half up to 67.38, and 50 USD are 45.4545 EUR
+            expect(manager.getSpending(tap.id)).to.deep.include({
+                amount: null,
+                currency: null,
+                totals: { EUR: 6125, USD: 5000 },
+            });
+            expect(manager.getSpending(tap.id, { currency: 'USD' })).to.include({ amount: 6738 + 5000, currency: 'USD' });
+            expect(manager.getSpending(tap.id, { currency: 'EUR' })).to.include({ amount: 6125 + 4545, currency: 'EUR' });
+            expect(new DispenserManager(store).getSpending(tap.id).totals).to.deep.equal({ EUR: 6125, USD: 5000 });
+            expect(manager.getSpending(tap.id).usages.map((usage) => usage.currency)).to.deep.equal(['EUR', 'USD']);
+            expect(manager.totalSpentPerDispenser.get(tap.id)).to.deep.equal({ EUR: 6125, USD: 5000 });
+
+            expect(() => manager.getSpending(tap.id, { currency: 'GBP' })).to.throw(messages.EXCHANGE_RATE_NOT_FOUND);
+        });
+
+        describe('with filters', () => {
+            beforeEach(() => {
+                // Three one minute usages at 00:00, 00:10 and 00:20
+                for (const minute of ['00', '10', '20']) {
+                    dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date(`2023-05-11T00:${minute}:00Z`));
+                    dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date(`2023-05-11T00:${minute.replace(/0$/, '1')}:00Z`));
+                }
+            });
+
+            it('should clip usages to the window and prorate their cost', () => {
+                const spending = dispenserManager.getSpending(dispenser.id, {
+                    from: '2023-05-11T00:10:30Z',
+                    to: '2023-05-11T00:30:00Z',
+                });
+
+                expect(spending.usages).to.have.lengthOf(2);
+                expect(spending.usages[0].opened_at).to.deep.equal(new Date('2023-05-11T00:10:00Z'));
+                expect(spending.usages[0].total_spent).to.be.closeTo(30 * 0.5 * constants.PRICE_PER_LITRE, 0.01);
+                expect(spending.usages[0].segments[0].started_at).to.deep.equal(new Date('2023-05-11T00:10:30Z'));
+                expect(spending.amount).to.be.closeTo(90 * 0.5 * constants.PRICE_PER_LITRE, 0.01);
+            });
+
+            it('should paginate and sort the usages', () => {
+                const spending = dispenserManager.getSpending(dispenser.id, { limit: 2, offset: 0, sort: 'desc' });
+
+                expect(spending.usages.map((usage) => usage.opened_at.toISOString())).to.deep.equal([
+                    '2023-05-11T00:20:00.000Z',
+                    '2023-05-11T00:10:00.000Z',
+                ]);
+                expect(spending.total).to.equal(3);
+                expect(spending.amount).to.be.closeTo(180 * 0.5 * constants.PRICE_PER_LITRE, 0.01);
+            });
+
+            it('should not modify the stored usages', () => {
+                dispenserManager.getSpending(dispenser.id, { from: '2023-05-11T00:00:30Z' });
+
+                expect(dispenserManager.getSpending(dispenser.id).usages[0].total_spent)
+                    .to.be.closeTo(60 * 0.5 * constants.PRICE_PER_LITRE, 0.01);
+            });
+
+            it('should throw an error for invalid options', () => {
+                expect(() => dispenserManager.getSpending(dispenser.id, { from: 'today' })).to.throw(messages.INVALID_TIME_RANGE);
+                expect(() => dispenserManager.getSpending(dispenser.id, { sort: 'random' })).to.throw(messages.INVALID_SORT_ORDER);
+                expect(() => dispenserManager.getSpending(dispenser.id, { limit: 'all' })).to.throw(messages.INVALID_PAGINATION);
+            });
+        });
     });
 });
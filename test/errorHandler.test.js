@@ -0,0 +1,100 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { errorHandler } = require('../middleware/errorHandler');
+const { requestLogger } = require('../middleware/requestLogger');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const messages = require('../constants/messages');
+const {
+    AppError, ValidationError, NotFoundError, ConflictError, DateOrderError, getErrorCode,
+} = require('../utils/errors');
+
+const { expect } = chai;
+chai.use(chaiHttp);
+
+describe('Error handling', () => {
+    describe('errors', () => {
+        it('should carry the status and the code of their message', () => {
+            const error = new NotFoundError(messages.DISPENSER_NOT_FOUND);
+
+            expect(error).to.be.an.instanceOf(AppError);
+            expect(error).to.include({ status: 404, code: 'DISPENSER_NOT_FOUND', message: messages.DISPENSER_NOT_FOUND });
+            expect(new ValidationError(messages.INVALID_FLOW).status).to.equal(400);
+            expect(new ConflictError(messages.DISPENSER_RETIRED).status).to.equal(409);
+        });
+
+        it('should default the date order error to its message', () => {
+            const error = new DateOrderError();
+
+            expect(error).to.be.an.instanceOf(ConflictError);
+            expect(error).to.include({ status: 409, code: 'INVALID_DATE_ORDER', message: messages.INVALID_DATE_ORDER });
+        });
+
+        it('should fall back to a generic code for unknown messages', () => {
+            expect(getErrorCode('Something else')).to.equal('ERROR');
+        });
+    });
+
+    describe('middleware', () => {
+        const app = express();
+        app.use(requestLogger());
+        app.use(bodyParser.json({ limit: 100 }));
+        app.get('/not-found', () => {
+            throw new NotFoundError(messages.DISPENSER_NOT_FOUND);
+        });
+        app.get('/crash', () => {
+            throw new Error('database password is hunter2');
+        });
+        app.post('/echo', (req, res) => res.json(req.body));
+        app.get('/context', (req, res) => res.json(requestContext.getStore()));
+        app.use(errorHandler);
+
+        it('should answer typed errors with their status, message and code', async () => {
+            const res = await chai.request(app).get('/not-found');
+
+            expect(res).to.have.status(404);
+            expect(res.body).to.deep.equal({ error: messages.DISPENSER_NOT_FOUND, code: 'DISPENSER_NOT_FOUND' });
+        });
+
+        it('should hide the details of unexpected errors', async () => {
+            logger.silent = true;
+            const res = await chai.request(app).get('/crash');
+            logger.silent = false;
+
+            expect(res).to.have.status(500);
+            expect(res.body).to.deep.equal({ error: messages.INTERNAL_SERVER_ERROR, code: 'INTERNAL_SERVER_ERROR' });
+        });
+
+        it('should answer malformed JSON bodies with a 400', async () => {
+            const res = await chai.request(app).post('/echo').set('Content-Type', 'application/json').send('{"flow_volume":');
+
+            expect(res).to.have.status(400);
+            expect(res.body.code).to.equal('INVALID_JSON_BODY');
+        });
+
+        it('should answer the client errors of the body parser with their status', async () => {
+            const large = await chai.request(app).post('/echo').send({ name: 'x'.repeat(200) });
+
+            expect(large).to.have.status(413);
+            expect(large.body).to.deep.equal({ error: messages.REQUEST_BODY_TOO_LARGE, code: 'REQUEST_BODY_TOO_LARGE' });
+
+            const encoded = await chai.request(app).post('/echo')
+                .set('Content-Type', 'application/json; charset=klingon').send('{}');
+
+            expect(encoded).to.have.status(415);
+            expect(encoded.body.code).to.equal('UNSUPPORTED_MEDIA_TYPE');
+        });
+
+        it('should keep the correlation id sent by the client or generate one', async () => {
+            const sent = await chai.request(app).get('/context').set('X-Request-Id', 'tap-42.retry-1');
+            expect(sent).to.have.header('X-Request-Id', 'tap-42.retry-1');
+            expect(sent.body).to.deep.equal({ requestId: 'tap-42.retry-1' });
+
+            const generated = await chai.request(app).get('/context').set('X-Request-Id', 'not valid!');
+            expect(generated.headers['x-request-id']).to.match(/^[0-9a-f-]{36}$/);
+            expect(generated.body.requestId).to.equal(generated.headers['x-request-id']);
+        });
+    });
+});
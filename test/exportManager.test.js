@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const { ExportManager } = require('../managers/exportManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { CorrectionManager, CorrectionAction } = require('../managers/correctionManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+async function readStream(stream) {
+    let text = '';
+    for await (const chunk of stream) {
+        text += chunk;
+    }
+    return text;
+}
+
+describe('ExportManager', () => {
+    let store;
+    let dispenserManager;
+    let exportManager;
+    let dispenser;
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        exportManager = new ExportManager(dispenserManager);
+        dispenser = dispenserManager.createDispenser(0.5);
+
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:01:00Z'));
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-12T00:00:00Z'));
+    });
+
+    it('should export the usages as CSV', async () => {
+        const csv = await readStream(exportManager.createExportStream('csv', { dispenserId: dispenser.id }));
+        const lines = csv.trim().split('\n');
+
+        expect(lines[0]).to.equal('dispenser_id,opened_at,closed_at,duration,litres,price,currency,total_spent,voided_at');
+        expect(lines[1]).to.equal([
+            dispenser.id,
+            '2023-05-11T00:00:00.000Z',
+            '2023-05-11T00:01:00.000Z',
+            60,
+            30,
+            constants.PRICE_PER_LITRE,
+            'EUR',
+            60 * 0.5 * constants.PRICE_PER_LITRE,
+            '',
+        ].join(','));
+        expect(lines[2].split(',')[2]).to.equal('');
+    });
+
+    it('should export the usages as NDJSON filtered by opening date', async () => {
+        const ndjson = await readStream(exportManager.createExportStream('ndjson', { from: '2023-05-12T00:00:00Z' }));
+        const rows = ndjson.trim().split('\n').map((line) => JSON.parse(line));
+
+        expect(rows).to.have.lengthOf(1);
+        expect(rows[0].dispenser_id).to.equal(dispenser.id);
+        expect(rows[0].closed_at).to.equal(null);
+        expect(rows[0].total_spent).to.be.above(0);
+    });
+
+    it('should flag the voided usages', async () => {
+        new CorrectionManager(store, dispenserManager).correctUsage(dispenser.id, 0, {
+            action: CorrectionAction.VOID,
+            reason: 'Spilled',
+        }, null, new Date('2023-05-11T01:00:00Z'));
+
+        const ndjson = await readStream(exportManager.createExportStream('ndjson', { dispenserId: dispenser.id }));
+        const rows = ndjson.trim().split('\n').map((line) => JSON.parse(line));
+
+        expect(rows[0]).to.include({ total_spent: 0, voided_at: '2023-05-11T01:00:00.000Z' });
+        expect(rows[1].voided_at).to.equal(null);
+    });
+
+    it('should throw an error before streaming when the options are invalid', () => {
+        expect(() => exportManager.createExportStream('xml')).to.throw(messages.INVALID_EXPORT_FORMAT);
+        expect(() => exportManager.createExportStream('csv', { dispenserId: 'non-existent-id' }))
+            .to.throw(messages.DISPENSER_NOT_FOUND);
+        expect(() => exportManager.createExportStream('csv', { from: 'yesterday' })).to.throw(messages.INVALID_TIME_RANGE);
+    });
+});
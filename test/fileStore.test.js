@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { createStore, MemoryStore, FileStore } = require('../stores');
+const constants = require('../constants/constants');
+
+describe('Stores', () => {
+    describe('createStore', () => {
+        it('should create a memory store for the memory driver', () => {
+            expect(createStore({ STORE_DRIVER: 'memory' })).to.be.an.instanceOf(MemoryStore);
+        });
+
+        it('should throw an error for an unknown driver', () => {
+            expect(() => createStore({ STORE_DRIVER: 'unknown' })).to.throw('Unknown store driver: unknown');
+        });
+    });
+
+    describe('FileStore', () => {
+        let dir;
+        let filePath;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispensers-'));
+            filePath = path.join(dir, 'nested', 'dispensers.jsonl');
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should create the journal file on the first write', () => {
+            const dispenserManager = new DispenserManager(new FileStore(filePath));
+            dispenserManager.createDispenser(1);
+
+            const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+            expect(lines).to.have.lengthOf(2);
+            expect(JSON.parse(lines[0])).to.deep.equal({ version: 2 });
+        });
+
+        it('should keep dispensers, usages and totals after a restart', () => {
+            const openDate = new Date('2023-05-11T00:00:00Z');
+            const closeDate = new Date('2023-05-11T00:01:00Z');
+
+            const first = new DispenserManager(createStore({ STORE_DRIVER: 'file', STORE_PATH: filePath }));
+            const dispenser = first.createDispenser(0.5);
+            first.changeDispenserStatus(dispenser.id, DispenserState.OPEN, openDate);
+            first.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, closeDate);
+
+            const second = new DispenserManager(createStore({ STORE_DRIVER: 'file', STORE_PATH: filePath }));
+            const restored = second.dispensers.find((item) => item.id === dispenser.id);
+            const spending = second.getSpending(dispenser.id);
+
+            expect(restored.state).to.equal(DispenserState.CLOSE);
+            expect(restored.updated_at).to.be.an.instanceOf(Date);
+            expect(spending.amount).to.be.closeTo(60 * 0.5 * constants.PRICE_PER_LITRE, 0.01);
+            expect(spending.usages).to.have.lengthOf(1);
+            expect(spending.usages[0].opened_at).to.deep.equal(openDate);
+            expect(spending.usages[0].closed_at).to.deep.equal(closeDate);
+        });
+
+        it('should not persist a rejected status change', () => {
+            const first = new DispenserManager(new FileStore(filePath));
+            const dispenser = first.createDispenser(10);
+            first.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+
+            expect(() => {
+                first.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-10T23:59:59Z'));
+            }).to.throw();
+
+            const second = new DispenserManager(new FileStore(filePath));
+            const spending = second.getSpending(dispenser.id);
+
+            expect(second.dispensers[0].state).to.equal(DispenserState.OPEN);
+            expect(spending.usages[0].closed_at).to.equal(null);
+        });
+
+        it('should keep removing the expired idempotency records after a restart', () => {
+            const first = new FileStore(filePath);
+            first.saveIdempotencyRecord({ id: 'old', created_at: new Date('2023-05-11T00:00:00Z') });
+            first.saveIdempotencyRecord({ id: 'new', created_at: new Date('2023-05-13T00:00:00Z') });
+            first.removeIdempotencyRecordsBefore(new Date('2023-05-12T00:00:00Z'));
+
+            const second = new FileStore(filePath);
+            expect(second.findIdempotencyRecord('old')).to.equal(undefined);
+            expect(second.findIdempotencyRecord('new')).to.not.equal(undefined);
+        });
+
+        it('should migrate the amounts of a journal written in major units', () => {
+            const openedAt = '2023-05-11T00:00:00.000Z';
+            const closedAt = '2023-05-11T00:01:00.000Z';
+            const usage = {
+                opened_at: openedAt,
+                closed_at: closedAt,
+                flow_volume: 0.5,
+                beverage_id: 'stout',
+                price_per_litre: 10.5,
+                currency: 'USD',
+                total_spent: 315,
+                segments: [{ started_at: openedAt, ended_at: closedAt, price_per_litre: 10.5, total_spent: 315 }],
+            };
+            const legacy = [
+                { op: 'saveBeverage', args: [{ id: 'stout', name: 'Stout', price_per_litre: 10.5, currency: 'USD' }] },
+                { op: 'saveDispenser', args: [{ id: 'tap', flow_volume: 0.5, beverage_id: 'stout', state: 'close' }] },
+                { op: 'addUsage', args: ['tap', { ...usage, closed_at: null, total_spent: null, segments: null }] },
+                { op: 'saveUsage', args: ['tap', 0, usage] },
+                { op: 'setTotalSpent', args: ['tap', 315] },
+                { op: 'savePricingRule', args: [{ id: 'rule', adjustment: 'absolute', value: 1.5 }] },
+                { op: 'saveTab', args: [{ id: 'tab', discounts: [{ type: 'absolute', value: 2.5 }] }] },
+            ];
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, legacy.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+
+            const check = (store) => {
+                const spending = new DispenserManager(store).getSpending('tap');
+
+                expect(spending).to.deep.include({ amount: 31500, currency: 'USD', totals: { USD: 31500 } });
+                expect(spending.usages[0]).to.include({ price_per_litre: 1050, total_spent: 31500 });
+                expect(spending.usages[0].segments[0]).to.include({ price_per_litre: 1050, total_spent: 31500 });
+                expect(store.findBeverage('stout').price_per_litre).to.equal(1050);
+                expect(store.getPricingRules()[0]).to.include({ value: 150, currency: 'EUR' });
+                expect(store.findTab('tab').discounts[0].value).to.equal(250);
+            };
+
+            check(new FileStore(filePath));
+
+            // The journal is rewritten in the current format, so it is only migrated once
+            expect(JSON.parse(fs.readFileSync(filePath, 'utf8').split('\n')[0])).to.deep.equal({ version: 2 });
+            check(new FileStore(filePath));
+        });
+
+        it('should refuse a journal written in a newer format', () => {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, `${JSON.stringify({ version: 3 })}\n`);
+
+            expect(() => new FileStore(filePath)).to.throw('Unsupported journal version: 3');
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const { ForecastManager, ForecastMethod, ForecastGrouping } = require('../managers/forecastManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { BeverageManager } = require('../managers/beverageManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+// Forecasts are evaluated in local time, like the reports. May 29th 2023 is a Monday.
+const at = (day, hours, minutes = 0, seconds = 0) => new Date(2023, 4, day, hours, minutes, seconds);
+const now = at(29, 12);
+
+describe('ForecastManager', () => {
+    let store;
+    let dispenserManager;
+    let forecastManager;
+    let dispenser;
+
+    const pour = (target, day, seconds) => {
+        dispenserManager.changeDispenserStatus(target.id, DispenserState.OPEN, at(day, 20));
+        dispenserManager.changeDispenserStatus(target.id, DispenserState.CLOSE, at(day, 20, 0, seconds));
+    };
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        forecastManager = new ForecastManager(dispenserManager);
+        dispenser = dispenserManager.createDispenser(1);
+    });
+
+    it('should forecast each hour of the week from its average over the history', () => {
+        // The dispenser pours on the four Fridays before now, at 20:00
+        [[5, 8], [12, 12], [19, 8], [26, 12]].forEach(([day, seconds]) => pour(dispenser, day, seconds));
+
+        const forecast = forecastManager.getForecast({}, now);
+        expect(forecast).to.include({ method: ForecastMethod.SEASONAL, days: 7, history_days: 28, confidence: 0.95 });
+        expect(forecast.history_from).to.deep.equal(at(1, 0));
+        expect(forecast).to.deep.include({ from: at(29, 0), to: at(29 + 7, 0) });
+        expect(forecast.forecasts).to.have.length(1);
+
+        const [{ key, currency, litres, revenue, days }] = forecast.forecasts;
+        expect(key).to.equal(dispenser.id);
+        expect(currency).to.equal(constants.DEFAULT_CURRENCY);
+        expect(days).to.have.length(7);
+        expect(days[0].litres).to.deep.equal({ expected: 0, lower: 0, upper: 0 });
+
+        // Friday June 2nd: 10 litres on average, with a standard deviation of 2.309
+        expect(days[4].date).to.deep.equal(new Date(2023, 5, 2));
+        expect(days[4].litres.expected).to.equal(10);
+        expect(days[4].litres.lower).to.be.closeTo(5.474, 0.001);
+        expect(days[4].litres.upper).to.be.closeTo(14.526, 0.001);
+        expect(days[4].revenue.expected).to.be.closeTo(10 * constants.PRICE_PER_LITRE, 0.01);
+        expect(litres.expected).to.equal(10);
+        expect(revenue.upper).to.be.closeTo(days[4].revenue.upper, 0.01);
+    });
+
+    it('should forecast the smoothed level of the daily totals', () => {
+        for (let day = 22; day < 29; day += 1) {
+            pour(dispenser, day, 10);
+        }
+
+        const forecast = forecastManager.getForecast({
+            method: ForecastMethod.SMOOTHING, days: '3', history_days: '7', alpha: '0.5',
+        }, now);
+
+        expect(forecast).to.include({ method: ForecastMethod.SMOOTHING, days: 3, alpha: 0.5 });
+        expect(forecast.forecasts[0].days.map((day) => day.litres)).to.deep.equal(
+            new Array(3).fill({ expected: 10, lower: 10, upper: 10 }),
+        );
+        expect(forecast.forecasts[0].litres.expected).to.equal(30);
+    });
+
+    it('should group the forecast per beverage and leave voided usages out', () => {
+        const other = dispenserManager.createDispenser(0.5);
+        pour(dispenser, 26, 10);
+        pour(other, 26, 10);
+        pour(other, 27, 10);
+
+        const usages = store.getUsages(other.id);
+        Object.assign(usages[1], { segments: [], total_spent: 0, voided_at: at(28, 9) });
+
+        const forecast = forecastManager.getForecast({ group_by: ForecastGrouping.BEVERAGE, history_days: 7 }, now);
+        expect(forecast.forecasts).to.have.length(1);
+        expect(forecast.forecasts[0].key).to.equal(null);
+        expect(forecast.forecasts[0].days[4].litres.expected).to.equal(15);
+        expect(forecast.forecasts[0].days[5].litres.expected).to.equal(0);
+    });
+
+    it('should convert the revenue of each hour once', () => {
+        const stout = new BeverageManager(store).createBeverage({ name: 'Stout', price_per_litre: 100, currency: 'USD' });
+        const manager = new ForecastManager(new DispenserManager(store, { exchangeRates: 'USD:1.5' }));
+        const imported = dispenserManager.createDispenser(1, stout.id);
+
+        // Two pours of 1 USD each a day: 2 USD are 1.33 EUR, while each pour alone would round up to 0.67 EUR
+        for (let day = 22; day < 29; day += 1) {
+            for (const minute of [1, 2]) {
+                dispenserManager.changeDispenserStatus(imported.id, DispenserState.OPEN, at(day, 20, minute));
+                dispenserManager.changeDispenserStatus(imported.id, DispenserState.CLOSE, at(day, 20, minute, 1));
+            }
+        }
+
+        const forecast = manager.getForecast({
+            method: ForecastMethod.SMOOTHING, days: 1, history_days: 7, currency: constants.DEFAULT_CURRENCY,
+        }, now);
+
+        expect(forecast.forecasts).to.have.length(1);
+        expect(forecast.forecasts[0]).to.include({ key: imported.id, currency: constants.DEFAULT_CURRENCY });
+        expect(forecast.forecasts[0].revenue).to.deep.equal({ expected: 133, lower: 133, upper: 133 });
+    });
+
+    it('should throw an error when an option is not valid', () => {
+        const forecast = (options) => () => forecastManager.getForecast(options, now);
+
+        expect(forecast({ days: 0 })).to.throw(messages.INVALID_FORECAST_DAYS);
+        expect(forecast({ days: '91' })).to.throw(messages.INVALID_FORECAST_DAYS);
+        expect(forecast({ history_days: 6 })).to.throw(messages.INVALID_HISTORY_DAYS);
+        expect(forecast({ alpha: 0 })).to.throw(messages.INVALID_SMOOTHING_FACTOR);
+        expect(forecast({ method: 'arima' })).to.throw(messages.INVALID_FORECAST_METHOD);
+        expect(forecast({ group_by: 'hour' })).to.throw(messages.INVALID_FORECAST_GROUP_BY);
+    });
+});
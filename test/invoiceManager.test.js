@@ -0,0 +1,142 @@
+const { expect } = require('chai');
+const { InvoiceManager, InvoiceFormat } = require('../managers/invoiceManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { BeverageManager } = require('../managers/beverageManager');
+const { VenueManager } = require('../managers/venueManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+describe('InvoiceManager', () => {
+    let store;
+    let dispenserManager;
+    let invoiceManager;
+    let venue;
+    let lager;
+    let taps;
+
+    const pour = (dispenser, openedAt, closedAt) => {
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date(openedAt));
+        if (closedAt) {
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date(closedAt));
+        }
+    };
+
+    const night = { from: '2023-05-11T20:00:00Z', to: '2023-05-11T23:00:00Z' };
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store, { exchangeRates: 'USD:1.1' });
+        invoiceManager = new InvoiceManager(store, dispenserManager, { taxRate: 10 });
+        venue = new VenueManager(store, dispenserManager).createVenue({ name: 'Harbour Bar' });
+        lager = new BeverageManager(store).createBeverage({ name: 'Lager', price_per_litre: 800, tax_rate: 21 });
+        taps = [
+            dispenserManager.createDispenser(1, lager.id, { venue_id: venue.id }),
+            dispenserManager.createDispenser(0.5, null, { venue_id: venue.id }),
+        ];
+    });
+
+    it('should invoice the usages of a venue with subtotals per beverage and taxes per rate', () => {
+        pour(taps[0], '2023-05-11T20:00:00Z', '2023-05-11T20:00:10Z');
+        pour(taps[1], '2023-05-11T20:05:00Z', '2023-05-11T20:05:10Z');
+        pour(taps[0], '2023-05-11T20:10:00Z', '2023-05-11T20:10:05Z');
+        // Only the 5 seconds before the end of the period are invoiced
+        pour(taps[0], '2023-05-11T22:59:55Z', '2023-05-11T23:00:05Z');
+
+        const invoice = invoiceManager.issueInvoice({ venue_id: venue.id, ...night });
+
+        expect(invoice).to.include({ number: 1, venue_id: venue.id, dispenser_id: null, currency: 'EUR' });
+        expect(invoice.lines.map((line) => line.amount)).to.deep.equal([8000, 6125, 4000, 4000]);
+        expect(invoice.lines[1]).to.include({
+            dispenser_id: taps[1].id,
+            beverage_name: null,
+            litres: 5,
+            price_per_litre: constants.PRICE_PER_LITRE,
+            tax_rate: 10,
+        });
+        expect(invoice.beverages).to.deep.equal([
+            { beverage_id: lager.id, beverage_name: 'Lager', tax_rate: 21, pours: 3, litres: 20, subtotal: 16000 },
+            { beverage_id: null, beverage_name: null, tax_rate: 10, pours: 1, litres: 5, subtotal: 6125 },
+        ]);
+        // Prices include tax: 6125 * 10 / 110 and 16000 * 21 / 121
+        expect(invoice.taxes).to.deep.equal([
+            { tax_rate: 10, net_amount: 5568, tax_amount: 557, amount: 6125 },
+            { tax_rate: 21, net_amount: 13223, tax_amount: 2777, amount: 16000 },
+        ]);
+        expect(invoice).to.include({ net_total: 18791, tax_total: 3334, total: 22125 });
+        expect(invoiceManager.getInvoice(invoice.id)).to.equal(invoice);
+    });
+
+    it('should number the invoices sequentially and keep them unchanged', () => {
+        pour(taps[0], '2023-05-11T20:00:00Z', '2023-05-11T20:00:10Z');
+
+        const first = invoiceManager.issueInvoice({ dispenser_id: taps[0].id, ...night });
+        const second = invoiceManager.issueInvoice({ dispenser_id: taps[0].id, ...night, currency: 'USD' });
+        const third = invoiceManager.issueInvoice({ venue_id: venue.id, ...night });
+
+        expect([first, second, third].map((invoice) => invoice.number)).to.deep.equal([1, 2, 3]);
+        expect(first).to.include({ venue_id: venue.id, currency: 'EUR', total: 8000 });
+        expect(second.lines[0]).to.include({ price_per_litre: 880, amount: 8800 });
+
+        new BeverageManager(store).updateBeverage(lager.id, { tax_rate: 0 });
+        expect(invoiceManager.getInvoice(first.id).tax_total).to.equal(1388);
+
+        const page = invoiceManager.listInvoices({ dispenser_id: taps[0].id, limit: 1, offset: 1 });
+        expect(page.invoices.map((invoice) => invoice.number)).to.deep.equal([2]);
+        expect(page.total).to.equal(2);
+        expect(invoiceManager.listInvoices({ venue_id: venue.id }).total).to.equal(3);
+    });
+
+    it('should reject invoices without a target, an ended period or closed usages', () => {
+        expect(() => invoiceManager.issueInvoice({ ...night }))
+            .to.throw(messages.INVOICE_TARGET_REQUIRED);
+        expect(() => invoiceManager.issueInvoice({ dispenser_id: taps[0].id, venue_id: venue.id, ...night }))
+            .to.throw(messages.INVOICE_TARGET_REQUIRED);
+        expect(() => invoiceManager.issueInvoice({ dispenser_id: 'unknown', ...night }))
+            .to.throw(messages.DISPENSER_NOT_FOUND);
+        expect(() => invoiceManager.issueInvoice({ venue_id: venue.id, from: night.from }))
+            .to.throw(messages.INVALID_INVOICE_PERIOD);
+        expect(() => invoiceManager.issueInvoice({ venue_id: venue.id, ...night, to: new Date(Date.now() + 1000) }))
+            .to.throw(messages.INVALID_INVOICE_PERIOD);
+        expect(() => new InvoiceManager(store, dispenserManager, { taxRate: -1 })).to.throw('Invalid tax rate: -1');
+
+        pour(taps[0], '2023-05-11T22:30:00Z');
+        expect(() => invoiceManager.issueInvoice({ venue_id: venue.id, ...night }))
+            .to.throw(messages.INVOICE_HAS_OPEN_USAGES);
+        expect(invoiceManager.listInvoices().total).to.equal(0);
+    });
+
+    it('should render an invoice as HTML and as PDF', () => {
+        const stout = new BeverageManager(store).createBeverage({ name: 'Stout <Dry & Bitter>', price_per_litre: 900 });
+        const dispenser = dispenserManager.createDispenser(1, stout.id, { venue_id: venue.id });
+
+        // Enough usages for the PDF to need a second page
+        for (let minute = 0; minute < 60; minute++) {
+            const openedAt = new Date(Date.UTC(2023, 4, 11, 21, minute));
+            pour(dispenser, openedAt, new Date(openedAt.getTime() + 1000));
+        }
+
+        const invoice = invoiceManager.issueInvoice({ dispenser_id: dispenser.id, ...night });
+
+        const html = invoiceManager.renderInvoice(invoice, InvoiceFormat.HTML);
+        expect(html).to.include({ content_type: 'text/html', filename: 'invoice-000001.html' });
+        expect(html.content).to.include('<h1>Invoice 000001</h1>');
+        expect(html.content).to.include('Stout &#60;Dry &#38; Bitter&#62;');
+        expect(html.content).to.include('<td class="numeric">540.00 EUR</td>');
+
+        const pdf = invoiceManager.renderInvoice(invoice, InvoiceFormat.PDF);
+        const text = pdf.content.toString('latin1');
+        expect(pdf).to.include({ content_type: 'application/pdf', filename: 'invoice-000001.pdf' });
+        expect(text.startsWith('%PDF-1.4\n')).to.equal(true);
+        expect(text.endsWith('%%EOF\n')).to.equal(true);
+        expect(text).to.include('/Count 2');
+        expect(text).to.include('(Invoice 000001 - page 2 of 2) Tj');
+
+        // The cross-reference table points at the start of each object
+        const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+        const offsets = text.slice(xref).match(/\d{10} 00000 n/g).map((entry) => Number(entry.slice(0, 10)));
+        offsets.forEach((offset, index) => expect(text.slice(offset)).to.match(new RegExp(`^${index + 1} 0 obj`)));
+
+        expect(() => invoiceManager.renderInvoice(invoice, 'docx')).to.throw(messages.INVALID_INVOICE_FORMAT);
+    });
+});
@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const { KegManager } = require('../managers/kegManager');
+const { DispenserManager, DispenserState, DispenserEvent } = require('../managers/dispenserManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+describe('KegManager', () => {
+    let store;
+    let dispenserManager;
+    let kegManager;
+    let dispenser;
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        kegManager = new KegManager(store, dispenserManager);
+        dispenser = dispenserManager.createDispenser(0.5);
+    });
+
+    afterEach(() => {
+        for (const id of [...kegManager.timers.keys()]) {
+            kegManager.cancelAutoClose(id);
+        }
+    });
+
+    it('should deduct the litres poured on every close', () => {
+        kegManager.attachKeg(dispenser.id, { capacity_litres: 50 });
+
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:20Z'));
+
+        const status = kegManager.getKegStatus(dispenser.id);
+        expect(status.remaining_litres).to.equal(40);
+        expect(status.seconds_to_empty).to.equal(null);
+    });
+
+    it('should report the live level and time to empty while open', () => {
+        kegManager.attachKeg(dispenser.id, { capacity_litres: 50, remaining_litres: 30 });
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+
+        const status = kegManager.getKegStatus(dispenser.id, new Date('2023-05-11T00:00:20Z'));
+
+        expect(status.remaining_litres).to.equal(20);
+        expect(status.seconds_to_empty).to.equal(40);
+        expect(status.estimated_empty_at).to.deep.equal(new Date('2023-05-11T00:01:00Z'));
+    });
+
+    it('should cap a usage at the moment the keg runs dry and refuse to open an empty keg', () => {
+        const events = [];
+        dispenserManager.on(DispenserEvent.KEG_EMPTY, (event) => events.push(event));
+        kegManager.attachKeg(dispenser.id, { capacity_litres: 10 });
+
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T01:00:00Z'));
+
+        const [usage] = dispenserManager.getSpending(dispenser.id).usages;
+        expect(usage.closed_at).to.deep.equal(new Date('2023-05-11T00:00:20Z'));
+        expect(usage.total_spent).to.be.closeTo(10 * constants.PRICE_PER_LITRE, 0.01);
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].keg.remaining_litres).to.equal(0);
+
+        expect(() => dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T02:00:00Z')))
+            .to.throw(messages.KEG_EMPTY);
+    });
+
+    it('should close the dispenser automatically when the keg runs dry', async () => {
+        kegManager.attachKeg(dispenser.id, { capacity_litres: 10, remaining_litres: 0.05 });
+
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date());
+        await new Promise((resolve) => setTimeout(resolve, 200));
+
+        expect(dispenserManager.getDispenser(dispenser.id).state).to.equal(DispenserState.CLOSE);
+        expect(kegManager.getKegStatus(dispenser.id).remaining_litres).to.equal(0);
+    });
+
+    it('should emit a low level warning once', () => {
+        const events = [];
+        dispenserManager.on(DispenserEvent.KEG_LOW, (event) => events.push(event));
+        kegManager.attachKeg(dispenser.id, { capacity_litres: 50, low_level_litres: 45 });
+
+        for (const minute of ['00', '01']) {
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date(`2023-05-11T00:${minute}:00Z`));
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date(`2023-05-11T00:${minute}:10Z`));
+        }
+
+        expect(events).to.have.lengthOf(1);
+        expect(kegManager.getKegStatus(dispenser.id).low_level).to.equal(true);
+    });
+
+    it('should record keg swaps', () => {
+        const first = kegManager.attachKeg(dispenser.id, { capacity_litres: 50 });
+        const second = kegManager.attachKeg(dispenser.id, { capacity_litres: 30 });
+
+        const history = kegManager.getKegHistory(dispenser.id);
+        expect(history.map((keg) => keg.id)).to.deep.equal([first.id, second.id]);
+        expect(history[0].detached_at).to.be.an.instanceOf(Date);
+        expect(history[1].detached_at).to.equal(null);
+    });
+
+    it('should throw an error for invalid kegs and swaps while open', () => {
+        expect(() => kegManager.getKegStatus(dispenser.id)).to.throw(messages.KEG_NOT_FOUND);
+        expect(() => kegManager.attachKeg(dispenser.id, { capacity_litres: 0 })).to.throw(messages.INVALID_KEG_CAPACITY);
+        expect(() => kegManager.attachKeg(dispenser.id, { capacity_litres: 10, remaining_litres: 11 }))
+            .to.throw(messages.INVALID_KEG_REMAINING);
+
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date());
+        expect(() => kegManager.attachKeg(dispenser.id, { capacity_litres: 10 })).to.throw(messages.KEG_SWAP_REQUIRES_CLOSED);
+    });
+});
@@ -0,0 +1,90 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const { MetricsManager } = require('../managers/metricsManager');
+const { AuthManager } = require('../managers/authManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { MemoryStore } = require('../stores');
+const { errorHandler } = require('../middleware/errorHandler');
+const metricsRoutes = require('../routes/metrics');
+const constants = require('../constants/constants');
+
+const { expect } = chai;
+chai.use(chaiHttp);
+
+// Returns the value of a metric for the given labels, or undefined when it has no such series
+async function getValue(metric, labels = {}) {
+    const { values } = await metric.get();
+    const match = values.find((value) => Object.entries(labels).every(([key, label]) => value.labels[key] === label));
+    return match && match.value;
+}
+
+describe('MetricsManager', () => {
+    let dispenserManager;
+    let metricsManager;
+    let dispenser;
+
+    beforeEach(() => {
+        dispenserManager = new DispenserManager(new MemoryStore());
+        metricsManager = new MetricsManager(dispenserManager, { collectDefaultMetrics: false });
+        dispenser = dispenserManager.createDispenser(0.5);
+    });
+
+    it('should count the open dispensers when scraped', async () => {
+        dispenserManager.createDispenser(1);
+        expect(await getValue(metricsManager.openDispensers)).to.equal(0);
+
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+        expect(await getValue(metricsManager.openDispensers)).to.equal(1);
+    });
+
+    it('should add the litres and the revenue of every closed usage', async () => {
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+        expect(await getValue(metricsManager.litresPoured, { dispenser_id: dispenser.id })).to.equal(undefined);
+
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:20Z'));
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:01:00Z'));
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:01:10Z'));
+
+        expect(await getValue(metricsManager.litresPoured, { dispenser_id: dispenser.id })).to.equal(15);
+        expect(await getValue(metricsManager.revenue, { dispenser_id: dispenser.id, currency: constants.DEFAULT_CURRENCY }))
+            .to.be.closeTo(15 * constants.PRICE_PER_LITRE, 1e-9);
+    });
+
+    it('should count the rejected status changes by reason', async () => {
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:00Z'));
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:10Z'));
+        expect(() => dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:05Z')))
+            .to.throw();
+        expect(() => dispenserManager.changeDispenserStatus(dispenser.id, 'ajar', new Date())).to.throw();
+
+        const rejections = metricsManager.statusChangeRejections;
+        expect(await getValue(rejections, { reason: 'DISPENSER_ALREADY_IN_DESIRED_STATE' })).to.equal(1);
+        expect(await getValue(rejections, { reason: 'INVALID_DATE_ORDER' })).to.equal(1);
+        expect(await getValue(rejections, { reason: 'INVALID_DISPENSER_STATUS' })).to.equal(1);
+    });
+
+    it('should render the HTTP metrics in the Prometheus text format', async () => {
+        metricsManager.observeRequest({ method: 'GET', route: '/dispenser/:id', status: 200, duration: 0.02 });
+        metricsManager.observeRequest({ method: 'GET', route: null, status: 404, duration: 0.001 });
+
+        const text = await metricsManager.metrics();
+        expect(text).to.include('http_requests_total{method="GET",route="/dispenser/:id",status="200"} 1');
+        expect(text).to.include('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+        expect(text).to.include('http_request_duration_seconds_bucket{le="0.025",method="GET",route="/dispenser/:id",status="200"} 1');
+        expect(text).to.include('# TYPE dispensers_open gauge');
+    });
+
+    it('should only require credentials to scrape when the metrics are protected', async () => {
+        const authManager = new AuthManager({ apiKeys: 'staff-key:staff, bar-key:staff:venue-1, tap-key:tap:tap-1' });
+        const serve = (protect) => express().use(metricsRoutes(metricsManager, authManager, { protect })).use(errorHandler);
+
+        expect(await chai.request(serve(false)).get('/metrics')).to.have.status(200);
+
+        const app = serve(true);
+        expect(await chai.request(app).get('/metrics')).to.have.status(401);
+        expect(await chai.request(app).get('/metrics').set('X-API-Key', 'tap-key')).to.have.status(403);
+        expect(await chai.request(app).get('/metrics').set('X-API-Key', 'bar-key')).to.have.status(403);
+        expect(await chai.request(app).get('/metrics').set('X-API-Key', 'staff-key')).to.have.status(200);
+    });
+});
@@ -0,0 +1,52 @@
+const { expect } = require('chai');
+const {
+    RoundingMode, getDecimals, roundAmount, parseExchangeRates, convertAmount, formatAmount,
+} = require('../utils/money');
+const { calculateSegments, sumSegments } = require('../utils/utils');
+const messages = require('../constants/messages');
+
+describe('money', () => {
+    it('should round amounts to minor units with each rounding mode', () => {
+        const round = (value) => Object.values(RoundingMode).map((mode) => roundAmount(value, mode));
+
+        // half_up, half_even, down and up
+        expect(round(2.5)).to.deep.equal([3, 2, 2, 3]);
+        expect(round(3.5)).to.deep.equal([4, 4, 3, 4]);
+        expect(round(2.4)).to.deep.equal([2, 2, 2, 3]);
+        expect(round(-2.5)).to.deep.equal([-3, -2, -2, -3]);
+        expect(round(7)).to.deep.equal([7, 7, 7, 7]);
+
+        // Floating point noise doesn't tip the rounding
+        expect(roundAmount(0.1 * 3 * 10, RoundingMode.UP)).to.equal(3);
+    });
+
+    it('should bill in whole minor units, so totals add up without drifting', () => {
+        // A third of a litre at 12.25 is 408.33 minor units, billed as 408
+        const segments = [0, 1, 2].flatMap((second) => calculateSegments(
+            new Date(Date.UTC(2023, 4, 11, 0, 0, second)),
+            new Date(Date.UTC(2023, 4, 11, 0, 0, second + 1)),
+            1 / 3,
+        ));
+
+        expect(segments.map((segment) => segment.total_spent)).to.deep.equal([408, 408, 408]);
+        expect(sumSegments(segments)).to.equal(1224);
+    });
+
+    it('should convert amounts with the exchange rates', () => {
+        const rates = parseExchangeRates('USD:1.08, JPY:160, KWD:0.33');
+
+        expect(getDecimals('JPY')).to.equal(0);
+        expect(getDecimals('KWD')).to.equal(3);
+        expect(formatAmount(1225, 'EUR')).to.equal('12.25 EUR');
+        expect(formatAmount(1960, 'JPY')).to.equal('1960 JPY');
+        expect(convertAmount(1225, 'EUR', 'JPY', rates)).to.equal(1960);
+        expect(convertAmount(1960, 'JPY', 'EUR', rates)).to.equal(1225);
+        expect(convertAmount(1000, 'USD', 'KWD', rates)).to.equal(3056);
+        expect(convertAmount(1225, 'GBP', 'GBP', rates)).to.equal(1225);
+
+        expect(() => convertAmount(1225, 'EUR', 'GBP', rates)).to.throw(messages.EXCHANGE_RATE_NOT_FOUND);
+        expect(() => convertAmount(1225, 'EUR', 'usd', rates)).to.throw(messages.INVALID_CURRENCY);
+        expect(() => parseExchangeRates('USD:free')).to.throw('Invalid exchange rate entry: USD:free');
+        expect(() => parseExchangeRates('EUR:2')).to.throw('Invalid exchange rate entry: EUR:2');
+    });
+});
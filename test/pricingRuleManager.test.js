@@ -0,0 +1,184 @@
+const { expect } = require('chai');
+const { PricingRuleManager } = require('../managers/pricingRuleManager');
+const { BeverageManager } = require('../managers/beverageManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { MemoryStore } = require('../stores');
+const { calculateSegments, calculateTotalSpent } = require('../utils/utils');
+const messages = require('../constants/messages');
+
+// Dates are built in local time, the time zone pricing rules are evaluated in.
+// 2023-05-11 is a Thursday (weekday 4).
+const at = (hours, minutes = 0, day = 11) => new Date(2023, 4, day, hours, minutes);
+
+describe('Pricing rules', () => {
+    const happyHour = {
+        id: 'happy-hour',
+        adjustment: 'percentage',
+        value: -50,
+        weekdays: [4],
+        start_time: '17:00',
+        end_time: '18:00',
+        start_at: null,
+        end_at: null,
+        priority: 0,
+    };
+
+    describe('calculateSegments', () => {
+        it('should return a single segment when no rule applies', () => {
+            const segments = calculateSegments(at(16), at(16, 1), 1, 10, [happyHour]);
+
+            expect(segments).to.have.lengthOf(1);
+            expect(segments[0].pricing_rule_id).to.equal(null);
+            expect(segments[0].total_spent).to.equal(600);
+        });
+
+        it('should split a usage that straddles a rule boundary', () => {
+            const segments = calculateSegments(at(16, 59), at(17, 1), 1, 10, [happyHour]);
+
+            expect(segments.map((segment) => segment.pricing_rule_id)).to.deep.equal([null, 'happy-hour']);
+            expect(segments[0].ended_at).to.deep.equal(at(17));
+            expect(segments[1].price_per_litre).to.equal(5);
+            expect(segments[1].total_spent).to.equal(300);
+            expect(calculateTotalSpent(at(16, 59), at(17, 1), 1, 10, [happyHour])).to.equal(900);
+        });
+
+        it('should not apply a rule on other weekdays', () => {
+            const segments = calculateSegments(at(17, 0, 12), at(17, 1, 12), 1, 10, [happyHour]);
+
+            expect(segments[0].pricing_rule_id).to.equal(null);
+        });
+
+        it('should apply the rule with the highest priority when rules overlap', () => {
+            const surcharge = { ...happyHour, id: 'surcharge', adjustment: 'absolute', value: 20, priority: 1 };
+            const segments = calculateSegments(at(17, 30), at(17, 31), 1, 10, [surcharge, happyHour]);
+
+            expect(segments[0].pricing_rule_id).to.equal('surcharge');
+            expect(segments[0].price_per_litre).to.equal(20);
+        });
+
+        it('should split a usage at the limits of a date range', () => {
+            const promotion = { ...happyHour, weekdays: null, start_time: null, end_time: null, start_at: at(12), end_at: at(13) };
+            const segments = calculateSegments(at(11), at(14), 0.01, 10, [promotion]);
+
+            expect(segments.map((segment) => segment.pricing_rule_id)).to.deep.equal([null, 'happy-hour', null]);
+            expect(segments[1].started_at).to.deep.equal(at(12));
+            expect(segments[1].ended_at).to.deep.equal(at(13));
+        });
+    });
+
+    describe('PricingRuleManager', () => {
+        let store;
+        let pricingRuleManager;
+
+        beforeEach(() => {
+            store = new MemoryStore();
+            pricingRuleManager = new PricingRuleManager(store);
+        });
+
+        it('should create, update and delete a pricing rule', () => {
+            const rule = pricingRuleManager.createPricingRule({ name: 'Happy hour', adjustment: 'percentage', value: -50 });
+
+            expect(rule.priority).to.equal(0);
+            expect(rule.weekdays).to.equal(null);
+
+            pricingRuleManager.updatePricingRule(rule.id, { start_time: '17:00', end_time: '19:00' });
+            expect(pricingRuleManager.getPricingRule(rule.id).end_time).to.equal('19:00');
+
+            pricingRuleManager.deletePricingRule(rule.id);
+            expect(pricingRuleManager.pricingRules).to.be.empty;
+        });
+
+        it('should throw an error for invalid fields', () => {
+            const valid = { name: 'Rule', adjustment: 'percentage', value: 10 };
+
+            expect(() => pricingRuleManager.createPricingRule({ ...valid, adjustment: 'free' }))
+                .to.throw(messages.INVALID_PRICING_ADJUSTMENT);
+            expect(() => pricingRuleManager.createPricingRule({ ...valid, value: -100 }))
+                .to.throw(messages.INVALID_PRICING_VALUE);
+            expect(() => pricingRuleManager.createPricingRule({ ...valid, weekdays: [7] }))
+                .to.throw(messages.INVALID_WEEKDAYS);
+            expect(() => pricingRuleManager.createPricingRule({ ...valid, start_time: '19:00', end_time: '17:00' }))
+                .to.throw(messages.INVALID_TIME_WINDOW);
+            expect(() => pricingRuleManager.createPricingRule({ ...valid, start_at: 'tomorrow' }))
+                .to.throw(messages.INVALID_DATE_RANGE);
+            expect(() => pricingRuleManager.createPricingRule({ ...valid, beverage_id: 'non-existent-id' }))
+                .to.throw(messages.BEVERAGE_NOT_FOUND);
+        });
+
+        it('should keep the currency of absolute prices', () => {
+            const stout = new BeverageManager(store).createBeverage({ name: 'Stout', price_per_litre: 900, currency: 'USD' });
+            const absolute = { name: 'Flat price', adjustment: 'absolute', value: 500 };
+
+            expect(pricingRuleManager.createPricingRule({ ...absolute, currency: 'EUR' }).currency).to.equal('EUR');
+            expect(pricingRuleManager.createPricingRule({ ...absolute, beverage_id: stout.id }).currency).to.equal('USD');
+            expect(pricingRuleManager.createPricingRule({ ...absolute, adjustment: 'percentage', currency: 'EUR' }).currency)
+                .to.equal(null);
+
+            expect(() => pricingRuleManager.createPricingRule(absolute)).to.throw(messages.INVALID_PRICING_CURRENCY);
+            expect(() => pricingRuleManager.createPricingRule({ ...absolute, currency: 'euro' }))
+                .to.throw(messages.INVALID_PRICING_CURRENCY);
+            expect(() => pricingRuleManager.createPricingRule({ ...absolute, beverage_id: stout.id, currency: 'EUR' }))
+                .to.throw(messages.INVALID_PRICING_CURRENCY);
+        });
+
+        it('should only apply absolute prices to usages billed in their currency', () => {
+            const dispenserManager = new DispenserManager(store);
+            const stout = new BeverageManager(store).createBeverage({ name: 'Stout', price_per_litre: 10, currency: 'USD' });
+            const lager = dispenserManager.createDispenser(0.1);
+            const imported = dispenserManager.createDispenser(0.1, stout.id);
+            const rule = pricingRuleManager.createPricingRule({
+                name: 'Flat price', adjustment: 'absolute', value: 5, currency: 'EUR',
+            });
+
+            for (const dispenser of [lager, imported]) {
+                dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, at(16));
+                dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, at(16, 1));
+            }
+
+            expect(dispenserManager.getSpending(lager.id).usages[0].segments[0]).to.include({
+                pricing_rule_id: rule.id,
+                price_per_litre: 5,
+            });
+            expect(dispenserManager.getSpending(imported.id).usages[0].segments[0]).to.include({
+                pricing_rule_id: null,
+                price_per_litre: 10,
+            });
+        });
+
+        it('should throw an error for a pricing rule that does not exist', () => {
+            expect(() => pricingRuleManager.deletePricingRule('non-existent-id')).to.throw(messages.PRICING_RULE_NOT_FOUND);
+        });
+
+        it('should bill each segment of a usage and show the breakdown in the spending', () => {
+            const dispenserManager = new DispenserManager(store);
+            const beverage = new BeverageManager(store).createBeverage({ name: 'Lager', price_per_litre: 10 });
+            const dispenser = dispenserManager.createDispenser(0.1, beverage.id);
+            pricingRuleManager.createPricingRule({
+                name: 'Happy hour', adjustment: 'percentage', value: -50, start_time: '17:00', end_time: '18:00',
+                beverage_id: beverage.id,
+            });
+
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, at(16, 59));
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, at(17, 1));
+
+            const { amount, usages } = dispenserManager.getSpending(dispenser.id);
+            expect(usages[0].segments).to.have.lengthOf(2);
+            expect(usages[0].segments[0].total_spent).to.equal(60);
+            expect(usages[0].segments[1].total_spent).to.equal(30);
+            expect(usages[0].total_spent).to.equal(90);
+            expect(amount).to.equal(90);
+        });
+
+        it('should ignore rules for other beverages', () => {
+            const dispenserManager = new DispenserManager(store);
+            const beverage = new BeverageManager(store).createBeverage({ name: 'Lager', price_per_litre: 10 });
+            const dispenser = dispenserManager.createDispenser(0.1);
+            pricingRuleManager.createPricingRule({ name: 'Lager only', adjustment: 'absolute', value: 1, beverage_id: beverage.id });
+
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, at(16));
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, at(16, 1));
+
+            expect(dispenserManager.getSpending(dispenser.id).usages[0].segments[0].pricing_rule_id).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+const { expect } = require('chai');
+const { ReportManager } = require('../managers/reportManager');
+const { BeverageManager } = require('../managers/beverageManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+// Dates are built in local time, the time zone report periods are evaluated in
+const at = (hours, minutes = 0, day = 11) => new Date(2023, 4, day, hours, minutes);
+
+describe('ReportManager', () => {
+    let dispenserManager;
+    let reportManager;
+    let lager;
+    let first;
+    let second;
+
+    beforeEach(() => {
+        const store = new MemoryStore();
+        dispenserManager = new DispenserManager(store, { exchangeRates: 'USD:1.25' });
+        reportManager = new ReportManager(dispenserManager);
+        lager = new BeverageManager(store).createBeverage({ name: 'Lager', price_per_litre: 10 });
+
+        first = dispenserManager.createDispenser(0.1, lager.id);
+        second = dispenserManager.createDispenser(0.2);
+
+        // 10:30 - 11:30 on the first dispenser, 11:00 - 11:10 on the second one
+        dispenserManager.changeDispenserStatus(first.id, DispenserState.OPEN, at(10, 30));
+        dispenserManager.changeDispenserStatus(first.id, DispenserState.CLOSE, at(11, 30));
+        dispenserManager.changeDispenserStatus(second.id, DispenserState.OPEN, at(11));
+        dispenserManager.changeDispenserStatus(second.id, DispenserState.CLOSE, at(11, 10));
+    });
+
+    it('should group revenue by dispenser', () => {
+        const report = reportManager.getRevenue();
+        const byKey = Object.fromEntries(report.groups.map((group) => [group.key, group]));
+
+        expect(byKey[first.id]).to.deep.include({ amount: 3600, litres: 360, pours: 1, open_seconds: 3600 });
+        expect(byKey[second.id].amount).to.be.closeTo(600 * 0.2 * constants.PRICE_PER_LITRE, 0.01);
+        expect(report.totals).to.have.lengthOf(1);
+        expect(report.totals[0].pours).to.equal(2);
+    });
+
+    it('should group revenue by beverage', () => {
+        const report = reportManager.getRevenue({ group_by: 'beverage' });
+
+        expect(report.groups.map((group) => group.key)).to.have.members([lager.id, null]);
+    });
+
+    it('should split usages across hours and clip them to the range', () => {
+        const report = reportManager.getRevenue({ from: at(11).toISOString(), to: at(12).toISOString(), group_by: 'hour' });
+
+        expect(report.groups).to.have.lengthOf(1);
+        expect(report.groups[0].key).to.equal(at(11).toISOString());
+        expect(report.groups[0].open_seconds).to.equal(1800 + 600);
+        expect(report.groups[0].pours).to.equal(1);
+        expect(report.totals[0].amount).to.be.closeTo(1800 + 600 * 0.2 * constants.PRICE_PER_LITRE, 0.01);
+    });
+
+    it('should count an open usage up to now', () => {
+        const open = dispenserManager.createDispenser(1);
+        dispenserManager.changeDispenserStatus(open.id, DispenserState.OPEN, new Date(Date.now() - 10000));
+
+        const group = reportManager.getRevenue().groups.find((item) => item.key === open.id);
+
+        expect(group.open_seconds).to.be.closeTo(10, 0.5);
+        expect(group.amount).to.be.closeTo(10 * constants.PRICE_PER_LITRE, 5);
+    });
+
+    it('should convert the revenue to one currency', () => {
+        const stout = new BeverageManager(dispenserManager.store).createBeverage({
+            name: 'Stout', price_per_litre: 100, currency: 'USD',
+        });
+        const imported = dispenserManager.createDispenser(1, stout.id);
+        dispenserManager.changeDispenserStatus(imported.id, DispenserState.OPEN, at(12));
+        dispenserManager.changeDispenserStatus(imported.id, DispenserState.CLOSE, at(12, 1));
+
+        const report = reportManager.getRevenue({ to: at(13) });
+        expect(report.totals.map((total) => total.currency)).to.have.members([constants.DEFAULT_CURRENCY, 'USD']);
+
+        // 60 USD are 48 EUR at 1.25 USD per EUR
+        const converted = reportManager.getRevenue({ to: at(13), currency: constants.DEFAULT_CURRENCY });
+        expect(converted.totals).to.have.lengthOf(1);
+        expect(converted.totals[0]).to.include({ currency: constants.DEFAULT_CURRENCY, pours: 3 });
+        expect(converted.totals[0].amount).to.equal(3600 + 600 * 0.2 * constants.PRICE_PER_LITRE + 4800);
+        expect(converted.groups.find((group) => group.key === imported.id).amount).to.equal(4800);
+
+        expect(() => reportManager.getRevenue({ currency: 'GBP' })).to.throw(messages.EXCHANGE_RATE_NOT_FOUND);
+    });
+
+    it('should convert the revenue of each group once', () => {
+        const stout = new BeverageManager(dispenserManager.store).createBeverage({
+            name: 'Stout', price_per_litre: 100, currency: 'USD',
+        });
+        const manager = new ReportManager(new DispenserManager(dispenserManager.store, { exchangeRates: 'USD:1.5' }));
+        const imported = dispenserManager.createDispenser(1, stout.id);
+
+        // Two pours of 1 USD each: 2 USD are 1.33 EUR, while each pour alone would round up to 0.67 EUR
+        for (const minute of [1, 2]) {
+            dispenserManager.changeDispenserStatus(imported.id, DispenserState.OPEN, at(12, minute));
+            dispenserManager.changeDispenserStatus(imported.id, DispenserState.CLOSE, new Date(at(12, minute).getTime() + 1000));
+        }
+
+        const report = manager.getRevenue({ from: at(12), to: at(13), currency: constants.DEFAULT_CURRENCY });
+        expect(report.groups).to.deep.equal([
+            { key: imported.id, currency: constants.DEFAULT_CURRENCY, amount: 133, litres: 2, pours: 2, open_seconds: 2 },
+        ]);
+        expect(report.totals).to.deep.equal([
+            { currency: constants.DEFAULT_CURRENCY, amount: 133, litres: 2, pours: 2, open_seconds: 2 },
+        ]);
+    });
+
+    it('should throw an error for an invalid range or grouping', () => {
+        expect(() => reportManager.getRevenue({ from: 'yesterday' })).to.throw(messages.INVALID_TIME_RANGE);
+        expect(() => reportManager.getRevenue({ from: at(12), to: at(11) })).to.throw(messages.INVALID_TIME_RANGE);
+        expect(() => reportManager.getRevenue({ group_by: 'month' })).to.throw(messages.INVALID_GROUP_BY);
+    });
+});
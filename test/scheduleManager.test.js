@@ -0,0 +1,148 @@
+const { expect } = require('chai');
+const { ScheduleManager, ScheduleType, LockState } = require('../managers/scheduleManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { VenueManager } = require('../managers/venueManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+// Schedules are evaluated in local time, like the pricing rules. May 11th 2023 is a Thursday.
+const at = (hours, minutes = 0, day = 11) => new Date(2023, 4, day, hours, minutes);
+
+describe('ScheduleManager', () => {
+    let store;
+    let dispenserManager;
+    let venueManager;
+    let scheduleManager;
+    let venue;
+    let dispenser;
+
+    const open = (date) => dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, date);
+    const close = (date) => dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, date);
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        venueManager = new VenueManager(store, dispenserManager);
+        scheduleManager = new ScheduleManager(store, dispenserManager, { checkIntervalMs: 0 });
+        venue = venueManager.createVenue({ name: 'Old Town' });
+        dispenser = dispenserManager.createDispenser(1, null, { venue_id: venue.id });
+    });
+
+    afterEach(() => {
+        scheduleManager.stop();
+    });
+
+    it('should reject opens outside the opening hours and during maintenance', () => {
+        scheduleManager.createSchedule({
+            name: 'Licensing hours', type: ScheduleType.OPENING_HOURS, venue_id: venue.id, start_time: '12:00', end_time: '23:00',
+        });
+
+        expect(() => open(at(11))).to.throw(messages.DISPENSER_LOCKED);
+        open(at(12));
+        close(at(12, 1));
+
+        scheduleManager.createSchedule({
+            name: 'Line cleaning', type: ScheduleType.MAINTENANCE, dispenser_id: dispenser.id, weekdays: [4], start_time: '14:00', end_time: '15:00',
+        });
+        expect(() => open(at(14, 30))).to.throw(messages.DISPENSER_IN_MAINTENANCE);
+        expect(() => open(at(14, 30, 12))).to.not.throw();
+        close(at(14, 31, 12));
+
+        // The hours of the dispenser replace the ones of its venue
+        scheduleManager.createSchedule({
+            name: 'Late tap', type: ScheduleType.OPENING_HOURS, dispenser_id: dispenser.id, start_time: '18:00', end_time: '24:00',
+        });
+        expect(() => open(at(13, 0, 13))).to.throw(messages.DISPENSER_LOCKED);
+        expect(() => open(at(23, 30, 13))).to.not.throw();
+
+        const attempts = store.getAuditEntries(dispenser.id).filter((entry) => entry.outcome === 'rejected');
+        expect(attempts.map((entry) => entry.error)).to.include(messages.DISPENSER_IN_MAINTENANCE);
+    });
+
+    it('should close open dispensers when their lock starts, billing them up to it', () => {
+        scheduleManager.createSchedule({
+            name: 'Licensing hours', type: ScheduleType.OPENING_HOURS, venue_id: venue.id, start_time: '12:00', end_time: '23:00',
+        });
+        open(at(22, 59));
+
+        expect(scheduleManager.check(at(22, 59, 11))).to.deep.equal([]);
+        expect(scheduleManager.check(at(23, 30))).to.deep.equal([dispenser.id]);
+
+        const [usage] = store.getUsages(dispenser.id);
+        expect(usage.closed_at).to.deep.equal(at(23));
+        expect(usage.total_spent).to.be.closeTo(60 * constants.PRICE_PER_LITRE, 0.01);
+        expect(dispenserManager.getDispenser(dispenser.id).state).to.equal(DispenserState.CLOSE);
+        expect(store.getAuditEntries(dispenser.id).pop().caller.subject).to.equal('schedule-manager');
+    });
+
+    it('should not bill a dispenser up to a lock that started before its schedule was created', () => {
+        const openedAt = new Date(Date.now() - 60000);
+        open(openedAt);
+
+        const emergency = scheduleManager.createSchedule({
+            name: 'Leak', type: ScheduleType.MAINTENANCE, dispenser_id: dispenser.id, start_at: new Date(openedAt.getTime() + 10000),
+        });
+
+        expect(scheduleManager.check()).to.deep.equal([dispenser.id]);
+        expect(store.getUsages(dispenser.id)[0].closed_at).to.deep.equal(emergency.created_at);
+    });
+
+    it('should close an open dispenser when a maintenance window starts', (done) => {
+        open(new Date(Date.now() - 1000));
+
+        scheduleManager.createSchedule({
+            name: 'Keg swap', type: ScheduleType.MAINTENANCE, dispenser_id: dispenser.id, start_at: new Date(Date.now() + 50),
+        });
+
+        setTimeout(() => {
+            expect(dispenserManager.getDispenser(dispenser.id).state).to.equal(DispenserState.CLOSE);
+            expect(scheduleManager.getLock(dispenser.id).state).to.equal(LockState.MAINTENANCE);
+            done();
+        }, 150);
+    });
+
+    it('should report the lock of a dispenser and when it changes', () => {
+        const cleaning = scheduleManager.createSchedule({
+            name: 'Line cleaning', type: ScheduleType.MAINTENANCE, venue_id: venue.id, start_time: '09:00', end_time: '10:00',
+        });
+
+        expect(scheduleManager.getLock(dispenser.id, at(9, 30))).to.deep.equal({
+            dispenser_id: dispenser.id,
+            state: LockState.MAINTENANCE,
+            schedule_id: cleaning.id,
+            checked_at: at(9, 30),
+            changes_at: at(10),
+        });
+        expect(scheduleManager.getLock(dispenser.id, at(11))).to.include({ state: LockState.UNLOCKED, schedule_id: null });
+        expect(scheduleManager.getLock(dispenser.id, at(11)).changes_at).to.deep.equal(at(9, 0, 12));
+
+        scheduleManager.deleteSchedule(cleaning.id);
+        expect(scheduleManager.getLock(dispenser.id, at(9, 30))).to.include({ state: LockState.UNLOCKED, changes_at: null });
+    });
+
+    it('should list, update and validate the schedules', () => {
+        const other = dispenserManager.createDispenser(1);
+        const hours = scheduleManager.createSchedule({ name: ' Licensing hours ', type: ScheduleType.OPENING_HOURS, venue_id: venue.id });
+        scheduleManager.createSchedule({ name: 'Cleaning', type: ScheduleType.MAINTENANCE, dispenser_id: other.id });
+
+        expect(hours.name).to.equal('Licensing hours');
+        expect(scheduleManager.listSchedules({ dispenser_id: dispenser.id }).schedules).to.deep.equal([hours]);
+        expect(scheduleManager.listSchedules({ type: ScheduleType.MAINTENANCE }).total).to.equal(1);
+        expect(scheduleManager.listSchedules({ venue_id: venue.id }).schedules).to.deep.equal([hours]);
+
+        const updated = scheduleManager.updateSchedule(hours.id, { start_time: '16:00', start_at: '2023-05-01T00:00:00Z' });
+        expect(updated).to.include({ start_time: '16:00', venue_id: venue.id });
+        expect(updated.start_at).to.deep.equal(new Date('2023-05-01T00:00:00Z'));
+
+        const create = (fields) => () => scheduleManager.createSchedule({ name: 'Hours', type: ScheduleType.OPENING_HOURS, ...fields });
+        expect(create({ name: ' ', venue_id: venue.id })).to.throw(messages.SCHEDULE_NAME_REQUIRED);
+        expect(create({ type: 'closed', venue_id: venue.id })).to.throw(messages.INVALID_SCHEDULE_TYPE);
+        expect(create({})).to.throw(messages.SCHEDULE_TARGET_REQUIRED);
+        expect(create({ venue_id: venue.id, dispenser_id: dispenser.id })).to.throw(messages.SCHEDULE_TARGET_REQUIRED);
+        expect(create({ venue_id: venue.id, start_time: '20:00', end_time: '02:00' })).to.throw(messages.INVALID_TIME_WINDOW);
+        expect(create({ dispenser_id: 'unknown' })).to.throw(messages.DISPENSER_NOT_FOUND);
+        expect(() => scheduleManager.listSchedules({ type: 'closed' })).to.throw(messages.INVALID_SCHEDULE_TYPE);
+        expect(() => scheduleManager.getSchedule('unknown')).to.throw(messages.SCHEDULE_NOT_FOUND);
+    });
+});
@@ -0,0 +1,130 @@
+const { expect } = require('chai');
+const { StatusUpdateManager } = require('../managers/statusUpdateManager');
+const { DispenserManager, DispenserState, AttemptOutcome } = require('../managers/dispenserManager');
+const { AuditManager } = require('../managers/auditManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+
+describe('StatusUpdateManager', () => {
+    let store;
+    let dispenserManager;
+    let dispenser;
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        dispenser = dispenserManager.createDispenser(0.5);
+    });
+
+    describe('idempotency', () => {
+        let statusUpdateManager;
+
+        beforeEach(() => {
+            statusUpdateManager = new StatusUpdateManager(store, dispenserManager, { reconciliationWindowMs: 0 });
+        });
+
+        it('should apply an update once and return the original result for duplicates', () => {
+            const openedAt = new Date('2023-05-11T00:00:00Z');
+            const first = statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, openedAt, { idempotencyKey: 'open-1' });
+            statusUpdateManager.submit(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:10Z'));
+            const retry = statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, openedAt, { idempotencyKey: 'open-1' });
+
+            expect(first.success).to.equal(true);
+            expect(retry).to.include({ success: true, replayed: true });
+            expect(dispenserManager.getDispenser(dispenser.id).state).to.equal(DispenserState.CLOSE);
+            expect(store.getUsages(dispenser.id)).to.have.lengthOf(1);
+
+            const replays = new AuditManager(dispenserManager).getAuditLog(dispenser.id, { outcome: AttemptOutcome.REPLAYED });
+            expect(replays.total).to.equal(1);
+        });
+
+        it('should reject a key reused for another update', () => {
+            statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'), { idempotencyKey: 'key' });
+
+            expect(() => statusUpdateManager.submit(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:10Z'), { idempotencyKey: 'key' }))
+                .to.throw(messages.IDEMPOTENCY_KEY_REUSED);
+            expect(() => statusUpdateManager.submit(dispenser.id, DispenserState.CLOSE, new Date(), { idempotencyKey: '' }))
+                .to.throw(messages.INVALID_IDEMPOTENCY_KEY);
+        });
+
+        it('should not store rejected updates', () => {
+            statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:10Z'));
+            const closedAt = new Date('2023-05-11T00:00:05Z');
+
+            expect(() => statusUpdateManager.submit(dispenser.id, DispenserState.CLOSE, closedAt, { idempotencyKey: 'close-1' }))
+                .to.throw(messages.INVALID_DATE_ORDER);
+            expect(store.findIdempotencyRecord(`${dispenser.id}:close-1`)).to.equal(undefined);
+        });
+
+        it('should forget keys once they expire', () => {
+            const expiring = new StatusUpdateManager(store, dispenserManager, { reconciliationWindowMs: 0, idempotencyTtlMs: -1 });
+            const openedAt = new Date('2023-05-11T00:00:00Z');
+
+            expiring.submit(dispenser.id, DispenserState.OPEN, openedAt, { idempotencyKey: 'open-1' });
+            const retry = expiring.submit(dispenser.id, DispenserState.OPEN, openedAt, { idempotencyKey: 'open-1' });
+
+            expect(retry).to.include({ success: false, message: messages.DISPENSER_ALREADY_IN_DESIRED_STATE });
+        });
+
+        it('should remove the expired keys from the store', () => {
+            const openedAt = new Date('2023-05-11T00:00:00Z');
+            statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, openedAt, { idempotencyKey: 'open-1' });
+            store.findIdempotencyRecord(`${dispenser.id}:open-1`).created_at = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+
+            // Only purged once a TTL has gone by since the last purge
+            statusUpdateManager.submit(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:10Z'), { idempotencyKey: 'close-1' });
+            expect(store.findIdempotencyRecord(`${dispenser.id}:open-1`)).to.not.equal(undefined);
+
+            statusUpdateManager.purgedAt = new Date(0);
+            statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:20Z'), { idempotencyKey: 'open-2' });
+
+            expect(store.findIdempotencyRecord(`${dispenser.id}:open-1`)).to.equal(undefined);
+            expect(store.idempotencyRecords.map((record) => record.key)).to.deep.equal(['close-1', 'open-2']);
+        });
+    });
+
+    describe('reconciliation', () => {
+        let statusUpdateManager;
+
+        beforeEach(() => {
+            statusUpdateManager = new StatusUpdateManager(store, dispenserManager, { reconciliationWindowMs: 50 });
+        });
+
+        afterEach(() => {
+            statusUpdateManager.flushAll();
+        });
+
+        it('should apply buffered updates in updated_at order', () => {
+            const close = statusUpdateManager.submit(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:10Z'));
+            statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+            statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+
+            expect(close).to.include({ success: true, buffered: true });
+            expect(store.getUsages(dispenser.id)).to.equal(undefined);
+
+            statusUpdateManager.flush(dispenser.id);
+
+            const usages = store.getUsages(dispenser.id);
+            expect(usages).to.have.lengthOf(1);
+            expect(usages[0].opened_at).to.deep.equal(new Date('2023-05-11T00:00:00Z'));
+            expect(usages[0].closed_at).to.deep.equal(new Date('2023-05-11T00:00:10Z'));
+            expect(dispenserManager.getDispenser(dispenser.id).state).to.equal(DispenserState.CLOSE);
+        });
+
+        it('should flush the buffer once the window elapses', async () => {
+            statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+
+            await new Promise((resolve) => setTimeout(resolve, 100));
+
+            expect(dispenserManager.getDispenser(dispenser.id).state).to.equal(DispenserState.OPEN);
+            expect(statusUpdateManager.buffers.size).to.equal(0);
+        });
+
+        it('should reject updates that can never be applied without buffering them', () => {
+            expect(() => statusUpdateManager.submit('unknown', DispenserState.OPEN, new Date())).to.throw(messages.DISPENSER_NOT_FOUND);
+            expect(() => statusUpdateManager.submit(dispenser.id, 'half-open', new Date())).to.throw(messages.INVALID_DISPENSER_STATUS);
+            expect(() => statusUpdateManager.submit(dispenser.id, DispenserState.OPEN, new Date('invalid'))).to.throw(messages.INVALID_DATE_FORMAT);
+            expect(statusUpdateManager.buffers.size).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const { TabManager, TabStatus, DiscountType } = require('../managers/tabManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { VenueManager } = require('../managers/venueManager');
+const { BeverageManager } = require('../managers/beverageManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+describe('TabManager', () => {
+    let store;
+    let dispenserManager;
+    let tabManager;
+    let tab;
+
+    const pour = (dispenser, openedAt, closedAt, tabId = tab.id) => {
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date(openedAt), null, new Date(), tabId);
+        if (closedAt) {
+            dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date(closedAt));
+        }
+    };
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        tabManager = new TabManager(store, dispenserManager);
+        tab = tabManager.openTab({ name: ' Table 7 ' });
+    });
+
+    it('should attribute pours across dispensers to the tab', () => {
+        const lager = dispenserManager.createDispenser(1);
+        const stout = dispenserManager.createDispenser(0.5);
+
+        pour(lager, '2023-05-11T20:00:00Z', '2023-05-11T20:00:10Z');
+        pour(stout, '2023-05-11T20:05:00Z', '2023-05-11T20:05:10Z');
+        pour(lager, '2023-05-11T20:10:00Z', '2023-05-11T20:10:10Z', null);
+
+        const statement = tabManager.getStatement(tab.id);
+        expect(statement.name).to.equal('Table 7');
+        expect(statement.pours).to.have.length(2);
+        expect(statement.pours[1]).to.include({ dispenser_id: stout.id, litres: 5 });
+        expect(statement.subtotal).to.be.closeTo(15 * constants.PRICE_PER_LITRE, 0.01);
+        expect(statement).to.include({ total: statement.subtotal, currency: constants.DEFAULT_CURRENCY });
+        expect(dispenserManager.getSpending(lager.id).usages.map((usage) => usage.tab_id)).to.deep.equal([tab.id, null]);
+    });
+
+    it('should reject pours for unknown, closed or other venue tabs', () => {
+        const venueManager = new VenueManager(store, dispenserManager);
+        const venue = venueManager.createVenue({ name: 'Stadium' });
+        const dispenser = dispenserManager.createDispenser(1);
+        const venueTab = tabManager.openTab({ name: 'Box 3', venue_id: venue.id });
+
+        expect(() => pour(dispenser, '2023-05-11T20:00:00Z', null, 'unknown')).to.throw(messages.TAB_NOT_FOUND);
+        expect(() => pour(dispenser, '2023-05-11T20:00:00Z', null, venueTab.id)).to.throw(messages.TAB_VENUE_MISMATCH);
+
+        tabManager.closeTab(tab.id);
+        expect(() => pour(dispenser, '2023-05-11T20:00:00Z')).to.throw(messages.TAB_NOT_OPEN);
+        expect(dispenserManager.getDispenser(dispenser.id).state).to.equal(DispenserState.CLOSE);
+    });
+
+    it('should apply the discounts in order on what is left to pay', () => {
+        const dispenser = dispenserManager.createDispenser(1);
+        pour(dispenser, '2023-05-11T20:00:00Z', '2023-05-11T20:00:10Z');
+
+        tabManager.addDiscount(tab.id, { type: DiscountType.ABSOLUTE, value: 250, reason: 'Spilled pint' });
+        const statement = tabManager.addDiscount(tab.id, { type: DiscountType.PERCENTAGE, value: 10 });
+
+        expect(statement.subtotal).to.equal(12250);
+        expect(statement.discounts.map((discount) => discount.amount)).to.deep.equal([250, 1200]);
+        expect(statement).to.include({ discount_total: 1450, total: 10800 });
+
+        // Amounts are in minor units, so an absolute discount can't have a fraction of one
+        expect(() => tabManager.addDiscount(tab.id, { type: DiscountType.ABSOLUTE, value: 2.5 }))
+            .to.throw(messages.INVALID_DISCOUNT_VALUE);
+
+        expect(() => tabManager.addDiscount(tab.id, { type: 'free', value: 1 })).to.throw(messages.INVALID_DISCOUNT_TYPE);
+        expect(() => tabManager.addDiscount(tab.id, { type: DiscountType.PERCENTAGE, value: 120 }))
+            .to.throw(messages.INVALID_DISCOUNT_VALUE);
+    });
+
+    it('should close and settle a tab with a final invoice', () => {
+        const dispenser = dispenserManager.createDispenser(1);
+        pour(dispenser, '2023-05-11T20:00:00Z');
+
+        expect(() => tabManager.settleTab(tab.id)).to.throw(messages.TAB_HAS_OPEN_POURS);
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T20:00:10Z'));
+
+        const settled = tabManager.settleTab(tab.id, new Date('2023-05-11T23:00:00Z'));
+        expect(settled.status).to.equal(TabStatus.SETTLED);
+        expect(settled.closed_at).to.deep.equal(new Date('2023-05-11T23:00:00Z'));
+        expect(settled.invoice).to.include({ subtotal: 12250, discount_total: 0, total: 12250, pours: 1 });
+
+        expect(() => tabManager.settleTab(tab.id)).to.throw(messages.TAB_SETTLED);
+        expect(() => tabManager.addDiscount(tab.id, { type: DiscountType.ABSOLUTE, value: 1 })).to.throw(messages.TAB_SETTLED);
+        expect(tabManager.listTabs({ status: TabStatus.SETTLED }).tabs).to.have.length(1);
+        expect(() => tabManager.listTabs({ status: 'paid' })).to.throw(messages.INVALID_TAB_STATUS_FILTER);
+    });
+
+    it('should add up pours in currencies without exchange rates per currency and still settle the tab', () => {
+        const stout = new BeverageManager(store).createBeverage({ name: 'Stout', price_per_litre: 1000, currency: 'USD' });
+        const lager = dispenserManager.createDispenser(1);
+        const tap = dispenserManager.createDispenser(0.5, stout.id);
+
+        pour(lager, '2023-05-11T20:00:00Z', '2023-05-11T20:00:10Z');
+        pour(tap, '2023-05-11T20:05:00Z', '2023-05-11T20:05:10Z');
+        tabManager.addDiscount(tab.id, { type: DiscountType.PERCENTAGE, value: 10 });
+
+        const statement = tabManager.getStatement(tab.id);
+        expect(statement.totals).to.deep.equal({ EUR: 12250, USD: 5000 });
+        expect(statement).to.include({ subtotal: null, discount_total: null, total: null, currency: null });
+        expect(statement.discounts[0].amount).to.equal(null);
+
+        const settled = tabManager.settleTab(tab.id, new Date('2023-05-11T23:00:00Z'));
+        expect(settled).to.include({ status: TabStatus.SETTLED, total: null });
+        expect(settled.invoice).to.deep.include({ totals: { EUR: 12250, USD: 5000 }, total: null, pours: 2 });
+
+        // With an exchange rate, the statement converts the pours to the currency of the first one
+        const converted = new TabManager(store, new DispenserManager(store, { exchangeRates: 'USD:1.25' }));
+        expect(converted.getStatement(tab.id)).to.include({ subtotal: 16250, discount_total: 1625, total: 14625 });
+    });
+
+    it('should leave a tab open when it can\'t be settled', () => {
+        const dispenser = dispenserManager.createDispenser(1);
+        pour(dispenser, '2023-05-11T20:00:00Z');
+
+        expect(() => tabManager.settleTab(tab.id)).to.throw(messages.TAB_HAS_OPEN_POURS);
+        expect(tabManager.getTab(tab.id)).to.include({ status: TabStatus.OPEN, closed_at: null });
+    });
+});
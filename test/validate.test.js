@@ -0,0 +1,104 @@
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const bodyParser = require('body-parser');
+const Ajv = require('ajv');
+const { validate } = require('../middleware/validate');
+const { errorHandler } = require('../middleware/errorHandler');
+const { operations, components } = require('../schemas');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const messages = require('../constants/messages');
+
+const { expect } = chai;
+chai.use(chaiHttp);
+
+describe('Schema validation', () => {
+    describe('middleware', () => {
+        const app = express();
+        app.use(bodyParser.json());
+        app.post('/dispenser', validate(operations.createDispenser), (req, res) => res.json(req.body));
+        app.get('/dispenser', validate(operations.listDispensers), (req, res) => res.json(req.query));
+        app.put('/dispenser/:id/status', validate(operations.changeDispenserStatus), (req, res) => res.json(req.body));
+        app.use(errorHandler);
+
+        it('should report the message of the failing property', async () => {
+            const missing = await chai.request(app).post('/dispenser').send({});
+            expect(missing).to.have.status(400);
+            expect(missing.body).to.deep.equal({ error: messages.FLOW_VOLUME_REQUIRED, code: 'FLOW_VOLUME_REQUIRED' });
+
+            const string = await chai.request(app).post('/dispenser').send({ flow_volume: '2' });
+            expect(string.body.error).to.equal(messages.FLOW_VOLUME_MUST_BE_NUMBER);
+
+            const zero = await chai.request(app).post('/dispenser').send({ flow_volume: 0 });
+            expect(zero.body.error).to.equal(messages.FLOW_VOLUME_POSITIVE);
+        });
+
+        it('should check dates and enums before they reach the managers', async () => {
+            const date = await chai.request(app).put('/dispenser/1/status').send({ status: 'open', updated_at: 'yesterday' });
+            expect(date).to.have.status(400);
+            expect(date.body.error).to.equal(messages.INVALID_DATE_FORMAT);
+
+            const status = await chai.request(app).put('/dispenser/1/status').send({ status: 'ajar', updated_at: new Date() });
+            expect(status.body.error).to.equal(messages.INVALID_DISPENSER_STATUS);
+
+            const key = await chai
+                .request(app)
+                .put('/dispenser/1/status')
+                .set('Idempotency-Key', 'k'.repeat(256))
+                .send({ status: 'open', updated_at: new Date() });
+            expect(key.body.error).to.equal(messages.INVALID_IDEMPOTENCY_KEY);
+        });
+
+        it('should describe violations without a message of their own', async () => {
+            const res = await chai.request(app).put('/dispenser/1/status').send(['open']);
+
+            expect(res).to.have.status(400);
+            expect(res.body.code).to.equal('INVALID_REQUEST');
+            expect(res.body.error).to.equal(`${messages.INVALID_REQUEST}: body must be object`);
+        });
+
+        it('should coerce the query string for validation only', async () => {
+            const valid = await chai.request(app).get('/dispenser').query({ retired: 'true', limit: '5' });
+            expect(valid).to.have.status(200);
+            expect(valid.body).to.deep.equal({ retired: 'true', limit: '5' });
+
+            const invalid = await chai.request(app).get('/dispenser').query({ limit: 'ten' });
+            expect(invalid.body.error).to.equal(messages.INVALID_PAGINATION);
+        });
+    });
+
+    describe('OpenAPI document', () => {
+        const document = buildOpenApiDocument(operations, components);
+
+        it('should list every operation under its OpenAPI path', () => {
+            const operationIds = Object.values(document.paths).flatMap((path) => Object.values(path).map((op) => op.operationId));
+
+            expect(operationIds).to.have.members(Object.keys(operations));
+            expect(document.paths['/dispenser/{id}/status'].put.parameters.map((parameter) => parameter.in))
+                .to.deep.equal(['path', 'header']);
+            expect(document.paths['/dispenser/{id}/status'].put.responses).to.include.keys('202', '400', '404', '409');
+        });
+
+        it('should leave out the validation-only keywords', () => {
+            expect(JSON.stringify(document)).to.not.include('errorMessage');
+        });
+
+        it('should only hold valid response schemas', () => {
+            const ajv = new Ajv({ strict: false, validateFormats: false });
+            ajv.addSchema(document, 'openapi');
+
+            for (const [path, methods] of Object.entries(document.paths)) {
+                for (const [method, operation] of Object.entries(methods)) {
+                    for (const [status, response] of Object.entries(operation.responses)) {
+                        if (response.content && response.content['application/json']) {
+                            const pointer = ['paths', path, method, 'responses', status, 'content', 'application/json', 'schema']
+                                .map((token) => token.replace(/~/g, '~0').replace(/\//g, '~1'))
+                                .join('/');
+                            expect(ajv.getSchema(`openapi#/${pointer}`), `${method} ${path} ${status}`).to.be.a('function');
+                        }
+                    }
+                }
+            }
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const { expect } = require('chai');
+const { VenueManager } = require('../managers/venueManager');
+const { DispenserManager, DispenserState } = require('../managers/dispenserManager');
+const { BeverageManager } = require('../managers/beverageManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+const constants = require('../constants/constants');
+
+describe('VenueManager', () => {
+    let store;
+    let dispenserManager;
+    let venueManager;
+    let venue;
+    let zone;
+
+    const pour = (dispenser, openedAt, closedAt) => {
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date(openedAt));
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date(closedAt));
+    };
+
+    beforeEach(() => {
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        venueManager = new VenueManager(store, dispenserManager);
+        venue = venueManager.createVenue({ name: ' Stadium ' });
+        zone = venueManager.createZone({ venue_id: venue.id, name: 'North stand' });
+    });
+
+    it('should create, list and rename venues and zones', () => {
+        const other = venueManager.createVenue({ name: 'Harbour bar' });
+        venueManager.createZone({ venue_id: other.id, name: 'Terrace' });
+
+        expect(venue.name).to.equal('Stadium');
+        expect(venueManager.listVenues()).to.include({ total: 2, limit: 20, offset: 0 });
+        expect(venueManager.listVenues({ id: other.id }).venues).to.deep.equal([other]);
+        expect(venueManager.listZones({ venue_id: venue.id }).zones).to.deep.equal([zone]);
+        expect(venueManager.updateZone(zone.id, { name: 'South stand' }).name).to.equal('South stand');
+        expect(venueManager.updateVenue(venue.id, { name: 'Arena' }).name).to.equal('Arena');
+    });
+
+    it('should throw an error when a venue or a zone is not valid', () => {
+        expect(() => venueManager.createVenue({ name: ' ' })).to.throw(messages.VENUE_NAME_REQUIRED);
+        expect(() => venueManager.createZone({ venue_id: 'unknown', name: 'Bar' })).to.throw(messages.VENUE_NOT_FOUND);
+        expect(() => venueManager.createZone({ venue_id: venue.id })).to.throw(messages.ZONE_NAME_REQUIRED);
+        expect(() => venueManager.getVenue('unknown')).to.throw(messages.VENUE_NOT_FOUND);
+        expect(() => venueManager.updateZone('unknown', { name: 'Bar' })).to.throw(messages.ZONE_NOT_FOUND);
+    });
+
+    it('should assign dispensers to a venue through their zone and move them', () => {
+        const other = venueManager.createVenue({ name: 'Harbour bar' });
+        const dispenser = dispenserManager.createDispenser(1, null, { zone_id: zone.id });
+
+        expect(dispenser).to.include({ venue_id: venue.id, zone_id: zone.id });
+        expect(venueManager.findVenueId('dispenser', dispenser.id)).to.equal(venue.id);
+        expect(venueManager.findVenueId('zone', 'unknown')).to.equal(undefined);
+        expect(() => dispenserManager.createDispenser(1, null, { venue_id: other.id, zone_id: zone.id }))
+            .to.throw(messages.ZONE_VENUE_MISMATCH);
+        expect(() => dispenserManager.updateDispenser(dispenser.id, { zone_id: 'unknown' }))
+            .to.throw(messages.ZONE_NOT_FOUND);
+
+        const moved = dispenserManager.updateDispenser(dispenser.id, { venue_id: other.id });
+        expect(moved).to.include({ venue_id: other.id, zone_id: null });
+        expect(dispenserManager.listDispensers({ venue_id: venue.id }).total).to.equal(0);
+        expect(dispenserManager.listDispensers({ venue_id: other.id }).dispensers).to.deep.equal([{ ...moved, lock: 'unlocked' }]);
+    });
+
+    it('should add up the spending of the dispensers of a venue and a zone', () => {
+        const bar = dispenserManager.createDispenser(1, null, { zone_id: zone.id });
+        const kiosk = dispenserManager.createDispenser(2, null, { venue_id: venue.id });
+        const elsewhere = dispenserManager.createDispenser(1);
+
+        pour(bar, '2023-05-11T00:00:00Z', '2023-05-11T00:00:10Z');
+        pour(kiosk, '2023-05-11T00:00:00Z', '2023-05-11T00:00:10Z');
+        pour(elsewhere, '2023-05-11T00:00:00Z', '2023-05-11T00:00:10Z');
+
+        const venueSpending = venueManager.getVenueSpending(venue.id);
+        expect(venueSpending.amount).to.be.closeTo(30 * constants.PRICE_PER_LITRE, 0.01);
+        expect(venueSpending.dispensers).to.have.length(2);
+        expect(venueSpending.dispensers[1]).to.include({ dispenser_id: kiosk.id, zone_id: null });
+
+        const zoneSpending = venueManager.getZoneSpending(zone.id, { from: '2023-05-11T00:00:05Z' });
+        expect(zoneSpending).to.include({ zone_id: zone.id, venue_id: venue.id });
+        expect(zoneSpending.amount).to.be.closeTo(5 * constants.PRICE_PER_LITRE, 0.01);
+        expect(() => venueManager.getVenueSpending(venue.id, { from: 'yesterday' })).to.throw(messages.INVALID_TIME_RANGE);
+    });
+
+    it('should keep the spending of a venue per currency unless a currency is requested', () => {
+        const stout = new BeverageManager(store).createBeverage({ name: 'Stout', price_per_litre: 1000, currency: 'USD' });
+        const bar = dispenserManager.createDispenser(0.5, null, { zone_id: zone.id });
+        const kiosk = dispenserManager.createDispenser(0.5, stout.id, { venue_id: venue.id });
+
+        pour(bar, '2023-05-11T00:00:00Z', '2023-05-11T00:00:10Z');
+        pour(kiosk, '2023-05-11T00:00:00Z', '2023-05-11T00:00:10Z');
+        pour(kiosk, '2023-05-11T00:01:00Z', '2023-05-11T00:01:01Z');
+
+        const spending = venueManager.getVenueSpending(venue.id);
+        expect(spending).to.deep.include({ amount: null, currency: null, totals: { EUR: 6125, USD: 5500 } });
+        expect(spending.dispensers[1]).to.deep.include({ amount: 5500, currency: 'USD', totals: { USD: 5500 } });
+
+        // Each currency is converted once: 55 USD are 45.4545... EUR, rounded to 45.45
+        const converted = new VenueManager(store, new DispenserManager(store, { exchangeRates: 'USD:1.21' }));
+        expect(converted.getVenueSpending(venue.id, { currency: 'EUR' })).to.include({ amount: 6125 + 4545 });
+        expect(() => venueManager.getVenueSpending(venue.id, { currency: 'EUR' })).to.throw(messages.EXCHANGE_RATE_NOT_FOUND);
+    });
+});
@@ -0,0 +1,122 @@
+const http = require('http');
+const { expect } = require('chai');
+const { WebhookManager, DeliveryStatus, signPayload } = require('../managers/webhookManager');
+const { DispenserManager, DispenserState, DispenserEvent } = require('../managers/dispenserManager');
+const { MemoryStore } = require('../stores');
+const messages = require('../constants/messages');
+
+describe('WebhookManager', () => {
+    let server;
+    let url;
+    let received;
+    let responses;
+    let store;
+    let dispenserManager;
+    let webhookManager;
+
+    before((done) => {
+        // Local stand-in for the POS: answers with the queued status codes, then 200
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = responses.shift() || 200;
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${server.address().port}/hooks`;
+            done();
+        });
+    });
+
+    after((done) => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        received = [];
+        responses = [];
+        store = new MemoryStore();
+        dispenserManager = new DispenserManager(store);
+        webhookManager = new WebhookManager(store, dispenserManager, { maxAttempts: 3, retryBaseMs: 5 });
+    });
+
+    // Built by hand, since creating a dispenser would emit an event of its own
+    function openEvent() {
+        const dispenser = { id: 'dispenser-id', flow_volume: 1, state: DispenserState.OPEN };
+        return { type: DispenserEvent.OPENED, dispenser, usage: null, occurred_at: new Date() };
+    }
+
+    it('should post a signed payload to the subscribed webhooks', async () => {
+        const webhook = webhookManager.createWebhook({ url, events: [DispenserEvent.OPENED] });
+        const event = openEvent();
+
+        const [delivery] = await webhookManager.dispatch(event);
+
+        expect(delivery.status).to.equal(DeliveryStatus.SUCCEEDED);
+        expect(received).to.have.lengthOf(1);
+
+        const { headers, body } = received[0];
+        expect(headers['x-webhook-event']).to.equal(DispenserEvent.OPENED);
+        expect(headers['x-webhook-signature']).to.equal(`sha256=${signPayload(webhook.secret, headers['x-webhook-timestamp'], body)}`);
+        expect(JSON.parse(body).data.dispenser.id).to.equal(event.dispenser.id);
+    });
+
+    it('should only deliver the event types a webhook is subscribed to', async () => {
+        webhookManager.createWebhook({ url, events: [DispenserEvent.CLOSED] });
+        webhookManager.createWebhook({ url, active: false });
+
+        const deliveries = await webhookManager.dispatch(openEvent());
+
+        expect(deliveries).to.be.empty;
+        expect(received).to.be.empty;
+    });
+
+    it('should retry failed deliveries and log every attempt', async () => {
+        const webhook = webhookManager.createWebhook({ url });
+        responses = [500, 503];
+
+        await webhookManager.dispatch(openEvent());
+
+        const [delivery] = webhookManager.getDeliveries(webhook.id);
+        expect(delivery.status).to.equal(DeliveryStatus.SUCCEEDED);
+        expect(delivery.attempts.map((attempt) => attempt.status_code)).to.deep.equal([500, 503, 200]);
+        expect(received.map((request) => request.body)).to.deep.equal([delivery.payload, delivery.payload, delivery.payload]);
+    });
+
+    it('should mark a delivery as failed after the last attempt', async () => {
+        const webhook = webhookManager.createWebhook({ url: 'http://127.0.0.1:1/unreachable' });
+
+        await webhookManager.dispatch(openEvent());
+
+        const [delivery] = webhookManager.getDeliveries(webhook.id);
+        expect(delivery.status).to.equal(DeliveryStatus.FAILED);
+        expect(delivery.attempts).to.have.lengthOf(3);
+        expect(delivery.attempts[0].error).to.be.a('string');
+    });
+
+    it('should deliver the events emitted by the DispenserManager', async () => {
+        webhookManager.createWebhook({ url, events: [DispenserEvent.CLOSED] });
+        const dispenser = dispenserManager.createDispenser(1);
+
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.OPEN, new Date('2023-05-11T00:00:00Z'));
+        dispenserManager.changeDispenserStatus(dispenser.id, DispenserState.CLOSE, new Date('2023-05-11T00:00:10Z'));
+
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        expect(received).to.have.lengthOf(1);
+        expect(JSON.parse(received[0].body).data.usage.closed_at).to.equal('2023-05-11T00:00:10.000Z');
+    });
+
+    it('should hide the secret after creation and validate the fields', () => {
+        const webhook = webhookManager.createWebhook({ url, secret: 'a-very-long-secret' });
+
+        expect(webhook.secret).to.equal('a-very-long-secret');
+        expect(webhookManager.getWebhook(webhook.id)).to.not.have.property('secret');
+        expect(() => webhookManager.createWebhook({ url: 'ftp://example.com' })).to.throw(messages.INVALID_WEBHOOK_URL);
+        expect(() => webhookManager.createWebhook({ url, events: ['dispenser.exploded'] })).to.throw(messages.INVALID_WEBHOOK_EVENTS);
+        expect(() => webhookManager.updateWebhook(webhook.id, { secret: 'short' })).to.throw(messages.INVALID_WEBHOOK_SECRET);
+        expect(() => webhookManager.deleteWebhook('non-existent-id')).to.throw(messages.WEBHOOK_NOT_FOUND);
+    });
+});
@@ -0,0 +1,78 @@
+const messages = require('../constants/messages');
+
+// Returns the key of a message in the messages module, used as its machine-readable error code
+function getErrorCode(message) {
+    return Object.keys(messages).find((key) => messages[key] === message) || 'ERROR';
+}
+
+// Base class of the errors the API reports to its clients.
+// Each carries the HTTP status it maps to and a stable error code: the key of its message in the messages module.
+class AppError extends Error {
+    constructor(message, status = 500, code = getErrorCode(message)) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// The request is malformed or a value is not valid
+class ValidationError extends AppError {
+    constructor(message, code) {
+        super(message, 400, code);
+    }
+}
+
+// The request has no valid credentials
+class AuthenticationError extends AppError {
+    constructor(message, code) {
+        super(message, 401, code);
+    }
+}
+
+// The credentials are not allowed to perform the request
+class ForbiddenError extends AppError {
+    constructor(message, code) {
+        super(message, 403, code);
+    }
+}
+
+// The resource doesn't exist
+class NotFoundError extends AppError {
+    constructor(message, code) {
+        super(message, 404, code);
+    }
+}
+
+// The request conflicts with the current state of the resource
+class ConflictError extends AppError {
+    constructor(message, code) {
+        super(message, 409, code);
+    }
+}
+
+// A status change is not later than the previous one of its dispenser
+class DateOrderError extends ConflictError {
+    constructor(message = messages.INVALID_DATE_ORDER, code) {
+        super(message, code);
+    }
+}
+
+// The request is well formed but can't be processed, such as an idempotency key reused for another request
+class UnprocessableError extends AppError {
+    constructor(message, code) {
+        super(message, 422, code);
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    DateOrderError,
+    UnprocessableError,
+    getErrorCode,
+};
@@ -0,0 +1,38 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Sends a POST request with a JSON body.
+ *
+ * @param {string} url - The http or https URL to post to.
+ * @param {string} body - The serialized JSON body.
+ * @param {Object} [headers] - Additional request headers.
+ * @param {Number} [timeoutMs] - How long to wait for the response before failing.
+ *
+ * @returns {Promise<Object>} Resolves with the response 'status' code once the response has been received,
+ *                            whatever the status. Rejects on network errors and timeouts.
+ */
+function postJson(url, body, headers = {}, timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+        const client = new URL(url).protocol === 'https:' ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers,
+            },
+            timeout: timeoutMs,
+        }, (res) => {
+            // The body is not needed, but it has to be consumed to release the socket
+            res.resume();
+            res.on('end', () => resolve({ status: res.statusCode }));
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`Request timed out after ${timeoutMs}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+module.exports = { postJson };
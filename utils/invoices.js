@@ -0,0 +1,229 @@
+// Helpers to lay out an invoice as a printable document, in HTML or in PDF.
+// Both documents are generated locally from the same text layout.
+const { formatAmount } = require('./money');
+
+// A4 in landscape, in PDF points, so the usage table fits on the width of the page
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const TITLE_SIZE = 14;
+const LINE_HEIGHT = 10;
+
+// Cells longer than this are cut in the PDF, whose monospaced columns can't wrap
+const MAX_CELL_LENGTH = 36;
+
+// Invoice numbers are printed zero-padded, e.g. 000042
+function formatInvoiceNumber(number) {
+    return String(number).padStart(6, '0');
+}
+
+// Dates are printed in UTC, to the minute
+function formatDate(date) {
+    return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Lays out an invoice as text: its title, its details and its tables.
+ *
+ * @param {Object} invoice - The invoice, as issued by the InvoiceManager.
+ *
+ * @returns {Object} The 'title', the 'details' as label and value pairs, and the 'tables', each with a 'title',
+ *                   its 'columns' (a 'label' and whether it is 'numeric') and its 'rows' of text cells.
+ */
+function layoutInvoice(invoice) {
+    const money = (amount) => formatAmount(amount, invoice.currency);
+    const percent = (rate) => `${rate}%`;
+    const column = (label, numeric = false) => ({ label, numeric });
+
+    const details = [
+        ['Issued', formatDate(invoice.issued_at)],
+        ['Period', `${formatDate(invoice.from)} to ${formatDate(invoice.to)}`],
+        invoice.dispenser_id ? ['Dispenser', invoice.dispenser_id] : ['Venue', invoice.venue_id],
+        ['Currency', invoice.currency],
+    ];
+
+    const tables = [
+        {
+            title: 'Usages',
+            columns: [
+                column('Opened'), column('Closed'), column('Dispenser'), column('Beverage'),
+                column('Litres', true), column('Price per litre', true), column('Tax', true), column('Amount', true),
+            ],
+            rows: invoice.lines.map((line) => [
+                formatDate(line.opened_at), formatDate(line.closed_at), line.dispenser_id,
+                line.beverage_name || 'No beverage', line.litres.toFixed(3), money(line.price_per_litre),
+                percent(line.tax_rate), money(line.amount),
+            ]),
+        },
+        {
+            title: 'Subtotals per beverage',
+            columns: [
+                column('Beverage'), column('Pours', true), column('Litres', true), column('Tax', true),
+                column('Subtotal', true),
+            ],
+            rows: invoice.beverages.map((beverage) => [
+                beverage.beverage_name || 'No beverage', String(beverage.pours), beverage.litres.toFixed(3),
+                percent(beverage.tax_rate), money(beverage.subtotal),
+            ]),
+        },
+        {
+            title: 'Taxes',
+            columns: [column('Tax rate'), column('Net', true), column('Tax', true), column('Amount', true)],
+            rows: invoice.taxes.map((tax) => [
+                percent(tax.tax_rate), money(tax.net_amount), money(tax.tax_amount), money(tax.amount),
+            ]),
+        },
+        {
+            title: 'Totals',
+            columns: [column('Net total', true), column('Tax total', true), column('Total', true)],
+            rows: [[money(invoice.net_total), money(invoice.tax_total), money(invoice.total)]],
+        },
+    ];
+
+    return { title: `Invoice ${formatInvoiceNumber(invoice.number)}`, details, tables };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Renders an invoice as a standalone HTML page, ready to be printed from a browser.
+ *
+ * @param {Object} invoice - The invoice, as issued by the InvoiceManager.
+ *
+ * @returns {string} The HTML document.
+ */
+function renderHtml(invoice) {
+    const { title, details, tables } = layoutInvoice(invoice);
+    const cell = (tag, text, numeric) => `<${tag}${numeric ? ' class="numeric"' : ''}>${escapeHtml(text)}</${tag}>`;
+
+    const detailRows = details.map(([label, value]) => `<tr>${cell('th', label)}${cell('td', value)}</tr>`);
+    const sections = tables.map(({ title: tableTitle, columns, rows }) => [
+        `<h2>${escapeHtml(tableTitle)}</h2>`,
+        '<table>',
+        `<thead><tr>${columns.map(({ label, numeric }) => cell('th', label, numeric)).join('')}</tr></thead>`,
+        '<tbody>',
+        ...rows.map((row) => `<tr>${row.map((text, i) => cell('td', text, columns[i].numeric)).join('')}</tr>`),
+        '</tbody>',
+        '</table>',
+    ].join('\n'));
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '<style>',
+        'body { font-family: sans-serif; font-size: 12px; margin: 2em; }',
+        'table { border-collapse: collapse; margin-bottom: 1.5em; }',
+        'th, td { padding: 0.25em 0.75em; text-align: left; border-bottom: 1px solid #ddd; }',
+        '.numeric { text-align: right; }',
+        '@page { size: A4 landscape; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<table class="details">\n${detailRows.join('\n')}\n</table>`,
+        ...sections,
+        '</body>',
+        '</html>',
+        '',
+    ].join('\n');
+}
+
+// Lays out a table as lines of monospaced text, with columns padded to their widest cell
+function toTextLines(table) {
+    const rows = table.rows.map((row) => row.map((text) => (text.length > MAX_CELL_LENGTH
+        ? `${text.slice(0, MAX_CELL_LENGTH - 1)}~`
+        : text)));
+    const widths = table.columns.map(({ label }, i) => Math.max(label.length, ...rows.map((row) => row[i].length)));
+    const pad = (text, i) => (table.columns[i].numeric ? text.padStart(widths[i]) : text.padEnd(widths[i]));
+    const toLine = (cells) => cells.map(pad).join('  ').trimEnd();
+
+    return [
+        table.title.toUpperCase(),
+        toLine(table.columns.map(({ label }) => label)),
+        widths.map((width) => '-'.repeat(width)).join('  '),
+        ...rows.map(toLine),
+        '',
+    ];
+}
+
+// Escapes a string for a PDF literal. The standard fonts only cover Latin-1, other characters become '?'
+function toPdfString(text) {
+    const latin1 = text.replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+    return `(${latin1.replace(/[\\()]/g, (char) => `\\${char}`)})`;
+}
+
+/**
+ * Renders an invoice as a PDF document, using the standard Courier font so no font has to be embedded.
+ * Pages are A4 in landscape, numbered in their footer.
+ *
+ * @param {Object} invoice - The invoice, as issued by the InvoiceManager.
+ *
+ * @returns {Buffer} The PDF file.
+ */
+function renderPdf(invoice) {
+    const { title, details, tables } = layoutInvoice(invoice);
+    const labelWidth = Math.max(...details.map(([label]) => label.length));
+    const lines = [
+        ...details.map(([label, value]) => `${label.padEnd(labelWidth)}  ${value}`),
+        '',
+        ...tables.flatMap(toTextLines),
+    ];
+
+    // The title takes the room of two lines on the first page, and the footer one line on every page
+    const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT) - 1;
+    const pages = [lines.slice(0, linesPerPage - 2)];
+    for (let start = linesPerPage - 2; start < lines.length; start += linesPerPage) {
+        pages.push(lines.slice(start, start + linesPerPage));
+    }
+
+    const top = PAGE_HEIGHT - MARGIN;
+    const contents = pages.map((pageLines, index) => [
+        index === 0 ? `BT /F1 ${TITLE_SIZE} Tf ${MARGIN} ${top - TITLE_SIZE} Td ${toPdfString(title)} Tj ET` : '',
+        `BT /F1 ${FONT_SIZE} Tf ${LINE_HEIGHT} TL ${MARGIN} ${top - (index === 0 ? 3 : 1) * LINE_HEIGHT} Td`,
+        ...pageLines.map((line, i) => `${i === 0 ? '' : 'T* '}${toPdfString(line)} Tj`),
+        'ET',
+        `BT /F1 ${FONT_SIZE} Tf ${MARGIN} ${MARGIN - LINE_HEIGHT} Td`,
+        `${toPdfString(`${title} - page ${index + 1} of ${pages.length}`)} Tj ET`,
+    ].filter(Boolean).join('\n'));
+
+    // Objects 1 to 3 are the catalog, the page tree and the font, then each page is followed by its content stream
+    const pageIds = pages.map((page, index) => 4 + 2 * index);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+        ...contents.flatMap((content, index) => [
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+                + `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+            `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        ]),
+    ];
+
+    // The cross-reference table lists the byte offset of every object
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+    formatInvoiceNumber,
+    layoutInvoice,
+    renderHtml,
+    renderPdf,
+};
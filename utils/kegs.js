@@ -0,0 +1,38 @@
+// Helpers to follow the volume left in a keg while its dispenser pours
+
+/**
+ * Returns the litres left in a keg, counting what an open usage has poured so far.
+ *
+ * @param {Object} keg - The keg, with the remaining_litres after the last closed usage.
+ * @param {Object|null} openUsage - The usage currently pouring from the keg, if any.
+ * @param {Date} [now] - The moment to compute the volume at. Defaults to now.
+ *
+ * @returns {Number} The litres left, never below 0.
+ */
+function getRemainingLitres(keg, openUsage, now = new Date()) {
+    if (!openUsage) {
+        return keg.remaining_litres;
+    }
+
+    const poured = ((now - new Date(openUsage.opened_at)) / 1000) * openUsage.flow_volume;
+    return Math.max(0, Number((keg.remaining_litres - poured).toFixed(3)));
+}
+
+/**
+ * Returns the moment an open usage empties the keg it pours from.
+ *
+ * @param {Object} keg - The keg, with the remaining_litres after the last closed usage.
+ * @param {Object} usage - The open usage.
+ *
+ * @returns {Date} The moment the keg runs dry. It is rounded up to the next millisecond,
+ *                 so a usage closed then has poured at least the whole remaining volume.
+ */
+function getExhaustionTime(keg, usage) {
+    const seconds = keg.remaining_litres / usage.flow_volume;
+    return new Date(new Date(usage.opened_at).getTime() + Math.ceil(seconds * 1000));
+}
+
+module.exports = {
+    getRemainingLitres,
+    getExhaustionTime,
+};
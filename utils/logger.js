@@ -1,13 +1,22 @@
 const winston = require('winston');
+const config = require('../config/config');
+const requestContext = require('./requestContext');
+
+// Adds the correlation id of the request being handled, if any, to every log entry
+const correlationId = winston.format((info) => {
+    const context = requestContext.getStore();
+    if (context) {
+        info.request_id = context.requestId;
+    }
+    return info;
+});
 
 const logger = winston.createLogger({
-    level: 'info',
-    format: winston.format.json(),
+    level: config.LOG_LEVEL,
+    format: winston.format.combine(correlationId(), winston.format.timestamp(), winston.format.json()),
     defaultMeta: { service: 'dispenser-service' },
     transports: [
-        new winston.transports.Console({
-            format: winston.format.simple()
-        })
+        new winston.transports.Console()
     ]
 });
 
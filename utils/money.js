@@ -0,0 +1,138 @@
+const config = require('../config/config');
+const messages = require('../constants/messages');
+const { ValidationError } = require('./errors');
+const { DEFAULT_CURRENCY } = require('../constants/constants');
+
+// Amounts are integers in the minor unit of their currency, e.g. 1225 for 12.25 EUR,
+// so adding them up never drifts. Only billing, prorating and converting produce fractions,
+// which are rounded back to minor units with one of these modes.
+const RoundingMode = {
+    // Halves away from zero, like rounding by hand
+    HALF_UP: 'half_up',
+    // Halves to the nearest even unit, so they don't all add up in the same direction
+    HALF_EVEN: 'half_even',
+    // Towards zero
+    DOWN: 'down',
+    // Away from zero
+    UP: 'up',
+};
+
+// ISO 4217 currency codes, e.g. 'EUR'
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// The ISO 4217 currencies whose minor unit is not the hundredth. All others have two decimals.
+const CURRENCY_DECIMALS = {
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0,
+    PYG: 0, RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+};
+
+if (!Object.values(RoundingMode).includes(config.ROUNDING_MODE)) {
+    throw new Error(`Invalid rounding mode: ${config.ROUNDING_MODE}`);
+}
+
+// Returns how many decimals the minor unit of a currency has
+function getDecimals(currency) {
+    return CURRENCY_DECIMALS[currency] === undefined ? 2 : CURRENCY_DECIMALS[currency];
+}
+
+/**
+ * Rounds a fractional amount to a whole number of minor units.
+ *
+ * @param {Number} value - The amount in minor units, e.g. 1224.5.
+ * @param {string} [mode] - One of RoundingMode. Defaults to the configured ROUNDING_MODE.
+ *
+ * @returns {Number} The rounded amount.
+ */
+function roundAmount(value, mode = config.ROUNDING_MODE) {
+    // Products such as 0.1 * 3 are off by a tiny fraction, which must not tip the rounding
+    const magnitude = Number(Math.abs(value).toFixed(6));
+    const whole = Math.floor(magnitude);
+    const fraction = Number((magnitude - whole).toFixed(6));
+    let rounded;
+
+    if (fraction === 0 || mode === RoundingMode.DOWN) {
+        rounded = whole;
+    } else if (mode === RoundingMode.UP || fraction > 0.5) {
+        rounded = whole + 1;
+    } else if (fraction < 0.5) {
+        rounded = whole;
+    } else {
+        rounded = mode === RoundingMode.HALF_EVEN && whole % 2 === 0 ? whole : whole + 1;
+    }
+
+    return value < 0 && rounded !== 0 ? -rounded : rounded;
+}
+
+/**
+ * Parses the exchange rates configuration.
+ * Entries are separated by commas and written as 'currency:rate', the rate being how much one unit
+ * of DEFAULT_CURRENCY is worth in the currency, e.g. 'USD:1.08,GBP:0.86'.
+ *
+ * @returns {Map} The rate of each currency, DEFAULT_CURRENCY included.
+ */
+function parseExchangeRates(value) {
+    const rates = new Map([[DEFAULT_CURRENCY, 1]]);
+
+    if (!value) {
+        return rates;
+    }
+
+    value.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+        const [currency, rate] = entry.split(':');
+
+        if (!CURRENCY_CODE.test(currency) || !(Number(rate) > 0)
+            || (currency === DEFAULT_CURRENCY && Number(rate) !== 1)) {
+            throw new Error(`Invalid exchange rate entry: ${entry}`);
+        }
+
+        rates.set(currency, Number(rate));
+    });
+
+    return rates;
+}
+
+/**
+ * Converts an amount from one currency to another.
+ *
+ * @param {Number} amount - The amount in minor units of the source currency.
+ * @param {string} from - The source currency.
+ * @param {string} to - The target currency.
+ * @param {Map} rates - The exchange rates returned by parseExchangeRates.
+ *
+ * @returns {Number} The amount in minor units of the target currency.
+ *
+ * @throws {Error} If the target currency is not an ISO 4217 code or no rate is configured for one of the currencies.
+ */
+function convertAmount(amount, from, to, rates) {
+    if (typeof to !== 'string' || !CURRENCY_CODE.test(to)) {
+        throw new ValidationError(messages.INVALID_CURRENCY);
+    }
+
+    if (from === to) {
+        return amount;
+    }
+
+    if (!rates.has(from) || !rates.has(to)) {
+        throw new ValidationError(messages.EXCHANGE_RATE_NOT_FOUND);
+    }
+
+    const major = amount / 10 ** getDecimals(from);
+    return roundAmount(major * (rates.get(to) / rates.get(from)) * 10 ** getDecimals(to));
+}
+
+// Writes an amount in major units with its currency, e.g. '12.25 EUR' for 1225
+function formatAmount(amount, currency) {
+    const decimals = getDecimals(currency);
+    return `${(amount / 10 ** decimals).toFixed(decimals)} ${currency}`;
+}
+
+module.exports = {
+    RoundingMode,
+    CURRENCY_CODE,
+    getDecimals,
+    roundAmount,
+    parseExchangeRates,
+    convertAmount,
+    formatAmount,
+};
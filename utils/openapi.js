@@ -0,0 +1,127 @@
+const { description, version } = require('../package.json');
+
+// Descriptions of the error responses an operation may list
+const ERROR_DESCRIPTIONS = {
+    400: 'The request is not valid',
+    401: 'Credentials are missing or not valid',
+    403: 'The credentials are not allowed to perform the request',
+    404: 'The resource doesn\'t exist',
+    409: 'The request conflicts with the current state of the resource',
+    422: 'The request can\'t be processed as sent',
+};
+
+// Removes the validation-only keywords, which are not part of OpenAPI
+function toOpenApiSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(toOpenApiSchema);
+    }
+
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([key]) => key !== 'errorMessage')
+        .map(([key, value]) => [
+            key,
+            key === 'properties' ? mapValues(value, toOpenApiSchema) : toOpenApiSchema(value),
+        ]));
+}
+
+function mapValues(object, fn) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+// Lists the properties of a schema as OpenAPI parameters
+function toParameters(location, schema) {
+    if (!schema) {
+        return [];
+    }
+
+    const required = schema.required || [];
+    return Object.entries(schema.properties).map(([name, property]) => {
+        const { description: propertyDescription, ...rest } = toOpenApiSchema(property);
+        return {
+            name,
+            in: location,
+            required: location === 'path' || required.includes(name),
+            ...(propertyDescription && { description: propertyDescription }),
+            schema: rest,
+        };
+    });
+}
+
+// Content of a JSON request or response
+function jsonContent(schema) {
+    return { 'application/json': { schema: toOpenApiSchema(schema) } };
+}
+
+function toResponse({ description: responseDescription, schema, content }) {
+    if (schema) {
+        return { description: responseDescription, content: jsonContent(schema) };
+    }
+
+    return content ? { description: responseDescription, content } : { description: responseDescription };
+}
+
+function toOperation(name, operation) {
+    const responses = mapValues(operation.responses, toResponse);
+    for (const status of [401, 403, ...(operation.errors || [])]) {
+        responses[status] = responses[status] || {
+            description: ERROR_DESCRIPTIONS[status],
+            content: jsonContent({ $ref: '#/components/schemas/Error' }),
+        };
+    }
+
+    return {
+        operationId: name,
+        tags: [operation.tag],
+        summary: operation.summary,
+        ...(operation.description && { description: operation.description }),
+        // Operations served outside the base path of the API declare their own servers
+        ...(operation.servers && { servers: operation.servers }),
+        parameters: [
+            ...toParameters('path', operation.params),
+            ...toParameters('query', operation.query),
+            ...toParameters('header', operation.headers),
+        ],
+        ...(operation.body && {
+            requestBody: { required: true, content: jsonContent(operation.body) },
+        }),
+        responses,
+    };
+}
+
+/**
+ * Builds the OpenAPI 3.1 document of the API from the schemas the requests are validated with.
+ *
+ * @param {Object} operations - The operations keyed by name, as declared in the schemas module.
+ * @param {Object} components - The schemas of the responses, keyed by name.
+ *
+ * @returns {Object} The OpenAPI document.
+ */
+function buildOpenApiDocument(operations, components) {
+    const paths = {};
+    for (const [name, operation] of Object.entries(operations)) {
+        const path = operation.path.replace(/:(\w+)/g, '{$1}');
+        paths[path] = { ...paths[path], [operation.method]: toOperation(name, operation) };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: { title: description, version },
+        servers: [{ url: '/api' }],
+        // Credentials are checked unless authentication is explicitly disabled
+        security: [{ ApiKey: [] }, { BearerAuth: [] }],
+        paths,
+        components: {
+            schemas: mapValues(components, toOpenApiSchema),
+            securitySchemes: {
+                ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                BearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+            },
+        },
+    };
+}
+
+module.exports = { buildOpenApiDocument };
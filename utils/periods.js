@@ -0,0 +1,82 @@
+// Helpers to bucket time into calendar periods. Periods are evaluated in the server's local
+// time zone, like pricing rules, and weeks start on Monday.
+
+const PeriodUnit = {
+    HOUR: 'hour',
+    DAY: 'day',
+    WEEK: 'week',
+};
+
+/**
+ * Returns the start of the period a date falls in.
+ *
+ * @param {Date} date - The date.
+ * @param {string} unit - One of PeriodUnit.
+ *
+ * @returns {Date} The start of the hour, day or week.
+ */
+function startOfPeriod(date, unit) {
+    switch (unit) {
+        case PeriodUnit.HOUR:
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours());
+        case PeriodUnit.DAY:
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        case PeriodUnit.WEEK:
+            // getDay() is 0 on Sunday, which belongs to the week started the previous Monday
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+        default:
+            throw new Error(`Unknown period unit: ${unit}`);
+    }
+}
+
+/**
+ * Returns the start of the period that follows the one starting at the given date.
+ *
+ * @param {Date} start - The start of a period, as returned by startOfPeriod.
+ * @param {string} unit - One of PeriodUnit.
+ *
+ * @returns {Date} The start of the next period.
+ */
+function nextPeriod(start, unit) {
+    switch (unit) {
+        case PeriodUnit.HOUR:
+            return new Date(start.getFullYear(), start.getMonth(), start.getDate(), start.getHours() + 1);
+        case PeriodUnit.DAY:
+            return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+        case PeriodUnit.WEEK:
+            return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+        default:
+            throw new Error(`Unknown period unit: ${unit}`);
+    }
+}
+
+/**
+ * Splits a time range into the parts that fall in each period.
+ *
+ * @param {Date} from - The start of the range.
+ * @param {Date} to - The end of the range.
+ * @param {string} unit - One of PeriodUnit.
+ *
+ * @returns {Array} The parts, each with 'period' (the start of its period), 'from' and 'to'.
+ */
+function splitByPeriod(from, to, unit) {
+    const parts = [];
+
+    for (let period = startOfPeriod(from, unit); period < to; period = nextPeriod(period, unit)) {
+        const next = nextPeriod(period, unit);
+        parts.push({
+            period,
+            from: from > period ? from : period,
+            to: to < next ? to : next,
+        });
+    }
+
+    return parts;
+}
+
+module.exports = {
+    PeriodUnit,
+    startOfPeriod,
+    nextPeriod,
+    splitByPeriod,
+};
@@ -0,0 +1,178 @@
+// Helpers to evaluate time-based pricing rules. Weekdays and times of day are evaluated
+// in the server's local time zone, which can be set with the TZ environment variable.
+// Schedules share the conditions of the pricing rules, so they are evaluated with the same helpers.
+const messages = require('../constants/messages');
+const { ValidationError } = require('./errors');
+const { roundAmount } = require('./money');
+
+const PricingAdjustment = {
+    PERCENTAGE: 'percentage',
+    ABSOLUTE: 'absolute',
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// 'HH:MM' times of day; '24:00' is only valid as an end time
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Converts an 'HH:MM' time of day into minutes since midnight
+function parseTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60 + date.getMilliseconds() / 60000;
+}
+
+/**
+ * Checks whether a pricing rule is in effect at a given moment.
+ *
+ * @param {Object} rule - The pricing rule.
+ * @param {Date} date - The moment to check.
+ *
+ * @returns {boolean} True if the date falls inside the rule's date range, weekdays and time window.
+ */
+function ruleAppliesAt(rule, date) {
+    if (rule.start_at && date < new Date(rule.start_at)) {
+        return false;
+    }
+
+    if (rule.end_at && date >= new Date(rule.end_at)) {
+        return false;
+    }
+
+    if (rule.weekdays && !rule.weekdays.includes(date.getDay())) {
+        return false;
+    }
+
+    const minutes = minutesOfDay(date);
+    const start = rule.start_time ? parseTime(rule.start_time) : 0;
+    const end = rule.end_time ? parseTime(rule.end_time) : MINUTES_PER_DAY;
+
+    return minutes >= start && minutes < end;
+}
+
+/**
+ * Returns the rule in effect at a given moment. When several rules overlap, the one with
+ * the highest priority wins, and among equal priorities the one created last.
+ *
+ * @param {Array} rules - The candidate pricing rules.
+ * @param {Date} date - The moment to check.
+ *
+ * @returns {Object|null} The applicable rule, or null if none applies.
+ */
+function findApplicableRule(rules, date) {
+    return rules.reduce((best, rule) => {
+        if (!ruleAppliesAt(rule, date)) {
+            return best;
+        }
+
+        return !best || (rule.priority || 0) >= (best.priority || 0) ? rule : best;
+    }, null);
+}
+
+/**
+ * Returns every moment strictly between two dates at which the applicable rule may change:
+ * local midnights, the start and end of each rule's time window, and each rule's date range limits.
+ *
+ * @param {Array} rules - The pricing rules.
+ * @param {Date} from - The start of the period.
+ * @param {Date} to - The end of the period.
+ *
+ * @returns {Array<Date>} The boundaries in chronological order, without duplicates.
+ */
+function getRuleBoundaries(rules, from, to) {
+    const boundaries = new Set();
+    const add = (date) => {
+        if (date > from && date < to) {
+            boundaries.add(date.getTime());
+        }
+    };
+
+    if (rules.length) {
+        for (let day = new Date(from.getFullYear(), from.getMonth(), from.getDate()); day < to;
+            day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            add(day);
+
+            for (const rule of rules) {
+                for (const time of [rule.start_time, rule.end_time]) {
+                    if (time) {
+                        add(new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, parseTime(time)));
+                    }
+                }
+            }
+        }
+    }
+
+    for (const rule of rules) {
+        if (rule.start_at) {
+            add(new Date(rule.start_at));
+        }
+        if (rule.end_at) {
+            add(new Date(rule.end_at));
+        }
+    }
+
+    return [...boundaries].sort((a, b) => a - b).map((time) => new Date(time));
+}
+
+/**
+ * Validates the conditions of a rule: its weekdays, its time window and its date range.
+ * The date range limits must already be Date objects or null.
+ *
+ * @param {Object} rule - The rule, with 'weekdays', 'start_time', 'end_time', 'start_at' and 'end_at'.
+ *
+ * @throws {Error} If a condition is not valid.
+ */
+function validateConditions(rule) {
+    if (rule.weekdays !== null && (!Array.isArray(rule.weekdays) || !rule.weekdays.length
+        || !rule.weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        throw new ValidationError(messages.INVALID_WEEKDAYS);
+    }
+
+    const validStart = rule.start_time === null || TIME_OF_DAY.test(rule.start_time);
+    const validEnd = rule.end_time === null || rule.end_time === '24:00' || TIME_OF_DAY.test(rule.end_time);
+    if (!validStart || !validEnd
+        || parseTime(rule.start_time || '00:00') >= parseTime(rule.end_time || '24:00')) {
+        throw new ValidationError(messages.INVALID_TIME_WINDOW);
+    }
+
+    if ((rule.start_at !== null && isNaN(rule.start_at))
+        || (rule.end_at !== null && isNaN(rule.end_at))
+        || (rule.start_at !== null && rule.end_at !== null && rule.start_at >= rule.end_at)) {
+        throw new ValidationError(messages.INVALID_DATE_RANGE);
+    }
+}
+
+/**
+ * Applies a pricing rule to a base price.
+ *
+ * @param {Object|null} rule - The rule to apply. Without a rule, the base price is returned. An absolute price
+ *                             replaces the base price as is, so it must be in the currency of the base price.
+ * @param {Number} basePrice - The price per litre before the rule, in minor units.
+ *
+ * @returns {Number} The price per litre after the rule, in minor units.
+ *                   Percentages are rounded with the configured rounding mode.
+ */
+function applyRule(rule, basePrice) {
+    if (!rule) {
+        return basePrice;
+    }
+
+    if (rule.adjustment === PricingAdjustment.PERCENTAGE) {
+        return roundAmount(basePrice * (1 + rule.value / 100));
+    }
+
+    return rule.value;
+}
+
+module.exports = {
+    PricingAdjustment,
+    parseTime,
+    ruleAppliesAt,
+    findApplicableRule,
+    getRuleBoundaries,
+    validateConditions,
+    applyRule,
+};
@@ -0,0 +1,7 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds the context of the request being handled, such as its correlation id,
+// so code far from the route handlers can log it without receiving the request
+const requestContext = new AsyncLocalStorage();
+
+module.exports = requestContext;
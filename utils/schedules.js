@@ -0,0 +1,114 @@
+// Helpers to evaluate the schedules of dispensers: their opening hours and their maintenance windows.
+// Schedules share the conditions of the pricing rules, so weekdays and times of day are evaluated
+// in the server's local time zone as well.
+const { ruleAppliesAt, getRuleBoundaries } = require('./pricingRules');
+
+const ScheduleType = {
+    OPENING_HOURS: 'opening_hours',
+    MAINTENANCE: 'maintenance',
+};
+
+// Whether a dispenser can be opened: it is locked outside its opening hours and during maintenance
+const LockState = {
+    UNLOCKED: 'unlocked',
+    LOCKED: 'locked',
+    MAINTENANCE: 'maintenance',
+};
+
+// The opening hours of a dispenser replace the ones of its venue
+function getOpeningHours(schedules) {
+    const hours = schedules.filter((schedule) => schedule.type === ScheduleType.OPENING_HOURS);
+    const own = hours.filter((schedule) => schedule.dispenser_id);
+
+    return own.length ? own : hours;
+}
+
+/**
+ * Returns the lock of a dispenser at a given moment. Maintenance windows take precedence over the opening hours.
+ * A dispenser without opening hours is never locked outside them.
+ *
+ * @param {Array} schedules - The schedules of the dispenser and of its venue.
+ * @param {Date} date - The moment to check.
+ *
+ * @returns {Object} The 'state', one of LockState, and the maintenance 'schedule' in effect, or null.
+ */
+function getLock(schedules, date) {
+    const maintenance = schedules.find((schedule) => schedule.type === ScheduleType.MAINTENANCE
+        && ruleAppliesAt(schedule, date));
+
+    if (maintenance) {
+        return { state: LockState.MAINTENANCE, schedule: maintenance };
+    }
+
+    const hours = getOpeningHours(schedules);
+    if (hours.length && !hours.some((schedule) => ruleAppliesAt(schedule, date))) {
+        return { state: LockState.LOCKED, schedule: null };
+    }
+
+    return { state: LockState.UNLOCKED, schedule: null };
+}
+
+// Returns the first moment a dispenser is locked by the given schedules within a period, or null
+function findFirstLock(schedules, from, to) {
+    if (getLock(schedules, from).state !== LockState.UNLOCKED) {
+        return from;
+    }
+
+    return getRuleBoundaries(schedules, from, to)
+        .find((date) => getLock(schedules, date).state !== LockState.UNLOCKED) || null;
+}
+
+/**
+ * Returns the first moment a dispenser is locked within a period.
+ * A schedule only locks the dispenser from the moment it was created, so one created during the period
+ * doesn't lock it earlier. Schedules created after the period, as when it is in the past, apply to all of it.
+ *
+ * @param {Array} schedules - The schedules of the dispenser and of its venue.
+ * @param {Date} from - The start of the period.
+ * @param {Date} to - The end of the period, exclusive.
+ *
+ * @returns {Date|null} 'from' if the dispenser is already locked then, the moment its lock starts, or null.
+ */
+function findLockTime(schedules, from, to) {
+    const createdAt = (schedule) => (schedule.created_at ? new Date(schedule.created_at) : null);
+    const createdAfter = (schedule, date) => createdAt(schedule) > date && createdAt(schedule) < to;
+
+    // The period is searched in parts, each one with the schedules that existed when it starts
+    const limits = [from, ...schedules.filter((schedule) => createdAfter(schedule, from)).map(createdAt), to]
+        .sort((a, b) => a - b);
+
+    for (let i = 0; i < limits.length - 1; i++) {
+        const existing = schedules.filter((schedule) => !createdAfter(schedule, limits[i]));
+        const lockAt = findFirstLock(existing, limits[i], limits[i + 1]);
+
+        if (lockAt) {
+            return lockAt;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Returns the first moment the lock state of a dispenser changes within a period.
+ *
+ * @param {Array} schedules - The schedules of the dispenser and of its venue.
+ * @param {Date} from - The start of the period.
+ * @param {Date} to - The end of the period, exclusive.
+ *
+ * @returns {Date|null} The moment the state changes, or null when it doesn't change in the period.
+ */
+function findNextLockChange(schedules, from, to) {
+    const { state } = getLock(schedules, from);
+
+    return getRuleBoundaries(schedules, from, to)
+        .find((date) => getLock(schedules, date).state !== state) || null;
+}
+
+module.exports = {
+    ScheduleType,
+    LockState,
+    getLock,
+    findLockTime,
+    findNextLockChange,
+};
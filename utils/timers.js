@@ -0,0 +1,28 @@
+// Helpers to run the automatic closes of the dispensers at a given moment
+
+// setTimeout can't wait longer than this, about 24.8 days
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Calls a function at a given moment. The timer doesn't keep the process alive.
+ *
+ * @param {Date} at - When to call the function. A moment already past calls it as soon as possible.
+ * @param {Function} callback - The function to call.
+ * @param {Date} [now] - The current moment. Defaults to now.
+ *
+ * @returns {Object|null} The timer, to clear with clearTimeout, or null when the moment is more than
+ *                        MAX_TIMEOUT_MS away. The caller has to catch those moments later, e.g. on a periodic check.
+ */
+function setTimer(at, callback, now = new Date()) {
+    const delay = Math.max(0, at - now);
+    if (delay > MAX_TIMEOUT_MS) {
+        return null;
+    }
+
+    const timer = setTimeout(callback, delay);
+    timer.unref();
+
+    return timer;
+}
+
+module.exports = { MAX_TIMEOUT_MS, setTimer };
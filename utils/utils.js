@@ -1,11 +1,167 @@
-const { PRICE_PER_LITRE } = require('../constants/constants');
+const { PRICE_PER_LITRE, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT } = require('../constants/constants');
+const messages = require('../constants/messages');
+const { ValidationError } = require('./errors');
+const { findApplicableRule, getRuleBoundaries, applyRule } = require('./pricingRules');
+const { roundAmount } = require('./money');
 
-function calculateTotalSpent(openedAt, closedAt, flowVolume) {
-    const secondsOpen = (new Date(closedAt) - new Date(openedAt)) / 1000;
-    const totalSpent = secondsOpen * flowVolume * PRICE_PER_LITRE;
-    return Number(totalSpent.toFixed(2));
+/**
+ * Splits a usage at the pricing rule boundaries and bills each segment at its own rate.
+ * Prices and totals are in minor units; each segment total is rounded with the configured rounding mode.
+ *
+ * @param {Date|string} openedAt - When the usage started.
+ * @param {Date|string} closedAt - When the usage ended.
+ * @param {Number} flowVolume - The litres poured per second.
+ * @param {Number} [pricePerLitre] - The base price per litre, in minor units. Defaults to PRICE_PER_LITRE.
+ * @param {Array} [rules] - The pricing rules that may apply to the usage.
+ *
+ * @returns {Array} The segments, each with started_at, ended_at, pricing_rule_id, price_per_litre and total_spent.
+ *                  Consecutive periods priced by the same rule are merged into one segment.
+ */
+function calculateSegments(openedAt, closedAt, flowVolume, pricePerLitre = PRICE_PER_LITRE, rules = []) {
+    const from = new Date(openedAt);
+    const to = new Date(closedAt);
+    const points = [from, ...getRuleBoundaries(rules, from, to), to];
+    const segments = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const rule = findApplicableRule(rules, points[i]);
+        const ruleId = rule ? rule.id : null;
+        const last = segments[segments.length - 1];
+
+        if (last && last.pricing_rule_id === ruleId) {
+            last.ended_at = points[i + 1];
+        } else {
+            segments.push({
+                started_at: points[i],
+                ended_at: points[i + 1],
+                pricing_rule_id: ruleId,
+                price_per_litre: applyRule(rule, pricePerLitre),
+            });
+        }
+    }
+
+    return segments.map((segment) => {
+        const secondsOpen = (segment.ended_at - segment.started_at) / 1000;
+        const totalSpent = secondsOpen * flowVolume * segment.price_per_litre;
+        return { ...segment, total_spent: roundAmount(totalSpent) };
+    });
+}
+
+// Adds up the totals of the segments of a usage. They are whole minor units, so the sum is exact.
+function sumSegments(segments) {
+    return segments.reduce((total, segment) => total + segment.total_spent, 0);
+}
+
+function calculateTotalSpent(openedAt, closedAt, flowVolume, pricePerLitre = PRICE_PER_LITRE, rules = []) {
+    return sumSegments(calculateSegments(openedAt, closedAt, flowVolume, pricePerLitre, rules));
+}
+
+/**
+ * Clips billed segments to a time window, prorating the total of the segments that cross its limits.
+ * Each segment is billed at a constant rate, so the proration is exact up to the rounding to minor units.
+ *
+ * @param {Array} segments - The segments returned by calculateSegments.
+ * @param {Date} [from] - The start of the window. Unbounded if not given.
+ * @param {Date} [to] - The end of the window. Unbounded if not given.
+ *
+ * @returns {Array} The parts of the segments inside the window. Segments outside it are dropped.
+ */
+function clipSegments(segments, from, to) {
+    return segments.reduce((clipped, segment) => {
+        const startedAt = new Date(Math.max(new Date(segment.started_at), from ? new Date(from) : -Infinity));
+        const endedAt = new Date(Math.min(new Date(segment.ended_at), to ? new Date(to) : Infinity));
+
+        if (endedAt <= startedAt) {
+            return clipped;
+        }
+
+        const duration = new Date(segment.ended_at) - new Date(segment.started_at);
+        const totalSpent = segment.total_spent * (endedAt - startedAt) / duration;
+
+        clipped.push({ ...segment, started_at: startedAt, ended_at: endedAt, total_spent: roundAmount(totalSpent) });
+        return clipped;
+    }, []);
+}
+
+/**
+ * Parses the 'limit' and 'offset' query parameters.
+ *
+ * @param {Object} query - The request query. Both parameters are optional.
+ *
+ * @returns {Object} The parsed 'limit' and 'offset' numbers.
+ *
+ * @throws {Error} If limit is not an integer between 1 and MAX_PAGE_LIMIT or offset is not a non-negative integer.
+ */
+function parsePagination({ limit, offset } = {}) {
+    const parsedLimit = limit === undefined ? DEFAULT_PAGE_LIMIT : Number(limit);
+    const parsedOffset = offset === undefined ? 0 : Number(offset);
+
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_PAGE_LIMIT
+        || !Number.isInteger(parsedOffset) || parsedOffset < 0) {
+        throw new ValidationError(messages.INVALID_PAGINATION);
+    }
+
+    return { limit: parsedLimit, offset: parsedOffset };
+}
+
+/**
+ * Returns one page of the given items along with the pagination metadata.
+ *
+ * @param {Array} items - All the items.
+ * @param {Object} pagination - The 'limit' and 'offset' returned by parsePagination.
+ *
+ * @returns {Object} The page with 'items', 'total', 'limit' and 'offset'.
+ */
+function paginate(items, { limit, offset }) {
+    return {
+        items: items.slice(offset, offset + limit),
+        total: items.length,
+        limit,
+        offset,
+    };
+}
+
+/**
+ * Parses the 'from' and 'to' limits of a time range.
+ *
+ * @param {Date|string} [from] - The start of the range. Unbounded if not given.
+ * @param {Date|string} [to] - The end of the range. Unbounded if not given.
+ *
+ * @returns {Object} The 'from' and 'to' dates, null when unbounded.
+ *
+ * @throws {Error} If a limit is not a valid date or from is not before to.
+ */
+function parseTimeRange(from, to) {
+    const range = {
+        from: from === undefined || from === null ? null : new Date(from),
+        to: to === undefined || to === null ? null : new Date(to),
+    };
+
+    if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to))
+        || (range.from && range.to && range.from >= range.to)) {
+        throw new ValidationError(messages.INVALID_TIME_RANGE);
+    }
+
+    return range;
+}
+
+// Returns the given keys of an object, skipping the ones that are undefined
+function pick(object, keys) {
+    return keys.reduce((picked, key) => {
+        if (object[key] !== undefined) {
+            picked[key] = object[key];
+        }
+        return picked;
+    }, {});
 }
 
 module.exports = {
+    calculateSegments,
     calculateTotalSpent,
+    sumSegments,
+    clipSegments,
+    parseTimeRange,
+    parsePagination,
+    paginate,
+    pick,
 };